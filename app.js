@@ -14,16 +14,47 @@ const bcrypt = require('bcrypt');
 const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('./models/User');
-const { db, checkIfUsersExist } = require('./db/database');
+const { db, initializeDatabase, checkIfUsersExist } = require('./db/database');
 const systemMonitor = require('./services/systemMonitor');
 const { uploadVideo } = require('./middleware/uploadMiddleware');
+const { API_SCOPES, isValidScope, addScopeRule, apiTokenAuth } = require('./middleware/apiTokenAuth');
 const { ensureDirectories } = require('./utils/storage');
 const { getVideoInfo, generateThumbnail } = require('./utils/videoProcessor');
 const Video = require('./models/Video');
+const Playlist = require('./models/Playlist');
+const StreamHistory = require('./models/StreamHistory');
+const UserInvite = require('./models/UserInvite');
+const ApiToken = require('./models/ApiToken');
+const AppSetting = require('./models/AppSetting');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const EncodingPreset = require('./models/EncodingPreset');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 const streamingService = require('./services/streamingService');
+const dryRunService = require('./services/dryRunService');
 const schedulerService = require('./services/schedulerService');
+const streamHealthMonitor = require('./services/streamHealthMonitor');
+const webhookService = require('./services/webhookService');
+const accountService = require('./services/accountService');
+const backupService = require('./services/backupService');
+const secretService = require('./services/secretService');
+const streamBundleService = require('./services/streamBundleService');
+const twoFactorService = require('./services/twoFactorService');
+const eventStream = require('./services/eventStream');
+const eventBus = require('./services/eventBus');
+const recurrence = require('./utils/recurrence');
+const { resolveHealthThresholds } = require('./utils/healthThresholds');
+const { resolveRetryPolicy } = require('./utils/retryPolicy');
+const quotas = require('./utils/quotas');
+const encodingPresets = require('./utils/encodingPresets');
+const ffmpegConfig = require('./utils/ffmpegConfig');
+const { VIDEO_ENCODERS } = require('./utils/videoEncoders');
+const { getAvailableVideoEncoders, hasAudioEncoder } = require('./utils/ffmpegCapabilities');
+const { parseBackupSettingsInput } = require('./utils/backupSettings');
+const { validateOutputUrl } = require('./utils/outputProtocols');
+const { SECRET_FIELDS, SECRET_MASK, isEncryptionEnabled, isMaskedSecret, maskSecret, encryptSecret, decryptSecret } = require('./utils/secrets');
+const { createApiV1, sendData, sendError, sendValidationError, paginate } = require('./utils/apiV1');
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 process.on('unhandledRejection', (reason, promise) => {
   console.error('-----------------------------------');
@@ -105,6 +136,7 @@ app.locals.helpers = {
     return `${hours}:${minutes}:${secs}`;
   }
 };
+app.use(apiTokenAuth);
 app.use(session({
   store: new SQLiteStore({
     db: 'sessions.db',
@@ -124,7 +156,11 @@ app.use(async (req, res, next) => {
   if (req.session && req.session.userId) {
     try {
       const user = await User.findById(req.session.userId);
-      if (user) {
+      if (!user || user.disabled) {
+        // Deleted or disabled accounts lose their session on the next request
+        delete req.session.userId;
+        delete req.session.username;
+      } else {
         req.session.username = user.username;
         req.session.avatar_path = user.avatar_path;
         if (user.email) req.session.email = user.email;
@@ -132,7 +168,8 @@ app.use(async (req, res, next) => {
           id: user.id,
           username: user.username,
           avatar_path: user.avatar_path,
-          email: user.email
+          email: user.email,
+          role: user.role
         };
       }
     } catch (error) {
@@ -152,6 +189,15 @@ app.use(function (req, res, next) {
 app.engine('ejs', engine);
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
+// Stream keys and API keys never leave the server in JSON responses; clients
+// send the mask back unchanged to keep the stored value
+app.set('json replacer', (key, value) => {
+  if (key === 'stream_key_hash') {
+    return undefined;
+  }
+  return SECRET_FIELDS.includes(key) ? maskSecret(value) : value;
+});
+app.locals.SECRET_MASK = SECRET_MASK;
 app.use(express.static(path.join(__dirname, 'public')));
 app.use('/uploads', function (req, res, next) {
   res.header('Cache-Control', 'no-cache');
@@ -230,8 +276,23 @@ const isAuthenticated = (req, res, next) => {
   if (req.session.userId) {
     return next();
   }
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
   res.redirect('/login');
 };
+const isAdmin = (req, res, next) => {
+  if (res.locals.user && res.locals.user.role === 'admin') {
+    return next();
+  }
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(403).json({ success: false, error: 'Admin access required' });
+  }
+  res.status(403).render('error', {
+    title: 'Error',
+    error: 'You need administrator access to view this page.'
+  });
+};
 app.use('/uploads', function (req, res, next) {
   res.header('Cache-Control', 'no-cache');
   res.header('Pragma', 'no-cache');
@@ -272,6 +333,24 @@ const loginDelayMiddleware = async (req, res, next) => {
   await new Promise(resolve => setTimeout(resolve, 1000));
   next();
 };
+// Accounts with 2FA get a short-lived pending login after the password step
+// that only the code form can complete
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+async function completeLogin(req, user) {
+  delete req.session.pendingTwoFactor;
+  req.session.userId = user.id;
+  req.session.username = user.username;
+  await User.update(user.id, { last_login_at: new Date().toISOString() });
+}
+function getPendingTwoFactor(req) {
+  const pending = req.session.pendingTwoFactor;
+  if (!pending || pending.expiresAt < Date.now()) {
+    delete req.session.pendingTwoFactor;
+    return null;
+  }
+  return pending;
+}
 app.get('/login', async (req, res) => {
   if (req.session.userId) {
     return res.redirect('/dashboard');
@@ -310,8 +389,17 @@ app.post('/login', loginDelayMiddleware, loginLimiter, async (req, res) => {
         error: 'Invalid username or password'
       });
     }
-    req.session.userId = user.id;
-    req.session.username = user.username;
+    if (user.disabled) {
+      return res.render('login', {
+        title: 'Login',
+        error: 'This account has been disabled. Contact your administrator.'
+      });
+    }
+    if (twoFactorService.isTwoFactorEnabled(user)) {
+      req.session.pendingTwoFactor = { userId: user.id, expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL, attempts: 0 };
+      return res.redirect('/login/2fa');
+    }
+    await completeLogin(req, user);
     res.redirect('/dashboard');
   } catch (error) {
     console.error('Login error:', error);
@@ -321,6 +409,63 @@ app.post('/login', loginDelayMiddleware, loginLimiter, async (req, res) => {
     });
   }
 });
+app.get('/login/2fa', (req, res) => {
+  if (req.session.userId) {
+    return res.redirect('/dashboard');
+  }
+  if (!getPendingTwoFactor(req)) {
+    return res.redirect('/login');
+  }
+  res.render('login-2fa', {
+    title: 'Two-Factor Authentication',
+    error: null
+  });
+});
+app.post('/login/2fa', loginDelayMiddleware, loginLimiter, async (req, res) => {
+  const pending = getPendingTwoFactor(req);
+  if (!pending) {
+    return res.render('login', {
+      title: 'Login',
+      error: 'Your sign-in has expired. Please log in again.'
+    });
+  }
+  try {
+    const user = await User.findById(pending.userId);
+    if (!user || user.disabled) {
+      delete req.session.pendingTwoFactor;
+      return res.render('login', {
+        title: 'Login',
+        error: 'Invalid username or password'
+      });
+    }
+    // An administrator may have reset 2FA while the code form was open
+    const result = twoFactorService.isTwoFactorEnabled(user)
+      ? await twoFactorService.verifyCode(user, req.body.code)
+      : { method: null };
+    if (result.error) {
+      pending.attempts++;
+      if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        return res.render('login', {
+          title: 'Login',
+          error: 'Too many invalid codes. Please log in again.'
+        });
+      }
+      return res.render('login-2fa', {
+        title: 'Two-Factor Authentication',
+        error: result.error
+      });
+    }
+    await completeLogin(req, user);
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.render('login-2fa', {
+      title: 'Two-Factor Authentication',
+      error: 'An error occurred during login. Please try again.'
+    });
+  }
+});
 app.get('/logout', (req, res) => {
   req.session.destroy();
   res.redirect('/login');
@@ -392,6 +537,7 @@ app.post('/setup-account', upload.single('avatar'), [
           username: req.body.username,
           password: req.body.password,
           avatar_path: avatarPath,
+          role: 'admin'
         });
         req.session.userId = userId;
         req.session.username = req.body.username;
@@ -428,6 +574,100 @@ app.post('/setup-account', upload.single('avatar'), [
     });
   }
 });
+app.get('/invite/:token', async (req, res) => {
+  try {
+    const invite = await UserInvite.findUsableByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).render('error', {
+        title: 'Error',
+        error: 'This invite link is invalid or has expired.'
+      });
+    }
+    res.render('setup-account', {
+      title: 'Accept Invite',
+      user: {},
+      invite,
+      formAction: `/invite/${encodeURIComponent(req.params.token)}`,
+      error: null
+    });
+  } catch (error) {
+    console.error('Invite page error:', error);
+    res.redirect('/login');
+  }
+});
+app.post('/invite/:token', upload.single('avatar'), [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Username must be between 3 and 20 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
+    .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+    .matches(/[0-9]/).withMessage('Password must contain at least one number'),
+  body('confirmPassword')
+    .custom((value, { req }) => value === req.body.password)
+    .withMessage('Passwords do not match')
+], async (req, res) => {
+  const formAction = `/invite/${encodeURIComponent(req.params.token)}`;
+  try {
+    const invite = await UserInvite.findUsableByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).render('error', {
+        title: 'Error',
+        error: 'This invite link is invalid or has expired.'
+      });
+    }
+    const renderError = error => res.render('setup-account', {
+      title: 'Accept Invite',
+      user: { username: req.body.username || '' },
+      invite,
+      formAction,
+      error
+    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return renderError(errors.array()[0].msg);
+    }
+    if (await User.findByUsername(req.body.username)) {
+      return renderError('Username is already taken');
+    }
+    if (invite.email && await User.findByEmail(invite.email)) {
+      return renderError('An account with this email already exists');
+    }
+    // Claim the invite first so a link cannot be used twice concurrently
+    const userId = uuidv4();
+    if (!(await UserInvite.markAccepted(invite.id, userId))) {
+      return renderError('This invite has already been used');
+    }
+    const avatarPath = req.file ? `/uploads/avatars/${req.file.filename}` : null;
+    await User.create({
+      id: userId,
+      username: req.body.username,
+      password: req.body.password,
+      avatar_path: avatarPath,
+      email: invite.email,
+      role: invite.role
+    });
+    req.session.userId = userId;
+    req.session.username = req.body.username;
+    if (avatarPath) {
+      req.session.avatar_path = avatarPath;
+    }
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error('Invite acceptance error:', error);
+    res.render('setup-account', {
+      title: 'Accept Invite',
+      user: {},
+      formAction,
+      error: 'An error occurred. Please try again.'
+    });
+  }
+});
 app.get('/', (req, res) => {
   res.redirect('/dashboard');
 });
@@ -447,11 +687,13 @@ app.get('/dashboard', isAuthenticated, async (req, res) => {
 app.get('/gallery', isAuthenticated, async (req, res) => {
   try {
     const videos = await Video.findAll(req.session.userId);
+    const playlists = await Playlist.findAll(req.session.userId);
     res.render('gallery', {
       title: 'Video Gallery',
       active: 'gallery',
       user: await User.findById(req.session.userId),
-      videos: videos
+      videos: videos,
+      playlists: playlists
     });
   } catch (error) {
     console.error('Gallery error:', error);
@@ -477,21 +719,7 @@ app.get('/settings', isAuthenticated, async (req, res) => {
 });
 app.get('/history', isAuthenticated, async (req, res) => {
   try {
-    const db = require('./db/database').db;
-    const history = await new Promise((resolve, reject) => {
-      db.all(
-        `SELECT h.*, v.thumbnail_path 
-         FROM stream_history h 
-         LEFT JOIN videos v ON h.video_id = v.id 
-         WHERE h.user_id = ? 
-         ORDER BY h.start_time DESC`,
-        [req.session.userId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+    const history = await StreamHistory.findByUserId(req.session.userId);
     res.render('history', {
       active: 'history',
       title: 'Stream History',
@@ -712,9 +940,11 @@ app.post('/settings/integrations/gdrive', isAuthenticated, [
         activeTab: 'integrations'
       });
     }
-    await User.update(req.session.userId, {
-      gdrive_api_key: req.body.apiKey
-    });
+    if (!isMaskedSecret(req.body.apiKey)) {
+      await User.update(req.session.userId, {
+        gdrive_api_key: req.body.apiKey
+      });
+    }
     return res.render('settings', {
       title: 'Settings',
       active: 'settings',
@@ -733,13 +963,46 @@ app.post('/settings/integrations/gdrive', isAuthenticated, [
     });
   }
 });
-app.post('/upload/video', isAuthenticated, uploadVideo.single('video'), async (req, res) => {
+async function getStorageQuotaError(userId, additionalBytes = 0) {
+  const userQuotas = quotas.resolveQuotas(await User.findById(userId));
+  if (userQuotas.storageBytes === null) {
+    return null;
+  }
+  return quotas.checkStorage(userQuotas, await Video.getStorageUsage(userId), additionalBytes);
+}
+// Turns uploads away before multer writes them to disk. The request size is
+// checked again against the stored file once it is known exactly.
+const checkStorageQuota = async (req, res, next) => {
+  try {
+    const quotaError = await getStorageQuotaError(req.session.userId, parseInt(req.headers['content-length'], 10) || 0);
+    if (quotaError) {
+      return res.status(413).json({ success: false, error: quotaError });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking storage quota:', error);
+    res.status(500).json({ success: false, error: 'Failed to check storage quota' });
+  }
+};
+async function rejectUploadOverQuota(req, res) {
+  const quotaError = await getStorageQuotaError(req.session.userId, req.file.size);
+  if (!quotaError) {
+    return false;
+  }
+  fs.unlink(req.file.path, () => {});
+  res.status(413).json({ success: false, error: quotaError });
+  return true;
+}
+app.post('/upload/video', isAuthenticated, checkStorageQuota, uploadVideo.single('video'), async (req, res) => {
   try {
     console.log('Upload request received:', req.file);
     
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
     }
+    if (await rejectUploadOverQuota(req, res)) {
+      return;
+    }
     const { filename, originalname, path: videoPath, mimetype, size } = req.file;
     const thumbnailName = path.basename(filename, path.extname(filename)) + '.jpg';
     const videoInfo = await getVideoInfo(videoPath);
@@ -781,13 +1044,16 @@ app.post('/upload/video', isAuthenticated, uploadVideo.single('video'), async (r
     });
   }
 });
-app.post('/api/videos/upload', isAuthenticated, videoUpload.single('video'), async (req, res) => {
+app.post('/api/videos/upload', isAuthenticated, checkStorageQuota, videoUpload.single('video'), async (req, res) => {
   try {
     console.log('Upload request received:', req.file);
     
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
     }
+    if (await rejectUploadOverQuota(req, res)) {
+      return;
+    }
     let title = path.parse(req.file.originalname).name;
     const filePath = `/uploads/videos/${req.file.filename}`;
     const fullFilePath = path.join(__dirname, 'public', filePath);
@@ -894,6 +1160,7 @@ app.delete('/api/videos/:id', isAuthenticated, async (req, res) => {
       }
     }
     await Video.delete(videoId, req.session.userId);
+    await Playlist.removeVideo(videoId);
     res.json({ success: true, message: 'Video deleted successfully' });
   } catch (error) {
     console.error('Error deleting video:', error);
@@ -993,9 +1260,11 @@ app.post('/api/settings/gdrive-api-key', isAuthenticated, [
         error: errors.array()[0].msg
       });
     }
-    await User.update(req.session.userId, {
-      gdrive_api_key: req.body.apiKey
-    });
+    if (!isMaskedSecret(req.body.apiKey)) {
+      await User.update(req.session.userId, {
+        gdrive_api_key: req.body.apiKey
+      });
+    }
     return res.json({
       success: true,
       message: 'Google Drive API key saved successfully!'
@@ -1008,101 +1277,959 @@ app.post('/api/settings/gdrive-api-key', isAuthenticated, [
     });
   }
 });
-app.post('/api/videos/import-drive', isAuthenticated, [
-  body('driveUrl').notEmpty().withMessage('Google Drive URL is required')
-], async (req, res) => {
+const webhookValidation = [
+  body('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be a valid http or https URL'),
+  body('events').isArray({ min: 1 }).withMessage('Select at least one event'),
+  body('events.*').custom(event => webhookService.isValidEvent(event)).withMessage('Unknown webhook event')
+];
+async function findOwnedWebhook(req, res) {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    res.status(404).json({ success: false, error: 'Webhook not found' });
+    return null;
+  }
+  if (webhook.user_id !== req.session.userId) {
+    res.status(403).json({ success: false, error: 'Not authorized' });
+    return null;
+  }
+  return webhook;
+}
+app.get('/api/usage', isAuthenticated, async (req, res) => {
+  try {
+    const userQuotas = quotas.resolveQuotas(await User.findById(req.session.userId));
+    res.json({
+      success: true,
+      usage: {
+        live_streams: await streamingService.countActiveUserStreams(req.session.userId),
+        max_streams: userQuotas.maxConcurrentStreams,
+        storage_used: await Video.getStorageUsage(req.session.userId),
+        storage_limit: userQuotas.storageBytes,
+        max_bitrate: userQuotas.maxBitrate,
+        max_resolution: userQuotas.maxResolution
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch usage' });
+  }
+});
+app.get('/api/webhooks', isAuthenticated, async (req, res) => {
+  try {
+    const webhooks = await Webhook.findByUserId(req.session.userId);
+    res.json({ success: true, webhooks, events: webhookService.WEBHOOK_EVENTS });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhooks' });
+  }
+});
+app.post('/api/webhooks', isAuthenticated, webhookValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
-    const { driveUrl } = req.body;
-    const user = await User.findById(req.session.userId);
-    if (!user || !user.gdrive_api_key) {
-      return res.status(400).json({
-        success: false,
-        error: 'Google Drive API key is not configured'
-      });
+    const urlError = await webhookService.checkWebhookUrl(req.body.url, req.session.userId);
+    if (urlError) {
+      return res.status(400).json({ success: false, error: urlError });
     }
-    const { extractFileId, downloadFile } = require('./utils/googleDriveService');
-    try {
-      const fileId = extractFileId(driveUrl);
-      const jobId = uuidv4();
-      processGoogleDriveImport(jobId, user.gdrive_api_key, fileId, req.session.userId)
-        .catch(err => console.error('Drive import failed:', err));
-      return res.json({
-        success: true,
-        message: 'Video import started',
-        jobId: jobId
-      });
-    } catch (error) {
-      console.error('Google Drive URL parsing error:', error);
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid Google Drive URL format'
-      });
+    const webhook = await Webhook.create({
+      user_id: req.session.userId,
+      name: req.body.name ? String(req.body.name).trim() : null,
+      url: req.body.url,
+      secret: webhookService.generateSecret(),
+      events: req.body.events
+    });
+    res.json({ success: true, webhook });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to create webhook' });
+  }
+});
+app.put('/api/webhooks/:id', isAuthenticated, webhookValidation.map(rule => rule.optional()), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) {
+      return;
     }
+    if (req.body.url !== undefined) {
+      const urlError = await webhookService.checkWebhookUrl(req.body.url, req.session.userId);
+      if (urlError) {
+        return res.status(400).json({ success: false, error: urlError });
+      }
+    }
+    const updateData = {};
+    if (req.body.name !== undefined) updateData.name = String(req.body.name).trim() || null;
+    if (req.body.url !== undefined) updateData.url = req.body.url;
+    if (req.body.events !== undefined) updateData.events = req.body.events;
+    if (req.body.enabled !== undefined) updateData.enabled = req.body.enabled === true || req.body.enabled === 'true';
+    if (req.body.rotateSecret === true || req.body.rotateSecret === 'true') {
+      updateData.secret = webhookService.generateSecret();
+    }
+    await Webhook.update(webhook.id, updateData);
+    res.json({ success: true, webhook: await Webhook.findById(webhook.id) });
   } catch (error) {
-    console.error('Error importing from Google Drive:', error);
-    res.status(500).json({ success: false, error: 'Failed to import video' });
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to update webhook' });
   }
 });
-app.get('/api/videos/import-status/:jobId', isAuthenticated, async (req, res) => {
-  const jobId = req.params.jobId;
-  if (!importJobs[jobId]) {
-    return res.status(404).json({ success: false, error: 'Import job not found' });
+app.delete('/api/webhooks/:id', isAuthenticated, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+    await Webhook.delete(webhook.id, req.session.userId);
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook' });
   }
-  return res.json({
-    success: true,
-    status: importJobs[jobId]
-  });
 });
-const importJobs = {};
-async function processGoogleDriveImport(jobId, apiKey, fileId, userId) {
-  const { downloadFile } = require('./utils/googleDriveService');
-  const { getVideoInfo, generateThumbnail } = require('./utils/videoProcessor');
-  const ffmpeg = require('fluent-ffmpeg');
-  
-  importJobs[jobId] = {
-    status: 'downloading',
-    progress: 0,
-    message: 'Starting download...'
-  };
-  
+app.post('/api/webhooks/:id/test', isAuthenticated, async (req, res) => {
   try {
-    const result = await downloadFile(apiKey, fileId, (progress) => {
-      importJobs[jobId] = {
-        status: 'downloading',
-        progress: progress.progress,
-        message: `Downloading ${progress.filename}: ${progress.progress}%`
-      };
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+    const delivery = await webhookService.sendTestEvent(webhook);
+    res.json({ success: true, delivery });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test delivery' });
+  }
+});
+app.get('/api/webhooks/:id/deliveries', isAuthenticated, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    res.json({ success: true, deliveries: await WebhookDelivery.findByWebhookId(webhook.id, limit) });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch webhook deliveries' });
+  }
+});
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', isAuthenticated, async (req, res) => {
+  try {
+    const webhook = await findOwnedWebhook(req, res);
+    if (!webhook) {
+      return;
+    }
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery || delivery.webhook_id !== webhook.id) {
+      return res.status(404).json({ success: false, error: 'Delivery not found' });
+    }
+    res.json({ success: true, delivery: await webhookService.retryDelivery(delivery.id) });
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry delivery' });
+  }
+});
+const { ENCODING_PRESET_OPTIONS } = encodingPresets;
+const encodingPresetValidation = [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Preset name must be between 1 and 50 characters'),
+  body('video_encoder').optional().isIn(ENCODING_PRESET_OPTIONS.video_encoder).withMessage('Unknown video encoder'),
+  // Checked against the chosen encoder by validateEncoderSettings
+  body('preset').isString().withMessage('Unknown encoder preset'),
+  body('tune').isString().withMessage('Unknown tune'),
+  body('profile').isString().withMessage('Unknown profile'),
+  body('level').isString().withMessage('Unknown level'),
+  body('gop_seconds').isFloat(ENCODING_PRESET_OPTIONS.gop_seconds)
+    .withMessage(`Keyframe interval must be between ${ENCODING_PRESET_OPTIONS.gop_seconds.min} and ${ENCODING_PRESET_OPTIONS.gop_seconds.max} seconds`).toFloat(),
+  body('rate_control').isIn(ENCODING_PRESET_OPTIONS.rate_control).withMessage('Rate control must be cbr or vbr'),
+  body('audio_codec').isIn(ENCODING_PRESET_OPTIONS.audio_codec).withMessage('Unknown audio codec'),
+  body('audio_bitrate').isInt(ENCODING_PRESET_OPTIONS.audio_bitrate)
+    .withMessage(`Audio bitrate must be between ${ENCODING_PRESET_OPTIONS.audio_bitrate.min} and ${ENCODING_PRESET_OPTIONS.audio_bitrate.max} kbps`).toInt(),
+  body('audio_sample_rate').isIn(ENCODING_PRESET_OPTIONS.audio_sample_rate).withMessage('Unsupported sample rate').toInt(),
+  body('audio_channels').isIn(ENCODING_PRESET_OPTIONS.audio_channels).withMessage('Audio channels must be 1 or 2').toInt()
+];
+async function findOwnedEncodingPreset(req, res) {
+  const preset = await EncodingPreset.findById(req.params.id);
+  if (!preset) {
+    res.status(404).json({ success: false, error: 'Encoding preset not found' });
+    return null;
+  }
+  if (preset.user_id !== req.session.userId) {
+    res.status(403).json({ success: false, error: 'Not authorized' });
+    return null;
+  }
+  return preset;
+}
+// The settings page only offers what the installed FFmpeg can run
+app.get('/api/encoding-presets', isAuthenticated, async (req, res) => {
+  try {
+    const capabilities = await ffmpegConfig.probeFFmpeg();
+    const encoders = {};
+    getAvailableVideoEncoders(capabilities).forEach(id => {
+      encoders[id] = VIDEO_ENCODERS[id];
     });
-    
-    importJobs[jobId] = {
-      status: 'processing',
-      progress: 100,
-      message: 'Processing video...'
-    };
-    
-    const videoInfo = await getVideoInfo(result.localFilePath);
-    
-    const metadata = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(result.localFilePath, (err, metadata) => {
-        if (err) return reject(err);
-        resolve(metadata);
-      });
+    res.json({
+      success: true,
+      presets: await EncodingPreset.findByUserId(req.session.userId),
+      recommended: encodingPresets.RECOMMENDED_ENCODING_PRESETS,
+      defaultPreset: encodingPresets.DEFAULT_ENCODING_PRESET,
+      encoders,
+      options: {
+        ...ENCODING_PRESET_OPTIONS,
+        video_encoder: Object.keys(encoders),
+        audio_codec: ENCODING_PRESET_OPTIONS.audio_codec.filter(codec => hasAudioEncoder(capabilities, codec))
+      }
     });
-    
-    let resolution = '';
-    let bitrate = null;
-    
-    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-    if (videoStream) {
-      resolution = `${videoStream.width}x${videoStream.height}`;
+  } catch (error) {
+    console.error('Error fetching encoding presets:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch encoding presets' });
+  }
+});
+app.post('/api/encoding-presets', isAuthenticated, encodingPresetValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
-    
-    if (metadata.format && metadata.format.bit_rate) {
-      bitrate = Math.round(parseInt(metadata.format.bit_rate) / 1000);
+    const values = encodingPresets.pickPresetFields(req.body);
+    const encoderError = encodingPresets.validateEncoderSettings(
+      { ...encodingPresets.DEFAULT_ENCODING_PRESET, ...values },
+      await ffmpegConfig.probeFFmpeg()
+    );
+    if (encoderError) {
+      return res.status(400).json({ success: false, error: encoderError });
+    }
+    const preset = await EncodingPreset.create({
+      user_id: req.session.userId,
+      name: req.body.name,
+      ...values
+    });
+    res.json({ success: true, preset });
+  } catch (error) {
+    console.error('Error creating encoding preset:', error);
+    res.status(500).json({ success: false, error: 'Failed to create encoding preset' });
+  }
+});
+app.put('/api/encoding-presets/:id', isAuthenticated, encodingPresetValidation.map(rule => rule.optional()), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const preset = await findOwnedEncodingPreset(req, res);
+    if (!preset) {
+      return;
+    }
+    // Renaming a preset whose encoder went away is still allowed
+    const updateData = encodingPresets.pickPresetFields(req.body);
+    const encoderError = Object.keys(updateData).length > 0 && encodingPresets.validateEncoderSettings(
+      { ...preset, ...updateData },
+      await ffmpegConfig.probeFFmpeg()
+    );
+    if (encoderError) {
+      return res.status(400).json({ success: false, error: encoderError });
+    }
+    if (req.body.name !== undefined) updateData.name = req.body.name;
+    if (Object.keys(updateData).length > 0) {
+      await EncodingPreset.update(preset.id, updateData);
+    }
+    // Running streams keep their encoder settings until they are restarted
+    res.json({ success: true, preset: await EncodingPreset.findById(preset.id) });
+  } catch (error) {
+    console.error('Error updating encoding preset:', error);
+    res.status(500).json({ success: false, error: 'Failed to update encoding preset' });
+  }
+});
+app.delete('/api/encoding-presets/:id', isAuthenticated, async (req, res) => {
+  try {
+    const preset = await findOwnedEncodingPreset(req, res);
+    if (!preset) {
+      return;
+    }
+    await EncodingPreset.delete(preset.id, req.session.userId);
+    res.json({ success: true, message: 'Encoding preset deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting encoding preset:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete encoding preset' });
+  }
+});
+const API_TOKEN_EXPIRY_DAYS = [30, 90, 365];
+app.get('/api/tokens', isAuthenticated, async (req, res) => {
+  try {
+    const apiTokens = await ApiToken.findByUserId(req.session.userId);
+    res.json({ success: true, tokens: apiTokens, scopes: API_SCOPES, expiryDays: API_TOKEN_EXPIRY_DAYS });
+  } catch (error) {
+    console.error('Error fetching API tokens:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch API tokens' });
+  }
+});
+app.post('/api/tokens', isAuthenticated, [
+  body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Token name must be between 1 and 50 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*').custom(scope => isValidScope(scope)).withMessage('Unknown API token scope'),
+  body('expiresInDays').optional({ checkFalsy: true }).isInt().toInt()
+    .custom(days => API_TOKEN_EXPIRY_DAYS.includes(days)).withMessage('Invalid token expiry')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const expiresAt = req.body.expiresInDays
+      ? new Date(Date.now() + req.body.expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+    const created = await ApiToken.create({
+      user_id: req.session.userId,
+      name: req.body.name,
+      scopes: [...new Set(req.body.scopes)],
+      expires_at: expiresAt
+    });
+    const { token, ...apiToken } = created;
+    res.json({ success: true, token, apiToken });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API token' });
+  }
+});
+app.delete('/api/tokens/:id', isAuthenticated, async (req, res) => {
+  try {
+    const result = await ApiToken.delete(req.params.id, req.session.userId);
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, error: 'API token not found' });
+    }
+    res.json({ success: true, message: 'API token revoked' });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API token' });
+  }
+});
+// Pending enrollments expire so a QR code left on screen cannot be finished later
+const TWO_FACTOR_SETUP_TTL = 10 * 60 * 1000;
+app.get('/api/2fa', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId);
+    res.json({ success: true, twoFactor: await twoFactorService.getTwoFactorStatus(user) });
+  } catch (error) {
+    console.error('Error fetching two-factor status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch two-factor status' });
+  }
+});
+app.post('/api/2fa/setup', isAuthenticated, async (req, res) => {
+  try {
+    const user = await User.findById(req.session.userId);
+    if (twoFactorService.isTwoFactorEnabled(user)) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+    const enrollment = await twoFactorService.beginEnrollment(user);
+    req.session.pendingTotpSetup = {
+      secret: encryptSecret(enrollment.secret),
+      expiresAt: Date.now() + TWO_FACTOR_SETUP_TTL
+    };
+    res.json({ success: true, ...enrollment });
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+  }
+});
+app.post('/api/2fa/enable', isAuthenticated, [
+  body('code').trim().notEmpty().withMessage('Enter the code from your authenticator app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const pending = req.session.pendingTotpSetup;
+    const secret = pending && pending.expiresAt >= Date.now() ? decryptSecret(pending.secret) : null;
+    const user = await User.findById(req.session.userId);
+    const result = await twoFactorService.enableTwoFactor(user, secret, req.body.code);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    delete req.session.pendingTotpSetup;
+    res.json({ success: true, recoveryCodes: result.recoveryCodes });
+  } catch (error) {
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ success: false, error: 'Failed to enable two-factor authentication' });
+  }
+});
+app.post('/api/2fa/recovery-codes', isAuthenticated, [
+  body('code').trim().notEmpty().withMessage('Enter a code from your authenticator app')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const user = await User.findById(req.session.userId);
+    const result = await twoFactorService.verifyCode(user, req.body.code);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, recoveryCodes: await twoFactorService.regenerateRecoveryCodes(user) });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ success: false, error: 'Failed to regenerate recovery codes' });
+  }
+});
+app.post('/api/2fa/disable', isAuthenticated, [
+  body('password').notEmpty().withMessage('Current password is required'),
+  body('code').trim().notEmpty().withMessage('Enter a code from your authenticator app or a recovery code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const user = await User.findById(req.session.userId);
+    if (!await User.verifyPassword(req.body.password, user.password)) {
+      return res.status(400).json({ success: false, error: 'Current password is incorrect' });
+    }
+    const result = await twoFactorService.verifyCode(user, req.body.code);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    await twoFactorService.disableTwoFactor(user.id);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ success: false, error: 'Failed to disable two-factor authentication' });
+  }
+});
+const adminPasswordValidation = body('password')
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters long')
+  .matches(/[a-z]/).withMessage('Password must contain at least one lowercase letter')
+  .matches(/[A-Z]/).withMessage('Password must contain at least one uppercase letter')
+  .matches(/[0-9]/).withMessage('Password must contain at least one number');
+const USER_ROLES = ['admin', 'user'];
+function toAdminUserView(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email || null,
+    role: user.role,
+    disabled: user.disabled === 1,
+    avatar_path: user.avatar_path,
+    created_at: user.created_at,
+    last_login_at: user.last_login_at,
+    two_factor_enabled: Boolean(user.totp_enabled_at),
+    quotas: {
+      max_streams: user.quota_max_streams,
+      storage_mb: user.quota_storage_mb,
+      max_bitrate: user.quota_max_bitrate,
+      max_resolution: user.quota_max_resolution
+    }
+  };
+}
+async function findManagedUser(req, res) {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    res.status(404).json({ success: false, error: 'User not found' });
+    return null;
+  }
+  return user;
+}
+// Refuses changes that would leave no active administrator
+async function wouldRemoveLastAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) {
+    return false;
+  }
+  return (await User.countActiveAdmins()) <= 1;
+}
+app.get('/admin/users', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.render('admin-users', {
+      title: 'User Management',
+      active: 'admin',
+      user: await User.findById(req.session.userId)
+    });
+  } catch (error) {
+    console.error('Admin users page error:', error);
+    res.redirect('/dashboard');
+  }
+});
+app.get('/api/admin/users', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const users = await User.findAllWithUsage();
+    res.json({
+      success: true,
+      users: users.map(user => ({
+        ...toAdminUserView(user),
+        stream_count: user.stream_count,
+        live_stream_count: user.live_stream_count,
+        video_count: user.video_count,
+        storage_used: user.storage_used
+      })),
+      invites: await UserInvite.findPending()
+    });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch users' });
+  }
+});
+app.post('/api/admin/users', isAuthenticated, isAdmin, [
+  body('username')
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Username must be between 3 and 20 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  adminPasswordValidation,
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Invalid email address'),
+  body('role').optional().isIn(USER_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    if (await User.findByUsername(req.body.username)) {
+      return res.status(400).json({ success: false, error: 'Username is already taken' });
+    }
+    if (req.body.email && await User.findByEmail(req.body.email)) {
+      return res.status(400).json({ success: false, error: 'Email is already in use' });
+    }
+    const created = await User.create({
+      username: req.body.username,
+      password: req.body.password,
+      email: req.body.email || null,
+      role: req.body.role || 'user'
+    });
+    res.json({ success: true, user: toAdminUserView(await User.findById(created.id)) });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ success: false, error: 'Failed to create user' });
+  }
+});
+app.get('/api/admin/users/:id', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) {
+      return;
+    }
+    const streams = await Stream.findAll(user.id);
+    const videos = await Video.findAll(user.id);
+    res.json({
+      success: true,
+      user: toAdminUserView(user),
+      streams: streams.map(stream => ({
+        id: stream.id,
+        title: stream.title,
+        platform: stream.platform,
+        status: stream.status,
+        source: stream.playlist_title || stream.video_title || null,
+        schedule_time: stream.schedule_time,
+        start_time: stream.start_time
+      })),
+      storage: {
+        video_count: videos.length,
+        used: videos.reduce((total, video) => total + (video.file_size || 0), 0)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch user' });
+  }
+});
+app.put('/api/admin/users/:id', isAuthenticated, isAdmin, [
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Invalid email address'),
+  body('role').optional().isIn(USER_ROLES).withMessage('Invalid role'),
+  body('disabled').optional().isBoolean().withMessage('Disabled must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const user = await findManagedUser(req, res);
+    if (!user) {
+      return;
+    }
+    const disabled = req.body.disabled === undefined ? undefined : String(req.body.disabled) === 'true';
+    const quotaInput = quotas.parseQuotaInput(req.body);
+    if (quotaInput.error) {
+      return res.status(400).json({ success: false, error: quotaInput.error });
+    }
+    const demoting = req.body.role !== undefined && req.body.role !== 'admin';
+    if (user.id === req.session.userId && (disabled || demoting)) {
+      return res.status(400).json({ success: false, error: 'You cannot disable or demote your own account' });
+    }
+    if ((disabled || demoting) && await wouldRemoveLastAdmin(user)) {
+      return res.status(400).json({ success: false, error: 'At least one active administrator is required' });
+    }
+    const updateData = { ...quotaInput.columns };
+    if (req.body.role !== undefined) updateData.role = req.body.role;
+    if (req.body.email !== undefined) {
+      const email = req.body.email || null;
+      if (email && email !== user.email) {
+        const existing = await User.findByEmail(email);
+        if (existing && existing.id !== user.id) {
+          return res.status(400).json({ success: false, error: 'Email is already in use' });
+        }
+      }
+      updateData.email = email;
+    }
+    if (Object.keys(updateData).length > 0) {
+      await User.update(user.id, updateData);
+    }
+    if (disabled !== undefined && disabled !== Boolean(user.disabled)) {
+      await accountService.setUserDisabled(user.id, disabled);
+    }
+    res.json({ success: true, user: toAdminUserView(await User.findById(user.id)) });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ success: false, error: 'Failed to update user' });
+  }
+});
+app.post('/api/admin/users/:id/password', isAuthenticated, isAdmin, [adminPasswordValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const user = await findManagedUser(req, res);
+    if (!user) {
+      return;
+    }
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+    await User.update(user.id, { password: hashedPassword });
+    console.log(`Password of user ${user.username} reset by administrator ${req.session.username}`);
+    res.json({ success: true, message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset password' });
+  }
+});
+// For users who lost their authenticator app and their recovery codes
+app.delete('/api/admin/users/:id/2fa', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) {
+      return;
+    }
+    await twoFactorService.disableTwoFactor(user.id);
+    console.log(`Two-factor authentication of user ${user.username} reset by administrator ${req.session.username}`);
+    res.json({ success: true, user: toAdminUserView(await User.findById(user.id)) });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+  }
+});
+app.delete('/api/admin/users/:id', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const user = await findManagedUser(req, res);
+    if (!user) {
+      return;
+    }
+    if (user.id === req.session.userId) {
+      return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+    }
+    if (await wouldRemoveLastAdmin(user)) {
+      return res.status(400).json({ success: false, error: 'At least one active administrator is required' });
+    }
+    await accountService.deleteUser(user.id);
+    res.json({ success: true, message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete user' });
+  }
+});
+app.post('/api/admin/invites', isAuthenticated, isAdmin, [
+  body('email').optional({ checkFalsy: true }).trim().isEmail().withMessage('Invalid email address'),
+  body('role').optional().isIn(USER_ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const invite = await UserInvite.create({
+      email: req.body.email || null,
+      role: req.body.role || 'user',
+      created_by: req.session.userId
+    });
+    const { token, ...inviteData } = invite;
+    res.json({
+      success: true,
+      invite: inviteData,
+      url: `${req.protocol}://${req.get('host')}/invite/${token}`
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({ success: false, error: 'Failed to create invite' });
+  }
+});
+app.delete('/api/admin/invites/:id', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const result = await UserInvite.delete(req.params.id);
+    if (!result.deleted) {
+      return res.status(404).json({ success: false, error: 'Invite not found' });
+    }
+    res.json({ success: true, message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke invite' });
+  }
+});
+const backupUpload = multer({
+  dest: path.join(backupService.BACKUP_DIR, '.incoming'),
+  fileFilter: function (req, file, cb) {
+    if (!file.originalname.match(/\.tar\.gz$/)) {
+      return cb(new Error('Only .tar.gz backup archives are allowed!'), false);
+    }
+    cb(null, true);
+  }
+});
+app.get('/admin/backups', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.render('admin-backups', {
+      title: 'Backups',
+      active: 'backups',
+      user: await User.findById(req.session.userId)
+    });
+  } catch (error) {
+    console.error('Admin backups page error:', error);
+    res.redirect('/dashboard');
+  }
+});
+app.get('/api/admin/backups', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      backups: await backupService.listBackups(),
+      settings: await backupService.getSettings()
+    });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ success: false, error: 'Failed to load backups' });
+  }
+});
+app.post('/api/admin/backups', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const includeUploads = req.body.includeUploads === undefined ? undefined : parseBoolean(req.body.includeUploads);
+    const backup = await backupService.createBackup({ includeUploads });
+    res.json({ success: true, message: 'Backup created', backup });
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to create backup' });
+  }
+});
+app.put('/api/admin/backups/settings', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    const parsed = parseBackupSettingsInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    for (const [key, value] of Object.entries(parsed.values)) {
+      await AppSetting.set(key, value);
+    }
+    res.json({ success: true, message: 'Backup settings saved', settings: await backupService.getSettings() });
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    res.status(500).json({ success: false, error: 'Failed to save backup settings' });
+  }
+});
+app.post('/api/admin/backups/upload', isAuthenticated, isAdmin, (req, res, next) => {
+  backupUpload.single('backup')(req, res, err => {
+    if (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No backup file provided' });
+  }
+  try {
+    const backup = await backupService.importBackup(req.file.path);
+    res.json({ success: true, message: 'Backup uploaded', backup });
+  } catch (error) {
+    console.error('Error importing backup:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+app.get('/api/admin/backups/:name/download', isAuthenticated, isAdmin, (req, res) => {
+  const filePath = backupService.getBackupPath(req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ success: false, error: 'Backup not found' });
+  }
+  res.download(filePath, req.params.name);
+});
+app.post('/api/admin/backups/:name/restore', isAuthenticated, isAdmin, async (req, res) => {
+  if (!backupService.getBackupPath(req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Backup not found' });
+  }
+  const liveCount = streamingService.getActiveStreams().length;
+  if (liveCount > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Stop the ${liveCount} live stream(s) before restoring a backup`
+    });
+  }
+  try {
+    const result = await backupService.restoreBackup(req.params.name);
+    res.json({
+      success: true,
+      message: 'Backup restored. Sign in again to continue.',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+app.delete('/api/admin/backups/:name', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    if (!(await backupService.deleteBackup(req.params.name))) {
+      return res.status(404).json({ success: false, error: 'Backup not found' });
+    }
+    res.json({ success: true, message: 'Backup deleted' });
+  } catch (error) {
+    console.error('Error deleting backup:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete backup' });
+  }
+});
+app.get('/admin/ffmpeg', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    res.render('admin-ffmpeg', {
+      title: 'FFmpeg',
+      active: 'ffmpeg',
+      user: await User.findById(req.session.userId)
+    });
+  } catch (error) {
+    console.error('Admin FFmpeg page error:', error);
+    res.redirect('/dashboard');
+  }
+});
+app.get('/api/admin/ffmpeg', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    await ffmpegConfig.probeFFmpeg();
+    res.json({ success: true, ffmpeg: ffmpegConfig.getFFmpegInfo() });
+  } catch (error) {
+    console.error('Error fetching FFmpeg capabilities:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch FFmpeg capabilities' });
+  }
+});
+// Probing again picks up drivers or devices added since startup
+app.post('/api/admin/ffmpeg/probe', isAuthenticated, isAdmin, async (req, res) => {
+  try {
+    await ffmpegConfig.probeFFmpeg({ refresh: true });
+    res.json({ success: true, ffmpeg: ffmpegConfig.getFFmpegInfo() });
+  } catch (error) {
+    console.error('Error probing FFmpeg:', error);
+    res.status(500).json({ success: false, error: 'Failed to probe FFmpeg' });
+  }
+});
+app.post('/api/videos/import-drive', isAuthenticated, [
+  body('driveUrl').notEmpty().withMessage('Google Drive URL is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const { driveUrl } = req.body;
+    const user = await User.findById(req.session.userId);
+    if (!user || !user.gdrive_api_key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google Drive API key is not configured'
+      });
+    }
+    const quotaError = await getStorageQuotaError(req.session.userId);
+    if (quotaError) {
+      return res.status(413).json({ success: false, error: quotaError });
+    }
+    const { extractFileId, downloadFile } = require('./utils/googleDriveService');
+    try {
+      const fileId = extractFileId(driveUrl);
+      const jobId = uuidv4();
+      processGoogleDriveImport(jobId, decryptSecret(user.gdrive_api_key), fileId, req.session.userId)
+        .catch(err => console.error('Drive import failed:', err));
+      return res.json({
+        success: true,
+        message: 'Video import started',
+        jobId: jobId
+      });
+    } catch (error) {
+      console.error('Google Drive URL parsing error:', error);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Google Drive URL format'
+      });
+    }
+  } catch (error) {
+    console.error('Error importing from Google Drive:', error);
+    res.status(500).json({ success: false, error: 'Failed to import video' });
+  }
+});
+app.get('/api/videos/import-status/:jobId', isAuthenticated, async (req, res) => {
+  const jobId = req.params.jobId;
+  if (!importJobs[jobId]) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+  return res.json({
+    success: true,
+    status: importJobs[jobId]
+  });
+});
+const importJobs = {};
+function setImportJob(jobId, userId, job) {
+  importJobs[jobId] = job;
+  eventBus.emit('importProgress', { userId, jobId, ...job });
+}
+async function processGoogleDriveImport(jobId, apiKey, fileId, userId) {
+  const { downloadFile } = require('./utils/googleDriveService');
+  const { getVideoInfo, generateThumbnail } = require('./utils/videoProcessor');
+  const ffmpeg = require('fluent-ffmpeg');
+  
+  setImportJob(jobId, userId, {
+    status: 'downloading',
+    progress: 0,
+    message: 'Starting download...'
+  });
+  
+  try {
+    const userQuotas = quotas.resolveQuotas(await User.findById(userId));
+    const maxBytes = userQuotas.storageBytes === null
+      ? null
+      : Math.max(0, userQuotas.storageBytes - await Video.getStorageUsage(userId));
+    const result = await downloadFile(apiKey, fileId, (progress) => {
+      setImportJob(jobId, userId, {
+        status: 'downloading',
+        progress: progress.progress,
+        message: `Downloading ${progress.filename}: ${progress.progress}%`
+      });
+    }, { maxBytes });
+    
+    setImportJob(jobId, userId, {
+      status: 'processing',
+      progress: 100,
+      message: 'Processing video...'
+    });
+    
+    const videoInfo = await getVideoInfo(result.localFilePath);
+    
+    const metadata = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(result.localFilePath, (err, metadata) => {
+        if (err) return reject(err);
+        resolve(metadata);
+      });
+    });
+    
+    let resolution = '';
+    let bitrate = null;
+    
+    const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+    if (videoStream) {
+      resolution = `${videoStream.width}x${videoStream.height}`;
+    }
+    
+    if (metadata.format && metadata.format.bit_rate) {
+      bitrate = Math.round(parseInt(metadata.format.bit_rate) / 1000);
     }
     
     const thumbnailName = path.basename(result.filename, path.extname(result.filename)) + '.jpg';
@@ -1127,22 +2254,32 @@ async function processGoogleDriveImport(jobId, apiKey, fileId, userId) {
     
     const video = await Video.create(videoData);
     
-    importJobs[jobId] = {
+    setImportJob(jobId, userId, {
       status: 'complete',
       progress: 100,
       message: 'Video imported successfully',
       videoId: video.id
-    };
+    });
+    webhookService.dispatch(userId, 'video.import_finished', {
+      status: 'complete',
+      source: 'google_drive',
+      video: { id: video.id, title: video.title, duration: video.duration, file_size: video.file_size }
+    });
     setTimeout(() => {
       delete importJobs[jobId];
     }, 5 * 60 * 1000);
   } catch (error) {
     console.error('Error processing Google Drive import:', error);
-    importJobs[jobId] = {
+    setImportJob(jobId, userId, {
       status: 'failed',
       progress: 0,
       message: error.message || 'Failed to import video'
-    };
+    });
+    webhookService.dispatch(userId, 'video.import_finished', {
+      status: 'failed',
+      source: 'google_drive',
+      error: error.message || 'Failed to import video'
+    });
     setTimeout(() => {
       delete importJobs[jobId];
     }, 5 * 60 * 1000);
@@ -1171,8 +2308,174 @@ app.get('/api/stream/videos', isAuthenticated, async (req, res) => {
     res.status(500).json({ error: 'Failed to load videos' });
   }
 });
+app.get('/api/stream/playlists', isAuthenticated, async (req, res) => {
+  try {
+    const playlists = await Playlist.findAll(req.session.userId);
+    const formattedPlaylists = playlists.map(playlist => {
+      const duration = Math.floor(playlist.total_duration || 0);
+      const hours = Math.floor(duration / 3600);
+      const minutes = Math.floor((duration % 3600) / 60);
+      const seconds = Math.floor(duration % 60);
+      const formattedDuration = hours > 0
+        ? `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+        : `${minutes}:${seconds.toString().padStart(2, '0')}`;
+      return {
+        id: playlist.id,
+        name: playlist.title,
+        thumbnail: playlist.thumbnail_path,
+        itemCount: playlist.item_count,
+        duration: formattedDuration,
+        shuffle: playlist.shuffle,
+        loop: playlist.loop_playlist,
+        type: 'playlist'
+      };
+    });
+    res.json(formattedPlaylists);
+  } catch (error) {
+    console.error('Error fetching playlists for stream:', error);
+    res.status(500).json({ error: 'Failed to load playlists' });
+  }
+});
+async function validatePlaylistVideos(videoIds, userId) {
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    return 'Add at least one video to the playlist';
+  }
+  for (const videoId of videoIds) {
+    const video = await Video.findById(videoId);
+    if (!video || video.user_id !== userId) {
+      return 'One or more selected videos were not found';
+    }
+  }
+  return null;
+}
+app.get('/api/playlists', isAuthenticated, async (req, res) => {
+  try {
+    const playlists = await Playlist.findAll(req.session.userId);
+    res.json({ success: true, playlists });
+  } catch (error) {
+    console.error('Error fetching playlists:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch playlists' });
+  }
+});
+app.post('/api/playlists', isAuthenticated, [
+  body('title').trim().isLength({ min: 1 }).withMessage('Title is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const videoError = await validatePlaylistVideos(req.body.videoIds, req.session.userId);
+    if (videoError) {
+      return res.status(400).json({ success: false, error: videoError });
+    }
+    const playlist = await Playlist.create({
+      title: req.body.title,
+      description: req.body.description || null,
+      shuffle: req.body.shuffle === 'true' || req.body.shuffle === true,
+      loop_playlist: req.body.loopPlaylist === undefined ? true : (req.body.loopPlaylist === 'true' || req.body.loopPlaylist === true),
+      user_id: req.session.userId
+    });
+    await Playlist.setItems(playlist.id, req.body.videoIds);
+    playlist.items = await Playlist.getItems(playlist.id);
+    res.json({ success: true, playlist });
+  } catch (error) {
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to create playlist' });
+  }
+});
+app.get('/api/playlists/:id', isAuthenticated, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    if (playlist.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized to access this playlist' });
+    }
+    playlist.items = await Playlist.getItems(playlist.id);
+    res.json({ success: true, playlist });
+  } catch (error) {
+    console.error('Error fetching playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch playlist' });
+  }
+});
+app.put('/api/playlists/:id', isAuthenticated, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    if (playlist.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized to update this playlist' });
+    }
+    const updateData = {};
+    if (req.body.title !== undefined) {
+      if (!String(req.body.title).trim()) {
+        return res.status(400).json({ success: false, error: 'Title is required' });
+      }
+      updateData.title = String(req.body.title).trim();
+    }
+    if (req.body.description !== undefined) updateData.description = req.body.description || null;
+    if (req.body.shuffle !== undefined) {
+      updateData.shuffle = req.body.shuffle === 'true' || req.body.shuffle === true;
+    }
+    if (req.body.loopPlaylist !== undefined) {
+      updateData.loop_playlist = req.body.loopPlaylist === 'true' || req.body.loopPlaylist === true;
+    }
+    if (req.body.videoIds !== undefined) {
+      const videoError = await validatePlaylistVideos(req.body.videoIds, req.session.userId);
+      if (videoError) {
+        return res.status(400).json({ success: false, error: videoError });
+      }
+      await Playlist.setItems(playlist.id, req.body.videoIds);
+    }
+    if (Object.keys(updateData).length > 0) {
+      await Playlist.update(playlist.id, updateData);
+    }
+    const updatedPlaylist = await Playlist.findById(playlist.id);
+    updatedPlaylist.items = await Playlist.getItems(playlist.id);
+    res.json({ success: true, playlist: updatedPlaylist });
+  } catch (error) {
+    console.error('Error updating playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to update playlist' });
+  }
+});
+app.delete('/api/playlists/:id', isAuthenticated, async (req, res) => {
+  try {
+    const playlist = await Playlist.findById(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+    if (playlist.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized to delete this playlist' });
+    }
+    const streamCount = await Playlist.countStreamsUsing(playlist.id);
+    if (streamCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `This playlist is used by ${streamCount} stream(s). Change their source before deleting it.`
+      });
+    }
+    await Playlist.delete(playlist.id, req.session.userId);
+    res.json({ success: true, message: 'Playlist deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete playlist' });
+  }
+});
 const Stream = require('./models/Stream');
+const StreamDestination = require('./models/StreamDestination');
+const StreamHealthCheck = require('./models/StreamHealthCheck');
 const { title } = require('process');
+const {
+  detectPlatform,
+  parseBoolean,
+  validateDestinationInput,
+  toStreamFormInput,
+  createStreamFromInput,
+  updateStreamFromInput
+} = require('./services/streamConfigService');
 app.get('/api/streams', isAuthenticated, async (req, res) => {
   try {
     const filter = req.query.filter;
@@ -1185,7 +2488,7 @@ app.get('/api/streams', isAuthenticated, async (req, res) => {
 });
 app.post('/api/streams', isAuthenticated, [
   body('streamTitle').trim().isLength({ min: 1 }).withMessage('Title is required'),
-  body('rtmpUrl').trim().isLength({ min: 1 }).withMessage('RTMP URL is required'),
+  body('rtmpUrl').trim().isLength({ min: 1 }).withMessage('Stream URL is required'),
   body('streamKey').trim().isLength({ min: 1 }).withMessage('Stream key is required')
 ], async (req, res) => {
   try {
@@ -1193,74 +2496,57 @@ app.post('/api/streams', isAuthenticated, [
     if (!errors.isEmpty()) {
       return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
-    const isInUse = await Stream.isStreamKeyInUse(req.body.streamKey, req.session.userId);
-    if (isInUse) {
-      return res.status(400).json({
-        success: false,
-        error: 'This stream key is already in use. Please use a different key.'
-      });
+    const result = await createStreamFromInput(req.session.userId, req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
     }
-    let platform = 'Custom';
-    let platform_icon = 'ti-broadcast';
-    if (req.body.rtmpUrl.includes('youtube.com')) {
-      platform = 'YouTube';
-      platform_icon = 'ti-brand-youtube';
-    } else if (req.body.rtmpUrl.includes('facebook.com')) {
-      platform = 'Facebook';
-      platform_icon = 'ti-brand-facebook';
-    } else if (req.body.rtmpUrl.includes('twitch.tv')) {
-      platform = 'Twitch';
-      platform_icon = 'ti-brand-twitch';
-    } else if (req.body.rtmpUrl.includes('tiktok.com')) {
-      platform = 'TikTok';
-      platform_icon = 'ti-brand-tiktok';
-    } else if (req.body.rtmpUrl.includes('instagram.com')) {
-      platform = 'Instagram';
-      platform_icon = 'ti-brand-instagram';
-    } else if (req.body.rtmpUrl.includes('shopee.io')) {
-      platform = 'Shopee Live';
-      platform_icon = 'ti-brand-shopee';
-    } else if (req.body.rtmpUrl.includes('restream.io')) {
-      platform = 'Restream.io';
-      platform_icon = 'ti-live-photo';
-    }
-    const streamData = {
-      title: req.body.streamTitle,
-      video_id: req.body.videoId || null,
-      rtmp_url: req.body.rtmpUrl,
-      stream_key: req.body.streamKey,
-      platform,
-      platform_icon,
-      bitrate: parseInt(req.body.bitrate) || 2500,
-      resolution: req.body.resolution || '1280x720',
-      fps: parseInt(req.body.fps) || 30,
-      orientation: req.body.orientation || 'horizontal',
-      loop_video: req.body.loopVideo === 'true' || req.body.loopVideo === true,
-      use_advanced_settings: req.body.useAdvancedSettings === 'true' || req.body.useAdvancedSettings === true,
-      user_id: req.session.userId
-    };
-    if (req.body.scheduleTime) {
-      const scheduleDate = new Date(req.body.scheduleTime);
-      
-      const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-      console.log(`[CREATE STREAM] Server timezone: ${serverTimezone}`);
-      console.log(`[CREATE STREAM] Input time: ${req.body.scheduleTime}`);
-      console.log(`[CREATE STREAM] Parsed time: ${scheduleDate.toISOString()}`);
-      console.log(`[CREATE STREAM] Local display: ${scheduleDate.toLocaleString('en-US', { timeZone: serverTimezone })}`);
-      
-      streamData.schedule_time = scheduleDate.toISOString();
-    }
-    if (req.body.duration) {
-      streamData.duration = parseInt(req.body.duration);
-    }
-    streamData.status = req.body.scheduleTime ? 'scheduled' : 'offline';
-    const stream = await Stream.create(streamData);
-    res.json({ success: true, stream });
+    res.json({ success: true, stream: result.stream });
   } catch (error) {
     console.error('Error creating stream:', error);
     res.status(500).json({ success: false, error: 'Failed to create stream' });
   }
 });
+// Stream bundles carry setups to another instance; see streamBundleService.
+// The passphrase travels in a header so it stays out of URLs and access logs.
+// Keys are left out unless asked for; tokens need streams:export (apiTokenAuth).
+app.get('/api/streams/export', isAuthenticated, async (req, res) => {
+  try {
+    const ids = req.query.ids
+      ? String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    const result = await streamBundleService.exportStreams(req.session.userId, {
+      ids,
+      keyMode: req.query.keys || 'redact',
+      passphrase: req.get('X-Bundle-Passphrase') || null
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    // Sent as is: the json replacer would mask the keys the caller asked for
+    res.attachment(`streamflow-streams-${result.bundle.exported_at.slice(0, 10)}.json`);
+    res.type('json').send(JSON.stringify(result.bundle));
+  } catch (error) {
+    console.error('Error exporting streams:', error);
+    res.status(500).json({ success: false, error: 'Failed to export streams' });
+  }
+});
+// Accepts the bundle as the whole body, or as { bundle, passphrase, stream_keys }
+app.post('/api/streams/import', isAuthenticated, async (req, res) => {
+  try {
+    const wrapped = req.body && req.body.bundle;
+    const result = await streamBundleService.importStreams(req.session.userId, wrapped ? req.body.bundle : req.body, {
+      passphrase: (wrapped && req.body.passphrase) || req.get('X-Bundle-Passphrase') || null,
+      streamKeys: wrapped && req.body.stream_keys && typeof req.body.stream_keys === 'object' ? req.body.stream_keys : {}
+    });
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error importing streams:', error);
+    res.status(500).json({ success: false, error: 'Failed to import streams' });
+  }
+});
 app.get('/api/streams/:id', isAuthenticated, async (req, res) => {
   try {
     const stream = await Stream.getStreamWithVideo(req.params.id);
@@ -1270,75 +2556,211 @@ app.get('/api/streams/:id', isAuthenticated, async (req, res) => {
     if (stream.user_id !== req.session.userId) {
       return res.status(403).json({ success: false, error: 'Not authorized to access this stream' });
     }
+    stream.destinations = await StreamDestination.findOrCreateForStream(stream);
     res.json({ success: true, stream });
   } catch (error) {
-    console.error('Error fetching stream:', error);
-    res.status(500).json({ success: false, error: 'Failed to fetch stream' });
+    console.error('Error fetching stream:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream' });
+  }
+});
+app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized to update this stream' });
+    }
+    const result = await updateStreamFromInput(stream, req.session.userId, req.body);
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, stream: result.stream });
+  } catch (error) {
+    console.error('Error updating stream:', error);
+    res.status(500).json({ success: false, error: 'Failed to update stream' });
+  }
+});
+app.delete('/api/streams/:id', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized to delete this stream' });
+    }
+    await Stream.delete(req.params.id, req.session.userId);
+    await StreamDestination.deleteByStreamId(req.params.id);
+    await StreamHealthCheck.deleteByStreamId(req.params.id);
+    dryRunService.discardDryRun(req.params.id);
+    res.json({ success: true, message: 'Stream deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting stream:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete stream' });
+  }
+});
+app.get('/api/streams/:id/destinations', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const destinations = await StreamDestination.findOrCreateForStream(stream);
+    res.json({ success: true, destinations });
+  } catch (error) {
+    console.error('Error fetching stream destinations:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream destinations' });
+  }
+});
+app.post('/api/streams/:id/destinations', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const destinationError = validateDestinationInput(req.body);
+    if (destinationError) {
+      return res.status(400).json({ success: false, error: destinationError });
+    }
+    await StreamDestination.findOrCreateForStream(stream);
+    const detected = detectPlatform(req.body.rtmpUrl);
+    const destination = await StreamDestination.create({
+      stream_id: stream.id,
+      name: req.body.name || detected.platform,
+      rtmp_url: req.body.rtmpUrl.trim(),
+      stream_key: req.body.streamKey.trim(),
+      platform: detected.platform,
+      platform_icon: detected.platform_icon,
+      enabled: req.body.enabled === undefined ? true : parseBoolean(req.body.enabled),
+      position: await StreamDestination.getNextPosition(stream.id)
+    });
+    res.json({
+      success: true,
+      destination,
+      appliesOnRestart: streamingService.isStreamActive(stream.id)
+    });
+  } catch (error) {
+    console.error('Error adding stream destination:', error);
+    res.status(500).json({ success: false, error: 'Failed to add stream destination' });
   }
 });
-app.put('/api/streams/:id', isAuthenticated, async (req, res) => {
+app.put('/api/streams/:id/destinations/:destinationId', isAuthenticated, async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     if (!stream) {
       return res.status(404).json({ success: false, error: 'Stream not found' });
     }
     if (stream.user_id !== req.session.userId) {
-      return res.status(403).json({ success: false, error: 'Not authorized to update this stream' });
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const destination = await StreamDestination.findById(req.params.destinationId);
+    if (!destination || destination.stream_id !== stream.id) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
     }
     const updateData = {};
-    if (req.body.streamTitle) updateData.title = req.body.streamTitle;
-    if (req.body.videoId) updateData.video_id = req.body.videoId;
-    if (req.body.rtmpUrl) updateData.rtmp_url = req.body.rtmpUrl;
-    if (req.body.streamKey) updateData.stream_key = req.body.streamKey;
-    if (req.body.bitrate) updateData.bitrate = parseInt(req.body.bitrate);
-    if (req.body.resolution) updateData.resolution = req.body.resolution;
-    if (req.body.fps) updateData.fps = parseInt(req.body.fps);
-    if (req.body.orientation) updateData.orientation = req.body.orientation;
-    if (req.body.loopVideo !== undefined) {
-      updateData.loop_video = req.body.loopVideo === 'true' || req.body.loopVideo === true;
-    }
-    if (req.body.useAdvancedSettings !== undefined) {
-      updateData.use_advanced_settings = req.body.useAdvancedSettings === 'true' || req.body.useAdvancedSettings === true;
-    }
-    if (req.body.scheduleTime) {
-      const scheduleDate = new Date(req.body.scheduleTime);
-      
-      const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-      console.log(`[UPDATE STREAM] Server timezone: ${serverTimezone}`);
-      console.log(`[UPDATE STREAM] Input time: ${req.body.scheduleTime}`);
-      console.log(`[UPDATE STREAM] Parsed time: ${scheduleDate.toISOString()}`);
-      console.log(`[UPDATE STREAM] Local display: ${scheduleDate.toLocaleString('en-US', { timeZone: serverTimezone })}`);
-      
-      updateData.schedule_time = scheduleDate.toISOString();
-      updateData.status = 'scheduled';
-    } else if ('scheduleTime' in req.body && !req.body.scheduleTime) {
-      updateData.schedule_time = null;
-      updateData.status = 'offline';
+    if (req.body.name !== undefined) updateData.name = req.body.name;
+    if (req.body.rtmpUrl) {
+      const urlError = validateOutputUrl(req.body.rtmpUrl, ffmpegConfig.getFFmpegCapabilities());
+      if (urlError) {
+        return res.status(400).json({ success: false, error: urlError });
+      }
+      updateData.rtmp_url = req.body.rtmpUrl.trim();
+      Object.assign(updateData, detectPlatform(updateData.rtmp_url));
+    }
+    if (req.body.streamKey && !isMaskedSecret(req.body.streamKey)) updateData.stream_key = req.body.streamKey.trim();
+    if (req.body.enabled !== undefined) updateData.enabled = parseBoolean(req.body.enabled);
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ success: false, error: 'No destination fields to update' });
+    }
+    await StreamDestination.update(destination.id, updateData);
+    if (destination.position === 0 && (updateData.rtmp_url || updateData.stream_key)) {
+      const streamUpdate = {};
+      if (updateData.rtmp_url) {
+        streamUpdate.rtmp_url = updateData.rtmp_url;
+        streamUpdate.platform = updateData.platform;
+        streamUpdate.platform_icon = updateData.platform_icon;
+      }
+      if (updateData.stream_key) streamUpdate.stream_key = updateData.stream_key;
+      await Stream.update(stream.id, streamUpdate);
     }
-    
-    const updatedStream = await Stream.update(req.params.id, updateData);
-    res.json({ success: true, stream: updatedStream });
+    res.json({
+      success: true,
+      destination: await StreamDestination.findById(destination.id),
+      appliesOnRestart: streamingService.isStreamActive(stream.id)
+    });
   } catch (error) {
-    console.error('Error updating stream:', error);
-    res.status(500).json({ success: false, error: 'Failed to update stream' });
+    console.error('Error updating stream destination:', error);
+    res.status(500).json({ success: false, error: 'Failed to update stream destination' });
   }
 });
-app.delete('/api/streams/:id', isAuthenticated, async (req, res) => {
+app.delete('/api/streams/:id/destinations/:destinationId', isAuthenticated, async (req, res) => {
   try {
     const stream = await Stream.findById(req.params.id);
     if (!stream) {
       return res.status(404).json({ success: false, error: 'Stream not found' });
     }
     if (stream.user_id !== req.session.userId) {
-      return res.status(403).json({ success: false, error: 'Not authorized to delete this stream' });
+      return res.status(403).json({ success: false, error: 'Not authorized' });
     }
-    await Stream.delete(req.params.id, req.session.userId);
-    res.json({ success: true, message: 'Stream deleted successfully' });
+    const destination = await StreamDestination.findById(req.params.destinationId);
+    if (!destination || destination.stream_id !== stream.id) {
+      return res.status(404).json({ success: false, error: 'Destination not found' });
+    }
+    if (destination.position === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The primary destination cannot be deleted. Disable it or edit the stream instead.'
+      });
+    }
+    await StreamDestination.delete(destination.id, stream.id);
+    res.json({ success: true, message: 'Destination deleted successfully' });
   } catch (error) {
-    console.error('Error deleting stream:', error);
-    res.status(500).json({ success: false, error: 'Failed to delete stream' });
+    console.error('Error deleting stream destination:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete stream destination' });
   }
 });
+// Stops or cancels a stream; recurring streams are scheduled for their next
+// occurrence. Returns the status update result.
+async function takeStreamOffline(stream, userId) {
+  if (stream.status === 'live') {
+    const result = await streamingService.stopStream(stream.id);
+    if (!result.success) {
+      console.warn('Failed to stop FFmpeg process:', result.error);
+    }
+    if (!recurrence.isRecurring(stream)) {
+      await Stream.update(stream.id, {
+        schedule_time: null
+      });
+      console.log(`Reset schedule_time for stopped stream ${stream.id}`);
+    }
+  } else if (stream.status === 'scheduled') {
+    await Stream.update(stream.id, {
+      schedule_time: null,
+      status: 'offline'
+    });
+    console.log(`Scheduled stream ${stream.id} was cancelled`);
+  }
+  const result = await Stream.updateStatus(stream.id, 'offline', userId);
+  if (!result.updated) {
+    return result;
+  }
+  if (stream.status === 'live' && recurrence.isRecurring(stream)) {
+    const nextOccurrence = await schedulerService.rescheduleRecurringStream(stream.id);
+    if (nextOccurrence) {
+      result.status = 'scheduled';
+      result.schedule_time = nextOccurrence.toISOString();
+    }
+  }
+  return result;
+}
 app.post('/api/streams/:id/status', isAuthenticated, [
   body('status').isIn(['live', 'offline', 'scheduled']).withMessage('Invalid status')
 ], async (req, res) => {
@@ -1364,10 +2786,10 @@ app.post('/api/streams/:id/status', isAuthenticated, [
           stream
         });
       }
-      if (!stream.video_id) {
+      if (!stream.video_id && !stream.playlist_id) {
         return res.json({
           success: false,
-          error: 'No video attached to this stream',
+          error: 'No video or playlist attached to this stream',
           stream
         });
       }
@@ -1380,29 +2802,13 @@ app.post('/api/streams/:id/status', isAuthenticated, [
           isAdvancedMode: result.isAdvancedMode
         });
       } else {
-        return res.status(500).json({
+        return res.status(result.quotaExceeded ? 403 : 500).json({
           success: false,
           error: result.error || 'Failed to start stream'
         });
       }
     } else if (newStatus === 'offline') {
-      if (stream.status === 'live') {
-        const result = await streamingService.stopStream(streamId);
-        if (!result.success) {
-          console.warn('Failed to stop FFmpeg process:', result.error);
-        }
-        await Stream.update(streamId, {
-          schedule_time: null
-        });
-        console.log(`Reset schedule_time for stopped stream ${streamId}`);
-      } else if (stream.status === 'scheduled') {
-        await Stream.update(streamId, {
-          schedule_time: null,
-          status: 'offline'
-        });
-        console.log(`Scheduled stream ${streamId} was cancelled`);
-      }
-      const result = await Stream.updateStatus(streamId, 'offline', req.session.userId);
+      const result = await takeStreamOffline(stream, req.session.userId);
       if (!result.updated) {
         return res.status(404).json({
           success: false,
@@ -1449,6 +2855,45 @@ app.get('/api/streams/check-key', isAuthenticated, async (req, res) => {
     });
   }
 });
+app.get('/api/streams/:id/occurrences', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    if (!recurrence.isRecurring(stream)) {
+      const occurrences = stream.schedule_time && new Date(stream.schedule_time) > new Date()
+        ? [stream.schedule_time]
+        : [];
+      return res.json({ success: true, recurring: false, occurrences });
+    }
+    const count = parseInt(req.query.count) || 10;
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    if (isNaN(from.getTime())) {
+      return res.status(400).json({ success: false, error: 'Invalid from date' });
+    }
+    const occurrences = recurrence.getNextOccurrences(stream, from, count).map(date => date.toISOString());
+    res.json({
+      success: true,
+      recurring: true,
+      rule: {
+        type: stream.recurrence_type,
+        time: stream.recurrence_time,
+        days: stream.recurrence_days ? stream.recurrence_days.split(',').map(Number) : [],
+        cron: recurrence.buildCronExpression(stream),
+        timezone: stream.recurrence_timezone
+      },
+      duration: stream.duration,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Error fetching stream occurrences:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream occurrences' });
+  }
+});
 app.get('/api/streams/:id/logs', isAuthenticated, async (req, res) => {
   try {
     const streamId = req.params.id;
@@ -1472,6 +2917,165 @@ app.get('/api/streams/:id/logs', isAuthenticated, async (req, res) => {
     res.status(500).json({ success: false, error: 'Failed to fetch stream logs' });
   }
 });
+app.get('/api/streams/:id/stats', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    res.json({
+      success: true,
+      isActive: streamingService.isStreamActive(stream.id),
+      stats: streamingService.getStreamStats(stream.id, req.query.since)
+    });
+  } catch (error) {
+    console.error('Error fetching stream stats:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream stats' });
+  }
+});
+// Live preview playlist and segments. The dashboard player sends the session
+// cookie, and the relative segment names in the playlist resolve to this route.
+app.get('/api/streams/:id/preview/:file', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const filePath = streamingService.getStreamPreviewFile(stream.id, req.params.file);
+    if (!filePath) {
+      return res.status(404).json({ success: false, error: 'Live preview not available' });
+    }
+    res.set('Cache-Control', 'no-cache');
+    res.sendFile(filePath);
+  } catch (error) {
+    console.error('Error sending live preview:', error);
+    res.status(500).json({ success: false, error: 'Failed to send live preview' });
+  }
+});
+app.post('/api/streams/:id/dry-run', isAuthenticated, [
+  body('seconds').optional().isInt({ min: dryRunService.MIN_DRY_RUN_SECONDS, max: dryRunService.MAX_DRY_RUN_SECONDS })
+    .withMessage(`Recording length must be between ${dryRunService.MIN_DRY_RUN_SECONDS} and ${dryRunService.MAX_DRY_RUN_SECONDS} seconds`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    if (stream.status === 'live' || streamingService.isStreamActive(stream.id)) {
+      return res.status(400).json({ success: false, error: 'Stop the stream before starting a dry run' });
+    }
+    if (dryRunService.isDryRunActive(stream.id)) {
+      return res.status(400).json({ success: false, error: 'A dry run is already running for this stream' });
+    }
+    if (!stream.video_id && !stream.playlist_id) {
+      return res.status(400).json({ success: false, error: 'No video or playlist attached to this stream' });
+    }
+    const result = await streamingService.startStream(stream.id, null, {
+      dryRun: { seconds: req.body.seconds || dryRunService.DEFAULT_DRY_RUN_SECONDS }
+    });
+    if (!result.success) {
+      return res.status(400).json({ success: false, error: result.error || 'Failed to start dry run' });
+    }
+    res.json({ success: true, dryRun: result.dryRun });
+  } catch (error) {
+    console.error('Error starting dry run:', error);
+    res.status(500).json({ success: false, error: 'Failed to start dry run' });
+  }
+});
+app.get('/api/streams/:id/dry-run', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    res.json({ success: true, dryRun: dryRunService.getDryRun(stream.id) });
+  } catch (error) {
+    console.error('Error fetching dry run:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch dry run' });
+  }
+});
+app.delete('/api/streams/:id/dry-run', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    if (!dryRunService.cancelDryRun(stream.id)) {
+      return res.status(400).json({ success: false, error: 'No dry run is running for this stream' });
+    }
+    res.json({ success: true, dryRun: dryRunService.getDryRun(stream.id) });
+  } catch (error) {
+    console.error('Error cancelling dry run:', error);
+    res.status(500).json({ success: false, error: 'Failed to cancel dry run' });
+  }
+});
+app.get('/api/streams/:id/dry-run/preview', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const previewPath = dryRunService.getPreviewPath(stream.id);
+    if (!previewPath) {
+      return res.status(404).json({ success: false, error: 'No dry run preview available' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.sendFile(previewPath);
+  } catch (error) {
+    console.error('Error sending dry run preview:', error);
+    res.status(500).json({ success: false, error: 'Failed to send dry run preview' });
+  }
+});
+app.get('/api/streams/:id/health', isAuthenticated, async (req, res) => {
+  try {
+    const stream = await Stream.findById(req.params.id);
+    if (!stream) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+    if (stream.user_id !== req.session.userId) {
+      return res.status(403).json({ success: false, error: 'Not authorized' });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json({
+      success: true,
+      health: {
+        current: streamHealthMonitor.getStreamHealth(stream.id),
+        thresholds: resolveHealthThresholds(stream),
+        retryPolicy: resolveRetryPolicy(stream),
+        retry: streamingService.getStreamStatus(stream.id).retry,
+        checks: await StreamHealthCheck.findByStreamId(stream.id, limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stream health:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch stream health' });
+  }
+});
+app.get('/api/events', isAuthenticated, (req, res) => {
+  eventStream.addClient(req, res);
+});
 app.get('/api/server-time', (req, res) => {
   const now = new Date();
   const day = String(now.getDate()).padStart(2, '0');
@@ -1487,31 +3091,531 @@ app.get('/api/server-time', (req, res) => {
     formattedTime: formattedTime
   });
 });
-app.listen(port, '0.0.0.0', async () => {
-  const ipAddresses = getLocalIpAddresses();
-  console.log(`StreamFlow running at:`);
-  if (ipAddresses && ipAddresses.length > 0) {
-    ipAddresses.forEach(ip => {
-      console.log(`  http://${ip}:${port}`);
-    });
-  } else {
-    console.log(`  http://localhost:${port}`);
+// Versioned API. Field names follow the database columns and every response
+// uses the envelope from utils/apiV1; the legacy /api routes above stay as
+// they are for the web UI.
+const apiV1Router = express.Router();
+const apiV1 = createApiV1(apiV1Router, {
+  title: 'StreamFlow API',
+  version: '1.0.0',
+  description: 'Manage streams, videos and playlists. Authenticate with a personal API token or a browser session.'
+});
+apiV1Router.get('/openapi.json', (req, res) => {
+  res.json(apiV1.document);
+});
+apiV1Router.use((req, res, next) => {
+  if (!req.session.userId) {
+    return sendError(res, 401, 'unauthorized', 'Authentication required');
   }
-  try {
-    const streams = await Stream.findAll(null, 'live');
-    if (streams && streams.length > 0) {
-      console.log(`Resetting ${streams.length} live streams to offline state...`);
-      for (const stream of streams) {
-        await Stream.updateStatus(stream.id, 'offline');
+  next();
+});
+const V1_ID_PARAM = { id: { type: 'string', description: 'Resource id' } };
+const V1_DESTINATION_SCHEMA = apiV1.defineSchema('Destination', {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    rtmp_url: { type: 'string' },
+    stream_key: { type: 'string', description: `Always ${SECRET_MASK}` },
+    platform: { type: 'string' },
+    enabled: { type: 'boolean' },
+    position: { type: 'integer' }
+  }
+});
+const V1_STREAM_SCHEMA = apiV1.defineSchema('Stream', {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'string', enum: ['offline', 'scheduled', 'live'] },
+    platform: { type: 'string' },
+    rtmp_url: { type: 'string' },
+    stream_key: { type: 'string', description: `Always ${SECRET_MASK}; sending it back keeps the stored key` },
+    video_id: { type: 'string', nullable: true },
+    video_title: { type: 'string', nullable: true },
+    playlist_id: { type: 'string', nullable: true },
+    playlist_title: { type: 'string', nullable: true },
+    bitrate: { type: 'integer' },
+    resolution: { type: 'string' },
+    fps: { type: 'integer' },
+    orientation: { type: 'string', enum: ['horizontal', 'vertical'] },
+    loop_video: { type: 'boolean' },
+    use_advanced_settings: { type: 'boolean' },
+    live_preview: { type: 'boolean' },
+    encoding_preset_id: { type: 'string', nullable: true, description: 'null follows the recommendation for the platform' },
+    schedule_time: { type: 'string', format: 'date-time', nullable: true },
+    duration: { type: 'integer', nullable: true, description: 'Minutes before the stream stops by itself' },
+    start_time: { type: 'string', format: 'date-time', nullable: true },
+    end_time: { type: 'string', format: 'date-time', nullable: true },
+    recurrence_type: { type: 'string', enum: recurrence.RECURRENCE_TYPES, nullable: true },
+    recurrence_time: { type: 'string', nullable: true },
+    recurrence_days: { type: 'array', items: { type: 'integer' } },
+    recurrence_cron: { type: 'string', nullable: true },
+    recurrence_timezone: { type: 'string', nullable: true },
+    health_stall_timeout: { type: 'integer', nullable: true },
+    health_min_speed: { type: 'number', nullable: true },
+    health_min_bitrate: { type: 'integer', nullable: true },
+    retry_max_attempts: { type: 'integer', nullable: true, description: '0 restarts without limit' },
+    retry_backoff_base: { type: 'integer', nullable: true },
+    retry_backoff_max: { type: 'integer', nullable: true },
+    retry_reset_after: { type: 'integer', nullable: true },
+    destinations: { type: 'array', items: V1_DESTINATION_SCHEMA },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' }
+  }
+});
+const V1_VIDEO_SCHEMA = apiV1.defineSchema('Video', {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    filepath: { type: 'string' },
+    thumbnail_path: { type: 'string', nullable: true },
+    file_size: { type: 'integer' },
+    duration: { type: 'number' },
+    format: { type: 'string' },
+    resolution: { type: 'string' },
+    bitrate: { type: 'integer' },
+    fps: { type: 'string' },
+    upload_date: { type: 'string', format: 'date-time' }
+  }
+});
+const V1_PLAYLIST_SCHEMA = apiV1.defineSchema('Playlist', {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    shuffle: { type: 'boolean' },
+    loop_playlist: { type: 'boolean' },
+    item_count: { type: 'integer' },
+    total_duration: { type: 'number' },
+    items: {
+      type: 'array',
+      description: 'Only included when a single playlist is fetched',
+      items: {
+        type: 'object',
+        properties: {
+          video_id: { type: 'string' },
+          video_title: { type: 'string' },
+          video_duration: { type: 'number' },
+          position: { type: 'integer' }
+        }
+      }
+    },
+    created_at: { type: 'string', format: 'date-time' }
+  }
+});
+const V1_HISTORY_SCHEMA = apiV1.defineSchema('HistoryEntry', {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    stream_id: { type: 'string' },
+    title: { type: 'string' },
+    platform: { type: 'string' },
+    video_id: { type: 'string', nullable: true },
+    video_title: { type: 'string', nullable: true },
+    playlist_id: { type: 'string', nullable: true },
+    playlist_title: { type: 'string', nullable: true },
+    resolution: { type: 'string' },
+    bitrate: { type: 'integer' },
+    fps: { type: 'integer' },
+    start_time: { type: 'string', format: 'date-time' },
+    end_time: { type: 'string', format: 'date-time', nullable: true },
+    duration: { type: 'integer', description: 'Seconds on air' }
+  }
+});
+const V1_STREAM_INPUT_SCHEMAS = {
+  title: { type: 'string', maxLength: 200 },
+  rtmp_url: { type: 'string', description: 'rtmp://, rtmps://, srt:// or https:// (HLS ingest); {key} marks where the stream key goes' },
+  stream_key: { type: 'string' },
+  video_id: { type: 'string' },
+  playlist_id: { type: 'string', description: 'Takes precedence over video_id' },
+  schedule_time: { type: 'string', format: 'date-time', nullable: true },
+  duration: { type: 'integer', minimum: 1, description: 'Minutes' },
+  loop_video: { type: 'boolean' },
+  use_advanced_settings: { type: 'boolean' },
+  live_preview: { type: 'boolean', description: 'Also write a low-bitrate HLS preview for the dashboard' },
+  encoding_preset_id: { type: 'string', nullable: true, description: 'Id of one of your encoding presets or a recommended preset key (youtube, facebook, ...), advanced mode only' },
+  bitrate: { type: 'integer', minimum: 100, maximum: 100000, description: 'kbps, advanced mode only' },
+  resolution: { type: 'string', pattern: '^\\d+x\\d+$', patternMessage: 'resolution must look like 1280x720' },
+  fps: { type: 'integer', minimum: 1, maximum: 120 },
+  orientation: { type: 'string', enum: ['horizontal', 'vertical'] },
+  recurrence_type: { type: 'string', enum: ['none', ...recurrence.RECURRENCE_TYPES] },
+  recurrence_time: { type: 'string', pattern: '^\\d{2}:\\d{2}$', patternMessage: 'recurrence_time must be HH:MM' },
+  recurrence_days: { type: 'array', items: { type: 'integer' }, description: '0 (Sunday) to 6' },
+  recurrence_cron: { type: 'string' },
+  recurrence_timezone: { type: 'string' },
+  health_stall_timeout: { type: 'integer', nullable: true },
+  health_min_speed: { type: 'number', nullable: true },
+  health_min_bitrate: { type: 'integer', nullable: true },
+  retry_max_attempts: { type: 'integer', nullable: true, description: '0 restarts without limit' },
+  retry_backoff_base: { type: 'integer', nullable: true },
+  retry_backoff_max: { type: 'integer', nullable: true },
+  retry_reset_after: { type: 'integer', nullable: true }
+};
+function buildStreamInputSchema(extraProperties, required = []) {
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required,
+    properties: { ...V1_STREAM_INPUT_SCHEMAS, ...extraProperties }
+  };
+}
+const V1_STREAM_CREATE_SCHEMA = buildStreamInputSchema({
+  destinations: {
+    type: 'array',
+    description: 'Additional outputs besides rtmp_url',
+    items: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['rtmp_url', 'stream_key'],
+      properties: {
+        name: { type: 'string' },
+        rtmp_url: { type: 'string' },
+        stream_key: { type: 'string' },
+        enabled: { type: 'boolean' }
       }
     }
-  } catch (error) {
-    console.error('Error resetting stream statuses:', error);
   }
-  schedulerService.init(streamingService);
-  try {
-    await streamingService.syncStreamStatuses();
-  } catch (error) {
-    console.error('Failed to sync stream statuses:', error);
+}, ['title', 'rtmp_url', 'stream_key']);
+const V1_STREAM_UPDATE_SCHEMA = buildStreamInputSchema({});
+function toV1Stream(stream) {
+  const view = apiV1.toResource('Stream', stream);
+  view.recurrence_days = stream.recurrence_days ? String(stream.recurrence_days).split(',').map(Number) : [];
+  if (stream.destinations) {
+    view.destinations = stream.destinations.map(destination => apiV1.toResource('Destination', destination));
+  }
+  return view;
+}
+async function findOwnedV1Resource(res, record, userId, label) {
+  if (!record) {
+    sendError(res, 404, 'not_found', `${label} not found`);
+    return null;
+  }
+  if (record.user_id !== userId) {
+    sendError(res, 403, 'forbidden', `Not authorized to access this ${label.toLowerCase()}`);
+    return null;
+  }
+  return record;
+}
+apiV1.defineRoute({
+  method: 'get',
+  path: '/streams',
+  summary: 'List streams',
+  tag: 'Streams',
+  scope: 'streams:read',
+  paginated: true,
+  query: { status: { type: 'string', enum: ['live', 'scheduled', 'offline'], description: 'Only streams with this status' } },
+  response: V1_STREAM_SCHEMA,
+  handler: async (req, res) => {
+    const streams = await Stream.findAll(req.session.userId, req.query.status);
+    const page = paginate(streams.map(toV1Stream), req.query);
+    sendData(res, page.data, page.meta);
+  }
+});
+apiV1.defineRoute({
+  method: 'post',
+  path: '/streams',
+  summary: 'Create a stream',
+  tag: 'Streams',
+  scope: 'streams:write',
+  body: V1_STREAM_CREATE_SCHEMA,
+  response: V1_STREAM_SCHEMA,
+  status: 201,
+  handler: async (req, res) => {
+    const result = await createStreamFromInput(req.session.userId, toStreamFormInput(req.body));
+    if (result.error) {
+      return sendValidationError(res, result.error);
+    }
+    sendData(res, toV1Stream(result.stream), null, 201);
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/streams/:id',
+  summary: 'Get a stream with its destinations',
+  tag: 'Streams',
+  scope: 'streams:read',
+  params: V1_ID_PARAM,
+  response: V1_STREAM_SCHEMA,
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.getStreamWithVideo(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    stream.destinations = await StreamDestination.findOrCreateForStream(stream);
+    sendData(res, toV1Stream(stream));
+  }
+});
+apiV1.defineRoute({
+  method: 'patch',
+  path: '/streams/:id',
+  summary: 'Update a stream',
+  tag: 'Streams',
+  scope: 'streams:write',
+  params: V1_ID_PARAM,
+  body: V1_STREAM_UPDATE_SCHEMA,
+  response: V1_STREAM_SCHEMA,
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.findById(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    const result = await updateStreamFromInput(stream, req.session.userId, toStreamFormInput(req.body));
+    if (result.error) {
+      return sendValidationError(res, result.error);
+    }
+    sendData(res, toV1Stream(await Stream.getStreamWithVideo(stream.id)));
+  }
+});
+apiV1.defineRoute({
+  method: 'delete',
+  path: '/streams/:id',
+  summary: 'Delete a stream, stopping it first when live',
+  tag: 'Streams',
+  scope: 'streams:write',
+  params: V1_ID_PARAM,
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.findById(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    if (streamingService.isStreamActive(stream.id)) {
+      await streamingService.stopStream(stream.id);
+    }
+    await Stream.delete(stream.id, req.session.userId);
+    await StreamDestination.deleteByStreamId(stream.id);
+    await StreamHealthCheck.deleteByStreamId(stream.id);
+    dryRunService.discardDryRun(stream.id);
+    sendData(res, null);
+  }
+});
+apiV1.defineRoute({
+  method: 'post',
+  path: '/streams/:id/start',
+  summary: 'Go live now',
+  tag: 'Streams',
+  scope: 'streams:control',
+  params: V1_ID_PARAM,
+  response: V1_STREAM_SCHEMA,
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.findById(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    if (stream.status === 'live') {
+      return sendError(res, 409, 'conflict', 'Stream is already live');
+    }
+    if (!stream.video_id && !stream.playlist_id) {
+      return sendError(res, 409, 'conflict', 'No video or playlist attached to this stream');
+    }
+    const result = await streamingService.startStream(stream.id);
+    if (!result.success) {
+      return result.quotaExceeded
+        ? sendError(res, 403, 'quota_exceeded', result.error)
+        : sendError(res, 500, 'start_failed', result.error || 'Failed to start stream');
+    }
+    sendData(res, toV1Stream(await Stream.getStreamWithVideo(stream.id)));
+  }
+});
+apiV1.defineRoute({
+  method: 'post',
+  path: '/streams/:id/stop',
+  summary: 'Stop a live stream or cancel a scheduled one',
+  tag: 'Streams',
+  scope: 'streams:control',
+  params: V1_ID_PARAM,
+  response: V1_STREAM_SCHEMA,
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.findById(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    await takeStreamOffline(stream, req.session.userId);
+    sendData(res, toV1Stream(await Stream.getStreamWithVideo(stream.id)));
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/streams/:id/logs',
+  summary: 'Recent FFmpeg log lines of a stream',
+  tag: 'Streams',
+  scope: 'streams:read',
+  params: V1_ID_PARAM,
+  response: {
+    type: 'object',
+    properties: {
+      active: { type: 'boolean' },
+      logs: {
+        type: 'array',
+        items: { type: 'object', properties: { timestamp: { type: 'string', format: 'date-time' }, message: { type: 'string' } } }
+      }
+    }
+  },
+  handler: async (req, res) => {
+    const stream = await findOwnedV1Resource(res, await Stream.findById(req.params.id), req.session.userId, 'Stream');
+    if (!stream) {
+      return;
+    }
+    sendData(res, {
+      active: streamingService.isStreamActive(stream.id),
+      logs: streamingService.getStreamLogs(stream.id)
+    });
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/videos',
+  summary: 'List videos, newest first',
+  tag: 'Videos',
+  scope: 'videos:read',
+  paginated: true,
+  response: V1_VIDEO_SCHEMA,
+  handler: async (req, res) => {
+    const videos = await Video.findAll(req.session.userId);
+    const page = paginate(videos.map(video => apiV1.toResource('Video', video)), req.query);
+    sendData(res, page.data, page.meta);
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/videos/:id',
+  summary: 'Get a video',
+  tag: 'Videos',
+  scope: 'videos:read',
+  params: V1_ID_PARAM,
+  response: V1_VIDEO_SCHEMA,
+  handler: async (req, res) => {
+    const video = await findOwnedV1Resource(res, await Video.findById(req.params.id), req.session.userId, 'Video');
+    if (video) {
+      sendData(res, apiV1.toResource('Video', video));
+    }
+  }
+});
+apiV1.defineRoute({
+  method: 'delete',
+  path: '/videos/:id',
+  summary: 'Delete a video and its file',
+  tag: 'Videos',
+  scope: 'videos:write',
+  params: V1_ID_PARAM,
+  handler: async (req, res) => {
+    const video = await findOwnedV1Resource(res, await Video.findById(req.params.id), req.session.userId, 'Video');
+    if (!video) {
+      return;
+    }
+    await Video.delete(video.id);
+    await Playlist.removeVideo(video.id);
+    sendData(res, null);
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/playlists',
+  summary: 'List playlists',
+  tag: 'Playlists',
+  scope: 'streams:read',
+  paginated: true,
+  response: V1_PLAYLIST_SCHEMA,
+  handler: async (req, res) => {
+    const playlists = await Playlist.findAll(req.session.userId);
+    const page = paginate(playlists.map(playlist => apiV1.toResource('Playlist', playlist)), req.query);
+    sendData(res, page.data, page.meta);
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/playlists/:id',
+  summary: 'Get a playlist with its videos in order',
+  tag: 'Playlists',
+  scope: 'streams:read',
+  params: V1_ID_PARAM,
+  response: V1_PLAYLIST_SCHEMA,
+  handler: async (req, res) => {
+    const playlist = await findOwnedV1Resource(res, await Playlist.findById(req.params.id), req.session.userId, 'Playlist');
+    if (!playlist) {
+      return;
+    }
+    const items = await Playlist.getItems(playlist.id);
+    sendData(res, {
+      ...apiV1.toResource('Playlist', playlist),
+      item_count: items.length,
+      items: items.map(item => ({
+        video_id: item.video_id,
+        video_title: item.video_title,
+        video_duration: item.video_duration,
+        position: item.position
+      }))
+    });
+  }
+});
+apiV1.defineRoute({
+  method: 'get',
+  path: '/history',
+  summary: 'Finished broadcasts, most recent first',
+  tag: 'History',
+  scope: 'streams:read',
+  paginated: true,
+  response: V1_HISTORY_SCHEMA,
+  handler: async (req, res) => {
+    const history = await StreamHistory.findByUserId(req.session.userId);
+    const page = paginate(history.map(entry => apiV1.toResource('HistoryEntry', entry)), req.query);
+    sendData(res, page.data, page.meta);
   }
 });
+addScopeRule('get', '/api/v1/openapi.json', null);
+apiV1.routes.forEach(route => addScopeRule(route.method, `/api/v1${route.path}`, route.scope));
+apiV1Router.use((req, res) => {
+  sendError(res, 404, 'not_found', `No API endpoint ${req.method} ${req.baseUrl}${req.path}`);
+});
+app.use('/api/v1', apiV1Router);
+// Migrations run before the server accepts requests or any service touches the database
+initializeDatabase().then(() => {
+  app.listen(port, '0.0.0.0', async () => {
+    const ipAddresses = getLocalIpAddresses();
+    console.log(`StreamFlow running at:`);
+    if (ipAddresses && ipAddresses.length > 0) {
+      ipAddresses.forEach(ip => {
+        console.log(`  http://${ip}:${port}`);
+      });
+    } else {
+      console.log(`  http://localhost:${port}`);
+    }
+    if (!isEncryptionEnabled()) {
+      console.warn('[Secrets] ENCRYPTION_SECRET is not set, stream keys and API keys are stored unencrypted. Run "npm run rotate-secret" to enable encryption');
+    }
+    try {
+      await secretService.sealSecrets();
+    } catch (error) {
+      console.error('Error sealing stored secrets:', error);
+    }
+    try {
+      const capabilities = await ffmpegConfig.probeFFmpeg();
+      console.log(`[FFmpeg] ${capabilities.version || 'unknown version'}, video encoders: ${getAvailableVideoEncoders(capabilities).join(', ') || 'none'}`);
+      if (capabilities.error) {
+        console.warn(`[FFmpeg] Capability probe incomplete: ${capabilities.error}`);
+      }
+    } catch (error) {
+      console.error('Error probing FFmpeg capabilities:', error);
+    }
+    try {
+      await streamingService.restoreStreams();
+    } catch (error) {
+      console.error('Error restoring live streams:', error);
+    }
+    schedulerService.init(streamingService);
+    streamingService.setHealthMonitor(streamHealthMonitor);
+    streamHealthMonitor.startMonitoring();
+    webhookService.init(streamHealthMonitor);
+    backupService.init();
+    try {
+      await streamingService.syncStreamStatuses();
+    } catch (error) {
+      console.error('Failed to sync stream statuses:', error);
+    }
+  });
+}).catch(error => {
+  console.error('Database migration failed, not starting:', error.message);
+  process.exit(1);
+});
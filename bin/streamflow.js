@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_STREAM_FIELDS, exportConfig, parseConfig, importConfig } = require('../cli/streamConfig');
+
+const USAGE = `Usage: streamflow <command> [options]
+
+Commands:
+  streams list [--status <status>]      List streams (live, scheduled or offline)
+  streams get <id>                      Show a stream with its destinations
+  streams create --title <title> --rtmp-url <url> --stream-key <key> [fields]
+                                        Create a stream; any writable field can be
+                                        passed as --field-name <value>, or all of
+                                        them as JSON with --file <path>
+  streams start <id>                    Go live now
+  streams stop <id>                     Stop a live stream or cancel a scheduled one
+  streams delete <id>                   Delete a stream
+  streams logs <id> [--follow]          Print FFmpeg log lines, --follow keeps
+                                        printing until the stream goes offline
+  videos list                           List videos
+  videos upload <file>                  Upload a video file
+  videos import <google-drive-url>      Import a video from Google Drive
+  history                               List finished broadcasts
+  config export [--output <file>]       Write all streams to a JSON file (stdout
+                                        by default). The file holds stream keys
+  config import <file>                  Create the streams of an exported file
+
+Options:
+  --server <url>    Talk to a running server, e.g. http://localhost:7575
+                    (or STREAMFLOW_URL). Without it the local database is used
+  --token <token>   API token for --server (or STREAMFLOW_TOKEN)
+  --user <name>     Account to act as on the local database, needed when
+                    several users exist
+  --json            Print JSON instead of tables`;
+
+// Flags consumed by the CLI itself; any other --flag on "streams create" is a stream field
+const GLOBAL_OPTIONS = ['server', 'token', 'user', 'json', 'help'];
+const COMMAND_OPTIONS = ['status', 'follow', 'output', 'file'];
+const BOOLEAN_FIELDS = ['loop_video', 'use_advanced_settings', 'live_preview'];
+const NUMBER_FIELDS = [
+  'duration', 'bitrate', 'fps', 'health_stall_timeout', 'health_min_speed', 'health_min_bitrate',
+  'retry_max_attempts', 'retry_backoff_base', 'retry_backoff_max', 'retry_reset_after'
+];
+const LOG_POLL_INTERVAL = 2000;
+
+function parseArgs(argv) {
+  const args = { positionals: [], options: {}, fields: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.positionals.push(arg);
+      continue;
+    }
+    const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const name = flag.replace(/-/g, '_');
+    let value = inlineValue;
+    if (value === undefined) {
+      const next = argv[i + 1];
+      value = next === undefined || next.startsWith('--') ? true : argv[++i];
+    }
+    if (GLOBAL_OPTIONS.includes(name) || COMMAND_OPTIONS.includes(name)) {
+      args.options[name] = value;
+    } else {
+      args.fields[name] = toFieldValue(name, value);
+    }
+  }
+  return args;
+}
+
+function toFieldValue(name, value) {
+  if (BOOLEAN_FIELDS.includes(name)) {
+    return value === true || value === 'true';
+  }
+  if (value === true) {
+    throw new Error(`--${name.replace(/_/g, '-')} expects a value`);
+  }
+  if (NUMBER_FIELDS.includes(name)) {
+    const number = Number(value);
+    if (value.trim() === '' || isNaN(number)) {
+      throw new Error(`--${name.replace(/_/g, '-')} expects a number`);
+    }
+    return number;
+  }
+  if (name === 'recurrence_days') {
+    return value.split(',').map(day => parseInt(day, 10));
+  }
+  return value;
+}
+
+function requireValue(value, message) {
+  if (value === undefined || value === true) {
+    throw new Error(message);
+  }
+  return value;
+}
+
+function createBackend(options) {
+  const server = options.server || process.env.STREAMFLOW_URL;
+  if (server) {
+    const { createApiBackend } = require('../cli/apiBackend');
+    return createApiBackend({ server, token: options.token || process.env.STREAMFLOW_TOKEN });
+  }
+  // Required lazily so API mode never opens the local database
+  const { createLocalBackend } = require('../cli/localBackend');
+  return createLocalBackend({ user: options.user });
+}
+
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('Nothing found.');
+    return;
+  }
+  const cells = rows.map(row => columns.map(([, value]) => {
+    const cell = value(row);
+    return cell === null || cell === undefined ? '-' : String(cell);
+  }));
+  const widths = columns.map(([title], index) => Math.max(title.length, ...cells.map(row => row[index].length)));
+  const format = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+  console.log(format(columns.map(([title]) => title)));
+  cells.forEach(row => console.log(format(row)));
+}
+
+function formatDuration(seconds) {
+  if (!seconds && seconds !== 0) {
+    return null;
+  }
+  const total = Math.floor(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function formatSize(bytes) {
+  if (!bytes) {
+    return null;
+  }
+  return bytes < 1024 * 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+const STREAM_COLUMNS = [
+  ['ID', stream => stream.id],
+  ['TITLE', stream => stream.title],
+  ['STATUS', stream => stream.status],
+  ['PLATFORM', stream => stream.platform],
+  ['SOURCE', stream => stream.playlist_title ? `playlist: ${stream.playlist_title}` : stream.video_title],
+  ['SCHEDULE', stream => stream.schedule_time]
+];
+const VIDEO_COLUMNS = [
+  ['ID', video => video.id],
+  ['TITLE', video => video.title],
+  ['DURATION', video => formatDuration(video.duration)],
+  ['RESOLUTION', video => video.resolution],
+  ['SIZE', video => formatSize(video.file_size)]
+];
+const HISTORY_COLUMNS = [
+  ['STARTED', entry => entry.start_time],
+  ['TITLE', entry => entry.title],
+  ['PLATFORM', entry => entry.platform],
+  ['ON AIR', entry => formatDuration(entry.duration)],
+  ['SOURCE', entry => entry.playlist_title ? `playlist: ${entry.playlist_title}` : entry.video_title]
+];
+
+function printStream(stream) {
+  printTable([stream], STREAM_COLUMNS);
+  if (stream.destinations && stream.destinations.length > 0) {
+    console.log('\nDestinations:');
+    printTable(stream.destinations, [
+      ['NAME', destination => destination.name],
+      ['URL', destination => destination.rtmp_url],
+      ['ENABLED', destination => (destination.enabled ? 'yes' : 'no')],
+      ['STATUS', destination => destination.status]
+    ]);
+  }
+}
+
+function printLogLines(entries) {
+  entries.forEach(entry => console.log(`${entry.timestamp} ${entry.message}`));
+}
+
+// Re-reads the log buffer of the server and prints the lines not seen yet
+async function followLogs(backend, id, json) {
+  let lastTimestamp = '';
+  for (;;) {
+    const { active, logs } = await backend.getStreamLogs(id);
+    const fresh = logs.filter(entry => entry.timestamp > lastTimestamp);
+    if (fresh.length > 0) {
+      lastTimestamp = fresh[fresh.length - 1].timestamp;
+      fresh.forEach(entry => console.log(json ? JSON.stringify(entry) : `${entry.timestamp} ${entry.message}`));
+    }
+    if (!active) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, LOG_POLL_INTERVAL));
+  }
+}
+
+async function runStreams(backend, action, args, json) {
+  const id = args.positionals[2];
+  const needId = () => requireValue(id, `Usage: streamflow streams ${action} <id>`);
+  const output = (data, print) => (json ? console.log(JSON.stringify(data, null, 2)) : print(data));
+  switch (action) {
+    case 'list':
+      output(await backend.listStreams(args.options.status), streams => printTable(streams, STREAM_COLUMNS));
+      return 0;
+    case 'get':
+      output(await backend.getStream(needId()), printStream);
+      return 0;
+    case 'create': {
+      const body = args.options.file
+        ? { ...JSON.parse(fs.readFileSync(requireValue(args.options.file, '--file expects a path'), 'utf8')), ...args.fields }
+        : args.fields;
+      const unknown = Object.keys(body).filter(field => field !== 'destinations' && !CONFIG_STREAM_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown stream field: ${unknown.join(', ')}`);
+      }
+      const missing = ['title', 'rtmp_url', 'stream_key'].filter(field => !body[field]);
+      if (missing.length > 0) {
+        throw new Error(`Missing ${missing.map(field => `--${field.replace(/_/g, '-')}`).join(', ')}`);
+      }
+      output(await backend.createStream(body), stream => {
+        console.log(`Created stream ${stream.id}`);
+        printStream(stream);
+      });
+      return 0;
+    }
+    case 'start':
+      output(await backend.startStream(needId()), stream => console.log(`Stream "${stream.title}" is ${stream.status}`));
+      return 0;
+    case 'stop':
+      output(await backend.stopStream(needId()), stream => console.log(`Stream "${stream.title}" is ${stream.status}`));
+      return 0;
+    case 'delete':
+      await backend.deleteStream(needId());
+      output({ deleted: id }, () => console.log(`Deleted stream ${id}`));
+      return 0;
+    case 'logs':
+      if (args.options.follow) {
+        await followLogs(backend, needId(), json);
+        return 0;
+      }
+      output(await backend.getStreamLogs(needId()), ({ logs }) => printLogLines(logs));
+      return 0;
+    default:
+      throw new Error(`Unknown streams command: ${action || '(none)'}\n\n${USAGE}`);
+  }
+}
+
+async function runVideos(backend, action, args, json) {
+  const target = args.positionals[2];
+  const output = (data, print) => (json ? console.log(JSON.stringify(data, null, 2)) : print(data));
+  // Progress goes to stderr so --json output stays parseable
+  const progress = message => console.error(message);
+  switch (action) {
+    case 'list':
+      output(await backend.listVideos(), videos => printTable(videos, VIDEO_COLUMNS));
+      return 0;
+    case 'upload': {
+      const filePath = path.resolve(requireValue(target, 'Usage: streamflow videos upload <file>'));
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      output(await backend.uploadVideo(filePath), video => console.log(`Uploaded "${video.title}" as video ${video.id}`));
+      return 0;
+    }
+    case 'import': {
+      const url = requireValue(target, 'Usage: streamflow videos import <google-drive-url>');
+      output(await backend.importDriveVideo(url, progress), video => console.log(`Imported "${video.title}" as video ${video.id}`));
+      return 0;
+    }
+    default:
+      throw new Error(`Unknown videos command: ${action || '(none)'}\n\n${USAGE}`);
+  }
+}
+
+async function runConfig(backend, action, args, json) {
+  switch (action) {
+    case 'export': {
+      const config = JSON.stringify(await exportConfig(backend), null, 2);
+      if (args.options.output) {
+        const file = requireValue(args.options.output, '--output expects a path');
+        fs.writeFileSync(file, `${config}\n`, { mode: 0o600 });
+        console.error(`Exported ${JSON.parse(config).streams.length} stream(s) to ${file}`);
+      } else {
+        console.log(config);
+      }
+      return 0;
+    }
+    case 'import': {
+      const file = requireValue(args.positionals[2], 'Usage: streamflow config import <file>');
+      const config = parseConfig(fs.readFileSync(file, 'utf8'));
+      const result = await importConfig(backend, config, message => console.error(`Warning: ${message}`));
+      if (json) {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        result.created.forEach(stream => console.log(`Created "${stream.title}" (${stream.id})`));
+        result.failed.forEach(failure => console.log(`Failed "${failure.title}": ${failure.error}`));
+        console.log(`\n${result.created.length} created, ${result.failed.length} failed`);
+      }
+      return result.failed.length > 0 ? 1 : 0;
+    }
+    default:
+      throw new Error(`Unknown config command: ${action || '(none)'}\n\n${USAGE}`);
+  }
+}
+
+async function run(backend, args) {
+  const [group, action] = args.positionals;
+  const json = args.options.json === true;
+  switch (group) {
+    case 'streams':
+      return runStreams(backend, action, args, json);
+    case 'videos':
+      return runVideos(backend, action, args, json);
+    case 'history': {
+      const history = await backend.listHistory();
+      if (json) {
+        console.log(JSON.stringify(history, null, 2));
+      } else {
+        printTable(history, HISTORY_COLUMNS);
+      }
+      return 0;
+    }
+    case 'config':
+      return runConfig(backend, action, args, json);
+    default:
+      throw new Error(`Unknown command: ${group}\n\n${USAGE}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.options.help || args.positionals.length === 0) {
+    console.log(USAGE);
+    return args.options.help ? 0 : 1;
+  }
+  const backend = await createBackend(args.options);
+  try {
+    return await run(backend, args);
+  } finally {
+    await backend.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,145 @@
+// Runs CLI commands through the REST API of a running StreamFlow server,
+// authenticated with a personal API token (Settings → API Tokens).
+const fs = require('fs');
+const path = require('path');
+
+const PER_PAGE = 100;
+const IMPORT_POLL_INTERVAL = 2000;
+
+function createApiBackend({ server, token }) {
+  if (!token) {
+    throw new Error('An API token is required with --server, pass --token or set STREAMFLOW_TOKEN');
+  }
+  const baseUrl = server.replace(/\/+$/, '');
+
+  // `raw` accepts any successful JSON body, for documents without the envelope
+  async function request(method, url, { body, form, raw = false } = {}) {
+    const headers = { Authorization: `Bearer ${token}` };
+    let payload;
+    if (form) {
+      payload = form;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${url}`, { method, headers, body: payload });
+    } catch (error) {
+      throw new Error(`Could not reach ${baseUrl}: ${error.cause ? error.cause.message : error.message}`);
+    }
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      throw new Error(`Unexpected ${response.status} response from ${method} ${url}`);
+    }
+    if (!response.ok || (!raw && !result.success)) {
+      // v1 errors are { code, message }, the legacy upload routes send a string
+      const error = result.error && typeof result.error === 'object' ? result.error.message : result.error;
+      throw new Error(error || `Request failed with status ${response.status}`);
+    }
+    return result;
+  }
+
+  async function requestAll(url) {
+    const items = [];
+    const separator = url.includes('?') ? '&' : '?';
+    for (let page = 1; ; page++) {
+      const result = await request('GET', `/api/v1${url}${separator}page=${page}&per_page=${PER_PAGE}`);
+      items.push(...result.data);
+      if (page >= result.meta.total_pages) {
+        return items;
+      }
+    }
+  }
+
+  return {
+    mode: 'api',
+    server: baseUrl,
+
+    listStreams(status) {
+      return requestAll(status ? `/streams?status=${encodeURIComponent(status)}` : '/streams');
+    },
+
+    async getStream(id) {
+      return (await request('GET', `/api/v1/streams/${encodeURIComponent(id)}`)).data;
+    },
+
+    // API responses mask stream keys; the stream export is the one place
+    // that hands them out
+    async revealStreamKeys(id) {
+      const stream = await this.getStream(id);
+      const bundle = await request('GET', `/api/streams/export?ids=${encodeURIComponent(id)}&keys=include`, { raw: true });
+      const [exported] = bundle.streams;
+      return {
+        ...stream,
+        stream_key: exported.stream_key,
+        // The export leaves out the primary destination, which mirrors the stream
+        destinations: (stream.destinations || []).map((destination, index) => ({
+          ...destination,
+          stream_key: index === 0 ? exported.stream_key : exported.destinations[index - 1].stream_key
+        }))
+      };
+    },
+
+    async createStream(body) {
+      return (await request('POST', '/api/v1/streams', { body })).data;
+    },
+
+    async deleteStream(id) {
+      await request('DELETE', `/api/v1/streams/${encodeURIComponent(id)}`);
+    },
+
+    async startStream(id) {
+      return (await request('POST', `/api/v1/streams/${encodeURIComponent(id)}/start`)).data;
+    },
+
+    async stopStream(id) {
+      return (await request('POST', `/api/v1/streams/${encodeURIComponent(id)}/stop`)).data;
+    },
+
+    async getStreamLogs(id) {
+      return (await request('GET', `/api/v1/streams/${encodeURIComponent(id)}/logs`)).data;
+    },
+
+    listVideos() {
+      return requestAll('/videos');
+    },
+
+    listPlaylists() {
+      return requestAll('/playlists');
+    },
+
+    async uploadVideo(filePath) {
+      const form = new FormData();
+      form.append('video', await fs.openAsBlob(filePath), path.basename(filePath));
+      return (await request('POST', '/api/videos/upload', { form })).video;
+    },
+
+    async importDriveVideo(driveUrl, onProgress) {
+      const { jobId } = await request('POST', '/api/videos/import-drive', { body: { driveUrl } });
+      for (;;) {
+        await new Promise(resolve => setTimeout(resolve, IMPORT_POLL_INTERVAL));
+        const { status } = await request('GET', `/api/videos/import-status/${jobId}`);
+        if (status.status === 'failed') {
+          throw new Error(status.message);
+        }
+        if (status.status === 'complete') {
+          return (await request('GET', `/api/v1/videos/${status.videoId}`)).data;
+        }
+        onProgress(status.message);
+      }
+    },
+
+    listHistory() {
+      return requestAll('/history');
+    },
+
+    close() {
+      return Promise.resolve();
+    }
+  };
+}
+
+module.exports = { createApiBackend };
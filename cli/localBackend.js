@@ -0,0 +1,214 @@
+// Runs CLI commands straight against the SQLite database. Used when no
+// --server is given, so it works while the app is stopped. Anything that needs
+// the FFmpeg processes owned by the app (start, stop, logs) is refused.
+const path = require('path');
+const fs = require('fs');
+// ENCRYPTION_SECRET opens the stored stream keys, like it does for the app
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const { db } = require('../db/database');
+const migrator = require('../db/migrator');
+const User = require('../models/User');
+const Stream = require('../models/Stream');
+const StreamDestination = require('../models/StreamDestination');
+const StreamHealthCheck = require('../models/StreamHealthCheck');
+const StreamHistory = require('../models/StreamHistory');
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const { getUniqueFilename, ensureDirectories, paths } = require('../utils/storage');
+const { probeVideo, generateThumbnail } = require('../utils/videoProcessor');
+const quotas = require('../utils/quotas');
+const { maskSecret, decryptSecret } = require('../utils/secrets');
+const {
+  toStreamFormInput,
+  createStreamFromInput
+} = require('../services/streamConfigService');
+
+const SERVER_ONLY_MESSAGE = 'needs the running server, pass --server and --token (or set STREAMFLOW_URL and STREAMFLOW_TOKEN)';
+
+// Keys are masked like in API responses; revealStreamKeys opens them
+function toStreamRecord(stream) {
+  const record = {
+    ...stream,
+    stream_key: maskSecret(stream.stream_key),
+    loop_video: Boolean(stream.loop_video),
+    use_advanced_settings: Boolean(stream.use_advanced_settings),
+    live_preview: Boolean(stream.live_preview),
+    recurrence_days: stream.recurrence_days ? String(stream.recurrence_days).split(',').map(Number) : []
+  };
+  delete record.stream_key_hash;
+  if (stream.destinations) {
+    record.destinations = stream.destinations.map(destination => ({
+      ...destination,
+      stream_key: maskSecret(destination.stream_key)
+    }));
+  }
+  return record;
+}
+
+async function resolveUser(username) {
+  if (username) {
+    const user = await User.findByUsername(username);
+    if (!user) {
+      throw new Error(`User not found: ${username}`);
+    }
+    return user;
+  }
+  const users = await User.findAllWithUsage();
+  if (users.length === 0) {
+    throw new Error('No users exist yet, create an account in the web interface first');
+  }
+  if (users.length > 1) {
+    throw new Error(`Several users exist, pick one with --user (${users.map(user => user.username).join(', ')})`);
+  }
+  return User.findById(users[0].id);
+}
+
+async function createLocalBackend({ user: username }) {
+  const pending = (await migrator.getStatus(db)).filter(migration => !migration.applied);
+  if (pending.length > 0) {
+    throw new Error(`The database has ${pending.length} pending migration(s), run "node migrate.js up" first`);
+  }
+  const user = await resolveUser(username);
+
+  async function findOwnedStream(id) {
+    const stream = await Stream.getStreamWithVideo(id);
+    if (!stream || stream.user_id !== user.id) {
+      throw new Error(`Stream not found: ${id}`);
+    }
+    return stream;
+  }
+
+  async function addVideo(filePath, originalName, fileSize) {
+    const info = await probeVideo(filePath);
+    const thumbnailName = `thumb-${path.parse(filePath).name}.jpg`;
+    const thumbnailPath = await generateThumbnail(filePath, thumbnailName)
+      .then(() => `/uploads/thumbnails/${thumbnailName}`)
+      .catch(() => null);
+    return Video.create({
+      title: path.parse(originalName).name,
+      filepath: `/uploads/videos/${path.basename(filePath)}`,
+      thumbnail_path: thumbnailPath,
+      file_size: fileSize,
+      ...info,
+      user_id: user.id
+    });
+  }
+
+  // Bytes the user may still store, null without a storage quota
+  async function getStorageLeft() {
+    const userQuotas = quotas.resolveQuotas(user);
+    if (userQuotas.storageBytes === null) {
+      return null;
+    }
+    return Math.max(0, userQuotas.storageBytes - await Video.getStorageUsage(user.id));
+  }
+
+  return {
+    mode: 'local',
+    username: user.username,
+
+    async listStreams(status) {
+      const streams = await Stream.findAll(user.id, status || null);
+      return streams.map(toStreamRecord);
+    },
+
+    async getStream(id) {
+      const stream = await findOwnedStream(id);
+      stream.destinations = await StreamDestination.findOrCreateForStream(stream);
+      return toStreamRecord(stream);
+    },
+
+    // Stream with the plain keys of the stream and its destinations, for config export
+    async revealStreamKeys(id) {
+      const stream = await findOwnedStream(id);
+      stream.destinations = await StreamDestination.findOrCreateForStream(stream);
+      return {
+        ...toStreamRecord(stream),
+        stream_key: decryptSecret(stream.stream_key),
+        destinations: stream.destinations.map(destination => ({
+          ...destination,
+          stream_key: decryptSecret(destination.stream_key)
+        }))
+      };
+    },
+
+    async createStream(body) {
+      const result = await createStreamFromInput(user.id, toStreamFormInput(body));
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      return this.getStream(result.stream.id);
+    },
+
+    async deleteStream(id) {
+      const stream = await findOwnedStream(id);
+      if (stream.status === 'live') {
+        throw new Error(`Stream "${stream.title}" is live. Stopping it ${SERVER_ONLY_MESSAGE}`);
+      }
+      await Stream.delete(stream.id, user.id);
+      await StreamDestination.deleteByStreamId(stream.id);
+      await StreamHealthCheck.deleteByStreamId(stream.id);
+    },
+
+    async startStream() {
+      throw new Error(`Starting a stream ${SERVER_ONLY_MESSAGE}`);
+    },
+
+    async stopStream() {
+      throw new Error(`Stopping a stream ${SERVER_ONLY_MESSAGE}`);
+    },
+
+    async getStreamLogs() {
+      throw new Error(`Reading stream logs ${SERVER_ONLY_MESSAGE}`);
+    },
+
+    async listVideos() {
+      return Video.findAll(user.id);
+    },
+
+    async listPlaylists() {
+      return Playlist.findAll(user.id);
+    },
+
+    async uploadVideo(filePath) {
+      const stats = fs.statSync(filePath);
+      const quotaError = quotas.checkStorage(quotas.resolveQuotas(user), await Video.getStorageUsage(user.id), stats.size);
+      if (quotaError) {
+        throw new Error(quotaError);
+      }
+      ensureDirectories();
+      const destination = path.join(paths.videos, getUniqueFilename(path.basename(filePath)));
+      fs.copyFileSync(filePath, destination);
+      try {
+        return await addVideo(destination, path.basename(filePath), stats.size);
+      } catch (error) {
+        fs.unlink(destination, () => {});
+        throw error;
+      }
+    },
+
+    async importDriveVideo(driveUrl, onProgress) {
+      if (!user.gdrive_api_key) {
+        throw new Error('Google Drive API key is not configured');
+      }
+      const { extractFileId, downloadFile } = require('../utils/googleDriveService');
+      const maxBytes = await getStorageLeft();
+      ensureDirectories();
+      const result = await downloadFile(decryptSecret(user.gdrive_api_key), extractFileId(driveUrl), progress => {
+        onProgress(`Downloading ${progress.filename}: ${progress.progress}%`);
+      }, { maxBytes });
+      onProgress('Processing video...');
+      return addVideo(result.localFilePath, result.originalFilename, result.fileSize);
+    },
+
+    async listHistory() {
+      return StreamHistory.findByUserId(user.id);
+    },
+
+    close() {
+      return new Promise(resolve => db.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createLocalBackend };
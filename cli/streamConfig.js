@@ -0,0 +1,101 @@
+// Stream configuration files written by `streamflow config export` and read
+// by `streamflow config import`. They hold stream keys, so treat them as secrets.
+const CONFIG_VERSION = 1;
+
+// The writable stream fields, named like the v1 API and the database columns
+const CONFIG_STREAM_FIELDS = [
+  'title', 'rtmp_url', 'stream_key', 'video_id', 'playlist_id', 'schedule_time', 'duration',
+  'loop_video', 'use_advanced_settings', 'live_preview', 'bitrate', 'resolution', 'fps', 'orientation',
+  'recurrence_type', 'recurrence_time', 'recurrence_days', 'recurrence_cron', 'recurrence_timezone',
+  'health_stall_timeout', 'health_min_speed', 'health_min_bitrate',
+  'retry_max_attempts', 'retry_backoff_base', 'retry_backoff_max', 'retry_reset_after'
+];
+
+function toConfigStream(stream) {
+  const entry = {};
+  for (const field of CONFIG_STREAM_FIELDS) {
+    if (stream[field] !== null && stream[field] !== undefined) {
+      entry[field] = stream[field];
+    }
+  }
+  if (entry.recurrence_type) {
+    // The next occurrence is computed again on import
+    delete entry.schedule_time;
+  } else if (entry.schedule_time && new Date(entry.schedule_time) <= new Date()) {
+    delete entry.schedule_time;
+  }
+  if (!entry.recurrence_type) {
+    delete entry.recurrence_days;
+  }
+  // The first destination mirrors rtmp_url and stream_key
+  entry.destinations = (stream.destinations || []).slice(1).map(destination => ({
+    name: destination.name,
+    rtmp_url: destination.rtmp_url,
+    stream_key: destination.stream_key,
+    enabled: Boolean(destination.enabled)
+  }));
+  return entry;
+}
+
+async function exportConfig(backend) {
+  const streams = [];
+  for (const stream of await backend.listStreams()) {
+    streams.push(toConfigStream(await backend.revealStreamKeys(stream.id)));
+  }
+  return { version: CONFIG_VERSION, exported_at: new Date().toISOString(), streams };
+}
+
+function parseConfig(text) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid configuration file: ${error.message}`);
+  }
+  if (!config || config.version !== CONFIG_VERSION || !Array.isArray(config.streams)) {
+    throw new Error(`Invalid configuration file: expected version ${CONFIG_VERSION} with a streams list`);
+  }
+  return config;
+}
+
+// Creates every stream of the file. Videos and playlists are referenced by id,
+// so references missing on this server are dropped with a warning instead of
+// failing the import. Returns { created, failed }.
+async function importConfig(backend, config, warn) {
+  const videoIds = new Set((await backend.listVideos()).map(video => video.id));
+  const playlistIds = new Set((await backend.listPlaylists()).map(playlist => playlist.id));
+  const created = [];
+  const failed = [];
+  for (const entry of config.streams) {
+    const body = {};
+    for (const field of [...CONFIG_STREAM_FIELDS, 'destinations']) {
+      if (field in entry) {
+        body[field] = entry[field];
+      }
+    }
+    const label = body.title || '(untitled)';
+    if (body.video_id && !videoIds.has(body.video_id)) {
+      warn(`"${label}": video ${body.video_id} does not exist here, pick a video after importing`);
+      delete body.video_id;
+    }
+    if (body.playlist_id && !playlistIds.has(body.playlist_id)) {
+      warn(`"${label}": playlist ${body.playlist_id} does not exist here, pick a playlist after importing`);
+      delete body.playlist_id;
+    }
+    try {
+      created.push(await backend.createStream(body));
+    } catch (error) {
+      failed.push({ title: label, error: error.message });
+    }
+  }
+  return { created, failed };
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  CONFIG_STREAM_FIELDS,
+  toConfigStream,
+  exportConfig,
+  parseConfig,
+  importConfig
+};
@@ -1,108 +1,23 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
-const bcrypt = require('bcrypt');
+const migrator = require('./migrator');
 const dbDir = path.join(__dirname);
 if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
-const dbPath = path.join(dbDir, 'streamflow.db');
+// DB_PATH points the app (or a test harness) at another database file
+const dbPath = process.env.DB_PATH || path.join(dbDir, 'streamflow.db');
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error connecting to database:', err.message);
-  } else {
-    createTables();
   }
 });
-function createTables() {
-  db.run(`CREATE TABLE IF NOT EXISTS users (
-    id TEXT PRIMARY KEY,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    avatar_path TEXT,
-    gdrive_api_key TEXT,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating users table:', err.message);
-    }
-  });
-  db.run(`CREATE TABLE IF NOT EXISTS videos (
-    id TEXT PRIMARY KEY,
-    title TEXT NOT NULL,
-    filepath TEXT NOT NULL,
-    thumbnail_path TEXT,
-    file_size INTEGER,
-    duration REAL,
-    format TEXT,
-    resolution TEXT,
-    bitrate INTEGER,
-    fps TEXT,
-    user_id TEXT,
-    upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_id) REFERENCES users(id)
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating videos table:', err.message);
-    }
-  });
-  db.run(`CREATE TABLE IF NOT EXISTS streams (
-    id TEXT PRIMARY KEY,
-    title TEXT NOT NULL,
-    video_id TEXT,
-    rtmp_url TEXT NOT NULL,
-    stream_key TEXT NOT NULL,
-    platform TEXT,
-    platform_icon TEXT,
-    bitrate INTEGER DEFAULT 2500,
-    resolution TEXT,
-    fps INTEGER DEFAULT 30,
-    orientation TEXT DEFAULT 'horizontal',
-    loop_video BOOLEAN DEFAULT 1,
-    schedule_time TIMESTAMP,
-    duration INTEGER,
-    status TEXT DEFAULT 'offline',
-    status_updated_at TIMESTAMP,
-    start_time TIMESTAMP,
-    end_time TIMESTAMP,
-    use_advanced_settings BOOLEAN DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    user_id TEXT,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (video_id) REFERENCES videos(id)
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating streams table:', err.message);
-    }
-  });
-  db.run(`CREATE TABLE IF NOT EXISTS stream_history (
-    id TEXT PRIMARY KEY,
-    stream_id TEXT,
-    title TEXT NOT NULL,
-    platform TEXT,
-    platform_icon TEXT,
-    video_id TEXT,
-    video_title TEXT,
-    resolution TEXT,
-    bitrate INTEGER,
-    fps INTEGER,
-    start_time TIMESTAMP,
-    end_time TIMESTAMP,
-    duration INTEGER,
-    use_advanced_settings BOOLEAN DEFAULT 0,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    user_id TEXT,
-    FOREIGN KEY (user_id) REFERENCES users(id),
-    FOREIGN KEY (stream_id) REFERENCES streams(id),
-    FOREIGN KEY (video_id) REFERENCES videos(id)
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating stream_history table:', err.message);
-    }
+// Brings the schema up to date. The app awaits this before it serves requests
+// or starts any service; `node migrate.js` manages migrations by hand.
+function initializeDatabase() {
+  return migrator.migrateUp(db, {
+    log: message => console.log(`[Database] ${message}`)
   });
 }
 function checkIfUsersExist() {
@@ -118,5 +33,6 @@ function checkIfUsersExist() {
 }
 module.exports = {
   db,
+  initializeDatabase,
   checkIfUsersExist
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+// Tables of the original release
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      avatar_path TEXT,
+      gdrive_api_key TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await schema.run(`CREATE TABLE IF NOT EXISTS videos (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      filepath TEXT NOT NULL,
+      thumbnail_path TEXT,
+      file_size INTEGER,
+      duration REAL,
+      format TEXT,
+      resolution TEXT,
+      bitrate INTEGER,
+      fps TEXT,
+      user_id TEXT,
+      upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await schema.run(`CREATE TABLE IF NOT EXISTS streams (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      video_id TEXT,
+      rtmp_url TEXT NOT NULL,
+      stream_key TEXT NOT NULL,
+      platform TEXT,
+      platform_icon TEXT,
+      bitrate INTEGER DEFAULT 2500,
+      resolution TEXT,
+      fps INTEGER DEFAULT 30,
+      orientation TEXT DEFAULT 'horizontal',
+      loop_video BOOLEAN DEFAULT 1,
+      schedule_time TIMESTAMP,
+      duration INTEGER,
+      status TEXT DEFAULT 'offline',
+      status_updated_at TIMESTAMP,
+      start_time TIMESTAMP,
+      end_time TIMESTAMP,
+      use_advanced_settings BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      user_id TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (video_id) REFERENCES videos(id)
+    )`);
+    await schema.run(`CREATE TABLE IF NOT EXISTS stream_history (
+      id TEXT PRIMARY KEY,
+      stream_id TEXT,
+      title TEXT NOT NULL,
+      platform TEXT,
+      platform_icon TEXT,
+      video_id TEXT,
+      video_title TEXT,
+      resolution TEXT,
+      bitrate INTEGER,
+      fps INTEGER,
+      start_time TIMESTAMP,
+      end_time TIMESTAMP,
+      duration INTEGER,
+      use_advanced_settings BOOLEAN DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      user_id TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (stream_id) REFERENCES streams(id),
+      FOREIGN KEY (video_id) REFERENCES videos(id)
+    )`);
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS stream_history');
+    await schema.run('DROP TABLE IF EXISTS streams');
+    await schema.run('DROP TABLE IF EXISTS videos');
+    await schema.run('DROP TABLE IF EXISTS users');
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS stream_destinations (
+      id TEXT PRIMARY KEY,
+      stream_id TEXT NOT NULL,
+      name TEXT,
+      rtmp_url TEXT NOT NULL,
+      stream_key TEXT NOT NULL,
+      platform TEXT,
+      platform_icon TEXT,
+      enabled BOOLEAN DEFAULT 1,
+      status TEXT DEFAULT 'offline',
+      status_updated_at TIMESTAMP,
+      last_error TEXT,
+      position INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stream_id) REFERENCES streams(id)
+    )`);
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS stream_destinations');
+  }
+};
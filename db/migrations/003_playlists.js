@@ -0,0 +1,36 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS playlists (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT,
+      shuffle BOOLEAN DEFAULT 0,
+      loop_playlist BOOLEAN DEFAULT 1,
+      user_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await schema.run(`CREATE TABLE IF NOT EXISTS playlist_items (
+      id TEXT PRIMARY KEY,
+      playlist_id TEXT NOT NULL,
+      video_id TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (playlist_id) REFERENCES playlists(id),
+      FOREIGN KEY (video_id) REFERENCES videos(id)
+    )`);
+    await schema.addColumn('streams', 'playlist_id', 'TEXT REFERENCES playlists(id)');
+    await schema.addColumn('stream_history', 'playlist_id', 'TEXT');
+    await schema.addColumn('stream_history', 'playlist_title', 'TEXT');
+    await schema.addColumn('stream_history', 'aired_items', 'TEXT');
+  },
+  async down(schema) {
+    await schema.dropColumn('stream_history', 'aired_items');
+    await schema.dropColumn('stream_history', 'playlist_title');
+    await schema.dropColumn('stream_history', 'playlist_id');
+    await schema.dropColumn('streams', 'playlist_id');
+    await schema.run('DROP TABLE IF EXISTS playlist_items');
+    await schema.run('DROP TABLE IF EXISTS playlists');
+  }
+};
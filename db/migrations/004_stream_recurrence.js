@@ -0,0 +1,13 @@
+const COLUMNS = ['recurrence_type', 'recurrence_time', 'recurrence_days', 'recurrence_cron', 'recurrence_timezone'];
+module.exports = {
+  async up(schema) {
+    for (const column of COLUMNS) {
+      await schema.addColumn('streams', column, 'TEXT');
+    }
+  },
+  async down(schema) {
+    for (const column of [...COLUMNS].reverse()) {
+      await schema.dropColumn('streams', column);
+    }
+  }
+};
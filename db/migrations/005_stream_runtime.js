@@ -0,0 +1,19 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS stream_runtime (
+      stream_id TEXT PRIMARY KEY,
+      pid INTEGER,
+      started_at TIMESTAMP,
+      base_position REAL DEFAULT 0,
+      position REAL DEFAULT 0,
+      retry_count INTEGER DEFAULT 0,
+      last_progress_at TIMESTAMP,
+      playlist_session TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stream_id) REFERENCES streams(id)
+    )`);
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS stream_runtime');
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS stream_health_checks (
+      id TEXT PRIMARY KEY,
+      stream_id TEXT NOT NULL,
+      status TEXT NOT NULL,
+      reason TEXT,
+      action TEXT,
+      metrics TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stream_id) REFERENCES streams(id)
+    )`);
+    await schema.addColumn('streams', 'health_stall_timeout', 'INTEGER');
+    await schema.addColumn('streams', 'health_min_speed', 'REAL');
+    await schema.addColumn('streams', 'health_min_bitrate', 'INTEGER');
+  },
+  async down(schema) {
+    await schema.dropColumn('streams', 'health_min_bitrate');
+    await schema.dropColumn('streams', 'health_min_speed');
+    await schema.dropColumn('streams', 'health_stall_timeout');
+    await schema.run('DROP TABLE IF EXISTS stream_health_checks');
+  }
+};
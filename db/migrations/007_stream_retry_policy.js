@@ -0,0 +1,13 @@
+const COLUMNS = ['retry_max_attempts', 'retry_backoff_base', 'retry_backoff_max', 'retry_reset_after'];
+module.exports = {
+  async up(schema) {
+    for (const column of COLUMNS) {
+      await schema.addColumn('streams', column, 'INTEGER');
+    }
+  },
+  async down(schema) {
+    for (const column of [...COLUMNS].reverse()) {
+      await schema.dropColumn('streams', column);
+    }
+  }
+};
@@ -0,0 +1,11 @@
+// User.findByEmail has always queried this column, but no schema created it
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('users', 'email', 'TEXT');
+    await schema.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+  },
+  async down(schema) {
+    await schema.run('DROP INDEX IF EXISTS idx_users_email');
+    await schema.dropColumn('users', 'email');
+  }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+    await schema.addColumn('users', 'disabled', 'INTEGER DEFAULT 0');
+    await schema.addColumn('users', 'last_login_at', 'TIMESTAMP');
+    // Installs so far had a single account, which becomes the administrator
+    await schema.run(`UPDATE users SET role = 'admin' WHERE id = (
+      SELECT id FROM users ORDER BY created_at ASC LIMIT 1
+    ) AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')`);
+    await schema.run(`CREATE TABLE IF NOT EXISTS user_invites (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT,
+      role TEXT NOT NULL DEFAULT 'user',
+      created_by TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      accepted_user_id TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (created_by) REFERENCES users(id)
+    )`);
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS user_invites');
+    await schema.dropColumn('users', 'last_login_at');
+    await schema.dropColumn('users', 'disabled');
+    await schema.dropColumn('users', 'role');
+  }
+};
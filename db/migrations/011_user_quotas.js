@@ -0,0 +1,19 @@
+// Per-user limits set by administrators; NULL means unlimited
+const COLUMNS = [
+  ['quota_max_streams', 'INTEGER'],
+  ['quota_storage_mb', 'INTEGER'],
+  ['quota_max_bitrate', 'INTEGER'],
+  ['quota_max_resolution', 'INTEGER']
+];
+module.exports = {
+  async up(schema) {
+    for (const [column, definition] of COLUMNS) {
+      await schema.addColumn('users', column, definition);
+    }
+  },
+  async down(schema) {
+    for (const [column] of [...COLUMNS].reverse()) {
+      await schema.dropColumn('users', column);
+    }
+  }
+};
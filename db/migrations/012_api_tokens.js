@@ -0,0 +1,20 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)');
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS api_tokens');
+  }
+};
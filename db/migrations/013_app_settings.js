@@ -0,0 +1,12 @@
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS app_settings');
+  }
+};
@@ -0,0 +1,12 @@
+// SHA-256 of the video file, used to match videos between instances when
+// stream bundles are imported. Filled in lazily the first time it is needed.
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('videos', 'checksum', 'TEXT');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_videos_user_checksum ON videos(user_id, checksum)');
+  },
+  async down(schema) {
+    await schema.run('DROP INDEX IF EXISTS idx_videos_user_checksum');
+    await schema.dropColumn('videos', 'checksum');
+  }
+};
@@ -0,0 +1,12 @@
+// Stream keys are stored encrypted, so "is this key in use" compares a keyed
+// hash instead. The hash is filled in by secretService on the next start.
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('streams', 'stream_key_hash', 'TEXT');
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_streams_user_key_hash ON streams(user_id, stream_key_hash)');
+  },
+  async down(schema) {
+    await schema.run('DROP INDEX IF EXISTS idx_streams_user_key_hash');
+    await schema.dropColumn('streams', 'stream_key_hash');
+  }
+};
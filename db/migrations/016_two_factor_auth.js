@@ -0,0 +1,30 @@
+// Optional TOTP two-factor login. totp_last_step is the time step of the last
+// accepted code, so a code cannot be replayed. Recovery codes are stored as
+// hashes and marked when used.
+const COLUMNS = [
+  ['totp_secret', 'TEXT'],
+  ['totp_enabled_at', 'TIMESTAMP'],
+  ['totp_last_step', 'INTEGER']
+];
+module.exports = {
+  async up(schema) {
+    for (const [column, definition] of COLUMNS) {
+      await schema.addColumn('users', column, definition);
+    }
+    await schema.run(`CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await schema.run('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id)');
+  },
+  async down(schema) {
+    await schema.run('DROP TABLE IF EXISTS user_recovery_codes');
+    for (const [column] of [...COLUMNS].reverse()) {
+      await schema.dropColumn('users', column);
+    }
+  }
+};
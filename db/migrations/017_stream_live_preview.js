@@ -0,0 +1,10 @@
+// Streams with live_preview also write a low-bitrate HLS copy of the broadcast
+// that the dashboard plays. Off by default since it needs an extra encode.
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('streams', 'live_preview', 'BOOLEAN DEFAULT 0');
+  },
+  async down(schema) {
+    await schema.dropColumn('streams', 'live_preview');
+  }
+};
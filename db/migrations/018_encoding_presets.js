@@ -0,0 +1,30 @@
+// Named encoder settings owned by a user. Streams point at one of them, or at
+// a built-in recommended preset by its key (see utils/encodingPresets), in
+// encoding_preset_id; NULL follows the recommendation for the stream's platform.
+module.exports = {
+  async up(schema) {
+    await schema.run(`CREATE TABLE IF NOT EXISTS encoding_presets (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      preset TEXT NOT NULL,
+      tune TEXT,
+      profile TEXT NOT NULL,
+      level TEXT NOT NULL,
+      gop_seconds REAL NOT NULL,
+      rate_control TEXT NOT NULL,
+      audio_codec TEXT NOT NULL,
+      audio_bitrate INTEGER NOT NULL,
+      audio_sample_rate INTEGER NOT NULL,
+      audio_channels INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`);
+    await schema.addColumn('streams', 'encoding_preset_id', 'TEXT');
+  },
+  async down(schema) {
+    await schema.dropColumn('streams', 'encoding_preset_id');
+    await schema.run('DROP TABLE IF EXISTS encoding_presets');
+  }
+};
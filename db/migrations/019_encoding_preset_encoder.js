@@ -0,0 +1,9 @@
+// Presets created before encoders could be chosen were all x264
+module.exports = {
+  async up(schema) {
+    await schema.addColumn('encoding_presets', 'video_encoder', "TEXT NOT NULL DEFAULT 'libx264'");
+  },
+  async down(schema) {
+    await schema.dropColumn('encoding_presets', 'video_encoder');
+  }
+};
@@ -0,0 +1,174 @@
+const path = require('path');
+const fs = require('fs');
+const migrationsDir = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Every file in db/migrations named "<version>_<name>.js" exports async
+// up(schema) and down(schema). Versions run in ascending order and each one is
+// recorded in schema_migrations once applied.
+function loadMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        return null;
+      }
+      const migration = require(path.join(migrationsDir, file));
+      return {
+        id: `${match[1]}_${match[2]}`,
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this);
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+// Helpers handed to migrations. In a dry run statements that change the schema
+// are collected instead of executed, while reads still hit the database.
+function createSchema(db, statements, dryRun) {
+  const schema = {
+    async run(sql, params = []) {
+      statements.push(sql.replace(/\s+/g, ' ').trim());
+      if (!dryRun) {
+        await run(db, sql, params);
+      }
+    },
+    all(sql, params = []) {
+      return all(db, sql, params);
+    },
+    async hasTable(table) {
+      const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+      return rows.length > 0;
+    },
+    async hasColumn(table, column) {
+      const columns = await all(db, `PRAGMA table_info(${table})`);
+      return columns.some(col => col.name === column);
+    },
+    // Installs that predate the migration system may already have the column
+    async addColumn(table, column, definition) {
+      if (!(await schema.hasColumn(table, column))) {
+        await schema.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+    async dropColumn(table, column) {
+      if (await schema.hasColumn(table, column)) {
+        await schema.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  };
+  return schema;
+}
+
+function ensureMigrationsTable(db) {
+  return run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const rows = await all(db, 'SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+}
+
+async function getStatus(db) {
+  const applied = await getAppliedVersions(db);
+  return loadMigrations().map(migration => ({
+    id: migration.id,
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null
+  }));
+}
+
+async function applyMigration(db, migration, direction, dryRun) {
+  const statements = [];
+  const schema = createSchema(db, statements, dryRun);
+  if (dryRun) {
+    await migration[direction](schema);
+    return statements;
+  }
+  await run(db, 'BEGIN TRANSACTION');
+  try {
+    await migration[direction](schema);
+    if (direction === 'up') {
+      await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    } else {
+      await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${migration.id} (${direction}) failed: ${error.message}`);
+  }
+  return statements;
+}
+
+// Applies pending migrations up to and including `to` (all when omitted).
+// Resolves with the migrations that ran, each with the statements it issued.
+async function migrateUp(db, options = {}) {
+  const { to = null, dryRun = false, log = () => {} } = options;
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter(migration =>
+    !applied.has(migration.version) && (to === null || migration.version <= to)
+  );
+  const results = [];
+  for (const migration of pending) {
+    log(`${dryRun ? 'Would apply' : 'Applying'} migration ${migration.id}`);
+    const statements = await applyMigration(db, migration, 'up', dryRun);
+    results.push({ id: migration.id, version: migration.version, name: migration.name, statements });
+  }
+  return results;
+}
+
+// Reverts the most recently applied migrations, one step by default
+async function migrateDown(db, options = {}) {
+  const { steps = 1, dryRun = false, log = () => {} } = options;
+  const applied = await getAppliedVersions(db);
+  const toRevert = loadMigrations()
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+  const results = [];
+  for (const migration of toRevert) {
+    log(`${dryRun ? 'Would revert' : 'Reverting'} migration ${migration.id}`);
+    const statements = await applyMigration(db, migration, 'down', dryRun);
+    results.push({ id: migration.id, version: migration.version, name: migration.name, statements });
+  }
+  return results;
+}
+
+module.exports = {
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
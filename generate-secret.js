@@ -37,6 +37,26 @@ function updateSessionSecret() {
   }
 }
 
+// Added once and never replaced, the stored stream keys are encrypted with it.
+// rotate-secret.js changes it safely.
+function ensureEncryptionSecret() {
+  const envPath = path.join(__dirname, '.env');
+  try {
+    const envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    if (/^ENCRYPTION_SECRET=/m.test(envContent)) {
+      return false;
+    }
+    const separator = envContent && !envContent.endsWith('\n') ? '\n' : '';
+    fs.writeFileSync(envPath, `${envContent}${separator}ENCRYPTION_SECRET=${generateSecureSecret(64)}\n`, 'utf8');
+    console.log('Encryption secret: added to .env');
+    return true;
+  } catch (error) {
+    console.error('Error adding encryption secret:', error.message);
+    return false;
+  }
+}
+
 updateSessionSecret();
+ensureEncryptionSecret();
 
-module.exports = { generateSecureSecret, updateSessionSecret };
+module.exports = { generateSecureSecret, updateSessionSecret, ensureEncryptionSecret };
@@ -0,0 +1,85 @@
+const ApiToken = require('../models/ApiToken');
+const User = require('../models/User');
+const API_SCOPES = {
+  'streams:read': 'Read streams, their logs and stats',
+  'streams:write': 'Create, edit and delete streams',
+  'streams:control': 'Start and stop streams',
+  'streams:export': 'Export streams with their stream keys',
+  'videos:read': 'List videos and import progress',
+  'videos:write': 'Upload, import, rename and delete videos'
+};
+// Endpoints reachable with a token and the scope each needs. Anything not
+// listed (settings, webhooks, tokens, admin) stays limited to browser sessions.
+const SCOPE_RULES = [
+  { methods: ['POST'], pattern: /^\/api\/streams\/[^/]+\/status$/, scope: 'streams:control' },
+  // Exports can carry the stream keys, which streams:read never reveals
+  { methods: ['GET'], pattern: /^\/api\/streams\/export$/, scope: 'streams:export' },
+  { methods: ['GET'], pattern: /^\/api\/streams(\/.*)?$/, scope: 'streams:read' },
+  { methods: ['GET'], pattern: /^\/api\/stream\/(videos|playlists)$/, scope: 'streams:read' },
+  { methods: ['GET'], pattern: /^\/api\/server-time$/, scope: 'streams:read' },
+  { methods: ['POST'], pattern: /^\/api\/streams(\/import)?$/, scope: 'streams:write' },
+  { methods: ['PUT', 'DELETE'], pattern: /^\/api\/streams\/[^/]+$/, scope: 'streams:write' },
+  { methods: ['POST', 'PUT', 'DELETE'], pattern: /^\/api\/streams\/[^/]+\/destinations(\/[^/]+)?$/, scope: 'streams:write' },
+  { methods: ['GET'], pattern: /^\/api\/videos(\/import-status\/[^/]+)?$/, scope: 'videos:read' },
+  { methods: ['POST'], pattern: /^\/api\/videos\/(upload|import-drive)$/, scope: 'videos:write' },
+  { methods: ['POST'], pattern: /^\/api\/videos\/[^/]+\/rename$/, scope: 'videos:write' },
+  { methods: ['DELETE'], pattern: /^\/api\/videos\/[^/]+$/, scope: 'videos:write' }
+];
+function isValidScope(scope) {
+  return Object.prototype.hasOwnProperty.call(API_SCOPES, scope);
+}
+// Lets routers declared elsewhere (the v1 API) register the scope their
+// routes need. A null scope opens the route to any valid token.
+function addScopeRule(method, path, scope) {
+  const pattern = new RegExp(`^${path.replace(/\./g, '\\.').replace(/:[A-Za-z_]+/g, '[^/]+')}$`);
+  SCOPE_RULES.push({ methods: [method.toUpperCase()], pattern, scope });
+}
+function findScopeRule(method, path) {
+  return SCOPE_RULES.find(candidate => candidate.methods.includes(method) && candidate.pattern.test(path)) || null;
+}
+function getBearerToken(req) {
+  const match = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+// The v1 API reports errors as { code, message, details }; the legacy routes
+// use a plain message
+function rejectRequest(req, res, status, code, message) {
+  const error = req.path.startsWith('/api/v1/') ? { code, message, details: [] } : message;
+  res.status(status).json({ success: false, error });
+}
+// Runs before the session middleware. A request with a valid bearer token gets
+// a plain session object for the token owner, which express-session then leaves
+// alone, so routes read req.session.userId as usual and no cookie is issued.
+async function apiTokenAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token || !req.path.startsWith('/api/')) {
+    return next();
+  }
+  try {
+    const apiToken = await ApiToken.findUsableByToken(token);
+    const user = apiToken ? await User.findById(apiToken.user_id) : null;
+    if (!user || user.disabled) {
+      return rejectRequest(req, res, 401, 'unauthorized', 'Invalid or expired API token');
+    }
+    const rule = findScopeRule(req.method, req.path);
+    if (!rule) {
+      return rejectRequest(req, res, 403, 'forbidden', 'This endpoint is not available to API tokens');
+    }
+    if (rule.scope && !apiToken.scopes.includes(rule.scope)) {
+      return rejectRequest(req, res, 403, 'insufficient_scope', `API token is missing the ${rule.scope} scope`);
+    }
+    ApiToken.touch(apiToken.id).catch(() => {});
+    req.apiToken = apiToken;
+    req.session = { userId: user.id, username: user.username };
+    next();
+  } catch (error) {
+    console.error('Error authenticating API token:', error);
+    rejectRequest(req, res, 500, 'internal_error', 'Failed to authenticate API token');
+  }
+}
+module.exports = {
+  API_SCOPES,
+  isValidScope,
+  addScopeRule,
+  apiTokenAuth
+};
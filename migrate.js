@@ -0,0 +1,92 @@
+const { db } = require('./db/database');
+const migrator = require('./db/migrator');
+
+const USAGE = `Usage: node migrate.js <command> [options]
+
+Commands:
+  status                 List migrations and whether they are applied
+  up [--to <version>]    Apply pending migrations, optionally up to a version
+  down [--steps <n>]     Revert the last applied migration, or the last n
+
+Options:
+  --dry-run              Print the statements that would run without changing the database`;
+
+function parseArgs(argv) {
+  const args = { command: argv[0], dryRun: false, to: null, steps: 1 };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--to' || arg === '--steps') {
+      const value = parseInt(argv[++i], 10);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`${arg} expects a positive number`);
+      }
+      args[arg.slice(2)] = value;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return args;
+}
+
+function printResults(results, dryRun) {
+  if (results.length === 0) {
+    console.log(dryRun ? 'Nothing to do.' : 'Database is already up to date.');
+    return;
+  }
+  if (dryRun) {
+    results.forEach(result => {
+      console.log(`\n-- ${result.id}`);
+      if (result.statements.length === 0) {
+        console.log('-- (no changes needed)');
+      }
+      result.statements.forEach(statement => console.log(`${statement};`));
+    });
+    console.log('\nDry run, no changes were made.');
+  } else {
+    console.log(`Done, ${results.length} migration(s) processed.`);
+  }
+}
+
+async function printStatus() {
+  const status = await migrator.getStatus(db);
+  status.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${migration.id.padEnd(32)} ${state}`);
+  });
+  const pending = status.filter(migration => !migration.applied).length;
+  console.log(`\n${status.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const log = message => console.log(message);
+  switch (args.command) {
+    case 'status':
+      await printStatus();
+      return 0;
+    case 'up':
+      printResults(await migrator.migrateUp(db, { to: args.to, dryRun: args.dryRun, log }), args.dryRun);
+      return 0;
+    case 'down':
+      printResults(await migrator.migrateDown(db, { steps: args.steps, dryRun: args.dryRun, log }), args.dryRun);
+      return 0;
+    default:
+      console.log(USAGE);
+      return args.command ? 1 : 0;
+  }
+}
+
+main()
+  .then(code => db.close(() => process.exit(code)))
+  .catch(error => {
+    console.error(error.message);
+    db.close(() => process.exit(1));
+  });
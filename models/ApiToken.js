@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const TOKEN_PREFIX = 'sf_';
+// Only a hash of the token is stored; the token itself is shown once on creation
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+function parseRow(row) {
+  if (!row) {
+    return row;
+  }
+  return { ...row, scopes: row.scopes ? row.scopes.split(',') : [] };
+}
+class ApiToken {
+  static create(tokenData) {
+    const id = uuidv4();
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const { user_id, name, scopes, expires_at = null } = tokenData;
+    const token_prefix = token.slice(0, TOKEN_PREFIX.length + 6);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO api_tokens (id, user_id, name, token_hash, token_prefix, scopes, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, user_id, name, hashToken(token), token_prefix, scopes.join(','), expires_at],
+        function (err) {
+          if (err) {
+            console.error('Error creating API token:', err.message);
+            return reject(err);
+          }
+          resolve({ id, token, user_id, name, token_prefix, scopes, expires_at, last_used_at: null });
+        }
+      );
+    });
+  }
+  // A token that exists and has not expired
+  static findUsableByToken(token) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM api_tokens
+         WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > ?)`,
+        [hashToken(String(token)), new Date().toISOString()],
+        (err, row) => {
+          if (err) {
+            console.error('Error finding API token:', err.message);
+            return reject(err);
+          }
+          resolve(parseRow(row));
+        }
+      );
+    });
+  }
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, created_at
+         FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error listing API tokens:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(parseRow));
+        }
+      );
+    });
+  }
+  static touch(id) {
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), id], function (err) {
+        if (err) {
+          console.error('Error updating API token:', err.message);
+          return reject(err);
+        }
+        resolve();
+      });
+    });
+  }
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+        if (err) {
+          console.error('Error deleting API token:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes > 0 });
+      });
+    });
+  }
+  static deleteByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM api_tokens WHERE user_id = ?', [userId], function (err) {
+        if (err) {
+          console.error('Error deleting API tokens:', err.message);
+          return reject(err);
+        }
+        resolve(this.changes);
+      });
+    });
+  }
+}
+module.exports = ApiToken;
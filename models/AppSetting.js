@@ -0,0 +1,32 @@
+const { db } = require('../db/database');
+// Server-wide settings managed by administrators, stored as key/value text
+class AppSetting {
+  static getAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT key, value FROM app_settings', [], (err, rows) => {
+        if (err) {
+          console.error('Error reading app settings:', err.message);
+          return reject(err);
+        }
+        resolve(Object.fromEntries((rows || []).map(row => [row.key, row.value])));
+      });
+    });
+  }
+  static set(key, value) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO app_settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+        [key, value === null || value === undefined ? null : String(value)],
+        function (err) {
+          if (err) {
+            console.error('Error saving app setting:', err.message);
+            return reject(err);
+          }
+          resolve({ key, value });
+        }
+      );
+    });
+  }
+}
+module.exports = AppSetting;
@@ -0,0 +1,84 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const { ENCODING_PRESET_FIELDS, DEFAULT_ENCODING_PRESET } = require('../utils/encodingPresets');
+class EncodingPreset {
+  static create(presetData) {
+    const id = uuidv4();
+    const preset = { ...DEFAULT_ENCODING_PRESET, ...presetData };
+    const values = ENCODING_PRESET_FIELDS.map(field => preset[field]);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO encoding_presets (id, user_id, name, ${ENCODING_PRESET_FIELDS.join(', ')})
+         VALUES (?, ?, ?, ${ENCODING_PRESET_FIELDS.map(() => '?').join(', ')})`,
+        [id, preset.user_id, preset.name, ...values],
+        function (err) {
+          if (err) {
+            console.error('Error creating encoding preset:', err.message);
+            return reject(err);
+          }
+          resolve({ id, ...preset });
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM encoding_presets WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding encoding preset:', err.message);
+          return reject(err);
+        }
+        resolve(row);
+      });
+    });
+  }
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM encoding_presets WHERE user_id = ? ORDER BY name COLLATE NOCASE', [userId], (err, rows) => {
+        if (err) {
+          console.error('Error finding encoding presets:', err.message);
+          return reject(err);
+        }
+        resolve(rows || []);
+      });
+    });
+  }
+  static update(id, presetData) {
+    const fields = [];
+    const values = [];
+    Object.entries(presetData).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      values.push(value);
+    });
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE encoding_presets SET ${fields.join(', ')} WHERE id = ?`, values, function (err) {
+        if (err) {
+          console.error('Error updating encoding preset:', err.message);
+          return reject(err);
+        }
+        resolve({ id, ...presetData });
+      });
+    });
+  }
+  // Streams using the preset go back to their platform's recommendation
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE streams SET encoding_preset_id = NULL WHERE encoding_preset_id = ? AND user_id = ?', [id, userId], (err) => {
+        if (err) {
+          console.error('Error detaching encoding preset from streams:', err.message);
+          return reject(err);
+        }
+        db.run('DELETE FROM encoding_presets WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+          if (err) {
+            console.error('Error deleting encoding preset:', err.message);
+            return reject(err);
+          }
+          resolve({ success: true, deleted: this.changes > 0 });
+        });
+      });
+    });
+  }
+}
+module.exports = EncodingPreset;
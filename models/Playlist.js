@@ -0,0 +1,195 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+function normalizeRow(row) {
+  if (row) {
+    row.shuffle = row.shuffle === 1;
+    row.loop_playlist = row.loop_playlist === 1;
+  }
+  return row;
+}
+// SQL literal for db.exec, which takes no bound values
+function quote(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  const text = String(value);
+  if (text.includes('\0')) {
+    throw new Error('Invalid value in playlist items');
+  }
+  return `'${text.replace(/'/g, "''")}'`;
+}
+class Playlist {
+  static create(playlistData) {
+    const id = uuidv4();
+    const {
+      title,
+      description = null,
+      shuffle = false,
+      loop_playlist = true,
+      user_id
+    } = playlistData;
+    const now = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO playlists (
+          id, title, description, shuffle, loop_playlist, user_id, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, title, description, shuffle ? 1 : 0, loop_playlist ? 1 : 0, user_id, now, now],
+        function (err) {
+          if (err) {
+            console.error('Error creating playlist:', err.message);
+            return reject(err);
+          }
+          resolve({ id, title, description, shuffle: !!shuffle, loop_playlist: !!loop_playlist, user_id, created_at: now, updated_at: now });
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM playlists WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding playlist:', err.message);
+          return reject(err);
+        }
+        resolve(normalizeRow(row));
+      });
+    });
+  }
+  static findAll(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT p.*,
+                COUNT(pi.id) AS item_count,
+                COALESCE(SUM(v.duration), 0) AS total_duration,
+                (SELECT v2.thumbnail_path FROM playlist_items pi2
+                 JOIN videos v2 ON pi2.video_id = v2.id
+                 WHERE pi2.playlist_id = p.id
+                 ORDER BY pi2.position ASC LIMIT 1) AS thumbnail_path
+         FROM playlists p
+         LEFT JOIN playlist_items pi ON pi.playlist_id = p.id
+         LEFT JOIN videos v ON pi.video_id = v.id
+         WHERE p.user_id = ?
+         GROUP BY p.id
+         ORDER BY p.created_at DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding playlists:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(normalizeRow));
+        }
+      );
+    });
+  }
+  static getItems(playlistId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT pi.id, pi.playlist_id, pi.video_id, pi.position,
+                v.title AS video_title, v.filepath AS video_filepath,
+                v.thumbnail_path AS video_thumbnail, v.duration AS video_duration,
+                v.resolution AS video_resolution, v.bitrate AS video_bitrate
+         FROM playlist_items pi
+         JOIN videos v ON pi.video_id = v.id
+         WHERE pi.playlist_id = ?
+         ORDER BY pi.position ASC`,
+        [playlistId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding playlist items:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  // Runs as a single db.exec, which sqlite3 gives the shared connection to
+  // exclusively: no other statement can land inside the transaction. A row
+  // that fails its constraints rolls the DELETE back with it (OR ROLLBACK).
+  static setItems(playlistId, videoIds) {
+    return new Promise((resolve, reject) => {
+      const statements = [
+        'BEGIN TRANSACTION',
+        `DELETE FROM playlist_items WHERE playlist_id = ${quote(playlistId)}`
+      ];
+      if (videoIds.length > 0) {
+        const rows = videoIds.map((videoId, index) => `(${quote(uuidv4())}, ${quote(playlistId)}, ${quote(videoId)}, ${index})`);
+        statements.push(`INSERT OR ROLLBACK INTO playlist_items (id, playlist_id, video_id, position) VALUES ${rows.join(', ')}`);
+      }
+      statements.push('COMMIT');
+      db.exec(statements.join(';\n'), (err) => {
+        if (err) {
+          console.error('Error saving playlist items:', err.message);
+          // In case the failure left the transaction open
+          db.exec('ROLLBACK', () => {});
+          return reject(err);
+        }
+        resolve({ playlist_id: playlistId, count: videoIds.length });
+      });
+    });
+  }
+  static update(id, playlistData) {
+    const fields = [];
+    const values = [];
+    Object.entries(playlistData).forEach(([key, value]) => {
+      if ((key === 'shuffle' || key === 'loop_playlist') && typeof value === 'boolean') {
+        fields.push(`${key} = ?`);
+        values.push(value ? 1 : 0);
+      } else {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const query = `UPDATE playlists SET ${fields.join(', ')} WHERE id = ?`;
+    return new Promise((resolve, reject) => {
+      db.run(query, values, function (err) {
+        if (err) {
+          console.error('Error updating playlist:', err.message);
+          return reject(err);
+        }
+        resolve({ id, ...playlistData });
+      });
+    });
+  }
+  static countStreamsUsing(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) AS count FROM streams WHERE playlist_id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error counting playlist streams:', err.message);
+          return reject(err);
+        }
+        resolve(row.count);
+      });
+    });
+  }
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.serialize(() => {
+        db.run('DELETE FROM playlist_items WHERE playlist_id = ?', [id]);
+        db.run('DELETE FROM playlists WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+          if (err) {
+            console.error('Error deleting playlist:', err.message);
+            return reject(err);
+          }
+          resolve({ success: true, deleted: this.changes > 0 });
+        });
+      });
+    });
+  }
+  static removeVideo(videoId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM playlist_items WHERE video_id = ?', [videoId], function (err) {
+        if (err) {
+          console.error('Error removing video from playlists:', err.message);
+          return reject(err);
+        }
+        resolve({ removed: this.changes });
+      });
+    });
+  }
+}
+module.exports = Playlist;
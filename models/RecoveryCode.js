@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const CODE_COUNT = 10;
+const CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+// Dashes, spaces and case are ignored so codes can be typed as printed
+function normalizeCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+function hashCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+function generateCode() {
+  const chars = Array.from(crypto.randomBytes(10), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+}
+class RecoveryCode {
+  // Replaces every code of the user; the new codes are only returned here
+  static async regenerate(userId) {
+    await RecoveryCode.deleteByUserId(userId);
+    const codes = Array.from({ length: CODE_COUNT }, generateCode);
+    for (const code of codes) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+          [uuidv4(), userId, hashCode(code)],
+          function (err) {
+            if (err) {
+              console.error('Error creating recovery code:', err.message);
+              return reject(err);
+            }
+            resolve();
+          }
+        );
+      });
+    }
+    return codes;
+  }
+  // Marks an unused code as used; false when it does not match one
+  static consume(userId, code) {
+    return new Promise((resolve, reject) => {
+      if (normalizeCode(code).length !== 10) {
+        return resolve(false);
+      }
+      db.run(
+        'UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+        [new Date().toISOString(), userId, hashCode(code)],
+        function (err) {
+          if (err) {
+            console.error('Error using recovery code:', err.message);
+            return reject(err);
+          }
+          resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+  static countUnused(userId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+          resolve(row.count);
+        }
+      );
+    });
+  }
+  static deleteByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId], function (err) {
+        if (err) {
+          console.error('Error deleting recovery codes:', err.message);
+          return reject(err);
+        }
+        resolve(this.changes);
+      });
+    });
+  }
+}
+module.exports = RecoveryCode;
@@ -1,11 +1,14 @@
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../db/database');
+const eventBus = require('../services/eventBus');
+const { encryptSecret, decryptSecret, hashSecret } = require('../utils/secrets');
 class Stream {
   static create(streamData) {
     const id = uuidv4();
     const {
       title,
       video_id,
+      playlist_id = null,
       rtmp_url,
       stream_key,
       platform,
@@ -18,23 +21,45 @@ class Stream {
       schedule_time = null,
       duration = null,
       use_advanced_settings = false,
+      live_preview = false,
+      encoding_preset_id = null,
+      recurrence_type = null,
+      recurrence_time = null,
+      recurrence_days = null,
+      recurrence_cron = null,
+      recurrence_timezone = null,
+      health_stall_timeout = null,
+      health_min_speed = null,
+      health_min_bitrate = null,
+      retry_max_attempts = null,
+      retry_backoff_base = null,
+      retry_backoff_max = null,
+      retry_reset_after = null,
       user_id
     } = streamData;
     const loop_video_int = loop_video ? 1 : 0;
     const use_advanced_settings_int = use_advanced_settings ? 1 : 0;
+    const live_preview_int = live_preview ? 1 : 0;
     const status = schedule_time ? 'scheduled' : 'offline';
     const status_updated_at = new Date().toISOString();
     return new Promise((resolve, reject) => {
       db.run(
         `INSERT INTO streams (
-          id, title, video_id, rtmp_url, stream_key, platform, platform_icon,
+          id, title, video_id, playlist_id, rtmp_url, stream_key, stream_key_hash, platform, platform_icon,
           bitrate, resolution, fps, orientation, loop_video,
-          schedule_time, duration, status, status_updated_at, use_advanced_settings, user_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          schedule_time, duration, status, status_updated_at, use_advanced_settings, live_preview, encoding_preset_id,
+          recurrence_type, recurrence_time, recurrence_days, recurrence_cron, recurrence_timezone,
+          health_stall_timeout, health_min_speed, health_min_bitrate,
+          retry_max_attempts, retry_backoff_base, retry_backoff_max, retry_reset_after, user_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          id, title, video_id, rtmp_url, stream_key, platform, platform_icon,
+          id, title, video_id, playlist_id, rtmp_url, encryptSecret(stream_key), hashSecret(decryptSecret(stream_key)),
+          platform, platform_icon,
           bitrate, resolution, fps, orientation, loop_video_int,
-          schedule_time, duration, status, status_updated_at, use_advanced_settings_int, user_id
+          schedule_time, duration, status, status_updated_at, use_advanced_settings_int, live_preview_int, encoding_preset_id,
+          recurrence_type, recurrence_time, recurrence_days, recurrence_cron, recurrence_timezone,
+          health_stall_timeout, health_min_speed, health_min_bitrate,
+          retry_max_attempts, retry_backoff_base, retry_backoff_max, retry_reset_after, user_id
         ],
         function (err) {
           if (err) {
@@ -56,6 +81,7 @@ class Stream {
         if (row) {
           row.loop_video = row.loop_video === 1;
           row.use_advanced_settings = row.use_advanced_settings === 1;
+          row.live_preview = row.live_preview === 1;
         }
         resolve(row);
       });
@@ -67,27 +93,33 @@ class Stream {
         SELECT s.*, 
                v.title AS video_title, 
                v.filepath AS video_filepath,
-               v.thumbnail_path AS video_thumbnail, 
+               COALESCE(v.thumbnail_path, (
+                 SELECT pv.thumbnail_path FROM playlist_items pi
+                 JOIN videos pv ON pi.video_id = pv.id
+                 WHERE pi.playlist_id = s.playlist_id
+                 ORDER BY pi.position ASC LIMIT 1
+               )) AS video_thumbnail, 
                v.duration AS video_duration,
                v.resolution AS video_resolution,  
                v.bitrate AS video_bitrate,        
-               v.fps AS video_fps                 
+               v.fps AS video_fps,
+               p.title AS playlist_title
         FROM streams s
         LEFT JOIN videos v ON s.video_id = v.id
+        LEFT JOIN playlists p ON s.playlist_id = p.id
       `;
       const params = [];
+      const conditions = [];
       if (userId) {
-        query += ' WHERE s.user_id = ?';
+        conditions.push('s.user_id = ?');
         params.push(userId);
-        if (filter) {
-          if (filter === 'live') {
-            query += " AND s.status = 'live'";
-          } else if (filter === 'scheduled') {
-            query += " AND s.status = 'scheduled'";
-          } else if (filter === 'offline') {
-            query += " AND s.status = 'offline'";
-          }
-        }
+      }
+      if (filter === 'live' || filter === 'scheduled' || filter === 'offline') {
+        conditions.push('s.status = ?');
+        params.push(filter);
+      }
+      if (conditions.length > 0) {
+        query += ` WHERE ${conditions.join(' AND ')}`;
       }
       query += ' ORDER BY s.created_at DESC';
       db.all(query, params, (err, rows) => {
@@ -99,6 +131,7 @@ class Stream {
           rows.forEach(row => {
             row.loop_video = row.loop_video === 1;
             row.use_advanced_settings = row.use_advanced_settings === 1;
+            row.live_preview = row.live_preview === 1;
           });
         }
         resolve(rows || []);
@@ -109,9 +142,12 @@ class Stream {
     const fields = [];
     const values = [];
     Object.entries(streamData).forEach(([key, value]) => {
-      if (key === 'loop_video' && typeof value === 'boolean') {
+      if ((key === 'loop_video' || key === 'live_preview') && typeof value === 'boolean') {
         fields.push(`${key} = ?`);
         values.push(value ? 1 : 0);
+      } else if (key === 'stream_key') {
+        fields.push('stream_key = ?', 'stream_key_hash = ?');
+        values.push(encryptSecret(value), hashSecret(decryptSecret(value)));
       } else {
         fields.push(`${key} = ?`);
         values.push(value);
@@ -154,6 +190,11 @@ class Stream {
     } else if (status === 'offline') {
       end_time = new Date().toISOString();
     }
+    // Calls made by the streaming service have no user context
+    const params = [status, status_updated_at, start_time, end_time, id];
+    if (userId) {
+      params.push(userId);
+    }
     return new Promise((resolve, reject) => {
       db.run(
         `UPDATE streams SET 
@@ -162,20 +203,24 @@ class Stream {
           start_time = COALESCE(?, start_time), 
           end_time = COALESCE(?, end_time),
           updated_at = CURRENT_TIMESTAMP
-         WHERE id = ? AND user_id = ?`,
-        [status, status_updated_at, start_time, end_time, id, userId],
+         WHERE id = ?${userId ? ' AND user_id = ?' : ''}`,
+        params,
         function (err) {
           if (err) {
             console.error('Error updating stream status:', err.message);
             return reject(err);
           }
+          const updated = this.changes > 0;
+          if (updated) {
+            eventBus.emit('streamStatus', { streamId: id, userId, status, status_updated_at, start_time, end_time });
+          }
           resolve({
             id,
             status,
             status_updated_at,
             start_time,
             end_time,
-            updated: this.changes > 0
+            updated
           });
         }
       );
@@ -185,9 +230,11 @@ class Stream {
     return new Promise((resolve, reject) => {
       db.get(
         `SELECT s.*, v.title AS video_title, v.filepath AS video_filepath, 
-                v.thumbnail_path AS video_thumbnail, v.duration AS video_duration
+                v.thumbnail_path AS video_thumbnail, v.duration AS video_duration,
+                p.title AS playlist_title
          FROM streams s
          LEFT JOIN videos v ON s.video_id = v.id
+         LEFT JOIN playlists p ON s.playlist_id = p.id
          WHERE s.id = ?`,
         [id],
         (err, row) => {
@@ -198,6 +245,7 @@ class Stream {
           if (row) {
             row.loop_video = row.loop_video === 1;
             row.use_advanced_settings = row.use_advanced_settings === 1;
+            row.live_preview = row.live_preview === 1;
           }
           resolve(row);
         }
@@ -206,8 +254,8 @@ class Stream {
   }
   static async isStreamKeyInUse(streamKey, userId, excludeId = null) {
     return new Promise((resolve, reject) => {
-      let query = 'SELECT COUNT(*) as count FROM streams WHERE stream_key = ? AND user_id = ?';
-      const params = [streamKey, userId];
+      let query = 'SELECT COUNT(*) as count FROM streams WHERE stream_key_hash = ? AND user_id = ?';
+      const params = [hashSecret(streamKey), userId];
       if (excludeId) {
         query += ' AND id != ?';
         params.push(excludeId);
@@ -221,6 +269,28 @@ class Stream {
       });
     });
   }
+  static findRecurring() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM streams WHERE recurrence_type IS NOT NULL AND status != 'live'",
+        [],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding recurring streams:', err.message);
+            return reject(err);
+          }
+          if (rows) {
+            rows.forEach(row => {
+              row.loop_video = row.loop_video === 1;
+              row.use_advanced_settings = row.use_advanced_settings === 1;
+              row.live_preview = row.live_preview === 1;
+            });
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
   static findScheduledInRange(startTime, endTime) {
     return new Promise((resolve, reject) => {
       const startTimeStr = startTime.toISOString();
@@ -229,13 +299,20 @@ class Stream {
         SELECT s.*, 
                v.title AS video_title, 
                v.filepath AS video_filepath,
-               v.thumbnail_path AS video_thumbnail, 
+               COALESCE(v.thumbnail_path, (
+                 SELECT pv.thumbnail_path FROM playlist_items pi
+                 JOIN videos pv ON pi.video_id = pv.id
+                 WHERE pi.playlist_id = s.playlist_id
+                 ORDER BY pi.position ASC LIMIT 1
+               )) AS video_thumbnail, 
                v.duration AS video_duration,
                v.resolution AS video_resolution,
                v.bitrate AS video_bitrate,
-               v.fps AS video_fps  
+               v.fps AS video_fps,
+               p.title AS playlist_title
         FROM streams s
         LEFT JOIN videos v ON s.video_id = v.id
+        LEFT JOIN playlists p ON s.playlist_id = p.id
         WHERE s.status = 'scheduled'
         AND s.schedule_time IS NOT NULL
         AND s.schedule_time >= ?
@@ -250,6 +327,7 @@ class Stream {
           rows.forEach(row => {
             row.loop_video = row.loop_video === 1;
             row.use_advanced_settings = row.use_advanced_settings === 1;
+            row.live_preview = row.live_preview === 1;
           });
         }
         resolve(rows || []);
@@ -0,0 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const { encryptSecret } = require('../utils/secrets');
+function normalizeRow(row) {
+  if (row) {
+    row.enabled = row.enabled === 1;
+  }
+  return row;
+}
+class StreamDestination {
+  static create(destinationData) {
+    const id = uuidv4();
+    const {
+      stream_id,
+      name = null,
+      rtmp_url,
+      stream_key,
+      platform = 'Custom',
+      platform_icon = 'ti-broadcast',
+      enabled = true,
+      position = 0
+    } = destinationData;
+    const enabled_int = enabled ? 1 : 0;
+    const status = 'offline';
+    const status_updated_at = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO stream_destinations (
+          id, stream_id, name, rtmp_url, stream_key, platform, platform_icon,
+          enabled, status, status_updated_at, position
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id, stream_id, name, rtmp_url, encryptSecret(stream_key), platform, platform_icon,
+          enabled_int, status, status_updated_at, position
+        ],
+        function (err) {
+          if (err) {
+            console.error('Error creating stream destination:', err.message);
+            return reject(err);
+          }
+          resolve({
+            id, stream_id, name, rtmp_url, stream_key, platform, platform_icon,
+            enabled: !!enabled, status, status_updated_at, last_error: null, position
+          });
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM stream_destinations WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding stream destination:', err.message);
+          return reject(err);
+        }
+        resolve(normalizeRow(row));
+      });
+    });
+  }
+  static findByStreamId(streamId, enabledOnly = false) {
+    return new Promise((resolve, reject) => {
+      let query = 'SELECT * FROM stream_destinations WHERE stream_id = ?';
+      if (enabledOnly) {
+        query += ' AND enabled = 1';
+      }
+      query += ' ORDER BY position ASC, created_at ASC';
+      db.all(query, [streamId], (err, rows) => {
+        if (err) {
+          console.error('Error finding stream destinations:', err.message);
+          return reject(err);
+        }
+        resolve((rows || []).map(normalizeRow));
+      });
+    });
+  }
+  // Streams created before multi-destination support only carry rtmp_url/stream_key,
+  // so their single destination row is created on first use
+  static async findOrCreateForStream(stream) {
+    const destinations = await StreamDestination.findByStreamId(stream.id);
+    if (destinations.length > 0) {
+      return destinations;
+    }
+    const primary = await StreamDestination.create({
+      stream_id: stream.id,
+      name: stream.platform || 'Custom',
+      rtmp_url: stream.rtmp_url,
+      stream_key: stream.stream_key,
+      platform: stream.platform || 'Custom',
+      platform_icon: stream.platform_icon,
+      position: 0
+    });
+    return [primary];
+  }
+  static update(id, destinationData) {
+    const fields = [];
+    const values = [];
+    Object.entries(destinationData).forEach(([key, value]) => {
+      if (key === 'enabled' && typeof value === 'boolean') {
+        fields.push(`${key} = ?`);
+        values.push(value ? 1 : 0);
+      } else if (key === 'stream_key') {
+        fields.push(`${key} = ?`);
+        values.push(encryptSecret(value));
+      } else {
+        fields.push(`${key} = ?`);
+        values.push(value);
+      }
+    });
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const query = `UPDATE stream_destinations SET ${fields.join(', ')} WHERE id = ?`;
+    return new Promise((resolve, reject) => {
+      db.run(query, values, function (err) {
+        if (err) {
+          console.error('Error updating stream destination:', err.message);
+          return reject(err);
+        }
+        resolve({ id, ...destinationData });
+      });
+    });
+  }
+  static updateStatus(id, status, lastError = null) {
+    const status_updated_at = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE stream_destinations SET
+          status = ?,
+          status_updated_at = ?,
+          last_error = ?
+         WHERE id = ?`,
+        [status, status_updated_at, lastError, id],
+        function (err) {
+          if (err) {
+            console.error('Error updating stream destination status:', err.message);
+            return reject(err);
+          }
+          resolve({ id, status, status_updated_at, last_error: lastError, updated: this.changes > 0 });
+        }
+      );
+    });
+  }
+  static updateStatusByStreamId(streamId, status) {
+    const status_updated_at = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE stream_destinations SET
+          status = ?,
+          status_updated_at = ?,
+          last_error = CASE WHEN ? = 'live' THEN NULL ELSE last_error END
+         WHERE stream_id = ?`,
+        [status, status_updated_at, status, streamId],
+        function (err) {
+          if (err) {
+            console.error('Error updating stream destination statuses:', err.message);
+            return reject(err);
+          }
+          resolve({ stream_id: streamId, status, updated: this.changes });
+        }
+      );
+    });
+  }
+  static getNextPosition(streamId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT COALESCE(MAX(position), -1) + 1 AS next FROM stream_destinations WHERE stream_id = ?',
+        [streamId],
+        (err, row) => {
+          if (err) {
+            console.error('Error computing destination position:', err.message);
+            return reject(err);
+          }
+          resolve(row.next);
+        }
+      );
+    });
+  }
+  static delete(id, streamId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM stream_destinations WHERE id = ? AND stream_id = ?',
+        [id, streamId],
+        function (err) {
+          if (err) {
+            console.error('Error deleting stream destination:', err.message);
+            return reject(err);
+          }
+          resolve({ success: true, deleted: this.changes > 0 });
+        }
+      );
+    });
+  }
+  static deleteByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM stream_destinations WHERE stream_id = ?', [streamId], function (err) {
+        if (err) {
+          console.error('Error deleting stream destinations:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes });
+      });
+    });
+  }
+}
+module.exports = StreamDestination;
@@ -0,0 +1,74 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const MAX_CHECKS_PER_STREAM = 200;
+function normalizeRow(row) {
+  if (row) {
+    try {
+      row.metrics = row.metrics ? JSON.parse(row.metrics) : null;
+    } catch (error) {
+      row.metrics = null;
+    }
+  }
+  return row;
+}
+class StreamHealthCheck {
+  static create(checkData) {
+    const id = uuidv4();
+    const {
+      stream_id,
+      status,
+      reason = null,
+      action = null,
+      metrics = null
+    } = checkData;
+    const created_at = new Date().toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO stream_health_checks (id, stream_id, status, reason, action, metrics, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, stream_id, status, reason, action, metrics ? JSON.stringify(metrics) : null, created_at],
+        function (err) {
+          if (err) {
+            console.error('Error recording stream health check:', err.message);
+            return reject(err);
+          }
+          // Only the most recent verdicts of each stream are kept
+          db.run(
+            `DELETE FROM stream_health_checks WHERE stream_id = ? AND id NOT IN (
+              SELECT id FROM stream_health_checks WHERE stream_id = ? ORDER BY created_at DESC LIMIT ?
+            )`,
+            [stream_id, stream_id, MAX_CHECKS_PER_STREAM]
+          );
+          resolve({ id, stream_id, status, reason, action, metrics, created_at });
+        }
+      );
+    });
+  }
+  static findByStreamId(streamId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM stream_health_checks WHERE stream_id = ? ORDER BY created_at DESC LIMIT ?',
+        [streamId, limit],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding stream health checks:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(normalizeRow));
+        }
+      );
+    });
+  }
+  static deleteByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM stream_health_checks WHERE stream_id = ?', [streamId], function (err) {
+        if (err) {
+          console.error('Error deleting stream health checks:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes });
+      });
+    });
+  }
+}
+module.exports = StreamHealthCheck;
@@ -0,0 +1,31 @@
+const { db } = require('../db/database');
+function normalizeRow(row) {
+  try {
+    row.aired_items = row.aired_items ? JSON.parse(row.aired_items) : [];
+  } catch (parseError) {
+    row.aired_items = [];
+  }
+  return row;
+}
+class StreamHistory {
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT h.*, v.thumbnail_path 
+         FROM stream_history h 
+         LEFT JOIN videos v ON h.video_id = v.id 
+         WHERE h.user_id = ? 
+         ORDER BY h.start_time DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding stream history:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(normalizeRow));
+        }
+      );
+    });
+  }
+}
+module.exports = StreamHistory;
@@ -0,0 +1,59 @@
+const { db } = require('../db/database');
+const RUNTIME_FIELDS = ['pid', 'started_at', 'base_position', 'position', 'retry_count', 'last_progress_at', 'playlist_session'];
+class StreamRuntime {
+  static save(streamId, runtimeData) {
+    const fields = Object.keys(runtimeData).filter(key => RUNTIME_FIELDS.includes(key));
+    const values = fields.map(key => runtimeData[key]);
+    const updates = fields.map(key => `${key} = excluded.${key}`);
+    updates.push('updated_at = CURRENT_TIMESTAMP');
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO stream_runtime (stream_id${fields.map(key => `, ${key}`).join('')})
+         VALUES (?${fields.map(() => ', ?').join('')})
+         ON CONFLICT(stream_id) DO UPDATE SET ${updates.join(', ')}`,
+        [streamId, ...values],
+        function (err) {
+          if (err) {
+            console.error('Error saving stream runtime:', err.message);
+            return reject(err);
+          }
+          resolve({ stream_id: streamId, ...runtimeData });
+        }
+      );
+    });
+  }
+  static findByStreamId(streamId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM stream_runtime WHERE stream_id = ?', [streamId], (err, row) => {
+        if (err) {
+          console.error('Error finding stream runtime:', err.message);
+          return reject(err);
+        }
+        resolve(row);
+      });
+    });
+  }
+  static findAll() {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM stream_runtime', [], (err, rows) => {
+        if (err) {
+          console.error('Error finding stream runtimes:', err.message);
+          return reject(err);
+        }
+        resolve(rows || []);
+      });
+    });
+  }
+  static delete(streamId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM stream_runtime WHERE stream_id = ?', [streamId], function (err) {
+        if (err) {
+          console.error('Error deleting stream runtime:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes > 0 });
+      });
+    });
+  }
+}
+module.exports = StreamRuntime;
@@ -1,6 +1,7 @@
 const { db, checkIfUsersExist } = require('../db/database');
 const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
+const { SECRET_FIELDS, encryptSecret } = require('../utils/secrets');
 class User {
   static findByEmail(email) {
     return new Promise((resolve, reject) => {
@@ -36,18 +37,19 @@ class User {
   static async create(userData) {
     try {
       const hashedPassword = await bcrypt.hash(userData.password, 10);
-      const userId = uuidv4();
+      const userId = userData.id || uuidv4();
+      const role = userData.role || 'user';
       return new Promise((resolve, reject) => {
         db.run(
-          'INSERT INTO users (id, username, password, avatar_path) VALUES (?, ?, ?, ?)',
-          [userId, userData.username, hashedPassword, userData.avatar_path],
+          'INSERT INTO users (id, username, password, avatar_path, email, role) VALUES (?, ?, ?, ?, ?, ?)',
+          [userId, userData.username, hashedPassword, userData.avatar_path, userData.email || null, role],
           function (err) {
             if (err) {
               console.error("DB error during user creation:", err);
               return reject(err);
             }
             console.log("User created successfully with ID:", userId);
-            resolve({ id: userId, username: userData.username });
+            resolve({ id: userId, username: userData.username, role });
           }
         );
       });
@@ -56,12 +58,60 @@ class User {
       throw error;
     }
   }
+  // Every account with its stream counts and the storage its videos take up
+  static findAllWithUsage() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT u.id, u.username, u.email, u.role, u.disabled, u.avatar_path, u.created_at, u.last_login_at, u.totp_enabled_at,
+                u.quota_max_streams, u.quota_storage_mb, u.quota_max_bitrate, u.quota_max_resolution,
+                (SELECT COUNT(*) FROM streams s WHERE s.user_id = u.id) AS stream_count,
+                (SELECT COUNT(*) FROM streams s WHERE s.user_id = u.id AND s.status = 'live') AS live_stream_count,
+                (SELECT COUNT(*) FROM videos v WHERE v.user_id = u.id) AS video_count,
+                (SELECT COALESCE(SUM(v.file_size), 0) FROM videos v WHERE v.user_id = u.id) AS storage_used
+         FROM users u
+         ORDER BY u.created_at ASC`,
+        [],
+        (err, rows) => {
+          if (err) {
+            console.error('Error listing users:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static countActiveAdmins() {
+    return new Promise((resolve, reject) => {
+      db.get(
+        "SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND (disabled IS NULL OR disabled = 0)",
+        [],
+        (err, row) => {
+          if (err) {
+            return reject(err);
+          }
+          resolve(row.count);
+        }
+      );
+    });
+  }
+  static delete(userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM users WHERE id = ?', [userId], function (err) {
+        if (err) {
+          console.error('Error deleting user:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes > 0 });
+      });
+    });
+  }
   static update(userId, userData) {
     const fields = [];
     const values = [];
     Object.entries(userData).forEach(([key, value]) => {
       fields.push(`${key} = ?`);
-      values.push(value);
+      values.push(SECRET_FIELDS.includes(key) ? encryptSecret(value) : value);
     });
     fields.push('updated_at = CURRENT_TIMESTAMP');
     values.push(userId);
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const INVITE_TTL_DAYS = 7;
+// Only a hash of the token is stored; the link itself is shown once to the admin
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+class UserInvite {
+  static create(inviteData) {
+    const id = uuidv4();
+    const token = crypto.randomBytes(24).toString('hex');
+    const { email = null, role = 'user', created_by = null } = inviteData;
+    const expires_at = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO user_invites (id, token_hash, email, role, created_by, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [id, hashToken(token), email, role, created_by, expires_at],
+        function (err) {
+          if (err) {
+            console.error('Error creating user invite:', err.message);
+            return reject(err);
+          }
+          resolve({ id, token, email, role, created_by, expires_at });
+        }
+      );
+    });
+  }
+  // An invite that is neither used nor expired
+  static findUsableByToken(token) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT * FROM user_invites
+         WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > ?`,
+        [hashToken(String(token)), new Date().toISOString()],
+        (err, row) => {
+          if (err) {
+            console.error('Error finding user invite:', err.message);
+            return reject(err);
+          }
+          resolve(row);
+        }
+      );
+    });
+  }
+  static findPending() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.username AS created_by_username
+         FROM user_invites i
+         LEFT JOIN users u ON i.created_by = u.id
+         WHERE i.accepted_at IS NULL AND i.expires_at > ?
+         ORDER BY i.created_at DESC`,
+        [new Date().toISOString()],
+        (err, rows) => {
+          if (err) {
+            console.error('Error listing user invites:', err.message);
+            return reject(err);
+          }
+          resolve(rows || []);
+        }
+      );
+    });
+  }
+  static markAccepted(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE user_invites SET accepted_at = ?, accepted_user_id = ? WHERE id = ? AND accepted_at IS NULL',
+        [new Date().toISOString(), userId, id],
+        function (err) {
+          if (err) {
+            console.error('Error accepting user invite:', err.message);
+            return reject(err);
+          }
+          resolve(this.changes > 0);
+        }
+      );
+    });
+  }
+  static delete(id) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM user_invites WHERE id = ?', [id], function (err) {
+        if (err) {
+          console.error('Error deleting user invite:', err.message);
+          return reject(err);
+        }
+        resolve({ success: true, deleted: this.changes > 0 });
+      });
+    });
+  }
+}
+module.exports = UserInvite;
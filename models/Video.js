@@ -54,6 +54,18 @@ class Video {
       });
     });
   }
+  // Total size in bytes of the videos a user has uploaded or imported
+  static getStorageUsage(userId) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT COALESCE(SUM(file_size), 0) AS used FROM videos WHERE user_id = ?', [userId], (err, row) => {
+        if (err) {
+          console.error('Error calculating storage usage:', err.message);
+          return reject(err);
+        }
+        resolve(row.used);
+      });
+    });
+  }
   static update(id, videoData) {
     const fields = [];
     const values = [];
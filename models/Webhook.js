@@ -0,0 +1,110 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+function normalizeRow(row) {
+  if (row) {
+    row.enabled = row.enabled === 1;
+    try {
+      row.events = row.events ? JSON.parse(row.events) : [];
+    } catch (error) {
+      row.events = [];
+    }
+  }
+  return row;
+}
+class Webhook {
+  static create(webhookData) {
+    const id = uuidv4();
+    const {
+      user_id,
+      name = null,
+      url,
+      secret,
+      events = [],
+      enabled = true
+    } = webhookData;
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO webhooks (id, user_id, name, url, secret, events, enabled)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, user_id, name, url, secret, JSON.stringify(events), enabled ? 1 : 0],
+        function (err) {
+          if (err) {
+            console.error('Error creating webhook:', err.message);
+            return reject(err);
+          }
+          resolve({ id, user_id, name, url, secret, events, enabled });
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhooks WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding webhook:', err.message);
+          return reject(err);
+        }
+        resolve(normalizeRow(row));
+      });
+    });
+  }
+  static findByUserId(userId) {
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at', [userId], (err, rows) => {
+        if (err) {
+          console.error('Error finding webhooks:', err.message);
+          return reject(err);
+        }
+        resolve((rows || []).map(normalizeRow));
+      });
+    });
+  }
+  // Enabled webhooks of the user that subscribed to the event
+  static findSubscribed(userId, event) {
+    return Webhook.findByUserId(userId)
+      .then(webhooks => webhooks.filter(webhook => webhook.enabled && webhook.events.includes(event)));
+  }
+  static update(id, webhookData) {
+    const fields = [];
+    const values = [];
+    Object.entries(webhookData).forEach(([key, value]) => {
+      fields.push(`${key} = ?`);
+      if (key === 'events') {
+        values.push(JSON.stringify(value));
+      } else if (key === 'enabled') {
+        values.push(value ? 1 : 0);
+      } else {
+        values.push(value);
+      }
+    });
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE webhooks SET ${fields.join(', ')} WHERE id = ?`, values, function (err) {
+        if (err) {
+          console.error('Error updating webhook:', err.message);
+          return reject(err);
+        }
+        resolve({ id, ...webhookData });
+      });
+    });
+  }
+  static delete(id, userId) {
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id], (err) => {
+        if (err) {
+          console.error('Error deleting webhook deliveries:', err.message);
+          return reject(err);
+        }
+        db.run('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [id, userId], function (err) {
+          if (err) {
+            console.error('Error deleting webhook:', err.message);
+            return reject(err);
+          }
+          resolve({ success: true, deleted: this.changes > 0 });
+        });
+      });
+    });
+  }
+}
+module.exports = Webhook;
@@ -0,0 +1,99 @@
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('../db/database');
+const MAX_DELIVERIES_PER_WEBHOOK = 100;
+function normalizeRow(row) {
+  if (row) {
+    try {
+      row.payload = JSON.parse(row.payload);
+    } catch (error) {
+      row.payload = null;
+    }
+  }
+  return row;
+}
+class WebhookDelivery {
+  static create(deliveryData) {
+    const id = uuidv4();
+    const { webhook_id, event, payload } = deliveryData;
+    const created_at = new Date().toISOString();
+    const next_attempt_at = deliveryData.next_attempt_at || created_at;
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)`,
+        [id, webhook_id, event, JSON.stringify(payload), next_attempt_at, created_at],
+        function (err) {
+          if (err) {
+            console.error('Error creating webhook delivery:', err.message);
+            return reject(err);
+          }
+          // Only the most recent deliveries of each webhook are kept
+          db.run(
+            `DELETE FROM webhook_deliveries WHERE webhook_id = ? AND id NOT IN (
+              SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?
+            )`,
+            [webhook_id, webhook_id, MAX_DELIVERIES_PER_WEBHOOK]
+          );
+          resolve({ id, webhook_id, event, payload, status: 'pending', attempts: 0, next_attempt_at, created_at });
+        }
+      );
+    });
+  }
+  static findById(id) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error finding webhook delivery:', err.message);
+          return reject(err);
+        }
+        resolve(normalizeRow(row));
+      });
+    });
+  }
+  static findByWebhookId(webhookId, limit = 20) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC LIMIT ?',
+        [webhookId, limit],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding webhook deliveries:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(normalizeRow));
+        }
+      );
+    });
+  }
+  // Pending deliveries whose next attempt is due
+  static findDue(now = new Date()) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+         ORDER BY next_attempt_at`,
+        [now.toISOString()],
+        (err, rows) => {
+          if (err) {
+            console.error('Error finding due webhook deliveries:', err.message);
+            return reject(err);
+          }
+          resolve((rows || []).map(normalizeRow));
+        }
+      );
+    });
+  }
+  static update(id, deliveryData) {
+    const fields = Object.keys(deliveryData).map(key => `${key} = ?`);
+    const values = [...Object.values(deliveryData), id];
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE webhook_deliveries SET ${fields.join(', ')} WHERE id = ?`, values, function (err) {
+        if (err) {
+          console.error('Error updating webhook delivery:', err.message);
+          return reject(err);
+        }
+        resolve({ id, ...deliveryData });
+      });
+    });
+  }
+}
+module.exports = WebhookDelivery;
@@ -0,0 +1,154 @@
+// Backup page. Archives and the schedule are loaded from /api/admin/backups.
+const BACKUP_TRIGGER_LABELS = {
+  manual: 'Manual',
+  scheduled: 'Scheduled',
+  'pre-restore': 'Before restore',
+  uploaded: 'Uploaded'
+};
+
+function escapeBackupHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatBackupSize(bytes) {
+  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1073741824) return (bytes / 1048576).toFixed(1) + ' MB';
+  return (bytes / 1073741824).toFixed(2) + ' GB';
+}
+
+function backupRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body instanceof FormData) {
+    options.body = body;
+  } else if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function renderBackupRow(backup) {
+  const name = escapeBackupHtml(backup.name);
+  return `
+    <tr class="border-t border-gray-700">
+      <td class="py-3 px-4">
+        <div class="font-medium">${new Date(backup.created_at).toLocaleString()}</div>
+        <div class="text-xs text-gray-400 truncate">${name}</div>
+      </td>
+      <td class="py-3 px-4">${escapeBackupHtml(BACKUP_TRIGGER_LABELS[backup.trigger] || backup.trigger)}</td>
+      <td class="py-3 px-4">${formatBackupSize(backup.size)}</td>
+      <td class="py-3 px-4">
+        <div class="flex flex-wrap justify-end gap-2 text-xs">
+          <a href="/api/admin/backups/${encodeURIComponent(backup.name)}/download" class="px-2 py-1 bg-dark-700 hover:bg-dark-600 rounded">Download</a>
+          <button type="button" onclick="restoreBackup('${name}')" class="px-2 py-1 bg-yellow-500/20 text-yellow-400 hover:bg-yellow-500/30 rounded">Restore</button>
+          <button type="button" onclick="deleteBackup('${name}')" class="px-2 py-1 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded">Delete</button>
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+function fillBackupSettings(settings) {
+  document.getElementById('backup-interval').value = String(settings.intervalHours);
+  document.getElementById('backup-retention').value = settings.retention;
+  document.getElementById('backup-include-uploads').checked = settings.includeUploads;
+}
+
+function loadBackups() {
+  return backupRequest('/api/admin/backups').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load backups');
+      return;
+    }
+    const list = document.getElementById('backup-list');
+    list.innerHTML = data.backups.length > 0
+      ? data.backups.map(renderBackupRow).join('')
+      : '<tr><td colspan="4" class="py-6 px-4 text-center text-gray-400">No backups yet</td></tr>';
+    fillBackupSettings(data.settings);
+  }).catch(error => {
+    console.error('Error loading backups:', error);
+  });
+}
+
+function setBackupBusy(busy, message = '') {
+  document.querySelectorAll('[data-backup-action]').forEach(button => {
+    button.disabled = busy;
+    button.classList.toggle('opacity-50', busy);
+  });
+  const status = document.getElementById('backup-status');
+  status.textContent = message;
+  status.classList.toggle('hidden', !busy);
+}
+
+function createBackupNow() {
+  setBackupBusy(true, 'Creating backup...');
+  backupRequest('/api/admin/backups', 'POST', {
+    includeUploads: document.getElementById('backup-now-uploads').checked
+  }).then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Backup created' : data.error);
+    loadBackups();
+  }).finally(() => setBackupBusy(false));
+}
+
+function saveBackupSettings(e) {
+  e.preventDefault();
+  backupRequest('/api/admin/backups/settings', 'PUT', {
+    backupIntervalHours: document.getElementById('backup-interval').value,
+    backupRetention: document.getElementById('backup-retention').value,
+    backupIncludeUploads: document.getElementById('backup-include-uploads').checked
+  }).then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Backup settings saved' : data.error);
+  });
+}
+
+function uploadBackup(input) {
+  const file = input.files[0];
+  if (!file) {
+    return;
+  }
+  const formData = new FormData();
+  formData.append('backup', file);
+  setBackupBusy(true, 'Uploading and checking archive...');
+  backupRequest('/api/admin/backups/upload', 'POST', formData).then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Backup uploaded' : data.error);
+    loadBackups();
+  }).finally(() => {
+    input.value = '';
+    setBackupBusy(false);
+  });
+}
+
+function restoreBackup(name) {
+  if (!confirm(`Restore ${name}? The current database is replaced, and the media folders too when the archive contains them. A backup of the current database is taken first.`)) {
+    return;
+  }
+  setBackupBusy(true, 'Restoring backup...');
+  backupRequest(`/api/admin/backups/${encodeURIComponent(name)}/restore`, 'POST').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to restore backup');
+      setBackupBusy(false);
+      return;
+    }
+    alert(data.message);
+    window.location.href = '/login';
+  }).catch(() => setBackupBusy(false));
+}
+
+function deleteBackup(name) {
+  if (!confirm(`Delete ${name}?`)) {
+    return;
+  }
+  backupRequest(`/api/admin/backups/${encodeURIComponent(name)}`, 'DELETE').then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Backup deleted' : data.error);
+    loadBackups();
+  });
+}
+
+function initAdminBackups() {
+  document.getElementById('backup-settings-form').addEventListener('submit', saveBackupSettings);
+  loadBackups();
+}
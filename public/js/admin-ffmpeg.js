@@ -0,0 +1,107 @@
+// FFmpeg page. The probe result comes from /api/admin/ffmpeg.
+const FFMPEG_OUTPUT_PROTOCOLS = [
+  { name: 'rtmp', label: 'RTMP' },
+  { name: 'rtmps', label: 'RTMPS' },
+  { name: 'srt', label: 'SRT' },
+  { name: 'https', label: 'HLS over HTTPS' }
+];
+
+function escapeFFmpegHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function ffmpegRequest(url, method = 'GET') {
+  return fetch(url, { method }).then(response => response.json());
+}
+
+function renderFFmpegSummary(info) {
+  const capabilities = info.capabilities;
+  const rows = [
+    ['Binary', info.path],
+    ['Version', capabilities.version || 'Unknown'],
+    ['Enhanced RTMP', capabilities.enhancedRtmp ? 'Yes' : 'No'],
+    ['Audio', ['aac', 'libmp3lame'].filter(name => capabilities.encoders.audio.includes(name)).join(', ') || 'None'],
+    ['Probed', new Date(capabilities.probedAt).toLocaleString()]
+  ];
+  if (capabilities.error) {
+    rows.push(['Probe error', capabilities.error]);
+  }
+  document.getElementById('ffmpeg-summary').innerHTML = rows.map(([label, value]) => `
+    <dt class="text-gray-400">${label}</dt>
+    <dd class="col-span-2 break-all">${escapeFFmpegHtml(value)}</dd>
+  `).join('');
+}
+
+function renderFFmpegProtocols(capabilities) {
+  document.getElementById('ffmpeg-protocols').innerHTML = FFMPEG_OUTPUT_PROTOCOLS.map(protocol => {
+    const supported = capabilities.protocols.output.includes(protocol.name);
+    return `<span class="px-3 py-1 rounded-full ${supported ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}">
+      <i class="ti ${supported ? 'ti-check' : 'ti-x'} mr-1"></i>${protocol.label}
+    </span>`;
+  }).join('');
+}
+
+function renderFFmpegEncoderStatus(status) {
+  if (status.available) {
+    return '<span class="text-green-400">Available</span>';
+  }
+  if (!status.listed) {
+    return '<span class="text-gray-500">Not built in</span>';
+  }
+  return `<span class="text-yellow-400">No usable device</span>
+    <div class="text-xs text-gray-500 break-all">${escapeFFmpegHtml(status.error)}</div>`;
+}
+
+function renderFFmpegEncoders(info) {
+  const encoders = info.options.encoders;
+  document.getElementById('ffmpeg-encoder-list').innerHTML = Object.entries(info.capabilities.videoEncoders).map(([id, status]) => `
+    <tr class="border-t border-gray-700">
+      <td class="py-3 px-4">
+        <div class="font-medium">${escapeFFmpegHtml(encoders[id].label)}</div>
+        <div class="text-xs text-gray-400">${escapeFFmpegHtml(id)}</div>
+      </td>
+      <td class="py-3 px-4">${escapeFFmpegHtml(encoders[id].codec.toUpperCase())}</td>
+      <td class="py-3 px-4">${status.hardware ? 'Hardware' : 'CPU'}</td>
+      <td class="py-3 px-4">${renderFFmpegEncoderStatus(status)}</td>
+    </tr>
+  `).join('');
+}
+
+function renderFFmpegInfo(data) {
+  if (!data.success) {
+    showToast('error', data.error || 'Failed to load FFmpeg capabilities');
+    return;
+  }
+  renderFFmpegSummary(data.ffmpeg);
+  renderFFmpegProtocols(data.ffmpeg.capabilities);
+  renderFFmpegEncoders(data.ffmpeg);
+}
+
+function loadFFmpegInfo() {
+  return ffmpegRequest('/api/admin/ffmpeg').then(renderFFmpegInfo).catch(error => {
+    console.error('Error loading FFmpeg capabilities:', error);
+  });
+}
+
+function probeFFmpegAgain() {
+  const button = document.getElementById('ffmpeg-probe-button');
+  button.disabled = true;
+  button.classList.add('opacity-50');
+  ffmpegRequest('/api/admin/ffmpeg/probe', 'POST').then(data => {
+    renderFFmpegInfo(data);
+    if (data.success) {
+      showToast('success', 'FFmpeg probed');
+    }
+  }).finally(() => {
+    button.disabled = false;
+    button.classList.remove('opacity-50');
+  });
+}
+
+function initAdminFFmpeg() {
+  loadFFmpegInfo();
+}
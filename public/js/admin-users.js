@@ -0,0 +1,317 @@
+// User administration page. Accounts, their usage and pending invites are
+// loaded from /api/admin/users.
+let currentAdminId = null;
+const STREAM_STATUS_CLASSES = {
+  live: 'bg-red-500/20 text-red-400',
+  scheduled: 'bg-yellow-500/20 text-yellow-400',
+  offline: 'bg-gray-500/20 text-gray-400'
+};
+
+function escapeAdminHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatStorage(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1073741824) return (bytes / 1048576).toFixed(1) + ' MB';
+  return (bytes / 1073741824).toFixed(2) + ' GB';
+}
+
+function formatAdminDate(value) {
+  return value ? new Date(value).toLocaleString() : '--';
+}
+
+function adminRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function renderUserRow(user) {
+  const isSelf = user.id === currentAdminId;
+  return `
+    <tr class="border-t border-gray-700">
+      <td class="py-3 px-4">
+        <div class="flex items-center gap-3">
+          <img src="${escapeAdminHtml(user.avatar_path || '/images/default-avatar.jpg')}" class="w-8 h-8 rounded-full object-cover"
+            onerror="this.src='/images/default-avatar.jpg'" alt="">
+          <div class="min-w-0">
+            <div class="font-medium truncate">${escapeAdminHtml(user.username)}${isSelf ? ' <span class="text-xs text-gray-400">(you)</span>' : ''}</div>
+            <div class="text-xs text-gray-400 truncate">${escapeAdminHtml(user.email || '')}</div>
+          </div>
+        </div>
+      </td>
+      <td class="py-3 px-4">
+        <select onchange="updateUser('${user.id}', { role: this.value })" ${isSelf ? 'disabled' : ''}
+          class="bg-dark-900 text-white px-2 py-1 rounded text-xs focus:outline-none">
+          <option value="user" ${user.role === 'user' ? 'selected' : ''}>User</option>
+          <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+        </select>
+      </td>
+      <td class="py-3 px-4">
+        <span class="${user.disabled ? 'bg-gray-500/20 text-gray-400' : 'bg-green-500/20 text-green-400'} px-2 py-0.5 text-xs rounded">
+          ${user.disabled ? 'Disabled' : 'Active'}
+        </span>
+        ${user.two_factor_enabled ? '<span class="bg-blue-500/20 text-blue-400 px-2 py-0.5 text-xs rounded">2FA</span>' : ''}
+      </td>
+      <td class="py-3 px-4">${user.live_stream_count > 0 ? `<span class="text-red-400">${user.live_stream_count} live</span> / ` : ''}${user.stream_count}</td>
+      <td class="py-3 px-4">${formatStorage(user.storage_used)} <span class="text-xs text-gray-400">(${user.video_count} videos)</span></td>
+      <td class="py-3 px-4 text-gray-400">${formatAdminDate(user.last_login_at)}</td>
+      <td class="py-3 px-4">
+        <div class="flex flex-wrap justify-end gap-2 text-xs">
+          <button type="button" onclick="showUserDetail('${user.id}')" class="px-2 py-1 bg-dark-700 hover:bg-dark-600 rounded">Details</button>
+          <button type="button" onclick="resetUserPassword('${user.id}', '${escapeAdminHtml(user.username)}')" class="px-2 py-1 bg-dark-700 hover:bg-dark-600 rounded">Reset Password</button>
+          ${user.two_factor_enabled ? `<button type="button" onclick="resetUserTwoFactor('${user.id}', '${escapeAdminHtml(user.username)}')" class="px-2 py-1 bg-dark-700 hover:bg-dark-600 rounded">Reset 2FA</button>` : ''}
+          ${isSelf ? '' : `
+            <button type="button" onclick="updateUser('${user.id}', { disabled: ${!user.disabled} })" class="px-2 py-1 bg-dark-700 hover:bg-dark-600 rounded">
+              ${user.disabled ? 'Enable' : 'Disable'}
+            </button>
+            <button type="button" onclick="deleteUser('${user.id}', '${escapeAdminHtml(user.username)}')" class="px-2 py-1 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded">Delete</button>
+          `}
+        </div>
+      </td>
+    </tr>
+  `;
+}
+
+function renderInvites(invites) {
+  if (invites.length === 0) {
+    return '';
+  }
+  return `
+    <h4 class="text-sm font-medium text-gray-300">Pending invites</h4>
+    ${invites.map(invite => `
+      <div class="flex items-center justify-between bg-dark-900 rounded-lg px-3 py-2 text-xs">
+        <div>
+          <span class="text-gray-300">${escapeAdminHtml(invite.email || 'No email')}</span>
+          <span class="text-gray-500 ml-2">${escapeAdminHtml(invite.role)} · expires ${formatAdminDate(invite.expires_at)}</span>
+        </div>
+        <button type="button" onclick="revokeInvite('${invite.id}')" class="text-red-400 hover:underline">Revoke</button>
+      </div>
+    `).join('')}
+  `;
+}
+
+function loadUsers() {
+  return adminRequest('/api/admin/users').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load users');
+      return;
+    }
+    document.getElementById('user-list').innerHTML = data.users.map(renderUserRow).join('');
+    document.getElementById('invite-list').innerHTML = renderInvites(data.invites);
+  }).catch(error => {
+    console.error('Error loading users:', error);
+  });
+}
+
+function updateUser(userId, changes) {
+  if (changes.disabled && !confirm('Disable this account? Their live streams will be stopped.')) {
+    return;
+  }
+  adminRequest(`/api/admin/users/${userId}`, 'PUT', changes).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to update user');
+    } else {
+      showToast('success', 'User updated');
+    }
+    loadUsers();
+  });
+}
+
+function resetUserPassword(userId, username) {
+  const password = prompt(`New password for ${username}:`);
+  if (!password) {
+    return;
+  }
+  adminRequest(`/api/admin/users/${userId}/password`, 'POST', { password }).then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Password reset' : data.error);
+  });
+}
+
+function resetUserTwoFactor(userId, username) {
+  if (!confirm(`Turn off two-factor authentication for ${username}? They can sign in with their password alone until they set it up again.`)) {
+    return;
+  }
+  adminRequest(`/api/admin/users/${userId}/2fa`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to reset two-factor authentication');
+      return;
+    }
+    showToast('success', 'Two-factor authentication reset');
+    loadUsers();
+  });
+}
+
+function deleteUser(userId, username) {
+  if (!confirm(`Delete ${username}? Their streams, videos, playlists and history are removed permanently.`)) {
+    return;
+  }
+  adminRequest(`/api/admin/users/${userId}`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to delete user');
+      return;
+    }
+    showToast('success', 'User deleted');
+    loadUsers();
+  });
+}
+
+function renderQuotaInput(id, label, value, step = '1') {
+  return `
+    <div class="space-y-1">
+      <label for="${id}" class="block text-xs text-gray-400">${label}</label>
+      <input type="number" id="${id}" min="0" step="${step}" value="${value === null ? '' : value}" placeholder="Unlimited"
+        class="bg-dark-900 text-white px-3 py-1.5 rounded-lg block w-full text-sm focus:outline-none focus:ring-1 focus:ring-primary">
+    </div>
+  `;
+}
+
+// Empty fields remove the limit
+function renderQuotaForm(user) {
+  const quotas = user.quotas;
+  const storageGb = quotas.storage_mb === null ? null : Math.round((quotas.storage_mb / 1024) * 100) / 100;
+  return `
+    <form id="quota-form" class="mb-4" onsubmit="saveUserQuotas(event, '${user.id}')">
+      <h4 class="text-sm font-medium text-gray-300 mb-2">Limits</h4>
+      <div class="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3">
+        ${renderQuotaInput('quota-max-streams', 'Live streams', quotas.max_streams)}
+        ${renderQuotaInput('quota-storage-gb', 'Storage (GB)', storageGb, '0.1')}
+        ${renderQuotaInput('quota-max-bitrate', 'Bitrate (kbps)', quotas.max_bitrate)}
+        <div class="space-y-1">
+          <label for="quota-max-resolution" class="block text-xs text-gray-400">Resolution</label>
+          <select id="quota-max-resolution"
+            class="bg-dark-900 text-white px-3 py-1.5 rounded-lg block w-full text-sm focus:outline-none focus:ring-1 focus:ring-primary">
+            <option value="">Unlimited</option>
+            ${[480, 720, 1080, 1440, 2160].map(level => `
+              <option value="${level}" ${quotas.max_resolution === level ? 'selected' : ''}>${level}p</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+      <button type="submit" class="px-3 py-1.5 bg-primary hover:bg-blue-600 text-white rounded-lg text-xs">Save Limits</button>
+    </form>
+  `;
+}
+
+function saveUserQuotas(e, userId) {
+  e.preventDefault();
+  adminRequest(`/api/admin/users/${userId}`, 'PUT', {
+    quotaMaxStreams: document.getElementById('quota-max-streams').value,
+    quotaStorageGb: document.getElementById('quota-storage-gb').value,
+    quotaMaxBitrate: document.getElementById('quota-max-bitrate').value,
+    quotaMaxResolution: document.getElementById('quota-max-resolution').value
+  }).then(data => {
+    showToast(data.success ? 'success' : 'error', data.success ? 'Limits saved' : data.error);
+  });
+}
+
+function showUserDetail(userId) {
+  adminRequest(`/api/admin/users/${userId}`).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load user');
+      return;
+    }
+    document.getElementById('user-detail-title').textContent = data.user.username;
+    const streams = data.streams.length === 0
+      ? '<p class="text-sm text-gray-500">No streams.</p>'
+      : data.streams.map(stream => `
+        <div class="flex items-center justify-between bg-dark-900 rounded-lg px-3 py-2 text-sm">
+          <div class="min-w-0">
+            <div class="truncate">${escapeAdminHtml(stream.title)}</div>
+            <div class="text-xs text-gray-400 truncate">${escapeAdminHtml(stream.platform || 'Custom')} · ${escapeAdminHtml(stream.source || 'No source')}</div>
+          </div>
+          <span class="${STREAM_STATUS_CLASSES[stream.status] || STREAM_STATUS_CLASSES.offline} px-2 py-0.5 text-xs rounded">${escapeAdminHtml(stream.status)}</span>
+        </div>
+      `).join('');
+    document.getElementById('user-detail-body').innerHTML = `
+      <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
+        <div class="bg-dark-900 rounded-lg p-3">
+          <div class="text-xs text-gray-400">Storage used</div>
+          <div class="font-medium">${formatStorage(data.storage.used)}</div>
+        </div>
+        <div class="bg-dark-900 rounded-lg p-3">
+          <div class="text-xs text-gray-400">Videos</div>
+          <div class="font-medium">${data.storage.video_count}</div>
+        </div>
+      </div>
+      ${renderQuotaForm(data.user)}
+      <h4 class="text-sm font-medium text-gray-300 mb-2">Streams</h4>
+      <div class="space-y-2">${streams}</div>
+    `;
+    document.getElementById('user-detail-modal').classList.remove('hidden');
+  });
+}
+
+function closeUserDetail() {
+  document.getElementById('user-detail-modal').classList.add('hidden');
+}
+
+function createInvite(e) {
+  e.preventDefault();
+  adminRequest('/api/admin/invites', 'POST', {
+    email: document.getElementById('invite-email').value,
+    role: document.getElementById('invite-role').value
+  }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to create invite');
+      return;
+    }
+    document.getElementById('invite-form').reset();
+    document.getElementById('invite-link').value = data.url;
+    document.getElementById('invite-link-box').classList.remove('hidden');
+    loadUsers();
+  });
+}
+
+function copyInviteLink() {
+  const input = document.getElementById('invite-link');
+  input.select();
+  navigator.clipboard.writeText(input.value).then(() => showToast('success', 'Invite link copied'));
+}
+
+function revokeInvite(inviteId) {
+  if (!confirm('Revoke this invite?')) {
+    return;
+  }
+  adminRequest(`/api/admin/invites/${inviteId}`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to revoke invite');
+    }
+    loadUsers();
+  });
+}
+
+function createUser(e) {
+  e.preventDefault();
+  adminRequest('/api/admin/users', 'POST', {
+    username: document.getElementById('new-username').value,
+    email: document.getElementById('new-email').value,
+    password: document.getElementById('new-password').value,
+    role: document.getElementById('new-role').value
+  }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to create user');
+      return;
+    }
+    document.getElementById('create-user-form').reset();
+    showToast('success', `User ${data.user.username} created`);
+    loadUsers();
+  });
+}
+
+function initAdminUsers(adminId) {
+  currentAdminId = adminId;
+  document.getElementById('invite-form').addEventListener('submit', createInvite);
+  document.getElementById('create-user-form').addEventListener('submit', createUser);
+  loadUsers();
+}
@@ -0,0 +1,125 @@
+// Personal API token management for the settings page, backed by /api/tokens.
+// The token value is only returned once, when it is created.
+let apiTokenScopes = {};
+
+function escapeTokenHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function tokenRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function renderApiTokenOptions(expiryDays) {
+  document.getElementById('api-token-scopes').innerHTML = Object.entries(apiTokenScopes).map(([scope, label]) => `
+    <label class="flex items-start gap-2 text-sm text-gray-300">
+      <input type="checkbox" name="apiTokenScopes" value="${scope}" class="mt-0.5 rounded bg-dark-700 border-gray-600 text-primary">
+      <span><code class="text-gray-200">${escapeTokenHtml(scope)}</code> <span class="text-gray-400">${escapeTokenHtml(label)}</span></span>
+    </label>
+  `).join('');
+  document.getElementById('api-token-expiry').innerHTML = expiryDays
+    .map(days => `<option value="${days}">In ${days} days</option>`)
+    .concat('<option value="">Never</option>')
+    .join('');
+}
+
+function formatTokenDate(value) {
+  return value ? new Date(value).toLocaleString() : 'never';
+}
+
+function renderApiToken(apiToken) {
+  const expired = apiToken.expires_at && new Date(apiToken.expires_at) <= new Date();
+  return `
+    <div class="bg-dark-900 rounded-lg p-4">
+      <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div class="min-w-0">
+          <div class="flex items-center gap-2">
+            <h4 class="font-medium truncate">${escapeTokenHtml(apiToken.name)}</h4>
+            <code class="text-xs text-gray-400">${escapeTokenHtml(apiToken.token_prefix)}…</code>
+            ${expired ? '<span class="bg-gray-500/20 text-gray-400 px-2 py-0.5 text-xs rounded">Expired</span>' : ''}
+          </div>
+          <p class="text-xs text-gray-400">
+            Last used ${formatTokenDate(apiToken.last_used_at)} · expires ${formatTokenDate(apiToken.expires_at)}
+          </p>
+        </div>
+        <button type="button" onclick="revokeApiToken('${apiToken.id}')" class="px-3 py-1.5 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg text-sm">Revoke</button>
+      </div>
+      <div class="flex flex-wrap gap-1 mt-3">
+        ${apiToken.scopes.map(scope => `<span class="bg-dark-700 text-gray-300 px-2 py-0.5 text-xs rounded">${escapeTokenHtml(scope)}</span>`).join('')}
+      </div>
+    </div>
+  `;
+}
+
+function loadApiTokens() {
+  return tokenRequest('/api/tokens').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load API tokens');
+      return;
+    }
+    if (Object.keys(apiTokenScopes).length === 0) {
+      apiTokenScopes = data.scopes;
+      renderApiTokenOptions(data.expiryDays);
+    }
+    document.getElementById('api-token-list').innerHTML = data.tokens.length > 0
+      ? data.tokens.map(renderApiToken).join('')
+      : '<p class="text-sm text-gray-500">No API tokens yet.</p>';
+  }).catch(error => {
+    console.error('Error loading API tokens:', error);
+  });
+}
+
+function createApiToken(e) {
+  e.preventDefault();
+  const scopes = Array.from(document.querySelectorAll('input[name="apiTokenScopes"]:checked')).map(input => input.value);
+  tokenRequest('/api/tokens', 'POST', {
+    name: document.getElementById('api-token-name').value,
+    scopes,
+    expiresInDays: document.getElementById('api-token-expiry').value
+  }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to create API token');
+      return;
+    }
+    document.getElementById('api-token-form').reset();
+    document.getElementById('api-token-value').value = data.token;
+    document.getElementById('api-token-created').classList.remove('hidden');
+    loadApiTokens();
+  });
+}
+
+function copyApiToken() {
+  const input = document.getElementById('api-token-value');
+  input.select();
+  navigator.clipboard.writeText(input.value).then(() => showToast('success', 'Token copied'));
+}
+
+function revokeApiToken(tokenId) {
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) {
+    return;
+  }
+  tokenRequest(`/api/tokens/${tokenId}`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to revoke API token');
+      return;
+    }
+    document.getElementById('api-token-created').classList.add('hidden');
+    loadApiTokens();
+  });
+}
+
+function initApiTokenSettings() {
+  const form = document.getElementById('api-token-form');
+  if (!form) return;
+  form.addEventListener('submit', createApiToken);
+  loadApiTokens();
+}
@@ -0,0 +1,155 @@
+// Dry runs from the dashboard: the stream is played into a local receiver for
+// a few seconds, then the measurements and the recorded clip are shown.
+const DRY_RUN_POLL_INTERVAL = 2000;
+let dryRunStreamId = null;
+let dryRunPollTimer = null;
+
+function dryRunRequest(streamId, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(`/api/streams/${streamId}/dry-run`, options).then(response => response.json());
+}
+
+function formatDryRunValue(value, unit = '') {
+  return value === null || value === undefined ? '--' : `${value}${unit}`;
+}
+
+function renderDryRunReport(dryRun) {
+  const report = dryRun.report;
+  const video = report.video || {};
+  const audio = report.audio;
+  const rows = [
+    ['Duration', formatDryRunValue(report.duration, 's')],
+    ['Bitrate', formatDryRunValue(report.bitrate, ' kbps')],
+    ['Video', report.video ? `${video.codec} ${video.width}x${video.height}` : 'None'],
+    ['Frame rate', formatDryRunValue(video.fps, ' fps')],
+    ['Keyframe interval', video.keyframe_interval !== null && video.keyframe_interval !== undefined
+      ? `${video.keyframe_interval}s (max ${video.max_keyframe_interval}s)`
+      : `${formatDryRunValue(video.keyframes)} keyframe(s)`],
+    ['Audio', audio ? `${audio.codec} ${formatDryRunValue(audio.sample_rate, ' Hz')} ${audio.channels || ''}` : 'None']
+  ];
+  return `
+    <div class="flex items-center gap-2 mb-3">
+      <span class="${report.playable ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'} px-2 py-1 text-xs rounded">
+        ${report.playable ? 'Playable' : 'Not playable'}
+      </span>
+      <span class="text-xs text-gray-400">Finished ${new Date(dryRun.finished_at).toLocaleTimeString()}</span>
+    </div>
+    ${dryRun.error ? `<p class="text-sm text-red-400 mb-3 break-words">${dryRun.error}</p>` : ''}
+    <div class="grid grid-cols-2 gap-x-4 gap-y-1 text-sm mb-3">
+      ${rows.map(([label, value]) => `<div class="text-gray-400">${label}</div><div class="text-white tabular-nums">${value}</div>`).join('')}
+    </div>
+    ${report.warnings.length > 0 ? `
+    <ul class="text-xs text-yellow-400 space-y-1 mb-3">
+      ${report.warnings.map(warning => `<li><i class="ti ti-alert-triangle mr-1"></i>${warning}</li>`).join('')}
+    </ul>` : ''}
+  `;
+}
+
+function renderDryRun(dryRun) {
+  const status = document.getElementById('dryRunStatus');
+  const result = document.getElementById('dryRunResult');
+  const preview = document.getElementById('dryRunPreview');
+  const startButton = document.getElementById('dryRunStartButton');
+  const cancelButton = document.getElementById('dryRunCancelButton');
+  const running = Boolean(dryRun && dryRun.status === 'running');
+  startButton.disabled = running;
+  cancelButton.classList.toggle('hidden', !running);
+  result.innerHTML = '';
+  preview.classList.add('hidden');
+  preview.removeAttribute('src');
+  if (!dryRun) {
+    status.textContent = 'No dry run yet. The stream is played into a local receiver, nothing is sent to your destinations.';
+    return;
+  }
+  if (running) {
+    status.innerHTML = `<i class="ti ti-loader animate-spin mr-1"></i>Recording ${dryRun.seconds}s of output...`;
+    return;
+  }
+  if (dryRun.status === 'cancelled') {
+    status.textContent = 'The last dry run was cancelled.';
+    return;
+  }
+  if (!dryRun.report) {
+    status.textContent = `Dry run failed: ${dryRun.error || 'unknown error'}`;
+    return;
+  }
+  status.textContent = `Last dry run recorded ${dryRun.seconds}s of output.`;
+  result.innerHTML = renderDryRunReport(dryRun);
+  if (dryRun.has_preview) {
+    preview.src = `/api/streams/${dryRunStreamId}/dry-run/preview?t=${encodeURIComponent(dryRun.finished_at)}`;
+    preview.classList.remove('hidden');
+  }
+}
+
+function pollDryRun() {
+  clearTimeout(dryRunPollTimer);
+  if (!dryRunStreamId) return;
+  const streamId = dryRunStreamId;
+  dryRunRequest(streamId).then(data => {
+    if (streamId !== dryRunStreamId) return;
+    if (!data.success) {
+      document.getElementById('dryRunStatus').textContent = data.error || 'Failed to load dry run';
+      return;
+    }
+    renderDryRun(data.dryRun);
+    if (data.dryRun && data.dryRun.status === 'running') {
+      dryRunPollTimer = setTimeout(pollDryRun, DRY_RUN_POLL_INTERVAL);
+    }
+  }).catch(error => {
+    console.error('Error loading dry run:', error);
+  });
+}
+
+function startDryRun() {
+  const seconds = parseInt(document.getElementById('dryRunSeconds').value, 10);
+  dryRunRequest(dryRunStreamId, 'POST', { seconds }).then(data => {
+    if (!data.success) {
+      alert('Error: ' + (data.error || 'Failed to start dry run'));
+      return;
+    }
+    renderDryRun(data.dryRun);
+    dryRunPollTimer = setTimeout(pollDryRun, DRY_RUN_POLL_INTERVAL);
+  }).catch(error => {
+    console.error('Error starting dry run:', error);
+    alert('An error occurred while starting the dry run');
+  });
+}
+
+function cancelDryRun() {
+  dryRunRequest(dryRunStreamId, 'DELETE').then(data => {
+    if (!data.success) {
+      alert('Error: ' + (data.error || 'Failed to cancel dry run'));
+    }
+    pollDryRun();
+  });
+}
+
+function openDryRunModal(streamId, title) {
+  dryRunStreamId = streamId;
+  document.getElementById('dryRunStreamTitle').textContent = title || '';
+  const modal = document.getElementById('dryRunModal');
+  document.body.style.overflow = 'hidden';
+  modal.classList.remove('hidden');
+  requestAnimationFrame(() => {
+    modal.classList.add('active');
+  });
+  pollDryRun();
+}
+
+function closeDryRunModal() {
+  clearTimeout(dryRunPollTimer);
+  dryRunStreamId = null;
+  const modal = document.getElementById('dryRunModal');
+  const preview = document.getElementById('dryRunPreview');
+  preview.pause();
+  preview.removeAttribute('src');
+  document.body.style.overflow = 'auto';
+  modal.classList.remove('active');
+  setTimeout(() => {
+    modal.classList.add('hidden');
+  }, 200);
+}
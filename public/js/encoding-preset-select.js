@@ -0,0 +1,82 @@
+// Encoding preset select in the advanced settings of the stream forms. Lists
+// the recommended presets and the user's own, managed on the settings page.
+const ENCODING_PRESET_SELECT_IDS = ['encodingPresetSelect', 'editEncodingPresetSelect'];
+let encodingPresetsLoaded = null;
+
+function escapeEncodingPresetHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// `encoders` holds the video encoders the installed FFmpeg can run; presets
+// using another one are streamed with x264 instead
+function describeEncodingPreset(preset, encoders) {
+  const encoder = encoders[preset.video_encoder];
+  const gop = `keyframe ${preset.gop_seconds}s`;
+  return [
+    encoder ? encoder.label : `${preset.video_encoder} unavailable, uses x264`,
+    preset.preset,
+    preset.profile,
+    gop,
+    preset.rate_control.toUpperCase(),
+    `${preset.audio_codec === 'aac' ? 'AAC' : 'MP3'} ${preset.audio_bitrate}k`
+  ].filter(Boolean).join(', ');
+}
+
+function renderEncodingPresetOptions(data) {
+  const recommended = Object.entries(data.recommended).map(([key, preset]) =>
+    `<option value="${key}">${escapeEncodingPresetHtml(preset.name)} (${escapeEncodingPresetHtml(describeEncodingPreset(preset, data.encoders))})</option>`
+  ).join('');
+  const own = data.presets.map(preset =>
+    `<option value="${preset.id}">${escapeEncodingPresetHtml(preset.name)} (${escapeEncodingPresetHtml(describeEncodingPreset(preset, data.encoders))})</option>`
+  ).join('');
+  return `
+    <option value="">Automatic: recommended for the platform</option>
+    <optgroup label="Recommended">${recommended}</optgroup>
+    ${own ? `<optgroup label="My presets">${own}</optgroup>` : ''}
+  `;
+}
+
+function loadEncodingPresetSelects() {
+  encodingPresetsLoaded = fetch('/api/encoding-presets')
+    .then(response => response.json())
+    .then(data => {
+      if (!data.success) {
+        console.error('Error loading encoding presets:', data.error);
+        return;
+      }
+      ENCODING_PRESET_SELECT_IDS.forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+          const selected = select.value;
+          select.innerHTML = renderEncodingPresetOptions(data);
+          select.value = selected;
+        }
+      });
+    })
+    .catch(error => {
+      console.error('Error loading encoding presets:', error);
+    });
+  return encodingPresetsLoaded;
+}
+
+// The options may still be loading when the edit form is filled in
+function setEncodingPresetSelection(selectId, presetId) {
+  const apply = () => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    select.value = presetId || '';
+    if (select.value !== (presetId || '')) {
+      select.value = '';
+    }
+  };
+  apply();
+  if (encodingPresetsLoaded) {
+    encodingPresetsLoaded.then(apply);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', loadEncodingPresetSelects);
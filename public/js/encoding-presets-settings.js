@@ -0,0 +1,263 @@
+// Encoding preset management for the settings page. Presets, the built-in
+// recommendations, the available video encoders and the allowed values are
+// loaded from /api/encoding-presets.
+const ENCODING_PRESET_LABELS = {
+  preset: { '': 'Default' },
+  tune: { '': 'None' },
+  level: { auto: 'Auto' },
+  rate_control: { cbr: 'CBR (constant)', vbr: 'VBR (variable)' },
+  audio_codec: { aac: 'AAC', libmp3lame: 'MP3' },
+  audio_sample_rate: { 44100: '44.1 kHz', 48000: '48 kHz' },
+  audio_channels: { 1: 'Mono', 2: 'Stereo' }
+};
+// Fields whose values depend on the video encoder → list on the encoder
+const ENCODER_PRESET_FIELDS = {
+  preset: 'presets',
+  tune: 'tunes',
+  profile: 'profiles',
+  level: 'levels',
+  rate_control: 'rate_controls'
+};
+let encodingPresetData = null;
+let editingEncodingPresetId = null;
+
+function escapeEncodingPresetSettingsHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function encodingPresetRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function getEncodingPresetLabel(field, value) {
+  if (field === 'video_encoder') {
+    const encoder = encodingPresetData && encodingPresetData.encoders[value];
+    return encoder ? encoder.label : value;
+  }
+  const labels = ENCODING_PRESET_LABELS[field] || {};
+  return labels[value] !== undefined ? labels[value] : value;
+}
+
+function getEncodingPresetInputs() {
+  return document.querySelectorAll('#encoding-preset-form [data-preset-field]');
+}
+
+function renderEncodingPresetSelect(select, values) {
+  select.innerHTML = values.map(value =>
+    `<option value="${escapeEncodingPresetSettingsHtml(value)}">${escapeEncodingPresetSettingsHtml(getEncodingPresetLabel(select.dataset.presetField, value))}</option>`
+  ).join('');
+}
+
+// Fills the encoder dependent selects; a select with a single choice has
+// nothing to pick and is hidden
+function renderEncoderFieldOptions(encoderId) {
+  const encoder = encodingPresetData.encoders[encoderId];
+  getEncodingPresetInputs().forEach(input => {
+    const list = ENCODER_PRESET_FIELDS[input.dataset.presetField];
+    if (!list) return;
+    renderEncodingPresetSelect(input, encoder[list]);
+    input.closest('.space-y-2').classList.toggle('hidden', encoder[list].length < 2);
+  });
+}
+
+function renderEncodingPresetFormOptions() {
+  const { options, recommended } = encodingPresetData;
+  getEncodingPresetInputs().forEach(input => {
+    if (ENCODER_PRESET_FIELDS[input.dataset.presetField]) return;
+    const allowed = options[input.dataset.presetField];
+    if (input.tagName === 'SELECT') {
+      renderEncodingPresetSelect(input, allowed);
+    } else {
+      input.min = allowed.min;
+      input.max = allowed.max;
+    }
+  });
+  document.getElementById('encoding-preset-base').innerHTML = [
+    '<option value="">Default</option>',
+    ...Object.entries(recommended).map(([key, preset]) =>
+      `<option value="${key}">${escapeEncodingPresetSettingsHtml(preset.name)} (recommended)</option>`)
+  ].join('');
+}
+
+// A preset whose encoder is not available is shown with the default encoder
+// and its settings, which is also what streams using it fall back to
+function fillEncodingPresetForm(preset) {
+  const { encoders, defaultPreset } = encodingPresetData;
+  const values = encoders[preset.video_encoder]
+    ? preset
+    : { ...preset, video_encoder: defaultPreset.video_encoder, ...encoders[defaultPreset.video_encoder].defaults };
+  renderEncoderFieldOptions(values.video_encoder);
+  getEncodingPresetInputs().forEach(input => {
+    input.value = values[input.dataset.presetField] === null ? '' : values[input.dataset.presetField];
+  });
+}
+
+// Switching encoders starts from the new encoder's defaults
+function changeEncodingPresetEncoder(encoderId) {
+  const encoder = encodingPresetData.encoders[encoderId];
+  const rateControl = document.getElementById('encoding-preset-rate-control').value;
+  renderEncoderFieldOptions(encoderId);
+  getEncodingPresetInputs().forEach(input => {
+    const field = input.dataset.presetField;
+    if (encoder.defaults[field] !== undefined) input.value = encoder.defaults[field];
+  });
+  document.getElementById('encoding-preset-rate-control').value =
+    encoder.rate_controls.includes(rateControl) ? rateControl : encoder.rate_controls[0];
+}
+
+function readEncodingPresetForm() {
+  const values = { name: document.getElementById('encoding-preset-name').value };
+  getEncodingPresetInputs().forEach(input => {
+    values[input.dataset.presetField] = input.value;
+  });
+  return values;
+}
+
+function describeEncodingPresetSettings(preset) {
+  return [
+    getEncodingPresetLabel('video_encoder', preset.video_encoder),
+    preset.preset ? preset.preset : null,
+    preset.tune ? preset.tune : null,
+    `${preset.profile} profile`,
+    preset.level === 'auto' ? 'auto level' : `level ${preset.level}`,
+    `keyframe every ${preset.gop_seconds}s`,
+    preset.rate_control.toUpperCase(),
+    `${getEncodingPresetLabel('audio_codec', preset.audio_codec)} ${preset.audio_bitrate} kbps`,
+    getEncodingPresetLabel('audio_sample_rate', preset.audio_sample_rate),
+    getEncodingPresetLabel('audio_channels', preset.audio_channels)
+  ].filter(Boolean).join(' · ');
+}
+
+function renderEncodingPreset(preset, key = null) {
+  const actions = key
+    ? `<button type="button" onclick="copyEncodingPreset('${key}')" class="px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg">Copy</button>`
+    : `<button type="button" onclick="editEncodingPreset('${preset.id}')" class="px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg">Edit</button>
+       <button type="button" onclick="deleteEncodingPreset('${preset.id}')" class="px-3 py-1.5 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg">Delete</button>`;
+  return `
+    <div class="bg-dark-900 rounded-lg p-4">
+      <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div class="min-w-0">
+          <div class="flex items-center gap-2">
+            <h4 class="font-medium truncate">${escapeEncodingPresetSettingsHtml(preset.name)}</h4>
+            ${key ? '<span class="bg-primary/20 text-primary px-2 py-0.5 text-xs rounded">Recommended</span>' : ''}
+            ${encodingPresetData.encoders[preset.video_encoder] ? '' : '<span class="bg-yellow-500/20 text-yellow-400 px-2 py-0.5 text-xs rounded">Encoder unavailable, streams use x264</span>'}
+          </div>
+          <p class="text-xs text-gray-400">${escapeEncodingPresetSettingsHtml(describeEncodingPresetSettings(preset))}</p>
+        </div>
+        <div class="flex flex-wrap gap-2 text-sm">${actions}</div>
+      </div>
+    </div>
+  `;
+}
+
+function renderEncodingPresetList() {
+  const { presets, recommended } = encodingPresetData;
+  document.getElementById('encoding-preset-list').innerHTML = `
+    <h4 class="text-sm font-medium text-gray-300">My presets</h4>
+    ${presets.length > 0
+      ? presets.map(preset => renderEncodingPreset(preset)).join('')
+      : '<p class="text-sm text-gray-500">No presets yet. Streams use the recommended preset of their platform.</p>'}
+    <h4 class="text-sm font-medium text-gray-300 pt-4">Recommended</h4>
+    ${Object.entries(recommended).map(([key, preset]) => renderEncodingPreset(preset, key)).join('')}
+  `;
+}
+
+function loadEncodingPresets() {
+  return encodingPresetRequest('/api/encoding-presets').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load encoding presets');
+      return;
+    }
+    const firstLoad = encodingPresetData === null;
+    encodingPresetData = data;
+    if (firstLoad) {
+      renderEncodingPresetFormOptions();
+      fillEncodingPresetForm(data.defaultPreset);
+    }
+    renderEncodingPresetList();
+  }).catch(error => {
+    console.error('Error loading encoding presets:', error);
+  });
+}
+
+function resetEncodingPresetForm() {
+  editingEncodingPresetId = null;
+  document.getElementById('encoding-preset-form').reset();
+  fillEncodingPresetForm(encodingPresetData.defaultPreset);
+  document.getElementById('encoding-preset-submit').textContent = 'Add Preset';
+  document.getElementById('encoding-preset-cancel').classList.add('hidden');
+}
+
+function copyEncodingPreset(key) {
+  resetEncodingPresetForm();
+  const preset = encodingPresetData.recommended[key];
+  document.getElementById('encoding-preset-base').value = key;
+  document.getElementById('encoding-preset-name').value = `${preset.name} (copy)`;
+  fillEncodingPresetForm(preset);
+  document.getElementById('encoding-preset-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function editEncodingPreset(presetId) {
+  const preset = encodingPresetData.presets.find(item => item.id === presetId);
+  if (!preset) return;
+  editingEncodingPresetId = presetId;
+  document.getElementById('encoding-preset-name').value = preset.name;
+  fillEncodingPresetForm(preset);
+  document.getElementById('encoding-preset-submit').textContent = 'Save Preset';
+  document.getElementById('encoding-preset-cancel').classList.remove('hidden');
+  document.getElementById('encoding-preset-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function saveEncodingPreset(e) {
+  e.preventDefault();
+  const request = editingEncodingPresetId
+    ? encodingPresetRequest(`/api/encoding-presets/${editingEncodingPresetId}`, 'PUT', readEncodingPresetForm())
+    : encodingPresetRequest('/api/encoding-presets', 'POST', readEncodingPresetForm());
+  request.then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to save encoding preset');
+      return;
+    }
+    showToast('success', editingEncodingPresetId ? 'Preset saved' : 'Preset added');
+    resetEncodingPresetForm();
+    loadEncodingPresets();
+  });
+}
+
+function deleteEncodingPreset(presetId) {
+  if (!confirm('Delete this preset? Streams using it go back to the recommended preset of their platform.')) {
+    return;
+  }
+  encodingPresetRequest(`/api/encoding-presets/${presetId}`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to delete encoding preset');
+      return;
+    }
+    if (editingEncodingPresetId === presetId) {
+      resetEncodingPresetForm();
+    }
+    loadEncodingPresets();
+  });
+}
+
+function initEncodingPresetSettings() {
+  const form = document.getElementById('encoding-preset-form');
+  if (!form) return;
+  form.addEventListener('submit', saveEncodingPreset);
+  document.getElementById('encoding-preset-video-encoder').addEventListener('change', (e) => {
+    changeEncodingPresetEncoder(e.target.value);
+  });
+  document.getElementById('encoding-preset-base').addEventListener('change', (e) => {
+    fillEncodingPresetForm(e.target.value ? encodingPresetData.recommended[e.target.value] : encodingPresetData.defaultPreset);
+  });
+  loadEncodingPresets();
+}
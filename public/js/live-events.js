@@ -0,0 +1,66 @@
+// Shared connection to the /api/events stream. Pages register handlers with
+// onLiveEvent(type, handler) and call connectLiveEvents() once.
+const liveEventHandlers = {};
+let liveEventSource = null;
+let serverClock = null;
+
+function onLiveEvent(type, handler) {
+  if (!liveEventHandlers[type]) {
+    liveEventHandlers[type] = [];
+    if (liveEventSource) {
+      listenForLiveEvent(type);
+    }
+  }
+  liveEventHandlers[type].push(handler);
+}
+
+function listenForLiveEvent(type) {
+  liveEventSource.addEventListener(type, (event) => {
+    let data;
+    try {
+      data = JSON.parse(event.data);
+    } catch (error) {
+      console.error(`Invalid ${type} event:`, error);
+      return;
+    }
+    liveEventHandlers[type].forEach(handler => handler(data));
+  });
+}
+
+function updateServerClock(data) {
+  if (data.serverTime) {
+    serverClock = {
+      skew: new Date(data.serverTime).getTime() - Date.now(),
+      utcOffsetMinutes: data.utcOffsetMinutes || 0
+    };
+  }
+}
+
+// Server wall clock as "DD Mon YYYY HH:MM:SS", ticking locally between events
+function formatServerClock() {
+  if (!serverClock) {
+    return null;
+  }
+  const now = new Date(Date.now() + serverClock.skew + serverClock.utcOffsetMinutes * 60000);
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(now.getUTCDate())} ${monthNames[now.getUTCMonth()]} ${now.getUTCFullYear()} ` +
+    `${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}:${pad(now.getUTCSeconds())}`;
+}
+
+function connectLiveEvents() {
+  if (liveEventSource || typeof EventSource === 'undefined') {
+    return liveEventSource;
+  }
+  onLiveEvent('hello', updateServerClock);
+  onLiveEvent('systemStats', updateServerClock);
+  liveEventSource = new EventSource('/api/events');
+  Object.keys(liveEventHandlers).forEach(listenForLiveEvent);
+  liveEventSource.addEventListener('error', () => {
+    // EventSource reconnects by itself; a closed source means the session ended
+    if (liveEventSource.readyState === EventSource.CLOSED) {
+      console.error('Live event stream closed');
+    }
+  });
+  return liveEventSource;
+}
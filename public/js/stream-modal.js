@@ -9,6 +9,7 @@
  */
 
 let selectedVideoData = null;
+let currentSourceTab = 'videos';
 let currentOrientation = 'horizontal';
 let isDropdownOpen = false;
 const videoSelectorDropdown = document.getElementById('videoSelectorDropdown');
@@ -31,7 +32,7 @@ function openNewStreamModal() {
   requestAnimationFrame(() => {
     modal.classList.add('active');
   });
-  loadGalleryVideos();
+  setSourceTab('videos');
 }
 function closeNewStreamModal() {
   const modal = document.getElementById('newStreamModal');
@@ -79,9 +80,24 @@ function toggleVideoSelector() {
     }
   }
 }
+function renderPlaylistPreview(container, playlist) {
+  container.innerHTML = `
+    <div class="relative w-full h-full aspect-video bg-dark-900">
+      <img src="${playlist.thumbnail || '/images/default-thumbnail.jpg'}" alt=""
+        class="w-full h-full object-cover opacity-60"
+        onerror="this.src='/images/default-thumbnail.jpg'">
+      <div class="absolute inset-0 flex flex-col items-center justify-center text-center p-4">
+        <i class="ti ti-playlist text-4xl text-white mb-2"></i>
+        <p class="text-sm font-medium text-white">${playlist.name}</p>
+        <p class="text-xs text-gray-300 mt-1">${playlist.itemCount || 0} videos${playlist.duration ? ` • ${playlist.duration}` : ''}</p>
+      </div>
+    </div>
+  `;
+}
 function selectVideo(video) {
   selectedVideoData = video;
-  document.getElementById('selectedVideo').textContent = video.name;
+  const isPlaylist = video.type === 'playlist';
+  document.getElementById('selectedVideo').textContent = isPlaylist ? `Playlist: ${video.name}` : video.name;
   const videoSelector = document.querySelector('[onclick="toggleVideoSelector()"]');
   videoSelector.classList.remove('border-red-500');
   videoSelector.classList.add('border-gray-600');
@@ -105,6 +121,16 @@ function selectVideo(video) {
   }
   const desktopVideoContainer = document.getElementById('videoPreview');
   const mobileVideoContainer = document.getElementById('videoPreviewMobile');
+  const hiddenVideoInput = document.getElementById('selectedVideoId');
+  const hiddenPlaylistInput = document.getElementById('selectedPlaylistId');
+  if (isPlaylist) {
+    renderPlaylistPreview(desktopVideoContainer, video);
+    renderPlaylistPreview(mobileVideoContainer, video);
+    document.getElementById('videoSelectorDropdown').classList.add('hidden');
+    if (hiddenVideoInput) hiddenVideoInput.value = '';
+    if (hiddenPlaylistInput) hiddenPlaylistInput.value = video.id;
+    return;
+  }
   desktopVideoContainer.innerHTML = `
     <video id="videojs-preview-desktop" class="video-js vjs-default-skin vjs-big-play-centered" controls preload="auto">
       <source src="${video.url}" type="video/mp4">
@@ -130,10 +156,89 @@ function selectVideo(video) {
     });
   }, 10);
   document.getElementById('videoSelectorDropdown').classList.add('hidden');
-  const hiddenVideoInput = document.getElementById('selectedVideoId');
   if (hiddenVideoInput) {
     hiddenVideoInput.value = video.id;
   }
+  if (hiddenPlaylistInput) {
+    hiddenPlaylistInput.value = '';
+  }
+}
+function setSourceTab(tab) {
+  currentSourceTab = tab;
+  document.querySelectorAll('#videoSelectorDropdown [data-source-tab]').forEach(button => {
+    if (button.dataset.sourceTab === tab) {
+      button.classList.add('bg-primary', 'text-white');
+      button.classList.remove('text-gray-400');
+    } else {
+      button.classList.remove('bg-primary', 'text-white');
+      button.classList.add('text-gray-400');
+    }
+  });
+  const searchInput = document.getElementById('videoSearchInput');
+  if (searchInput) {
+    searchInput.value = '';
+    searchInput.placeholder = tab === 'playlists' ? 'Search playlists...' : 'Search videos...';
+  }
+  if (tab === 'playlists') {
+    loadGalleryPlaylists();
+  } else {
+    loadGalleryVideos();
+  }
+}
+async function loadGalleryPlaylists() {
+  const container = document.getElementById('videoListContainer');
+  if (!container) {
+    return;
+  }
+  container.innerHTML = '<div class="text-center py-3"><i class="ti ti-loader animate-spin mr-2"></i>Loading playlists...</div>';
+  try {
+    const response = await fetch('/api/stream/playlists');
+    const playlists = await response.json();
+    window.allStreamPlaylists = playlists;
+    displayFilteredPlaylists(playlists);
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    container.innerHTML = `
+      <div class="text-center py-5 text-red-400">
+        <i class="ti ti-alert-circle text-2xl mb-2"></i>
+        <p>Failed to load playlists</p>
+        <p class="text-xs text-gray-500 mt-1">Please try again</p>
+      </div>
+    `;
+  }
+}
+function displayFilteredPlaylists(playlists, onSelect = selectVideo, containerId = 'videoListContainer') {
+  const container = document.getElementById(containerId);
+  container.innerHTML = '';
+  if (playlists && playlists.length > 0) {
+    playlists.forEach(playlist => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'w-full flex items-center space-x-3 p-2 rounded hover:bg-dark-600 transition-colors';
+      button.onclick = () => onSelect(playlist);
+      button.innerHTML = `
+        <div class="w-16 h-12 bg-dark-800 rounded flex-shrink-0 overflow-hidden relative">
+          <img src="${playlist.thumbnail || '/images/default-thumbnail.jpg'}" alt="" 
+            class="w-full h-full object-cover rounded" 
+            onerror="this.src='/images/default-thumbnail.jpg'">
+          <i class="ti ti-playlist absolute bottom-0.5 right-1 text-white text-xs"></i>
+        </div>
+        <div class="flex-1 min-w-0 ml-3">
+          <p class="text-sm font-medium text-white truncate">${playlist.name}</p>
+          <p class="text-xs text-gray-400">${playlist.itemCount} videos • ${playlist.duration}${playlist.shuffle ? ' • Shuffle' : ''}</p>
+        </div>
+      `;
+      container.appendChild(button);
+    });
+  } else {
+    container.innerHTML = `
+      <div class="text-center py-5 text-gray-400">
+        <i class="ti ti-playlist text-2xl mb-2"></i>
+        <p>No playlists found</p>
+        <p class="text-xs text-gray-500 mt-1">Create playlists from the Gallery page</p>
+      </div>
+    `;
+  }
 }
 async function loadGalleryVideos() {
   try {
@@ -172,6 +277,13 @@ async function loadGalleryVideos() {
 function handleVideoSearch(e) {
   const searchTerm = e.target.value.toLowerCase().trim();
   console.log("Searching for:", searchTerm);
+  if (currentSourceTab === 'playlists') {
+    const playlists = window.allStreamPlaylists || [];
+    displayFilteredPlaylists(searchTerm === '' ? playlists : playlists.filter(playlist =>
+      playlist.name.toLowerCase().includes(searchTerm)
+    ));
+    return;
+  }
   if (!window.allStreamVideos) {
     console.error("No videos available for search");
     return;
@@ -221,8 +333,14 @@ function displayFilteredVideos(videos) {
 function resetModalForm() {
   const form = document.getElementById('newStreamForm');
   form.reset();
+  updateRecurrenceFields('');
+  updateRetryFields('');
   selectedVideoData = null;
-  document.getElementById('selectedVideo').textContent = 'Choose a video...';
+  document.getElementById('selectedVideo').textContent = 'Choose a video or playlist...';
+  const hiddenPlaylistInput = document.getElementById('selectedPlaylistId');
+  if (hiddenPlaylistInput) {
+    hiddenPlaylistInput.value = '';
+  }
   const desktopPreview = document.getElementById('videoPreview');
   const desktopEmptyPreview = document.getElementById('emptyPreview');
   const mobilePreview = document.getElementById('videoPreviewMobile');
@@ -231,12 +349,123 @@ function resetModalForm() {
   mobilePreview.classList.add('hidden');
   desktopEmptyPreview.classList.remove('hidden');
   mobileEmptyPreview.classList.remove('hidden');
-  desktopPreview.querySelector('video source').src = '';
-  mobilePreview.querySelector('video source').src = '';
+  const desktopSource = desktopPreview.querySelector('video source');
+  const mobileSource = mobilePreview.querySelector('video source');
+  if (desktopSource) desktopSource.src = '';
+  if (mobileSource) mobileSource.src = '';
   if (isDropdownOpen) {
     toggleVideoSelector();
   }
 }
+function modalFieldId(prefix, name) {
+  return prefix ? `${prefix}${name.charAt(0).toUpperCase()}${name.slice(1)}` : name;
+}
+function updateRecurrenceFields(prefix) {
+  const type = document.getElementById(modalFieldId(prefix, 'recurrenceType')).value;
+  const toggle = (name, visible) => {
+    document.getElementById(modalFieldId(prefix, name)).classList.toggle('hidden', !visible);
+  };
+  toggle('recurrenceTimeField', ['daily', 'weekdays', 'weekly'].includes(type));
+  toggle('recurrenceCronField', type === 'cron');
+  toggle('recurrenceTimezoneField', type !== 'none');
+  toggle('recurrenceDaysField', type === 'weekly');
+  toggle('recurrenceHint', type !== 'none');
+  const timezoneInput = document.getElementById(modalFieldId(prefix, 'recurrenceTimezone'));
+  if (type !== 'none' && !timezoneInput.value) {
+    timezoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+}
+function getRecurrenceFormData(prefix) {
+  const type = document.getElementById(modalFieldId(prefix, 'recurrenceType')).value;
+  if (type === 'none') {
+    return { recurrenceType: 'none' };
+  }
+  const days = Array.from(document.querySelectorAll(`input[name="${modalFieldId(prefix, 'recurrenceDays')}"]:checked`))
+    .map(input => input.value);
+  return {
+    recurrenceType: type,
+    recurrenceTime: document.getElementById(modalFieldId(prefix, 'recurrenceTime')).value,
+    recurrenceDays: days,
+    recurrenceCron: document.getElementById(modalFieldId(prefix, 'recurrenceCron')).value,
+    recurrenceTimezone: document.getElementById(modalFieldId(prefix, 'recurrenceTimezone')).value
+  };
+}
+function setRecurrenceFormData(prefix, stream) {
+  document.getElementById(modalFieldId(prefix, 'recurrenceType')).value = stream.recurrence_type || 'none';
+  document.getElementById(modalFieldId(prefix, 'recurrenceTime')).value = stream.recurrence_time || '';
+  document.getElementById(modalFieldId(prefix, 'recurrenceCron')).value = stream.recurrence_cron || '';
+  document.getElementById(modalFieldId(prefix, 'recurrenceTimezone')).value = stream.recurrence_timezone || '';
+  const days = (stream.recurrence_days || '').split(',');
+  document.querySelectorAll(`input[name="${modalFieldId(prefix, 'recurrenceDays')}"]`).forEach(input => {
+    input.checked = days.includes(input.value);
+  });
+  updateRecurrenceFields(prefix);
+}
+function describeRecurrence(stream) {
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const timezone = stream.recurrence_timezone ? ` (${stream.recurrence_timezone})` : '';
+  switch (stream.recurrence_type) {
+    case 'daily':
+      return `Daily at ${stream.recurrence_time}${timezone}`;
+    case 'weekdays':
+      return `Weekdays at ${stream.recurrence_time}${timezone}`;
+    case 'weekly':
+      return `${(stream.recurrence_days || '').split(',').map(day => dayNames[day]).join(', ')} at ${stream.recurrence_time}${timezone}`;
+    case 'cron':
+      return `Cron ${stream.recurrence_cron}${timezone}`;
+    default:
+      return '';
+  }
+}
+// Health thresholds are sent as entered; an empty field resets the stream to the default
+const RECOVERY_FIELDS = {
+  healthStallTimeout: 'health_stall_timeout',
+  healthMinSpeed: 'health_min_speed',
+  healthMinBitrate: 'health_min_bitrate',
+  retryMaxAttempts: 'retry_max_attempts',
+  retryBackoffBase: 'retry_backoff_base',
+  retryBackoffMax: 'retry_backoff_max',
+  retryResetAfter: 'retry_reset_after'
+};
+function getRecoveryFormData(prefix) {
+  const data = {};
+  Object.keys(RECOVERY_FIELDS).forEach(field => {
+    const input = document.getElementById(modalFieldId(prefix, field));
+    if (input) {
+      data[field] = input.value;
+    }
+  });
+  const unlimited = document.getElementById(modalFieldId(prefix, 'retryUnlimited'));
+  if (unlimited && unlimited.checked) {
+    data.retryMaxAttempts = 'unlimited';
+  }
+  return data;
+}
+function setRecoveryFormData(prefix, stream) {
+  Object.entries(RECOVERY_FIELDS).forEach(([field, column]) => {
+    const input = document.getElementById(modalFieldId(prefix, field));
+    if (input) {
+      input.value = stream[column] === null || stream[column] === undefined ? '' : stream[column];
+    }
+  });
+  // retry_max_attempts = 0 stores an unlimited policy
+  const unlimited = document.getElementById(modalFieldId(prefix, 'retryUnlimited'));
+  if (unlimited) {
+    unlimited.checked = stream.retry_max_attempts === 0;
+    if (unlimited.checked) {
+      document.getElementById(modalFieldId(prefix, 'retryMaxAttempts')).value = '';
+    }
+    updateRetryFields(prefix);
+  }
+}
+function updateRetryFields(prefix) {
+  const unlimited = document.getElementById(modalFieldId(prefix, 'retryUnlimited'));
+  const maxAttempts = document.getElementById(modalFieldId(prefix, 'retryMaxAttempts'));
+  if (unlimited && maxAttempts) {
+    maxAttempts.disabled = unlimited.checked;
+    maxAttempts.classList.toggle('opacity-50', unlimited.checked);
+  }
+}
 function initModal() {
   const modal = document.getElementById('newStreamModal');
   if (!modal) return;
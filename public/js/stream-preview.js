@@ -0,0 +1,60 @@
+// Live preview on the dashboard stream cards. Every <video> with the
+// stream-live-preview class becomes a video.js player for the stream's
+// low-bitrate HLS preview from /api/streams/:id/preview/index.m3u8.
+const STREAM_PREVIEW_RETRY_DELAY = 3000;
+// The first segments appear a few seconds after the stream starts
+const STREAM_PREVIEW_MAX_RETRIES = 10;
+let streamPreviewPlayers = [];
+
+function getStreamPreviewSource(streamId) {
+  return { src: `/api/streams/${streamId}/preview/index.m3u8`, type: 'application/x-mpegURL' };
+}
+
+function createStreamPreviewPlayer(video) {
+  const streamId = video.dataset.streamId;
+  const player = videojs(video, {
+    controls: true,
+    autoplay: false,
+    muted: true,
+    preload: 'none',
+    liveui: true,
+    sources: [getStreamPreviewSource(streamId)]
+  });
+  let retries = 0;
+  player.on('playing', () => {
+    retries = 0;
+  });
+  player.on('error', () => {
+    if (retries >= STREAM_PREVIEW_MAX_RETRIES) {
+      return;
+    }
+    retries++;
+    setTimeout(() => {
+      if (player.isDisposed()) return;
+      player.error(null);
+      player.src(getStreamPreviewSource(streamId));
+      player.play();
+    }, STREAM_PREVIEW_RETRY_DELAY);
+  });
+  return player;
+}
+
+// Called after the stream list is rendered; players of cards that were
+// replaced are disposed
+function initStreamPreviews() {
+  if (typeof videojs !== 'function') return;
+  streamPreviewPlayers = streamPreviewPlayers.filter(player => {
+    if (document.body.contains(player.el())) {
+      return true;
+    }
+    player.dispose();
+    return false;
+  });
+  document.querySelectorAll('video.stream-live-preview[data-stream-id]:not(.vjs-tech)').forEach(video => {
+    try {
+      streamPreviewPlayers.push(createStreamPreviewPlayer(video));
+    } catch (error) {
+      console.warn('Error initializing live preview player:', error);
+    }
+  });
+}
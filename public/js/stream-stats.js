@@ -0,0 +1,77 @@
+// Live encoder statistics for the dashboard stream cards. Every element with
+// the stream-stats class is filled with small charts from /api/streams/:id/stats.
+const STREAM_STATS_REFRESH_INTERVAL = 5000;
+const STREAM_STATS_METRICS = [
+  { key: 'fps', label: 'FPS', color: '#60a5fa', format: value => value.toFixed(1) },
+  { key: 'bitrate', label: 'Bitrate', color: '#34d399', format: value => `${Math.round(value)} kbps` },
+  { key: 'speed', label: 'Speed', color: '#fbbf24', format: value => `${value.toFixed(2)}x` },
+  { key: 'droppedFrames', label: 'Dropped', color: '#f87171', total: 'droppedFrames', format: value => `${Math.round(value)}` },
+  { key: 'duplicatedFrames', label: 'Duplicated', color: '#a78bfa', total: 'duplicatedFrames', format: value => `${Math.round(value)}` }
+];
+let streamStatsTimer = null;
+
+function buildSparkline(values, color, width = 120, height = 28) {
+  const points = values.filter(value => value !== null && value !== undefined);
+  if (points.length < 2) {
+    return `<svg width="${width}" height="${height}" class="block"></svg>`;
+  }
+  const max = Math.max(...points);
+  const min = Math.min(0, ...points);
+  const range = max - min || 1;
+  const step = width / (points.length - 1);
+  const coordinates = points.map((value, index) => {
+    const x = (index * step).toFixed(1);
+    const y = (height - 2 - ((value - min) / range) * (height - 4)).toFixed(1);
+    return `${x},${y}`;
+  }).join(' ');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="block w-full">
+    <polyline fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round" points="${coordinates}"></polyline>
+  </svg>`;
+}
+
+function renderStreamStats(container, stats) {
+  if (!stats || stats.samples.length === 0) {
+    container.innerHTML = '<div class="text-xs text-gray-500">Waiting for encoder statistics...</div>';
+    return;
+  }
+  const compact = container.dataset.variant === 'compact';
+  const metrics = compact ? STREAM_STATS_METRICS.slice(0, 3) : STREAM_STATS_METRICS;
+  container.innerHTML = `
+    <div class="grid ${compact ? 'grid-cols-3 gap-2' : 'grid-cols-2 gap-3'}">
+      ${metrics.map(metric => {
+        const latest = stats.latest ? stats.latest[metric.key] : null;
+        const value = metric.total ? stats[metric.total] : latest;
+        return `
+        <div class="min-w-0">
+          <div class="flex items-center justify-between text-[11px] text-gray-400">
+            <span>${metric.label}</span>
+            <span class="text-white tabular-nums">${value !== null && value !== undefined ? metric.format(value) : '--'}</span>
+          </div>
+          ${buildSparkline(stats.samples.map(sample => sample[metric.key]), metric.color, compact ? 80 : 120)}
+        </div>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+function refreshStreamStats() {
+  document.querySelectorAll('.stream-stats[data-stream-id]').forEach(container => {
+    fetch(`/api/streams/${container.dataset.streamId}/stats`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          renderStreamStats(container, data.stats);
+        }
+      })
+      .catch(error => {
+        console.error('Error fetching stream stats:', error);
+      });
+  });
+}
+
+function startStreamStatsRefresh() {
+  refreshStreamStats();
+  if (!streamStatsTimer) {
+    streamStatsTimer = setInterval(refreshStreamStats, STREAM_STATS_REFRESH_INTERVAL);
+  }
+}
@@ -0,0 +1,120 @@
+// Two-factor authentication on the security tab, backed by /api/2fa.
+// Recovery codes are only returned when they are generated.
+function twoFactorRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function renderTwoFactorStatus(twoFactor) {
+  const status = document.getElementById('two-factor-status');
+  status.textContent = twoFactor.enabled ? 'On' : 'Off';
+  status.className = `${twoFactor.enabled ? 'bg-green-500/20 text-green-400' : 'bg-yellow-500/20 text-yellow-400'} px-2 py-1 text-xs rounded whitespace-nowrap`;
+  document.getElementById('two-factor-off').classList.toggle('hidden', twoFactor.enabled);
+  document.getElementById('two-factor-on').classList.toggle('hidden', !twoFactor.enabled);
+  document.getElementById('two-factor-enroll').classList.add('hidden');
+  if (twoFactor.enabled) {
+    document.getElementById('two-factor-summary').textContent =
+      `Enabled on ${new Date(twoFactor.enabled_at).toLocaleString()}. ${twoFactor.recovery_codes_remaining} unused recovery code(s) left.`;
+  }
+}
+
+function loadTwoFactorStatus() {
+  return twoFactorRequest('/api/2fa').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load two-factor status');
+      return;
+    }
+    renderTwoFactorStatus(data.twoFactor);
+  }).catch(error => {
+    console.error('Error loading two-factor status:', error);
+  });
+}
+
+function showRecoveryCodes(codes) {
+  document.getElementById('two-factor-recovery-codes').innerHTML = codes
+    .map(code => `<span>${code}</span>`)
+    .join('');
+  document.getElementById('two-factor-recovery').classList.remove('hidden');
+}
+
+function copyRecoveryCodes() {
+  const codes = Array.from(document.querySelectorAll('#two-factor-recovery-codes span')).map(item => item.textContent);
+  navigator.clipboard.writeText(codes.join('\n')).then(() => showToast('success', 'Recovery codes copied'));
+}
+
+function startTwoFactorSetup() {
+  twoFactorRequest('/api/2fa/setup', 'POST').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to start two-factor setup');
+      return;
+    }
+    document.getElementById('two-factor-qr').src = data.qr_code;
+    document.getElementById('two-factor-secret').textContent = data.secret.replace(/(.{4})/g, '$1 ').trim();
+    document.getElementById('two-factor-off').classList.add('hidden');
+    document.getElementById('two-factor-enroll').classList.remove('hidden');
+    document.getElementById('two-factor-enroll-code').focus();
+  });
+}
+
+function enableTwoFactor(e) {
+  e.preventDefault();
+  const input = document.getElementById('two-factor-enroll-code');
+  twoFactorRequest('/api/2fa/enable', 'POST', { code: input.value }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to enable two-factor authentication');
+      return;
+    }
+    input.value = '';
+    showRecoveryCodes(data.recoveryCodes);
+    showToast('success', 'Two-factor authentication enabled');
+    loadTwoFactorStatus();
+  });
+}
+
+function regenerateRecoveryCodes(e) {
+  e.preventDefault();
+  const input = document.getElementById('two-factor-regenerate-code');
+  twoFactorRequest('/api/2fa/recovery-codes', 'POST', { code: input.value }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to regenerate recovery codes');
+      return;
+    }
+    input.value = '';
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactorStatus();
+  });
+}
+
+function disableTwoFactor(e) {
+  e.preventDefault();
+  if (!confirm('Turn off two-factor authentication? Your password alone will be enough to log in.')) {
+    return;
+  }
+  twoFactorRequest('/api/2fa/disable', 'POST', {
+    password: document.getElementById('two-factor-disable-password').value,
+    code: document.getElementById('two-factor-disable-code').value
+  }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to disable two-factor authentication');
+      return;
+    }
+    document.getElementById('two-factor-disable').reset();
+    document.getElementById('two-factor-recovery').classList.add('hidden');
+    showToast('success', 'Two-factor authentication disabled');
+    loadTwoFactorStatus();
+  });
+}
+
+function initTwoFactorSettings() {
+  const setupButton = document.getElementById('two-factor-setup-button');
+  if (!setupButton) return;
+  setupButton.addEventListener('click', startTwoFactorSetup);
+  document.getElementById('two-factor-enroll').addEventListener('submit', enableTwoFactor);
+  document.getElementById('two-factor-regenerate').addEventListener('submit', regenerateRecoveryCodes);
+  document.getElementById('two-factor-disable').addEventListener('submit', disableTwoFactor);
+  loadTwoFactorStatus();
+}
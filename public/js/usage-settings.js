@@ -0,0 +1,53 @@
+// Quota usage for the settings page, loaded from /api/usage. A null limit
+// means the account is unlimited.
+function formatUsageBytes(bytes) {
+  if (!bytes) return '0 B';
+  if (bytes < 1024) return bytes + ' B';
+  if (bytes < 1048576) return (bytes / 1024).toFixed(1) + ' KB';
+  if (bytes < 1073741824) return (bytes / 1048576).toFixed(1) + ' MB';
+  return (bytes / 1073741824).toFixed(2) + ' GB';
+}
+
+function renderUsageCard(label, value, used = null, limit = null) {
+  const percent = limit ? Math.min(100, Math.round((used / limit) * 100)) : 0;
+  const barClass = percent >= 90 ? 'bg-red-500' : 'bg-primary';
+  return `
+    <div class="bg-dark-900 rounded-lg p-4">
+      <div class="text-xs text-gray-400">${label}</div>
+      <div class="font-medium mt-1">${value}</div>
+      ${limit ? `
+        <div class="w-full bg-dark-700 rounded-full h-1.5 mt-3">
+          <div class="${barClass} h-1.5 rounded-full" style="width: ${percent}%"></div>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function loadUsage() {
+  fetch('/api/usage').then(response => response.json()).then(data => {
+    if (!data.success) {
+      return;
+    }
+    const usage = data.usage;
+    document.getElementById('usage-summary').innerHTML = [
+      renderUsageCard('Live streams',
+        usage.max_streams === null ? `${usage.live_streams} (unlimited)` : `${usage.live_streams} of ${usage.max_streams}`,
+        usage.live_streams, usage.max_streams),
+      renderUsageCard('Storage',
+        usage.storage_limit === null
+          ? `${formatUsageBytes(usage.storage_used)} (unlimited)`
+          : `${formatUsageBytes(usage.storage_used)} of ${formatUsageBytes(usage.storage_limit)}`,
+        usage.storage_used, usage.storage_limit),
+      renderUsageCard('Max bitrate', usage.max_bitrate === null ? 'Unlimited' : `${usage.max_bitrate} kbps`),
+      renderUsageCard('Max resolution', usage.max_resolution === null ? 'Unlimited' : `${usage.max_resolution}p`)
+    ].join('');
+  }).catch(error => {
+    console.error('Error loading usage:', error);
+  });
+}
+
+function initUsageSettings() {
+  if (!document.getElementById('usage-summary')) return;
+  loadUsage();
+}
@@ -0,0 +1,224 @@
+// Webhook management for the settings page. Endpoints, their secrets and the
+// recent delivery log are loaded from /api/webhooks.
+let webhookEvents = {};
+const DELIVERY_STATUS_CLASSES = {
+  success: 'bg-green-500/20 text-green-400',
+  pending: 'bg-yellow-500/20 text-yellow-400',
+  failed: 'bg-red-500/20 text-red-400'
+};
+
+function escapeWebhookHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function webhookRequest(url, method = 'GET', body = null) {
+  const options = { method, headers: {} };
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify(body);
+  }
+  return fetch(url, options).then(response => response.json());
+}
+
+function renderWebhookEventOptions() {
+  const container = document.getElementById('webhook-events');
+  container.innerHTML = Object.entries(webhookEvents).map(([event, label]) => `
+    <label class="flex items-center gap-2 text-sm text-gray-300">
+      <input type="checkbox" name="webhookEvents" value="${event}" class="rounded bg-dark-700 border-gray-600 text-primary" checked>
+      ${escapeWebhookHtml(label)}
+    </label>
+  `).join('');
+}
+
+function renderWebhook(webhook) {
+  return `
+    <div class="bg-dark-900 rounded-lg p-4" data-webhook-id="${webhook.id}">
+      <div class="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div class="min-w-0">
+          <div class="flex items-center gap-2">
+            <h4 class="font-medium truncate">${escapeWebhookHtml(webhook.name || webhook.url)}</h4>
+            <span class="${webhook.enabled ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-400'} px-2 py-0.5 text-xs rounded">
+              ${webhook.enabled ? 'Active' : 'Disabled'}
+            </span>
+          </div>
+          <p class="text-xs text-gray-400 truncate">${escapeWebhookHtml(webhook.url)}</p>
+        </div>
+        <div class="flex flex-wrap gap-2 text-sm">
+          <button type="button" onclick="sendTestWebhook('${webhook.id}')" class="px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg">Test</button>
+          <button type="button" onclick="toggleWebhookDeliveries('${webhook.id}')" class="px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg">Deliveries</button>
+          <button type="button" onclick="updateWebhook('${webhook.id}', { enabled: ${!webhook.enabled} })" class="px-3 py-1.5 bg-dark-700 hover:bg-dark-600 rounded-lg">
+            ${webhook.enabled ? 'Disable' : 'Enable'}
+          </button>
+          <button type="button" onclick="deleteWebhook('${webhook.id}')" class="px-3 py-1.5 bg-red-500/20 text-red-400 hover:bg-red-500/30 rounded-lg">Delete</button>
+        </div>
+      </div>
+      <div class="flex flex-wrap gap-1 mt-3">
+        ${webhook.events.map(event => `<span class="bg-dark-700 text-gray-300 px-2 py-0.5 text-xs rounded">${escapeWebhookHtml(webhookEvents[event] || event)}</span>`).join('')}
+      </div>
+      <div class="flex items-center gap-2 mt-3 text-xs text-gray-400">
+        <span>Secret:</span>
+        <code class="webhook-secret text-gray-300" data-secret="${escapeWebhookHtml(webhook.secret)}">••••••••••••</code>
+        <button type="button" onclick="revealWebhookSecret(this)" class="text-primary hover:underline">Show</button>
+        <button type="button" onclick="rotateWebhookSecret('${webhook.id}')" class="text-primary hover:underline">Rotate</button>
+      </div>
+      <div class="webhook-deliveries hidden mt-4"></div>
+    </div>
+  `;
+}
+
+function renderDeliveries(webhookId, deliveries) {
+  if (deliveries.length === 0) {
+    return '<p class="text-xs text-gray-500">No deliveries yet.</p>';
+  }
+  return `
+    <div class="overflow-x-auto">
+      <table class="w-full text-xs">
+        <thead class="text-gray-400 text-left">
+          <tr><th class="py-1 pr-3">Event</th><th class="py-1 pr-3">Status</th><th class="py-1 pr-3">Attempts</th><th class="py-1 pr-3">Response</th><th class="py-1 pr-3">Created</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${deliveries.map(delivery => `
+            <tr class="border-t border-gray-700">
+              <td class="py-1.5 pr-3 text-gray-300">${escapeWebhookHtml(delivery.event)}</td>
+              <td class="py-1.5 pr-3"><span class="${DELIVERY_STATUS_CLASSES[delivery.status] || ''} px-2 py-0.5 rounded">${escapeWebhookHtml(delivery.status)}</span></td>
+              <td class="py-1.5 pr-3">${delivery.attempts}</td>
+              <td class="py-1.5 pr-3 text-gray-400" title="${escapeWebhookHtml(delivery.error)}">${delivery.response_status || escapeWebhookHtml(delivery.error || '--')}</td>
+              <td class="py-1.5 pr-3 text-gray-400">${new Date(delivery.created_at).toLocaleString()}</td>
+              <td class="py-1.5 text-right">
+                ${delivery.status !== 'success' ? `<button type="button" onclick="retryWebhookDelivery('${webhookId}', '${delivery.id}')" class="text-primary hover:underline">Retry</button>` : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+function loadWebhooks() {
+  return webhookRequest('/api/webhooks').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to load webhooks');
+      return;
+    }
+    const firstLoad = Object.keys(webhookEvents).length === 0;
+    webhookEvents = data.events;
+    if (firstLoad) {
+      renderWebhookEventOptions();
+    }
+    const list = document.getElementById('webhook-list');
+    list.innerHTML = data.webhooks.length > 0
+      ? data.webhooks.map(renderWebhook).join('')
+      : '<p class="text-sm text-gray-500">No webhooks configured.</p>';
+  }).catch(error => {
+    console.error('Error loading webhooks:', error);
+  });
+}
+
+function createWebhook(e) {
+  e.preventDefault();
+  const events = Array.from(document.querySelectorAll('input[name="webhookEvents"]:checked')).map(input => input.value);
+  webhookRequest('/api/webhooks', 'POST', {
+    name: document.getElementById('webhook-name').value,
+    url: document.getElementById('webhook-url').value,
+    events
+  }).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to create webhook');
+      return;
+    }
+    document.getElementById('webhook-form').reset();
+    renderWebhookEventOptions();
+    showToast('success', 'Webhook added');
+    loadWebhooks();
+  });
+}
+
+function updateWebhook(webhookId, changes) {
+  return webhookRequest(`/api/webhooks/${webhookId}`, 'PUT', changes).then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to update webhook');
+      return;
+    }
+    loadWebhooks();
+  });
+}
+
+function rotateWebhookSecret(webhookId) {
+  if (confirm('Generate a new secret? Receivers must be updated to verify new deliveries.')) {
+    updateWebhook(webhookId, { rotateSecret: true }).then(() => showToast('success', 'Secret rotated'));
+  }
+}
+
+function deleteWebhook(webhookId) {
+  if (!confirm('Delete this webhook and its delivery log?')) {
+    return;
+  }
+  webhookRequest(`/api/webhooks/${webhookId}`, 'DELETE').then(data => {
+    if (!data.success) {
+      showToast('error', data.error || 'Failed to delete webhook');
+      return;
+    }
+    loadWebhooks();
+  });
+}
+
+function revealWebhookSecret(button) {
+  const secret = button.previousElementSibling;
+  const hidden = button.textContent === 'Show';
+  secret.textContent = hidden ? secret.dataset.secret : '••••••••••••';
+  button.textContent = hidden ? 'Hide' : 'Show';
+}
+
+function refreshWebhookDeliveries(webhookId) {
+  const container = document.querySelector(`[data-webhook-id="${webhookId}"] .webhook-deliveries`);
+  return webhookRequest(`/api/webhooks/${webhookId}/deliveries`).then(data => {
+    if (data.success) {
+      container.innerHTML = renderDeliveries(webhookId, data.deliveries);
+    }
+  });
+}
+
+function toggleWebhookDeliveries(webhookId) {
+  const container = document.querySelector(`[data-webhook-id="${webhookId}"] .webhook-deliveries`);
+  container.classList.toggle('hidden');
+  if (!container.classList.contains('hidden')) {
+    refreshWebhookDeliveries(webhookId);
+  }
+}
+
+function sendTestWebhook(webhookId) {
+  webhookRequest(`/api/webhooks/${webhookId}/test`, 'POST').then(data => {
+    if (data.success && data.delivery.status === 'success') {
+      showToast('success', 'Test delivery succeeded');
+    } else {
+      showToast('error', data.success ? `Test delivery failed: ${data.delivery.error}` : data.error);
+    }
+    const container = document.querySelector(`[data-webhook-id="${webhookId}"] .webhook-deliveries`);
+    if (container && !container.classList.contains('hidden')) {
+      refreshWebhookDeliveries(webhookId);
+    }
+  });
+}
+
+function retryWebhookDelivery(webhookId, deliveryId) {
+  webhookRequest(`/api/webhooks/${webhookId}/deliveries/${deliveryId}/retry`, 'POST').then(data => {
+    if (data.success && data.delivery.status === 'success') {
+      showToast('success', 'Delivery succeeded');
+    } else {
+      showToast('error', data.success ? `Delivery failed: ${data.delivery.error}` : data.error);
+    }
+    refreshWebhookDeliveries(webhookId);
+  });
+}
+
+function initWebhookSettings() {
+  const form = document.getElementById('webhook-form');
+  if (!form) return;
+  form.addEventListener('submit', createWebhook);
+  loadWebhooks();
+}
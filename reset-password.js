@@ -2,6 +2,7 @@ const readline = require('readline');
 const bcrypt = require('bcrypt');
 const { db } = require('./db/database');
 const User = require('./models/User');
+const { isTwoFactorEnabled, disableTwoFactor } = require('./services/twoFactorService');
 require('dotenv').config();
 const rl = readline.createInterface({
     input: process.stdin,
@@ -62,6 +63,10 @@ function askConfirmPassword(user, password) {
             const hashedPassword = await bcrypt.hash(password, 10);
             await User.update(user.id, { password: hashedPassword });
             console.log('\n✅ Password has been reset successfully!\n');
+            if (isTwoFactorEnabled(user)) {
+                askDisableTwoFactor(user);
+                return;
+            }
             rl.close();
         } catch (error) {
             console.error('\n❌ Error resetting password:', error);
@@ -70,6 +75,21 @@ function askConfirmPassword(user, password) {
         }
     });
 }
+// The way back in for an administrator who lost both the authenticator app
+// and the recovery codes
+function askDisableTwoFactor(user) {
+    rl.question('This account uses two-factor authentication. Turn it off too? (y/N): ', async (answer) => {
+        if (answer.trim().toLowerCase() === 'y') {
+            try {
+                await disableTwoFactor(user.id);
+                console.log('\n✅ Two-factor authentication has been turned off.\n');
+            } catch (error) {
+                console.error('\n❌ Error turning off two-factor authentication:', error);
+            }
+        }
+        rl.close();
+    });
+}
 askUsername();
 rl.on('close', () => {
     console.log('\nPassword reset utility closed.');
@@ -0,0 +1,67 @@
+// Replaces ENCRYPTION_SECRET in .env with a new random secret and re-encrypts
+// the stored stream keys and API keys with it. Without a current secret this
+// enables encryption. Stop StreamFlow first and start it again afterwards.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+const { db } = require('./db/database');
+const migrator = require('./db/migrator');
+const { sealSecrets } = require('./services/secretService');
+
+const ENV_PATH = path.join(__dirname, '.env');
+
+// A null value removes the variable
+function setEnvValue(content, name, value) {
+  const pattern = new RegExp(`^${name}=.*(\\r?\\n|$)`, 'm');
+  if (value === null) {
+    return content.replace(pattern, '');
+  }
+  if (pattern.test(content)) {
+    return content.replace(pattern, `${name}=${value}$1`);
+  }
+  return `${content}${content && !content.endsWith('\n') ? '\n' : ''}${name}=${value}\n`;
+}
+
+function writeEnv(values) {
+  let content = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
+  for (const [name, value] of Object.entries(values)) {
+    content = setEnvValue(content, name, value);
+  }
+  fs.writeFileSync(ENV_PATH, content, 'utf8');
+}
+
+async function rotateSecret() {
+  const pending = (await migrator.getStatus(db)).filter(migration => !migration.applied);
+  if (pending.length > 0) {
+    throw new Error(`The database has ${pending.length} pending migration(s), run "node migrate.js up" first`);
+  }
+  // Finish any earlier rotation first, so no value depends on an older secret
+  const before = await sealSecrets();
+  if (before.failed > 0) {
+    throw new Error('Some stored secrets cannot be decrypted with ENCRYPTION_SECRET or ENCRYPTION_SECRET_PREVIOUS, nothing was changed');
+  }
+  const previous = process.env.ENCRYPTION_SECRET || null;
+  const next = crypto.randomBytes(32).toString('hex');
+  // Both secrets stay in .env until every value is re-encrypted, so an
+  // interrupted rotation leaves everything readable
+  writeEnv({ ENCRYPTION_SECRET: next, ENCRYPTION_SECRET_PREVIOUS: previous });
+  process.env.ENCRYPTION_SECRET = next;
+  if (previous) {
+    process.env.ENCRYPTION_SECRET_PREVIOUS = previous;
+  }
+  const result = await sealSecrets();
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} secret(s) could not be re-encrypted, ENCRYPTION_SECRET_PREVIOUS was kept in .env`);
+  }
+  writeEnv({ ENCRYPTION_SECRET_PREVIOUS: null });
+  console.log(`${previous ? 'Rotated' : 'Enabled'} encryption: ${result.sealed} stored secret(s) encrypted with the new ENCRYPTION_SECRET in .env.`);
+  console.log('Restart StreamFlow so it uses the new secret (e.g. pm2 restart streamflow).');
+}
+
+rotateSecret()
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs');
+const { db } = require('../db/database');
+const User = require('../models/User');
+const Stream = require('../models/Stream');
+const StreamDestination = require('../models/StreamDestination');
+const StreamHealthCheck = require('../models/StreamHealthCheck');
+const StreamRuntime = require('../models/StreamRuntime');
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const Webhook = require('../models/Webhook');
+const EncodingPreset = require('../models/EncodingPreset');
+const ApiToken = require('../models/ApiToken');
+const RecoveryCode = require('../models/RecoveryCode');
+const streamingService = require('./streamingService');
+const dryRunService = require('./dryRunService');
+
+async function stopUserStreams(userId) {
+  const streams = await Stream.findAll(userId);
+  let stopped = 0;
+  for (const stream of streams) {
+    if (streamingService.isStreamActive(stream.id) || stream.status === 'live') {
+      await streamingService.stopStream(stream.id);
+      stopped++;
+    }
+  }
+  return stopped;
+}
+
+// Disabled accounts cannot sign in and their live streams are ended
+async function setUserDisabled(userId, disabled) {
+  await User.update(userId, { disabled: disabled ? 1 : 0 });
+  if (disabled) {
+    const stopped = await stopUserStreams(userId);
+    console.log(`[AccountService] Disabled user ${userId}, stopped ${stopped} stream(s)`);
+  } else {
+    console.log(`[AccountService] Enabled user ${userId}`);
+  }
+}
+
+function deleteHistory(userId) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM stream_history WHERE user_id = ?', [userId], function (err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(this.changes);
+    });
+  });
+}
+
+// Removes the user together with everything they own, including video files
+async function deleteUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    return false;
+  }
+  await stopUserStreams(userId);
+  const streams = await Stream.findAll(userId);
+  for (const stream of streams) {
+    await Stream.delete(stream.id, userId);
+    await StreamDestination.deleteByStreamId(stream.id);
+    await StreamHealthCheck.deleteByStreamId(stream.id);
+    await StreamRuntime.delete(stream.id);
+    dryRunService.discardDryRun(stream.id);
+  }
+  const playlists = await Playlist.findAll(userId);
+  for (const playlist of playlists) {
+    await Playlist.delete(playlist.id, userId);
+  }
+  const videos = await Video.findAll(userId);
+  for (const video of videos) {
+    await Video.delete(video.id);
+  }
+  const webhooks = await Webhook.findByUserId(userId);
+  for (const webhook of webhooks) {
+    await Webhook.delete(webhook.id, userId);
+  }
+  const presets = await EncodingPreset.findByUserId(userId);
+  for (const preset of presets) {
+    await EncodingPreset.delete(preset.id, userId);
+  }
+  await ApiToken.deleteByUserId(userId);
+  await RecoveryCode.deleteByUserId(userId);
+  await deleteHistory(userId);
+  if (user.avatar_path) {
+    const avatarPath = path.join(__dirname, '..', 'public', user.avatar_path);
+    try {
+      if (fs.existsSync(avatarPath)) {
+        fs.unlinkSync(avatarPath);
+      }
+    } catch (error) {
+      console.error(`[AccountService] Error deleting avatar of user ${userId}: ${error.message}`);
+    }
+  }
+  await User.delete(userId);
+  console.log(`[AccountService] Deleted user ${user.username} (${userId}) with ${streams.length} stream(s) and ${videos.length} video(s)`);
+  return true;
+}
+
+module.exports = {
+  stopUserStreams,
+  setUserDisabled,
+  deleteUser
+};
@@ -0,0 +1,354 @@
+const path = require('path');
+const fs = require('fs-extra');
+const tar = require('tar');
+const sqlite3 = require('sqlite3');
+const { db } = require('../db/database');
+const migrator = require('../db/migrator');
+const AppSetting = require('../models/AppSetting');
+const secretService = require('./secretService');
+const { resolveBackupSettings } = require('../utils/backupSettings');
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+const SESSIONS_DB_PATH = path.join(__dirname, '..', 'db', 'sessions.db');
+const UPLOADS_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const UPLOAD_FOLDERS = ['videos', 'thumbnails', 'avatars'];
+const BACKUP_FORMAT = 'streamflow-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_FILE_PATTERN = /^streamflow-backup-(\d{8}-\d{9})-(manual|scheduled|pre-restore|uploaded)\.tar\.gz$/;
+const SCHEDULE_CHECK_INTERVAL = 10 * 60 * 1000;
+
+// Only one backup or restore runs at a time
+let runningJob = null;
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 18);
+}
+
+function parseTimestamp(stamp) {
+  const [, year, month, day, hour, minute, second, millisecond] = stamp.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})(\d{3})$/);
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${millisecond}Z`).toISOString();
+}
+
+function withJob(name, task) {
+  if (runningJob) {
+    return Promise.reject(new Error(`A ${runningJob} is already running, try again when it finishes`));
+  }
+  runningJob = name;
+  return Promise.resolve().then(task).finally(() => {
+    runningJob = null;
+  });
+}
+
+function openDatabase(filePath, mode) {
+  return new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(filePath, mode, err => (err ? reject(err) : resolve(database)));
+  });
+}
+
+function closeDatabase(database) {
+  return new Promise(resolve => database.close(() => resolve()));
+}
+
+function queryAll(database, sql) {
+  return new Promise((resolve, reject) => {
+    database.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows || [])));
+  });
+}
+
+// SQLite online backup: copies every page of `database` into `filePath`, or
+// the reverse when `toFile` is false, while other connections keep working
+function copyDatabase(database, filePath, toFile = true) {
+  return new Promise((resolve, reject) => {
+    const backup = database.backup(filePath, 'main', 'main', toFile, err => {
+      if (err) {
+        return reject(err);
+      }
+      backup.step(-1, stepError => {
+        if (stepError) {
+          backup.finish(() => reject(stepError));
+          return;
+        }
+        backup.finish(finishError => (finishError ? reject(finishError) : resolve()));
+      });
+    });
+  });
+}
+
+function describeBackup(name) {
+  const match = name.match(BACKUP_FILE_PATTERN);
+  const stats = fs.statSync(path.join(BACKUP_DIR, name));
+  return { name, trigger: match[2], size: stats.size, created_at: parseTimestamp(match[1]) };
+}
+
+async function listBackups() {
+  await fs.ensureDir(BACKUP_DIR);
+  const files = await fs.readdir(BACKUP_DIR);
+  return files
+    .filter(file => BACKUP_FILE_PATTERN.test(file))
+    .map(describeBackup)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+// Resolves an archive name from a request to its path, null when unknown
+function getBackupPath(name) {
+  if (!BACKUP_FILE_PATTERN.test(String(name))) {
+    return null;
+  }
+  const filePath = path.join(BACKUP_DIR, name);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+async function getSettings() {
+  return resolveBackupSettings(await AppSetting.getAll());
+}
+
+async function createArchive({ includeUploads, trigger }) {
+  await fs.ensureDir(BACKUP_DIR);
+  const workDir = await fs.mkdtemp(path.join(BACKUP_DIR, '.work-'));
+  const name = `${BACKUP_FORMAT}-${formatTimestamp(new Date())}-${trigger}.tar.gz`;
+  const partialPath = path.join(BACKUP_DIR, `${name}.partial`);
+  try {
+    await fs.ensureDir(path.join(workDir, 'db'));
+    await copyDatabase(db, path.join(workDir, 'db', 'streamflow.db'));
+    const entries = ['manifest.json', 'db'];
+    if (await fs.pathExists(SESSIONS_DB_PATH)) {
+      const sessionsDb = await openDatabase(SESSIONS_DB_PATH, sqlite3.OPEN_READONLY);
+      try {
+        await copyDatabase(sessionsDb, path.join(workDir, 'db', 'sessions.db'));
+      } finally {
+        await closeDatabase(sessionsDb);
+      }
+    }
+    const uploadFolders = [];
+    if (includeUploads) {
+      // Symlinks to the live folders, followed by tar, so media is not copied twice
+      await fs.ensureDir(path.join(workDir, 'uploads'));
+      for (const folder of UPLOAD_FOLDERS) {
+        if (await fs.pathExists(path.join(UPLOADS_DIR, folder))) {
+          await fs.symlink(path.join(UPLOADS_DIR, folder), path.join(workDir, 'uploads', folder));
+          entries.push(`uploads/${folder}`);
+          uploadFolders.push(folder);
+        }
+      }
+    }
+    const status = await migrator.getStatus(db);
+    await fs.writeJson(path.join(workDir, 'manifest.json'), {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      created_at: new Date().toISOString(),
+      trigger,
+      schema_version: Math.max(0, ...status.filter(migration => migration.applied).map(migration => migration.version)),
+      upload_folders: uploadFolders
+    }, { spaces: 2 });
+    await tar.c({ gzip: true, file: partialPath, cwd: workDir, follow: true, portable: true }, entries);
+    await fs.move(partialPath, path.join(BACKUP_DIR, name));
+    console.log(`[Backup] Created ${name}`);
+    return describeBackup(name);
+  } catch (error) {
+    await fs.remove(partialPath).catch(() => {});
+    throw error;
+  } finally {
+    await fs.remove(workDir).catch(() => {});
+  }
+}
+
+function createBackup(options = {}) {
+  return withJob('backup', async () => {
+    const settings = await getSettings();
+    const backup = await createArchive({
+      includeUploads: options.includeUploads === undefined ? settings.includeUploads : options.includeUploads,
+      trigger: options.trigger || 'manual'
+    });
+    await applyRetention(settings.retention);
+    return backup;
+  });
+}
+
+// Deletes the oldest archives beyond the retention count
+async function applyRetention(retention) {
+  const backups = await listBackups();
+  for (const backup of backups.slice(retention)) {
+    await fs.remove(path.join(BACKUP_DIR, backup.name));
+    console.log(`[Backup] Removed ${backup.name} (keeping ${retention})`);
+  }
+}
+
+async function deleteBackup(name) {
+  const filePath = getBackupPath(name);
+  if (!filePath) {
+    return false;
+  }
+  await fs.remove(filePath);
+  return true;
+}
+
+// Only plain files and folders at the paths a backup writes are unpacked, so a
+// crafted archive cannot place links or files anywhere else
+function isAllowedEntry(entryPath, entry) {
+  if (entry.type !== 'File' && entry.type !== 'Directory') {
+    return false;
+  }
+  const normalized = entryPath.replace(/^\.\//, '').replace(/\/$/, '');
+  return normalized === 'manifest.json' ||
+    normalized === 'db' ||
+    /^db\/(streamflow|sessions)\.db$/.test(normalized) ||
+    normalized === 'uploads' ||
+    new RegExp(`^uploads/(${UPLOAD_FOLDERS.join('|')})(/[^/]+)?$`).test(normalized);
+}
+
+// Unpacks an archive into a work folder and checks it can be restored: a known
+// manifest, a database that passes integrity_check, and no migrations newer
+// than this version knows. Pending migrations are applied to the unpacked copy.
+async function prepareArchive(filePath) {
+  const workDir = await fs.mkdtemp(path.join(BACKUP_DIR, '.work-'));
+  try {
+    try {
+      await tar.x({ file: filePath, cwd: workDir, strict: true, filter: isAllowedEntry });
+    } catch (error) {
+      throw new Error(`The archive could not be unpacked: ${error.message}`);
+    }
+    const manifest = await fs.readJson(path.join(workDir, 'manifest.json')).catch(() => null);
+    if (!manifest || manifest.format !== BACKUP_FORMAT) {
+      throw new Error('Not a StreamFlow backup: manifest.json is missing or invalid');
+    }
+    if (manifest.version > BACKUP_FORMAT_VERSION) {
+      throw new Error(`The backup format version ${manifest.version} is newer than this StreamFlow supports`);
+    }
+    const dbPath = path.join(workDir, 'db', 'streamflow.db');
+    if (!(await fs.pathExists(dbPath))) {
+      throw new Error('The backup does not contain db/streamflow.db');
+    }
+    const restoredDb = await openDatabase(dbPath, sqlite3.OPEN_READWRITE);
+    try {
+      const [check] = await queryAll(restoredDb, 'PRAGMA integrity_check').catch(() => [{ integrity_check: 'not a database' }]);
+      if (!check || check.integrity_check !== 'ok') {
+        throw new Error(`The backup database is damaged (${check ? check.integrity_check : 'no result'})`);
+      }
+      const known = new Set(migrator.loadMigrations().map(migration => migration.version));
+      await migrator.getStatus(restoredDb);
+      const unknown = (await queryAll(restoredDb, 'SELECT version, name FROM schema_migrations'))
+        .filter(row => !known.has(row.version));
+      if (unknown.length > 0) {
+        throw new Error(`The backup comes from a newer StreamFlow (migration ${unknown[0].version}_${unknown[0].name}), update before restoring it`);
+      }
+      await migrator.migrateUp(restoredDb, { log: message => console.log(`[Backup] ${message} on the restored database`) });
+    } finally {
+      await closeDatabase(restoredDb);
+    }
+    return { workDir, manifest };
+  } catch (error) {
+    await fs.remove(workDir).catch(() => {});
+    throw error;
+  }
+}
+
+// Replaces an uploads folder with the restored one, putting the old folder
+// back when the move fails
+async function swapUploadFolder(source, target) {
+  const previous = `${target}.previous`;
+  await fs.remove(previous);
+  const hadTarget = await fs.pathExists(target);
+  if (hadTarget) {
+    await fs.move(target, previous);
+  }
+  try {
+    await fs.move(source, target);
+  } catch (error) {
+    if (hadTarget) {
+      await fs.move(previous, target, { overwrite: true });
+    }
+    throw error;
+  }
+  await fs.remove(previous);
+}
+
+// Restores an archive from the backup folder. The current database is saved
+// as a pre-restore backup first. The caller makes sure no stream is live.
+function restoreBackup(name) {
+  return withJob('restore', async () => {
+    const filePath = getBackupPath(name);
+    if (!filePath) {
+      throw new Error('Backup not found');
+    }
+    const { workDir, manifest } = await prepareArchive(filePath);
+    try {
+      const safetyBackup = await createArchive({ includeUploads: false, trigger: 'pre-restore' });
+      await copyDatabase(db, path.join(workDir, 'db', 'streamflow.db'), false);
+      const sessionsPath = path.join(workDir, 'db', 'sessions.db');
+      if (await fs.pathExists(sessionsPath)) {
+        const sessionsDb = await openDatabase(SESSIONS_DB_PATH, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+        try {
+          await copyDatabase(sessionsDb, sessionsPath, false);
+        } finally {
+          await closeDatabase(sessionsDb);
+        }
+      }
+      const restoredFolders = [];
+      for (const folder of manifest.upload_folders || []) {
+        const source = path.join(workDir, 'uploads', folder);
+        if (UPLOAD_FOLDERS.includes(folder) && await fs.pathExists(source)) {
+          await swapUploadFolder(source, path.join(UPLOADS_DIR, folder));
+          restoredFolders.push(folder);
+        }
+      }
+      console.log(`[Backup] Restored ${name}${restoredFolders.length ? ` with ${restoredFolders.join(', ')}` : ''}`);
+      // Archives from before encryption, or from another secret, hold keys to re-seal
+      await secretService.sealSecrets();
+      return { restored: name, safety_backup: safetyBackup.name, upload_folders: restoredFolders };
+    } finally {
+      await fs.remove(workDir).catch(() => {});
+    }
+  });
+}
+
+// Checks an uploaded archive and stores it in the backup folder so it can be
+// restored like any other backup
+function importBackup(uploadedPath) {
+  return withJob('backup import', async () => {
+    await fs.ensureDir(BACKUP_DIR);
+    try {
+      const { workDir } = await prepareArchive(uploadedPath);
+      await fs.remove(workDir);
+      const name = `${BACKUP_FORMAT}-${formatTimestamp(new Date())}-uploaded.tar.gz`;
+      await fs.move(uploadedPath, path.join(BACKUP_DIR, name));
+      return describeBackup(name);
+    } finally {
+      await fs.remove(uploadedPath).catch(() => {});
+    }
+  });
+}
+
+async function runScheduledBackup() {
+  try {
+    const settings = await getSettings();
+    if (!settings.intervalHours || runningJob) {
+      return;
+    }
+    const [latest] = (await listBackups()).filter(backup => backup.trigger === 'manual' || backup.trigger === 'scheduled');
+    const dueAt = latest ? new Date(latest.created_at).getTime() + settings.intervalHours * 60 * 60 * 1000 : 0;
+    if (Date.now() >= dueAt) {
+      await createBackup({ trigger: 'scheduled' });
+    }
+  } catch (error) {
+    console.error('[Backup] Scheduled backup failed:', error.message);
+  }
+}
+
+function init() {
+  fs.ensureDirSync(BACKUP_DIR);
+  setInterval(runScheduledBackup, SCHEDULE_CHECK_INTERVAL);
+  runScheduledBackup();
+  console.log('[Backup] Backup scheduler initialized');
+}
+
+module.exports = {
+  BACKUP_DIR,
+  init,
+  getSettings,
+  listBackups,
+  getBackupPath,
+  createBackup,
+  deleteBackup,
+  restoreBackup,
+  importBackup
+};
@@ -0,0 +1,226 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ffmpegPath } = require('../utils/ffmpegConfig');
+const { analyzeRecording } = require('../utils/recordingAnalysis');
+
+// A dry run pushes the stream to an FFmpeg RTMP listener on localhost instead
+// of its destinations. The listener copies the first seconds it receives into
+// preview.mp4, which is then measured and kept until the next dry run.
+const DRY_RUN_DIR = path.join(os.tmpdir(), 'streamflow-dry-runs');
+const DEFAULT_DRY_RUN_SECONDS = 15;
+const MIN_DRY_RUN_SECONDS = 5;
+const MAX_DRY_RUN_SECONDS = 120;
+const RECEIVER_STARTUP_DELAY = 1000;
+// Time allowed on top of the recording for the sender to connect and for the
+// receiver to drain after the sender is gone
+const CONNECT_GRACE = 30 * 1000;
+const DRAIN_TIMEOUT = 5000;
+const MAX_SENDER_LOG_LENGTH = 2000;
+
+const dryRuns = new Map();
+
+function getDryRunDir(streamId) {
+  return path.join(DRY_RUN_DIR, streamId);
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toDryRunView(dryRun) {
+  if (!dryRun) {
+    return null;
+  }
+  return {
+    status: dryRun.status,
+    seconds: dryRun.seconds,
+    started_at: dryRun.startedAt.toISOString(),
+    finished_at: dryRun.finishedAt ? dryRun.finishedAt.toISOString() : null,
+    report: dryRun.report,
+    error: dryRun.error,
+    has_preview: dryRun.status === 'completed' && fs.existsSync(dryRun.previewPath)
+  };
+}
+
+function isDryRunActive(streamId) {
+  const dryRun = dryRuns.get(streamId);
+  return Boolean(dryRun && dryRun.status === 'running');
+}
+
+function getDryRun(streamId) {
+  return toDryRunView(dryRuns.get(streamId));
+}
+
+function getPreviewPath(streamId) {
+  const dryRun = dryRuns.get(streamId);
+  if (!dryRun || dryRun.status !== 'completed' || !fs.existsSync(dryRun.previewPath)) {
+    return null;
+  }
+  return dryRun.previewPath;
+}
+
+function stopProcess(child, signal = 'SIGTERM') {
+  if (child && child.exitCode === null && child.signalCode === null) {
+    try {
+      child.kill(signal);
+    } catch (error) {
+      console.error(`[DryRunService] Error stopping FFmpeg process ${child.pid}: ${error.message}`);
+    }
+  }
+}
+
+function settleDryRun(dryRun, status, error = null) {
+  dryRun.status = status;
+  dryRun.error = error;
+  dryRun.finishedAt = new Date();
+  dryRun.onFinish();
+}
+
+async function finishDryRun(dryRun, onLog) {
+  if (dryRun.status !== 'running') {
+    return;
+  }
+  const report = await analyzeRecording(dryRun.previewPath, dryRun.expected);
+  if (dryRun.status !== 'running') {
+    return;
+  }
+  if (!report.playable && dryRun.senderLog) {
+    report.error = `${report.error}. FFmpeg said: ${dryRun.senderLog.trim().split('\n').slice(-3).join(' ')}`;
+  }
+  dryRun.report = report;
+  settleDryRun(dryRun, 'completed', report.playable ? null : report.error);
+  onLog(report.playable
+    ? `Dry run finished: ${report.duration}s recorded at ${report.bitrate} kbps, ${report.video.fps} fps, keyframe every ${report.video.keyframe_interval === null ? '?' : report.video.keyframe_interval}s`
+    : `Dry run finished, output is not playable: ${report.error}`);
+  report.warnings.forEach(warning => onLog(`Dry run warning: ${warning}`));
+}
+
+// `buildSenderArgs(url)` returns the stream's FFmpeg arguments pushing to
+// `url`; `expected` holds settings the measurements are compared against.
+// `onFinish` runs once the dry run is over, however it ended.
+async function startDryRun(streamId, { seconds = DEFAULT_DRY_RUN_SECONDS, buildSenderArgs, expected = {}, onLog = () => {}, onFinish = () => {} }) {
+  if (isDryRunActive(streamId)) {
+    throw new Error('A dry run is already running for this stream');
+  }
+  const duration = Math.min(Math.max(Math.round(Number(seconds) || DEFAULT_DRY_RUN_SECONDS), MIN_DRY_RUN_SECONDS), MAX_DRY_RUN_SECONDS);
+  const dir = getDryRunDir(streamId);
+  const dryRun = {
+    status: 'running',
+    seconds: duration,
+    startedAt: new Date(),
+    finishedAt: null,
+    report: null,
+    error: null,
+    expected,
+    onFinish,
+    previewPath: path.join(dir, 'preview.mp4'),
+    senderLog: '',
+    receiver: null,
+    sender: null
+  };
+  dryRuns.set(streamId, dryRun);
+
+  let senderArgs;
+  let receiverUrl;
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    const port = await getFreePort();
+    receiverUrl = `rtmp://127.0.0.1:${port}/dryrun/${streamId}`;
+    senderArgs = await buildSenderArgs(receiverUrl);
+  } catch (error) {
+    settleDryRun(dryRun, 'failed', error.message);
+    throw error;
+  }
+
+  const receiver = spawn(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    '-listen', '1', '-i', receiverUrl,
+    '-t', String(duration),
+    '-map', '0', '-c', 'copy',
+    '-movflags', '+faststart',
+    '-y', dryRun.previewPath
+  ], { stdio: 'ignore' });
+  dryRun.receiver = receiver;
+  const watchdog = setTimeout(() => {
+    onLog('Dry run timed out waiting for the stream');
+    stopProcess(receiver);
+    stopProcess(dryRun.sender, 'SIGKILL');
+  }, duration * 1000 + CONNECT_GRACE);
+  receiver.on('error', (error) => {
+    console.error(`[DryRunService] Receiver for stream ${streamId} failed: ${error.message}`);
+  });
+  receiver.on('close', () => {
+    clearTimeout(watchdog);
+    stopProcess(dryRun.sender);
+    finishDryRun(dryRun, onLog).catch((error) => {
+      console.error(`[DryRunService] Error analyzing dry run of stream ${streamId}: ${error.message}`);
+      settleDryRun(dryRun, 'failed', error.message);
+    });
+  });
+  onLog(`Dry run started: recording ${duration}s from a local receiver`);
+  console.log(`[DryRunService] Dry run of stream ${streamId} listening on ${receiverUrl}`);
+
+  await delay(RECEIVER_STARTUP_DELAY);
+  if (dryRun.status !== 'running' || receiver.exitCode !== null) {
+    return toDryRunView(dryRun);
+  }
+  const sender = spawn(ffmpegPath, senderArgs, { stdio: ['ignore', 'ignore', 'pipe'] });
+  dryRun.sender = sender;
+  sender.stderr.on('data', (data) => {
+    dryRun.senderLog = (dryRun.senderLog + data.toString()).slice(-MAX_SENDER_LOG_LENGTH);
+  });
+  sender.on('error', (error) => {
+    dryRun.senderLog += `\n${error.message}`;
+  });
+  // A source shorter than the recording ends the stream early; the receiver
+  // then finishes on its own, or is stopped if nothing ever connected
+  sender.on('close', () => {
+    setTimeout(() => stopProcess(receiver), DRAIN_TIMEOUT);
+  });
+  return toDryRunView(dryRun);
+}
+
+function cancelDryRun(streamId) {
+  const dryRun = dryRuns.get(streamId);
+  if (!dryRun || dryRun.status !== 'running') {
+    return false;
+  }
+  settleDryRun(dryRun, 'cancelled');
+  stopProcess(dryRun.sender, 'SIGKILL');
+  stopProcess(dryRun.receiver, 'SIGKILL');
+  return true;
+}
+
+// Drops the result and the preview clip, e.g. when the stream is deleted
+function discardDryRun(streamId) {
+  cancelDryRun(streamId);
+  dryRuns.delete(streamId);
+  fs.rmSync(getDryRunDir(streamId), { recursive: true, force: true });
+}
+
+module.exports = {
+  DEFAULT_DRY_RUN_SECONDS,
+  MIN_DRY_RUN_SECONDS,
+  MAX_DRY_RUN_SECONDS,
+  isDryRunActive,
+  getDryRun,
+  getPreviewPath,
+  startDryRun,
+  cancelDryRun,
+  discardDryRun
+};
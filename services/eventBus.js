@@ -0,0 +1,15 @@
+/**
+ * In-process event bus. Models and services publish state changes here and
+ * the /api/events stream forwards them to connected browsers.
+ *
+ * Events:
+ *   streamStatus   { streamId, userId, status, status_updated_at, start_time, end_time }
+ *   streamLog      { streamId, timestamp, message }
+ *   importProgress { userId, jobId, status, progress, message, videoId }
+ */
+
+const { EventEmitter } = require('events');
+
+const eventBus = new EventEmitter();
+
+module.exports = eventBus;
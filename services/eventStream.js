@@ -0,0 +1,165 @@
+/**
+ * Server-Sent Events hub behind GET /api/events. Each browser tab keeps one
+ * connection and receives the events of its own user, plus system stats.
+ */
+
+const eventBus = require('./eventBus');
+const systemMonitor = require('./systemMonitor');
+const Stream = require('../models/Stream');
+
+const SYSTEM_STATS_INTERVAL = 5000;
+const KEEP_ALIVE_INTERVAL = 25000;
+const RECONNECT_DELAY = 5000;
+
+const clients = new Set();
+const streamOwners = new Map(); // streamId -> userId, so log lines need no query each
+let systemStatsTimer = null;
+let keepAliveTimer = null;
+
+function getServerClock() {
+  const now = new Date();
+  return {
+    serverTime: now.toISOString(),
+    // Lets the browser show the server's wall clock without polling for it
+    utcOffsetMinutes: -now.getTimezoneOffset()
+  };
+}
+
+function writeEvent(client, type, data) {
+  try {
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch (error) {
+    removeClient(client);
+  }
+}
+
+function sendToUser(userId, type, data) {
+  for (const client of clients) {
+    if (client.userId === userId) {
+      writeEvent(client, type, data);
+    }
+  }
+}
+
+function broadcast(type, data) {
+  for (const client of clients) {
+    writeEvent(client, type, data);
+  }
+}
+
+async function resolveStreamOwner(streamId, userId) {
+  if (userId) {
+    streamOwners.set(streamId, userId);
+    return userId;
+  }
+  if (!streamOwners.has(streamId)) {
+    const stream = await Stream.findById(streamId);
+    if (!stream) {
+      return null;
+    }
+    streamOwners.set(streamId, stream.user_id);
+  }
+  return streamOwners.get(streamId);
+}
+
+// Sends to one client when given (a new connection), otherwise to all
+async function publishSystemStats(client = null) {
+  if (clients.size === 0) {
+    return;
+  }
+  try {
+    const stats = { ...(await systemMonitor.getSystemStats()), ...getServerClock() };
+    if (client) {
+      writeEvent(client, 'systemStats', stats);
+    } else {
+      broadcast('systemStats', stats);
+    }
+  } catch (error) {
+    console.error('[EventStream] Error collecting system stats:', error.message);
+  }
+}
+
+function startTimers() {
+  if (!systemStatsTimer) {
+    systemStatsTimer = setInterval(() => publishSystemStats(), SYSTEM_STATS_INTERVAL);
+  }
+  if (!keepAliveTimer) {
+    // Comment lines keep proxies from closing idle connections
+    keepAliveTimer = setInterval(() => {
+      for (const client of clients) {
+        try {
+          client.res.write(': keep-alive\n\n');
+        } catch (error) {
+          removeClient(client);
+        }
+      }
+    }, KEEP_ALIVE_INTERVAL);
+  }
+}
+
+function stopTimers() {
+  clearInterval(systemStatsTimer);
+  clearInterval(keepAliveTimer);
+  systemStatsTimer = null;
+  keepAliveTimer = null;
+}
+
+function removeClient(client) {
+  clients.delete(client);
+  if (clients.size === 0) {
+    stopTimers();
+  }
+}
+
+function addClient(req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+  const client = { userId: req.session.userId, res };
+  clients.add(client);
+  startTimers();
+  writeEvent(client, 'hello', getServerClock());
+  publishSystemStats(client);
+  req.on('close', () => removeClient(client));
+}
+
+eventBus.on('streamStatus', async (event) => {
+  try {
+    const { userId, ...status } = event;
+    const ownerId = await resolveStreamOwner(status.streamId, userId);
+    if (ownerId) {
+      sendToUser(ownerId, 'streamStatus', status);
+    }
+  } catch (error) {
+    console.error('[EventStream] Error forwarding stream status:', error.message);
+  }
+});
+
+eventBus.on('streamLog', async (event) => {
+  if (clients.size === 0) {
+    return;
+  }
+  try {
+    const userId = await resolveStreamOwner(event.streamId);
+    if (userId) {
+      sendToUser(userId, 'streamLog', event);
+    }
+  } catch (error) {
+    console.error('[EventStream] Error forwarding stream log:', error.message);
+  }
+});
+
+eventBus.on('importProgress', (event) => {
+  const { userId, ...progress } = event;
+  sendToUser(userId, 'importProgress', progress);
+});
+
+module.exports = {
+  addClient,
+  getServerClock,
+  getClientCount: () => clients.size
+};
@@ -1,4 +1,6 @@
 const Stream = require('../models/Stream');
+const recurrence = require('../utils/recurrence');
+const webhookService = require('./webhookService');
 const scheduledTerminations = new Map();
 const SCHEDULE_LOOKAHEAD_SECONDS = 60;
 let streamingService = null;
@@ -18,6 +20,7 @@ async function checkScheduledStreams() {
     }
     const now = new Date();
     const lookAheadTime = new Date(now.getTime() + SCHEDULE_LOOKAHEAD_SECONDS * 1000);
+    await advanceRecurringStreams(now);
     console.log(`Checking for scheduled streams (${now.toISOString()} to ${lookAheadTime.toISOString()})`);
     const streams = await Stream.findScheduledInRange(now, lookAheadTime);
     if (streams.length > 0) {
@@ -32,6 +35,10 @@ async function checkScheduledStreams() {
           }
         } else {
           console.error(`Failed to start scheduled stream ${stream.id}: ${result.error}`);
+          webhookService.notifyStream(stream.id, 'stream.scheduled_start_failed', {
+            scheduledAt: stream.schedule_time,
+            error: result.error
+          });
         }
       }
     }
@@ -39,6 +46,40 @@ async function checkScheduledStreams() {
     console.error('Error checking scheduled streams:', error);
   }
 }
+// A recurring stream whose occurrence passed without running (server down, or it
+// ended without going through handleStreamStopped) is moved to its next occurrence.
+// Offline recurring streams without a schedule_time were cancelled and stay paused.
+async function advanceRecurringStreams(now) {
+  try {
+    const streams = await Stream.findRecurring();
+    for (const stream of streams) {
+      if (!stream.schedule_time || new Date(stream.schedule_time) >= now) {
+        continue;
+      }
+      if (stream.status === 'scheduled') {
+        console.log(`Recurring stream ${stream.id} missed its occurrence at ${stream.schedule_time}`);
+      }
+      await rescheduleRecurringStream(stream.id, now);
+    }
+  } catch (error) {
+    console.error('Error advancing recurring streams:', error);
+  }
+}
+async function rescheduleRecurringStream(streamId, fromDate = new Date()) {
+  const stream = await Stream.findById(streamId);
+  if (!recurrence.isRecurring(stream) || stream.status === 'live') {
+    return null;
+  }
+  const next = recurrence.getNextOccurrence(stream, fromDate);
+  if (!next) {
+    console.log(`Recurring stream ${streamId} has no further occurrences`);
+    await Stream.update(streamId, { schedule_time: null, status: 'offline' });
+    return null;
+  }
+  await Stream.update(streamId, { schedule_time: next.toISOString(), status: 'scheduled' });
+  console.log(`Recurring stream ${streamId} rescheduled for ${next.toISOString()}`);
+  return next;
+}
 async function checkStreamDurations() {
   try {
     if (!streamingService) {
@@ -92,11 +133,15 @@ function cancelStreamTermination(streamId) {
   return false;
 }
 function handleStreamStopped(streamId) {
+  rescheduleRecurringStream(streamId).catch(error => {
+    console.error(`Error rescheduling recurring stream ${streamId}:`, error);
+  });
   return cancelStreamTermination(streamId);
 }
 module.exports = {
   init,
   scheduleStreamTermination,
   cancelStreamTermination,
-  handleStreamStopped
+  handleStreamStopped,
+  rescheduleRecurringStream
 };
\ No newline at end of file
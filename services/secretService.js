@@ -0,0 +1,80 @@
+// Keeps the secrets stored in the database sealed with the current
+// ENCRYPTION_SECRET: plain values from before encryption was enabled and
+// values sealed with ENCRYPTION_SECRET_PREVIOUS are encrypted again. Runs on
+// every start and from rotate-secret.js.
+const { db } = require('../db/database');
+const secrets = require('../utils/secrets');
+
+// Streams also keep the keyed hash used to find duplicate stream keys
+const SECRET_COLUMNS = [
+  { table: 'streams', column: 'stream_key', hashColumn: 'stream_key_hash' },
+  { table: 'stream_destinations', column: 'stream_key' },
+  { table: 'users', column: 'gdrive_api_key' },
+  { table: 'users', column: 'totp_secret' }
+];
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve(rows || []);
+    });
+  });
+}
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) {
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+}
+
+async function sealColumn({ table, column, hashColumn }, result) {
+  const hashSelect = hashColumn ? `, ${hashColumn} AS hash` : '';
+  const rows = await all(`SELECT id, ${column} AS value${hashSelect} FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != ''`);
+  for (const row of rows) {
+    if (!secrets.needsResealing(row.value) && !(hashColumn && !row.hash)) {
+      continue;
+    }
+    let value;
+    try {
+      value = secrets.decryptSecret(row.value);
+    } catch (error) {
+      result.failed++;
+      continue;
+    }
+    const assignments = [`${column} = ?`];
+    const values = [secrets.encryptSecret(value)];
+    if (hashColumn) {
+      assignments.push(`${hashColumn} = ?`);
+      values.push(secrets.hashSecret(value));
+    }
+    await run(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = ?`, [...values, row.id]);
+    result.sealed++;
+  }
+}
+
+// Returns { sealed, failed }; failed counts values no configured secret opens
+async function sealSecrets() {
+  const result = { sealed: 0, failed: 0 };
+  for (const secretColumn of SECRET_COLUMNS) {
+    await sealColumn(secretColumn, result);
+  }
+  if (result.sealed > 0) {
+    console.log(`[Secrets] Updated ${result.sealed} stored secret(s)`);
+  }
+  if (result.failed > 0) {
+    console.error(`[Secrets] ${result.failed} stored secret(s) were encrypted with a secret that is not configured. Set the old value as ENCRYPTION_SECRET_PREVIOUS`);
+  }
+  return result;
+}
+
+module.exports = {
+  sealSecrets
+};
@@ -0,0 +1,323 @@
+// Stream bundles move stream setups between StreamFlow instances. Video ids
+// differ on every instance, so videos are referenced by the checksum of their
+// file; the files themselves are not part of the bundle.
+const path = require('path');
+const crypto = require('crypto');
+const Stream = require('../models/Stream');
+const StreamDestination = require('../models/StreamDestination');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const { computeFileChecksum } = require('../utils/storage');
+const { decryptSecret } = require('../utils/secrets');
+const { toConfigStream } = require('../cli/streamConfig');
+const { toStreamFormInput, createStreamFromInput } = require('./streamConfigService');
+
+const BUNDLE_FORMAT = 'streamflow-streams';
+const BUNDLE_VERSION = 1;
+// include: keys in plain text, redact: keys left out, encrypt: keys sealed with a passphrase
+const KEY_MODES = ['include', 'redact', 'encrypt'];
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), Buffer.from(salt, 'base64'), 32);
+}
+
+function encryptValue(value, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Throws when the passphrase is wrong or the value was tampered with
+function decryptValue(value, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(value.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Hashing happens once per video; the result is stored for later bundles.
+// Returns null when the file is gone.
+async function getVideoChecksum(video) {
+  if (!video.checksum) {
+    try {
+      video.checksum = await computeFileChecksum(path.join(__dirname, '..', 'public', video.filepath));
+    } catch (error) {
+      console.error(`[StreamBundle] Cannot hash video ${video.id}:`, error.message);
+      return null;
+    }
+    await Video.update(video.id, { checksum: video.checksum });
+  }
+  return video.checksum;
+}
+
+// Returns { bundle } or { error }. `ids` limits the export to some streams.
+// Keys are left out unless keyMode asks for them.
+async function exportStreams(userId, { ids = null, keyMode = 'redact', passphrase = null } = {}) {
+  if (!KEY_MODES.includes(keyMode)) {
+    return { error: `Stream key mode must be one of: ${KEY_MODES.join(', ')}` };
+  }
+  if (keyMode === 'encrypt' && String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    return { error: `Encrypting stream keys needs a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters` };
+  }
+  let streams = await Stream.findAll(userId);
+  if (ids) {
+    const unknown = ids.filter(id => !streams.some(stream => stream.id === id));
+    if (unknown.length > 0) {
+      return { error: `Stream not found: ${unknown.join(', ')}` };
+    }
+    streams = streams.filter(stream => ids.includes(stream.id));
+  }
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    key_mode: keyMode
+  };
+  let protectKey = streamKey => decryptSecret(streamKey);
+  if (keyMode === 'redact') {
+    protectKey = () => null;
+  } else if (keyMode === 'encrypt') {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = deriveKey(passphrase, salt);
+    bundle.encryption = { algorithm: 'aes-256-gcm', kdf: 'scrypt', salt };
+    protectKey = streamKey => encryptValue(decryptSecret(streamKey), key);
+  }
+  const videos = new Map();
+  const playlists = new Map();
+  const addVideo = async (videoId) => {
+    if (!videos.has(videoId)) {
+      const video = await Video.findById(videoId);
+      if (!video) {
+        return null;
+      }
+      videos.set(videoId, {
+        ref: `video-${videos.size + 1}`,
+        checksum: await getVideoChecksum(video),
+        title: video.title,
+        file_size: video.file_size,
+        duration: video.duration,
+        resolution: video.resolution,
+        format: video.format
+      });
+    }
+    return videos.get(videoId).ref;
+  };
+  const addPlaylist = async (playlistId) => {
+    if (!playlists.has(playlistId)) {
+      const playlist = await Playlist.findById(playlistId);
+      if (!playlist) {
+        return null;
+      }
+      const videoRefs = [];
+      for (const item of await Playlist.getItems(playlistId)) {
+        videoRefs.push(await addVideo(item.video_id));
+      }
+      playlists.set(playlistId, {
+        ref: `playlist-${playlists.size + 1}`,
+        title: playlist.title,
+        description: playlist.description,
+        shuffle: playlist.shuffle,
+        loop_playlist: playlist.loop_playlist,
+        videos: videoRefs.filter(Boolean)
+      });
+    }
+    return playlists.get(playlistId).ref;
+  };
+  bundle.streams = [];
+  for (const [index, stream] of streams.entries()) {
+    stream.destinations = await StreamDestination.findOrCreateForStream(stream);
+    const { video_id, playlist_id, ...settings } = toConfigStream(stream);
+    const entry = { ref: `stream-${index + 1}`, ...settings };
+    if (playlist_id) {
+      entry.playlist = await addPlaylist(playlist_id);
+    } else if (video_id) {
+      entry.video = await addVideo(video_id);
+    }
+    entry.stream_key = protectKey(entry.stream_key);
+    entry.destinations = entry.destinations.map(destination => ({
+      ...destination,
+      stream_key: protectKey(destination.stream_key)
+    }));
+    bundle.streams.push(entry);
+  }
+  bundle.videos = [...videos.values()];
+  bundle.playlists = [...playlists.values()];
+  return { bundle };
+}
+
+function validateBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return 'Not a StreamFlow stream bundle';
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return `Unsupported stream bundle version ${bundle.version}, expected ${BUNDLE_VERSION}`;
+  }
+  if (!KEY_MODES.includes(bundle.key_mode)) {
+    return 'Stream bundle has an unknown key mode';
+  }
+  if (bundle.key_mode === 'encrypt' && (!bundle.encryption || typeof bundle.encryption.salt !== 'string')) {
+    return 'Stream bundle is missing its encryption settings';
+  }
+  for (const list of ['streams', 'videos', 'playlists']) {
+    if (!Array.isArray(bundle[list]) || bundle[list].some(item => !item || typeof item !== 'object')) {
+      return `Stream bundle has an invalid ${list} list`;
+    }
+  }
+  const isValidDestinations = destinations => destinations === undefined ||
+    (Array.isArray(destinations) && destinations.every(destination => destination && typeof destination === 'object'));
+  if (!bundle.streams.every(entry => isValidDestinations(entry.destinations))) {
+    return 'Stream bundle has an invalid destinations list';
+  }
+  return null;
+}
+
+// Only hashes local videos whose size matches a bundled video, since hashing
+// a whole library can take a while. Returns bundle ref → local video id.
+async function matchVideos(userId, bundleVideos) {
+  const wanted = bundleVideos.filter(video => video.checksum);
+  const sizes = new Set(wanted.map(video => Number(video.file_size)));
+  const hashAll = wanted.some(video => !video.file_size);
+  const localByChecksum = new Map();
+  if (wanted.length > 0) {
+    for (const video of await Video.findAll(userId)) {
+      if (!video.checksum && !hashAll && !sizes.has(Number(video.file_size))) {
+        continue;
+      }
+      const checksum = await getVideoChecksum(video);
+      if (checksum && !localByChecksum.has(checksum)) {
+        localByChecksum.set(checksum, video.id);
+      }
+    }
+  }
+  const videoIds = new Map();
+  const missing = [];
+  for (const video of bundleVideos) {
+    const localId = video.checksum ? localByChecksum.get(video.checksum) : null;
+    if (localId) {
+      videoIds.set(video.ref, localId);
+    } else {
+      missing.push({
+        ref: video.ref,
+        checksum: video.checksum || null,
+        title: video.title || null,
+        file_size: video.file_size || null
+      });
+    }
+  }
+  return { videoIds, missing };
+}
+
+// Recreates the streams of a bundle for `userId`. Keys redacted from the
+// bundle can be passed in `streamKeys`, keyed by stream ref. Returns
+// { created, skipped, missing_videos, warnings } or { error } when the bundle
+// itself is unusable.
+async function importStreams(userId, bundle, { passphrase = null, streamKeys = {} } = {}) {
+  const bundleError = validateBundle(bundle);
+  if (bundleError) {
+    return { error: bundleError };
+  }
+  let readKey = value => (typeof value === 'string' && value.trim() ? value : null);
+  if (bundle.key_mode === 'redact') {
+    readKey = () => null;
+  } else if (bundle.key_mode === 'encrypt') {
+    if (!passphrase) {
+      return { error: 'The stream keys of this bundle are encrypted, a passphrase is required' };
+    }
+    const key = deriveKey(passphrase, bundle.encryption.salt);
+    readKey = value => (value ? decryptValue(value, key) : null);
+  }
+  // Decrypt everything first so a wrong passphrase creates nothing
+  const keys = new Map();
+  try {
+    for (const entry of bundle.streams) {
+      keys.set(entry, {
+        stream: readKey(entry.stream_key),
+        destinations: (entry.destinations || []).map(destination => readKey(destination.stream_key))
+      });
+    }
+  } catch (error) {
+    return { error: 'Cannot decrypt the stream keys, check the passphrase' };
+  }
+  const { videoIds, missing } = await matchVideos(userId, bundle.videos);
+  const bundlePlaylists = new Map(bundle.playlists.map(playlist => [playlist.ref, playlist]));
+  const playlistIds = new Map();
+  const created = [];
+  const skipped = [];
+  const warnings = [];
+  for (const entry of bundle.streams) {
+    const label = entry.title || '(untitled)';
+    const { ref, video, playlist, video_id, playlist_id, destinations = [], ...settings } = entry;
+    const body = { ...settings, stream_key: (streamKeys && streamKeys[ref]) || keys.get(entry).stream };
+    if (!body.title || !body.rtmp_url) {
+      skipped.push({ ref, title: label, error: 'Title and RTMP URL are required' });
+      continue;
+    }
+    if (!body.stream_key) {
+      skipped.push({ ref, title: label, error: `Stream key is missing, pass it in stream_keys["${ref}"]` });
+      continue;
+    }
+    if (body.schedule_time && !body.recurrence_type && new Date(body.schedule_time) <= new Date()) {
+      warnings.push(`"${label}": the scheduled start has passed and was removed`);
+      delete body.schedule_time;
+    }
+    body.destinations = [];
+    destinations.forEach((destination, index) => {
+      const destinationKey = keys.get(entry).destinations[index];
+      if (!destinationKey) {
+        warnings.push(`"${label}": destination "${destination.name || destination.rtmp_url}" has no stream key and was left out`);
+        return;
+      }
+      body.destinations.push({ ...destination, stream_key: destinationKey });
+    });
+    let newPlaylistId = null;
+    if (playlist) {
+      if (!playlistIds.has(playlist)) {
+        const source = bundlePlaylists.get(playlist);
+        const items = source ? (source.videos || []).map(videoRef => videoIds.get(videoRef)).filter(Boolean) : [];
+        if (items.length > 0) {
+          newPlaylistId = (await Playlist.create({
+            title: source.title || label,
+            description: source.description || null,
+            shuffle: Boolean(source.shuffle),
+            loop_playlist: source.loop_playlist !== false,
+            user_id: userId
+          })).id;
+          await Playlist.setItems(newPlaylistId, items);
+        }
+        playlistIds.set(playlist, newPlaylistId);
+      }
+      body.playlist_id = playlistIds.get(playlist);
+      if (!body.playlist_id) {
+        warnings.push(`"${label}": none of the playlist videos exist here, pick a video after importing`);
+      }
+    } else if (video) {
+      body.video_id = videoIds.get(video);
+      if (!body.video_id) {
+        warnings.push(`"${label}": the video is missing here, upload it and pick it after importing`);
+      }
+    }
+    const result = await createStreamFromInput(userId, toStreamFormInput(body));
+    if (result.error) {
+      if (newPlaylistId) {
+        await Playlist.delete(newPlaylistId, userId);
+        playlistIds.delete(playlist);
+      }
+      skipped.push({ ref, title: label, error: result.error });
+      continue;
+    }
+    created.push({ ref, id: result.stream.id, title: result.stream.title });
+  }
+  console.log(`[StreamBundle] Imported ${created.length} stream(s), skipped ${skipped.length}, ${missing.length} video(s) missing`);
+  return { created, skipped, missing_videos: missing, warnings };
+}
+
+module.exports = {
+  KEY_MODES,
+  exportStreams,
+  importStreams
+};
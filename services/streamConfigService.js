@@ -0,0 +1,415 @@
+// Turns stream form input into validated stream rows. Used by the web routes,
+// the v1 API and the command line tool, so it must not start any streams.
+const Stream = require('../models/Stream');
+const StreamDestination = require('../models/StreamDestination');
+const Playlist = require('../models/Playlist');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const EncodingPreset = require('../models/EncodingPreset');
+const recurrence = require('../utils/recurrence');
+const { parseHealthThresholdInput } = require('../utils/healthThresholds');
+const { parseRetryPolicyInput } = require('../utils/retryPolicy');
+const quotas = require('../utils/quotas');
+const { isMaskedSecret } = require('../utils/secrets');
+const { validateOutputUrl } = require('../utils/outputProtocols');
+const { getFFmpegCapabilities } = require('../utils/ffmpegConfig');
+const { isRecommendedPresetKey } = require('../utils/encodingPresets');
+
+// Database column → field name used by the stream forms
+const STREAM_FORM_FIELDS = {
+  title: 'streamTitle',
+  rtmp_url: 'rtmpUrl',
+  stream_key: 'streamKey',
+  video_id: 'videoId',
+  playlist_id: 'playlistId',
+  schedule_time: 'scheduleTime',
+  duration: 'duration',
+  loop_video: 'loopVideo',
+  use_advanced_settings: 'useAdvancedSettings',
+  live_preview: 'livePreview',
+  encoding_preset_id: 'encodingPresetId',
+  bitrate: 'bitrate',
+  resolution: 'resolution',
+  fps: 'fps',
+  orientation: 'orientation',
+  recurrence_type: 'recurrenceType',
+  recurrence_time: 'recurrenceTime',
+  recurrence_days: 'recurrenceDays',
+  recurrence_cron: 'recurrenceCron',
+  recurrence_timezone: 'recurrenceTimezone',
+  health_stall_timeout: 'healthStallTimeout',
+  health_min_speed: 'healthMinSpeed',
+  health_min_bitrate: 'healthMinBitrate',
+  retry_max_attempts: 'retryMaxAttempts',
+  retry_backoff_base: 'retryBackoffBase',
+  retry_backoff_max: 'retryBackoffMax',
+  retry_reset_after: 'retryResetAfter'
+};
+
+function detectPlatform(rtmpUrl) {
+  if (rtmpUrl.includes('youtube.com')) {
+    return { platform: 'YouTube', platform_icon: 'ti-brand-youtube' };
+  } else if (rtmpUrl.includes('facebook.com')) {
+    return { platform: 'Facebook', platform_icon: 'ti-brand-facebook' };
+  } else if (rtmpUrl.includes('twitch.tv')) {
+    return { platform: 'Twitch', platform_icon: 'ti-brand-twitch' };
+  } else if (rtmpUrl.includes('tiktok.com')) {
+    return { platform: 'TikTok', platform_icon: 'ti-brand-tiktok' };
+  } else if (rtmpUrl.includes('instagram.com')) {
+    return { platform: 'Instagram', platform_icon: 'ti-brand-instagram' };
+  } else if (rtmpUrl.includes('shopee.io')) {
+    return { platform: 'Shopee Live', platform_icon: 'ti-brand-shopee' };
+  } else if (rtmpUrl.includes('restream.io')) {
+    return { platform: 'Restream.io', platform_icon: 'ti-live-photo' };
+  }
+  return { platform: 'Custom', platform_icon: 'ti-broadcast' };
+}
+
+function parseBoolean(value) {
+  return value === 'true' || value === true;
+}
+
+async function validatePlaylistSource(playlistId, userId) {
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist || playlist.user_id !== userId) {
+    return 'Playlist not found';
+  }
+  const items = await Playlist.getItems(playlistId);
+  if (items.length === 0) {
+    return 'The selected playlist has no videos';
+  }
+  return null;
+}
+
+// A recommended preset key or one of the user's presets; empty clears the
+// selection. Returns { value } or { error }.
+async function parseEncodingPresetInput(presetId, userId) {
+  if (presetId === null || presetId === undefined || String(presetId).trim() === '') {
+    return { value: null };
+  }
+  const value = String(presetId).trim();
+  if (isRecommendedPresetKey(value)) {
+    return { value };
+  }
+  const preset = await EncodingPreset.findById(value);
+  if (!preset || preset.user_id !== userId) {
+    return { error: 'Encoding preset not found' };
+  }
+  return { value };
+}
+
+// Bitrate and resolution limits apply to what reaches the platform: the
+// encoder settings in advanced mode, otherwise the source videos copied as-is
+async function validateStreamQuota(userId, settings) {
+  const userQuotas = quotas.resolveQuotas(await User.findById(userId));
+  if (userQuotas.maxBitrate === null && userQuotas.maxResolution === null) {
+    return null;
+  }
+  if (settings.use_advanced_settings) {
+    return quotas.checkOutputLimits(userQuotas, settings);
+  }
+  let sources = [];
+  if (settings.playlist_id) {
+    sources = (await Playlist.getItems(settings.playlist_id)).map(item => ({
+      title: item.video_title,
+      bitrate: item.video_bitrate,
+      resolution: item.video_resolution
+    }));
+  } else if (settings.video_id) {
+    const video = await Video.findById(settings.video_id);
+    sources = video ? [video] : [];
+  }
+  for (const source of sources) {
+    const quotaError = quotas.checkOutputLimits(userQuotas, source, `Video "${source.title}"`);
+    if (quotaError) {
+      return `${quotaError}. Enable advanced settings to re-encode it within your limits`;
+    }
+  }
+  return null;
+}
+
+function validateDestinationInput(destination) {
+  if (!destination || typeof destination !== 'object') {
+    return 'Invalid destination';
+  }
+  if (!destination.rtmpUrl || !String(destination.rtmpUrl).trim()) {
+    return 'Destination URL is required';
+  }
+  const urlError = validateOutputUrl(destination.rtmpUrl, getFFmpegCapabilities());
+  if (urlError) {
+    return `Destination: ${urlError}`;
+  }
+  if (!destination.streamKey || !String(destination.streamKey).trim() || isMaskedSecret(destination.streamKey)) {
+    return 'Destination stream key is required';
+  }
+  return null;
+}
+
+// Translates a body keyed by column names (v1 API, CLI, config files) to the
+// form fields understood by createStreamFromInput and updateStreamFromInput
+function toStreamFormInput(body) {
+  const input = {};
+  for (const [field, form] of Object.entries(STREAM_FORM_FIELDS)) {
+    if (field in body) {
+      input[form] = body[field];
+    }
+  }
+  if (input.retryMaxAttempts === 0) {
+    input.retryMaxAttempts = 'unlimited';
+  }
+  if (Array.isArray(body.destinations)) {
+    input.destinations = body.destinations.map(destination => ({
+      name: destination.name,
+      rtmpUrl: destination.rtmp_url,
+      streamKey: destination.stream_key,
+      enabled: destination.enabled
+    }));
+  }
+  return input;
+}
+
+// Shared by the legacy and v1 stream routes. `input` uses the field names of
+// the stream forms; returns { stream } or { error } for invalid input.
+async function createStreamFromInput(userId, input) {
+  if (isMaskedSecret(input.streamKey)) {
+    return { error: 'Stream key is required' };
+  }
+  const urlError = validateOutputUrl(input.rtmpUrl, getFFmpegCapabilities());
+  if (urlError) {
+    return { error: urlError };
+  }
+  const isInUse = await Stream.isStreamKeyInUse(input.streamKey, userId);
+  if (isInUse) {
+    return { error: 'This stream key is already in use. Please use a different key.' };
+  }
+  const extraDestinations = Array.isArray(input.destinations) ? input.destinations : [];
+  for (const destination of extraDestinations) {
+    const destinationError = validateDestinationInput(destination);
+    if (destinationError) {
+      return { error: destinationError };
+    }
+  }
+  if (input.playlistId) {
+    const playlistError = await validatePlaylistSource(input.playlistId, userId);
+    if (playlistError) {
+      return { error: playlistError };
+    }
+  }
+  const recurrenceRule = recurrence.parseRecurrenceInput(input);
+  if (recurrenceRule) {
+    const recurrenceError = recurrence.validateRecurrence(recurrenceRule);
+    if (recurrenceError) {
+      return { error: recurrenceError };
+    }
+  }
+  const healthThresholds = parseHealthThresholdInput(input);
+  if (healthThresholds.error) {
+    return { error: healthThresholds.error };
+  }
+  const retryPolicy = parseRetryPolicyInput(input);
+  if (retryPolicy.error) {
+    return { error: retryPolicy.error };
+  }
+  const encodingPreset = await parseEncodingPresetInput(input.encodingPresetId, userId);
+  if (encodingPreset.error) {
+    return { error: encodingPreset.error };
+  }
+  const { platform, platform_icon } = detectPlatform(input.rtmpUrl);
+  const streamData = {
+    title: input.streamTitle,
+    video_id: input.playlistId ? null : (input.videoId || null),
+    playlist_id: input.playlistId || null,
+    rtmp_url: input.rtmpUrl,
+    stream_key: input.streamKey,
+    platform,
+    platform_icon,
+    bitrate: parseInt(input.bitrate) || 2500,
+    resolution: input.resolution || '1280x720',
+    fps: parseInt(input.fps) || 30,
+    orientation: input.orientation || 'horizontal',
+    loop_video: input.loopVideo === 'true' || input.loopVideo === true,
+    use_advanced_settings: input.useAdvancedSettings === 'true' || input.useAdvancedSettings === true,
+    live_preview: parseBoolean(input.livePreview),
+    encoding_preset_id: encodingPreset.value,
+    ...healthThresholds.columns,
+    ...retryPolicy.columns,
+    user_id: userId
+  };
+  const quotaError = await validateStreamQuota(userId, streamData);
+  if (quotaError) {
+    return { error: quotaError };
+  }
+  if (input.scheduleTime) {
+    const scheduleDate = new Date(input.scheduleTime);
+    
+    const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    console.log(`[CREATE STREAM] Server timezone: ${serverTimezone}`);
+    console.log(`[CREATE STREAM] Input time: ${input.scheduleTime}`);
+    console.log(`[CREATE STREAM] Parsed time: ${scheduleDate.toISOString()}`);
+    console.log(`[CREATE STREAM] Local display: ${scheduleDate.toLocaleString('en-US', { timeZone: serverTimezone })}`);
+    
+    streamData.schedule_time = scheduleDate.toISOString();
+  }
+  if (recurrenceRule) {
+    Object.assign(streamData, recurrenceRule);
+    streamData.schedule_time = recurrence.getNextOccurrence(recurrenceRule).toISOString();
+  }
+  if (input.duration) {
+    streamData.duration = parseInt(input.duration);
+  }
+  streamData.status = streamData.schedule_time ? 'scheduled' : 'offline';
+  const stream = await Stream.create(streamData);
+  const destinations = [await StreamDestination.create({
+    stream_id: stream.id,
+    name: platform,
+    rtmp_url: streamData.rtmp_url,
+    stream_key: streamData.stream_key,
+    platform,
+    platform_icon,
+    position: 0
+  })];
+  for (const [index, destination] of extraDestinations.entries()) {
+    const detected = detectPlatform(destination.rtmpUrl);
+    destinations.push(await StreamDestination.create({
+      stream_id: stream.id,
+      name: destination.name || detected.platform,
+      rtmp_url: destination.rtmpUrl.trim(),
+      stream_key: destination.streamKey.trim(),
+      platform: detected.platform,
+      platform_icon: detected.platform_icon,
+      enabled: destination.enabled === undefined ? true : parseBoolean(destination.enabled),
+      position: index + 1
+    }));
+  }
+  stream.destinations = destinations;
+  return { stream };
+}
+
+// Applies the fields present in `input` to an existing stream, mirroring
+// createStreamFromInput. Returns { stream } or { error }.
+async function updateStreamFromInput(stream, userId, input) {
+  const updateData = {};
+  if (input.streamTitle) updateData.title = input.streamTitle;
+  if (input.playlistId) {
+    const playlistError = await validatePlaylistSource(input.playlistId, userId);
+    if (playlistError) {
+      return { error: playlistError };
+    }
+    updateData.playlist_id = input.playlistId;
+    updateData.video_id = null;
+  } else if (input.videoId) {
+    updateData.video_id = input.videoId;
+    updateData.playlist_id = null;
+  }
+  if (input.rtmpUrl) {
+    const urlError = validateOutputUrl(input.rtmpUrl, getFFmpegCapabilities());
+    if (urlError) {
+      return { error: urlError };
+    }
+    updateData.rtmp_url = input.rtmpUrl;
+  }
+  if (input.streamKey && !isMaskedSecret(input.streamKey)) updateData.stream_key = input.streamKey;
+  if (input.bitrate) updateData.bitrate = parseInt(input.bitrate);
+  if (input.resolution) updateData.resolution = input.resolution;
+  if (input.fps) updateData.fps = parseInt(input.fps);
+  if (input.orientation) updateData.orientation = input.orientation;
+  if (input.loopVideo !== undefined) {
+    updateData.loop_video = input.loopVideo === 'true' || input.loopVideo === true;
+  }
+  if (input.useAdvancedSettings !== undefined) {
+    updateData.use_advanced_settings = input.useAdvancedSettings === 'true' || input.useAdvancedSettings === true;
+  }
+  if (input.livePreview !== undefined) {
+    updateData.live_preview = parseBoolean(input.livePreview);
+  }
+  if (input.encodingPresetId !== undefined) {
+    const encodingPreset = await parseEncodingPresetInput(input.encodingPresetId, userId);
+    if (encodingPreset.error) {
+      return { error: encodingPreset.error };
+    }
+    updateData.encoding_preset_id = encodingPreset.value;
+  }
+  if (input.scheduleTime) {
+    const scheduleDate = new Date(input.scheduleTime);
+    
+    const serverTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    console.log(`[UPDATE STREAM] Server timezone: ${serverTimezone}`);
+    console.log(`[UPDATE STREAM] Input time: ${input.scheduleTime}`);
+    console.log(`[UPDATE STREAM] Parsed time: ${scheduleDate.toISOString()}`);
+    console.log(`[UPDATE STREAM] Local display: ${scheduleDate.toLocaleString('en-US', { timeZone: serverTimezone })}`);
+    
+    updateData.schedule_time = scheduleDate.toISOString();
+    updateData.status = 'scheduled';
+  } else if ('scheduleTime' in input && !input.scheduleTime) {
+    updateData.schedule_time = null;
+    updateData.status = 'offline';
+  }
+  if ('recurrenceType' in input) {
+    const recurrenceRule = recurrence.parseRecurrenceInput(input);
+    if (recurrenceRule) {
+      const recurrenceError = recurrence.validateRecurrence(recurrenceRule);
+      if (recurrenceError) {
+        return { error: recurrenceError };
+      }
+      Object.assign(updateData, recurrenceRule);
+      if (stream.status !== 'live') {
+        updateData.schedule_time = recurrence.getNextOccurrence(recurrenceRule).toISOString();
+        updateData.status = 'scheduled';
+      }
+    } else if (recurrence.isRecurring(stream)) {
+      Object.assign(updateData, {
+        recurrence_type: null,
+        recurrence_time: null,
+        recurrence_days: null,
+        recurrence_cron: null,
+        recurrence_timezone: null
+      });
+    }
+  }
+  const healthThresholds = parseHealthThresholdInput(input);
+  if (healthThresholds.error) {
+    return { error: healthThresholds.error };
+  }
+  const retryPolicy = parseRetryPolicyInput(input);
+  if (retryPolicy.error) {
+    return { error: retryPolicy.error };
+  }
+  Object.assign(updateData, healthThresholds.columns, retryPolicy.columns);
+  const quotaError = await validateStreamQuota(userId, { ...stream, ...updateData });
+  if (quotaError) {
+    return { error: quotaError };
+  }
+  
+  if (updateData.rtmp_url) {
+    Object.assign(updateData, detectPlatform(updateData.rtmp_url));
+  }
+  const updatedStream = await Stream.update(stream.id, updateData);
+  if (updateData.rtmp_url || updateData.stream_key) {
+    const [primary] = await StreamDestination.findOrCreateForStream(stream);
+    const primaryUpdate = {};
+    if (updateData.rtmp_url) {
+      primaryUpdate.rtmp_url = updateData.rtmp_url;
+      primaryUpdate.platform = updateData.platform;
+      primaryUpdate.platform_icon = updateData.platform_icon;
+      if (!primary.name || primary.name === primary.platform) {
+        primaryUpdate.name = updateData.platform;
+      }
+    }
+    if (updateData.stream_key) primaryUpdate.stream_key = updateData.stream_key;
+    await StreamDestination.update(primary.id, primaryUpdate);
+  }
+  return { stream: updatedStream };
+}
+
+module.exports = {
+  STREAM_FORM_FIELDS,
+  detectPlatform,
+  parseBoolean,
+  validatePlaylistSource,
+  parseEncodingPresetInput,
+  validateStreamQuota,
+  validateDestinationInput,
+  toStreamFormInput,
+  createStreamFromInput,
+  updateStreamFromInput
+};
@@ -5,6 +5,9 @@
 
 const { EventEmitter } = require('events');
 const streamingService = require('./streamingService');
+const Stream = require('../models/Stream');
+const StreamHealthCheck = require('../models/StreamHealthCheck');
+const { resolveHealthThresholds } = require('../utils/healthThresholds');
 
 class StreamHealthMonitor extends EventEmitter {
   constructor() {
@@ -12,7 +15,6 @@ class StreamHealthMonitor extends EventEmitter {
     this.monitoringInterval = null;
     this.healthChecks = new Map();
     this.MONITORING_INTERVAL = 10000; // 10 seconds
-    this.HEALTH_CHECK_TIMEOUT = 30000; // 30 seconds
     this.MAX_CONSECUTIVE_FAILURES = 3;
   }
 
@@ -62,7 +64,7 @@ class StreamHealthMonitor extends EventEmitter {
   }
 
   /**
-   * Check health of a specific stream
+   * Check health of a specific stream from its encoder progress counters
    */
   async checkStreamHealth(streamId) {
     try {
@@ -73,43 +75,132 @@ class StreamHealthMonitor extends EventEmitter {
         this.healthChecks.delete(streamId);
         return;
       }
+      if (streamStatus.isRestarting) {
+        // A restart was already requested and the old process is still exiting
+        return;
+      }
 
-      // Check if stream has been running for too long without activity
-      const elapsedTime = streamStatus.elapsedTime;
-      const lastLog = streamStatus.lastLog;
-      
-      if (elapsedTime > this.HEALTH_CHECK_TIMEOUT / 1000) {
-        // Check if we have recent logs
-        if (lastLog) {
-          const lastLogTime = new Date(lastLog.timestamp);
-          const timeSinceLastLog = Date.now() - lastLogTime.getTime();
-          
-          if (timeSinceLastLog > this.HEALTH_CHECK_TIMEOUT) {
-            console.warn(`[StreamHealthMonitor] Stream ${streamId} appears to be stalled (no logs for ${Math.floor(timeSinceLastLog / 1000)}s)`);
-            await this.handleStalledStream(streamId);
-            return;
-          }
-        }
+      const stream = await Stream.findById(streamId);
+      if (!stream) {
+        return;
       }
+      const thresholds = resolveHealthThresholds(stream);
+      const verdict = this.evaluateStream(streamId, streamStatus, thresholds);
 
-      // Update health check status
-      this.updateHealthStatus(streamId, true);
+      if (verdict.status === 'stalled') {
+        await this.recordVerdict(streamId, verdict, 'restart');
+        await this.handleStalledStream(streamId, verdict);
+        return;
+      }
+
+      const action = verdict.status === 'degraded' && this.getConsecutiveFailures(streamId) + 1 >= this.MAX_CONSECUTIVE_FAILURES
+        ? 'restart'
+        : null;
+      await this.recordVerdict(streamId, verdict, action);
+      // Starting and unmonitored streams neither count as failures nor reset them
+      if (verdict.status === 'healthy' || verdict.status === 'degraded') {
+        this.updateHealthStatus(streamId, verdict.status === 'healthy', verdict);
+      }
       
     } catch (error) {
       console.error(`[StreamHealthMonitor] Error checking health for stream ${streamId}:`, error);
-      this.updateHealthStatus(streamId, false);
     }
   }
 
+  /**
+   * Judge a stream from its latest progress report against its thresholds.
+   * Returns { status, reason, metrics } where status is one of
+   * starting, unmonitored, healthy, degraded or stalled.
+   */
+  evaluateStream(streamId, streamStatus, thresholds) {
+    const progress = streamStatus.progress;
+    const stats = streamingService.getStreamStats(streamId).latest;
+    const lastProgressAt = streamStatus.lastProgressAt ? new Date(streamStatus.lastProgressAt) : null;
+    const secondsSinceProgress = lastProgressAt ? Math.floor((Date.now() - lastProgressAt.getTime()) / 1000) : null;
+    const metrics = {
+      frame: progress ? progress.frame : null,
+      fps: progress ? progress.fps : null,
+      speed: progress ? progress.speed : null,
+      bitrate: stats ? stats.bitrate : null,
+      secondsSinceProgress,
+      uptime: streamStatus.elapsedTime
+    };
+    const verdict = (status, reason = null) => ({ status, reason, metrics, thresholds });
+
+    if (streamStatus.isAdopted && !progress) {
+      // Re-adopted processes have no readable progress output
+      return verdict('unmonitored', 'Process re-adopted after restart, progress output unavailable');
+    }
+    if (secondsSinceProgress !== null && secondsSinceProgress > thresholds.stallTimeout) {
+      return verdict('stalled', progress
+        ? `No encoder progress for ${secondsSinceProgress}s (frame ${progress.frame})`
+        : `No progress reported ${secondsSinceProgress}s after start`);
+    }
+    if (!progress || streamStatus.elapsedTime < thresholds.stallTimeout) {
+      return verdict('starting');
+    }
+    if (thresholds.minSpeed > 0 && progress.speed !== null && progress.speed < thresholds.minSpeed) {
+      return verdict('degraded', `Encoding speed ${progress.speed}x below ${thresholds.minSpeed}x`);
+    }
+    if (thresholds.minBitrate > 0 && metrics.bitrate !== null && metrics.bitrate < thresholds.minBitrate) {
+      return verdict('degraded', `Output bitrate ${Math.round(metrics.bitrate)} kbps below ${thresholds.minBitrate} kbps`);
+    }
+    return verdict('healthy');
+  }
+
+  /**
+   * Persist a verdict. Unhealthy verdicts are always recorded, healthy ones
+   * only when the stream's status changes, so the log explains each restart.
+   */
+  async recordVerdict(streamId, verdict, action = null) {
+    if (!this.healthChecks.has(streamId)) {
+      this.healthChecks.set(streamId, {
+        consecutiveFailures: 0,
+        lastCheck: Date.now(),
+        isHealthy: true,
+        lastVerdict: null
+      });
+    }
+    const healthCheck = this.healthChecks.get(streamId);
+    const previousStatus = healthCheck.lastVerdict ? healthCheck.lastVerdict.status : null;
+    healthCheck.lastVerdict = { ...verdict, action, checkedAt: new Date().toISOString() };
+    healthCheck.lastCheck = Date.now();
+
+    const isProblem = verdict.status === 'degraded' || verdict.status === 'stalled';
+    if (!isProblem && previousStatus === verdict.status) {
+      return;
+    }
+    if (verdict.status === 'healthy' && (previousStatus === 'degraded' || previousStatus === 'stalled')) {
+      this.emit('streamRecovered', { streamId, resumePosition: streamingService.getStreamBasePosition(streamId) });
+    }
+    try {
+      await StreamHealthCheck.create({
+        stream_id: streamId,
+        status: verdict.status,
+        reason: verdict.reason,
+        action,
+        metrics: { ...verdict.metrics, thresholds: verdict.thresholds }
+      });
+    } catch (error) {
+      console.error(`[StreamHealthMonitor] Error recording health verdict for stream ${streamId}:`, error);
+    }
+  }
+
+  getConsecutiveFailures(streamId) {
+    const healthCheck = this.healthChecks.get(streamId);
+    return healthCheck ? healthCheck.consecutiveFailures : 0;
+  }
+
   /**
    * Update health status for a stream
    */
-  updateHealthStatus(streamId, isHealthy) {
+  updateHealthStatus(streamId, isHealthy, verdict = null) {
     if (!this.healthChecks.has(streamId)) {
       this.healthChecks.set(streamId, {
         consecutiveFailures: 0,
         lastCheck: Date.now(),
-        isHealthy: true
+        isHealthy: true,
+        lastVerdict: null
       });
     }
 
@@ -122,10 +213,10 @@ class StreamHealthMonitor extends EventEmitter {
       healthCheck.consecutiveFailures++;
       healthCheck.isHealthy = false;
       
-      console.warn(`[StreamHealthMonitor] Stream ${streamId} health check failed (${healthCheck.consecutiveFailures}/${this.MAX_CONSECUTIVE_FAILURES})`);
+      console.warn(`[StreamHealthMonitor] Stream ${streamId} health check failed (${healthCheck.consecutiveFailures}/${this.MAX_CONSECUTIVE_FAILURES})${verdict && verdict.reason ? `: ${verdict.reason}` : ''}`);
       
       if (healthCheck.consecutiveFailures >= this.MAX_CONSECUTIVE_FAILURES) {
-        this.handleUnhealthyStream(streamId);
+        this.handleUnhealthyStream(streamId, verdict);
       }
     }
     
@@ -133,83 +224,33 @@ class StreamHealthMonitor extends EventEmitter {
   }
 
   /**
-   * Handle stalled stream (no recent activity)
+   * Handle stalled stream (encoder stopped making progress)
    */
-  async handleStalledStream(streamId) {
-    try {
-      console.log(`[StreamHealthMonitor] Attempting to recover stalled stream ${streamId}`);
-      
-      // Get current video position
-      const videoPosition = streamingService.getStreamVideoPosition(streamId);
-      const elapsedTime = streamingService.getStreamElapsedTime(streamId);
-      
-      // Calculate resume position (use elapsed time if video position is not available)
-      const resumePosition = videoPosition > 0 ? videoPosition : elapsedTime;
-      
-      console.log(`[StreamHealthMonitor] Resuming stream ${streamId} from position ${resumePosition}s`);
-      
-      // Stop current stream
-      await streamingService.stopStream(streamId);
-      
-      // Wait a bit before restarting
-      setTimeout(async () => {
-        try {
-          const result = await streamingService.startStream(streamId, resumePosition);
-          if (result.success) {
-            console.log(`[StreamHealthMonitor] Successfully recovered stalled stream ${streamId}`);
-            this.emit('streamRecovered', { streamId, resumePosition });
-          } else {
-            console.error(`[StreamHealthMonitor] Failed to recover stalled stream ${streamId}: ${result.error}`);
-            this.emit('streamRecoveryFailed', { streamId, error: result.error });
-          }
-        } catch (error) {
-          console.error(`[StreamHealthMonitor] Error during stalled stream recovery: ${error.message}`);
-          this.emit('streamRecoveryFailed', { streamId, error: error.message });
-        }
-      }, 2000);
-      
-    } catch (error) {
-      console.error(`[StreamHealthMonitor] Error handling stalled stream ${streamId}:`, error);
-    }
+  async handleStalledStream(streamId, verdict) {
+    console.warn(`[StreamHealthMonitor] Stream ${streamId} appears to be stalled: ${verdict.reason}`);
+    this.requestRestart(streamId, `health check, stalled: ${verdict.reason}`);
   }
 
   /**
-   * Handle unhealthy stream (multiple consecutive failures)
+   * Handle unhealthy stream (multiple consecutive degraded checks)
    */
-  async handleUnhealthyStream(streamId) {
-    try {
-      console.log(`[StreamHealthMonitor] Stream ${streamId} is unhealthy, attempting recovery`);
-      
-      // Get current video position for resume
-      const videoPosition = streamingService.getStreamVideoPosition(streamId);
-      const elapsedTime = streamingService.getStreamElapsedTime(streamId);
-      const resumePosition = videoPosition > 0 ? videoPosition : elapsedTime;
-      
-      // Stop current stream
-      await streamingService.stopStream(streamId);
-      
-      // Wait before restarting
-      setTimeout(async () => {
-        try {
-          const result = await streamingService.startStream(streamId, resumePosition);
-          if (result.success) {
-            console.log(`[StreamHealthMonitor] Successfully recovered unhealthy stream ${streamId}`);
-            this.emit('streamRecovered', { streamId, resumePosition });
-            
-            // Reset health check status
-            this.healthChecks.delete(streamId);
-          } else {
-            console.error(`[StreamHealthMonitor] Failed to recover unhealthy stream ${streamId}: ${result.error}`);
-            this.emit('streamRecoveryFailed', { streamId, error: result.error });
-          }
-        } catch (error) {
-          console.error(`[StreamHealthMonitor] Error during unhealthy stream recovery: ${error.message}`);
-          this.emit('streamRecoveryFailed', { streamId, error: error.message });
-        }
-      }, 5000);
-      
-    } catch (error) {
-      console.error(`[StreamHealthMonitor] Error handling unhealthy stream ${streamId}:`, error);
+  async handleUnhealthyStream(streamId, verdict) {
+    console.log(`[StreamHealthMonitor] Stream ${streamId} is unhealthy, attempting recovery`);
+    this.requestRestart(streamId, `health check, degraded: ${verdict ? verdict.reason : 'repeated failures'}`);
+  }
+
+  /**
+   * Restart through the streaming service's retry path so the stream resumes
+   * from its tracked position and the retry limits apply
+   */
+  requestRestart(streamId, reason) {
+    const result = streamingService.restartStream(streamId, reason);
+    if (result.success) {
+      this.healthChecks.delete(streamId);
+      this.emit('streamRestartRequested', { streamId, reason });
+    } else {
+      console.error(`[StreamHealthMonitor] Failed to restart stream ${streamId}: ${result.error}`);
+      this.emit('streamRecoveryFailed', { streamId, error: result.error });
     }
   }
 
@@ -220,17 +261,30 @@ class StreamHealthMonitor extends EventEmitter {
     const status = {};
     
     for (const [streamId, healthCheck] of this.healthChecks) {
-      status[streamId] = {
-        isHealthy: healthCheck.isHealthy,
-        consecutiveFailures: healthCheck.consecutiveFailures,
-        lastCheck: new Date(healthCheck.lastCheck).toISOString(),
-        timeSinceLastCheck: Date.now() - healthCheck.lastCheck
-      };
+      status[streamId] = this.describeHealthCheck(healthCheck);
     }
     
     return status;
   }
 
+  /**
+   * Get health status for a single stream, null when it has not been checked
+   */
+  getStreamHealth(streamId) {
+    const healthCheck = this.healthChecks.get(streamId);
+    return healthCheck ? this.describeHealthCheck(healthCheck) : null;
+  }
+
+  describeHealthCheck(healthCheck) {
+    return {
+      isHealthy: healthCheck.isHealthy,
+      consecutiveFailures: healthCheck.consecutiveFailures,
+      lastCheck: new Date(healthCheck.lastCheck).toISOString(),
+      timeSinceLastCheck: Date.now() - healthCheck.lastCheck,
+      lastVerdict: healthCheck.lastVerdict
+    };
+  }
+
   /**
    * Force health check for a specific stream
    */
@@ -1,8 +1,17 @@
 const { spawn } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const ffmpegConfig = require('../utils/ffmpegConfig');
+const { resolveRetryPolicy, canRetry, getBackoffDelay } = require('../utils/retryPolicy');
+const { resolveQuotas, checkConcurrentStreams } = require('../utils/quotas');
+const { SECRET_MASK, decryptSecret } = require('../utils/secrets');
+const { buildOutputUrl } = require('../utils/outputProtocols');
+const { resolveEncodingPreset, withAvailableEncoder } = require('../utils/encodingPresets');
 const schedulerService = require('./schedulerService');
+const webhookService = require('./webhookService');
+const dryRunService = require('./dryRunService');
+const eventBus = require('./eventBus');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../db/database');
 
@@ -10,7 +19,12 @@ const { db } = require('../db/database');
 const ffmpegPath = ffmpegConfig.ffmpegPath;
 
 const Stream = require('../models/Stream');
+const StreamDestination = require('../models/StreamDestination');
 const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const StreamRuntime = require('../models/StreamRuntime');
+const EncodingPreset = require('../models/EncodingPreset');
+const User = require('../models/User');
 
 // Import health monitor (will be initialized after this module loads)
 let streamHealthMonitor = null;
@@ -18,19 +32,46 @@ let streamHealthMonitor = null;
 const activeStreams = new Map();
 const streamLogs = new Map();
 const streamRetryCount = new Map();
+const streamRetryPolicies = new Map(); // Retry policy resolved from the stream row
+const streamNextRetryAt = new Map(); // When a scheduled restart is due
+const streamRetryTimers = new Map(); // Pending restart timer, cancelled when the stream is stopped
 const streamStartTimes = new Map(); // Track when each stream started
 const streamVideoPositions = new Map(); // Track video position for each stream
 const streamBasePositions = new Map(); // Track base position for cumulative restarts
-const MAX_RETRY_ATTEMPTS = 3;
+const streamOutputDestinations = new Map(); // Destination ids in tee output order for each running stream
+const streamPlaylistSessions = new Map(); // Playback order and timeline of playlist-sourced streams
+const streamLastProgress = new Map(); // Last time FFmpeg reported advancing playback for each stream
+const streamProgress = new Map(); // Latest FFmpeg progress report for each stream
+const streamSourceDurations = new Map(); // Source length and loop flag, used to wrap positions
+const streamLogSecrets = new Map(); // Decrypted stream keys of the running command, masked in logs
+const streamStats = new Map(); // Ring buffer of encoder statistics samples for each stream
+const PLAYLIST_LIST_DIR = path.join(os.tmpdir(), 'streamflow-playlists');
+const PREVIEW_DIR = path.join(os.tmpdir(), 'streamflow-previews'); // Live preview HLS output, one directory per stream
+const PREVIEW_FILE_PATTERN = /^(index\.m3u8|segment_\d+\.ts)$/;
 const manuallyStoppingStreams = new Set();
+const streamRestartReasons = new Map(); // Streams whose FFmpeg was killed on purpose to be restarted
+const RESTART_KILL_TIMEOUT = 5000;
 const MAX_LOG_LINES = 100;
+const MAX_STATS_SAMPLES = 600; // About 5 minutes at FFmpeg's default progress period
+const RUNTIME_FLUSH_INTERVAL = 15 * 1000;
+const ADOPTED_PROCESS_POLL_INTERVAL = 5 * 1000;
 
 // Initialize health monitor reference
 function setHealthMonitor(healthMonitor) {
   streamHealthMonitor = healthMonitor;
 }
 
+// The FFmpeg command and its output carry the destination URLs with their
+// stream keys; logs and console output only ever see the masked form
+function maskStreamSecrets(streamId, text) {
+  return (streamLogSecrets.get(streamId) || []).reduce(
+    (masked, secret) => masked.split(secret).join(SECRET_MASK),
+    text
+  );
+}
+
 function addStreamLog(streamId, message) {
+  message = maskStreamSecrets(streamId, message);
   if (!streamLogs.has(streamId)) {
     streamLogs.set(streamId, []);
   }
@@ -42,41 +83,474 @@ function addStreamLog(streamId, message) {
   if (logs.length > MAX_LOG_LINES) {
     logs.shift();
   }
+  eventBus.emit('streamLog', { streamId, ...logs[logs.length - 1] });
+}
+
+function getStreamDestinations(stream) {
+  return StreamDestination.findOrCreateForStream(stream);
+}
+
+function buildDestinationUrl(destination) {
+  return buildOutputUrl(destination.rtmp_url, decryptSecret(destination.stream_key));
+}
+
+async function markDestinationsLive(streamId) {
+  const outputIds = streamOutputDestinations.get(streamId) || [];
+  try {
+    const destinations = await StreamDestination.findByStreamId(streamId);
+    for (const destination of destinations) {
+      const status = outputIds.includes(destination.id) ? 'live' : 'offline';
+      await StreamDestination.updateStatus(destination.id, status, status === 'live' ? null : destination.last_error);
+    }
+  } catch (error) {
+    console.error(`[StreamingService] Error updating destination statuses for stream ${streamId}: ${error.message}`);
+  }
 }
 
-async function buildFFmpegArgs(stream, resumePosition = null) {
-  const video = await Video.findById(stream.video_id);
-  if (!video) {
-    throw new Error(`Video record not found in database for video_id: ${stream.video_id}`);
+async function markDestinationsOffline(streamId) {
+  try {
+    await StreamDestination.updateStatusByStreamId(streamId, 'offline');
+  } catch (error) {
+    console.error(`[StreamingService] Error resetting destination statuses for stream ${streamId}: ${error.message}`);
   }
+}
 
+// The tee muxer reports a dropped destination as "Slave muxer #N failed: <reason>"
+// and keeps feeding the remaining ones
+async function handleDestinationFailures(streamId, message) {
+  const outputIds = streamOutputDestinations.get(streamId) || [];
+  for (const match of message.matchAll(/Slave muxer #(\d+) failed: ([^,\n]+)/g)) {
+    const destinationId = outputIds[parseInt(match[1], 10)];
+    if (!destinationId) {
+      continue;
+    }
+    addStreamLog(streamId, `Destination #${match[1]} failed: ${match[2]}. Other destinations keep streaming`);
+    try {
+      await StreamDestination.updateStatus(destinationId, 'failed', match[2]);
+    } catch (error) {
+      console.error(`[StreamingService] Error marking destination ${destinationId} as failed: ${error.message}`);
+    }
+  }
+}
+
+function resolveVideoPath(video) {
   const relativeVideoPath = video.filepath.startsWith('/') ? video.filepath.substring(1) : video.filepath;
   const projectRoot = path.resolve(__dirname, '..');
-  const videoPath = path.join(projectRoot, 'public', relativeVideoPath);
+  return path.join(projectRoot, 'public', relativeVideoPath);
+}
+
+function shuffleItems(items) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+function escapeConcatPath(filePath) {
+  return filePath.replace(/'/g, "'\\''");
+}
+
+// Playlists are played through the concat demuxer. The shuffled order is picked
+// once per session and reused when the stream restarts so resume positions
+// keep pointing at the same place in the timeline.
+async function preparePlaylistSession(stream, resumePosition) {
+  const playlist = await Playlist.findById(stream.playlist_id);
+  if (!playlist) {
+    throw new Error(`Playlist record not found in database for playlist_id: ${stream.playlist_id}`);
+  }
+  let session = streamPlaylistSessions.get(stream.id);
+  if (!resumePosition || !session || session.playlistId !== playlist.id) {
+    const items = await Playlist.getItems(playlist.id);
+    if (items.length === 0) {
+      throw new Error('Playlist has no videos');
+    }
+    const ordered = playlist.shuffle ? shuffleItems(items) : items;
+    session = {
+      playlistId: playlist.id,
+      title: playlist.title,
+      loop: playlist.loop_playlist,
+      items: ordered.map(item => ({
+        video_id: item.video_id,
+        title: item.video_title,
+        filepath: item.video_filepath,
+        duration: item.video_duration || 0,
+        resolution: item.video_resolution
+      })),
+      startPosition: resumePosition || 0,
+      listPath: path.join(PLAYLIST_LIST_DIR, `${stream.id}.txt`)
+    };
+    session.totalDuration = session.items.reduce((total, item) => total + item.duration, 0);
+    streamPlaylistSessions.set(stream.id, session);
+    if (playlist.shuffle) {
+      addStreamLog(stream.id, `Playlist shuffled: ${session.items.map(item => item.title).join(', ')}`);
+    }
+  }
+
+  const lines = ['ffconcat version 1.0'];
+  for (const item of session.items) {
+    const videoPath = resolveVideoPath(item);
+    if (!fs.existsSync(videoPath)) {
+      console.error(`[StreamingService] Playlist video file not found on disk: ${videoPath}`);
+      throw new Error(`Playlist video file not found on disk: ${item.title}`);
+    }
+    lines.push(`file '${escapeConcatPath(videoPath)}'`);
+    if (item.duration > 0) {
+      lines.push(`duration ${item.duration}`);
+    }
+  }
+  fs.mkdirSync(PLAYLIST_LIST_DIR, { recursive: true });
+  fs.writeFileSync(session.listPath, `${lines.join('\n')}\n`);
+
+  const resolutions = new Set(session.items.map(item => item.resolution).filter(Boolean));
+  if (!stream.use_advanced_settings && resolutions.size > 1) {
+    addStreamLog(stream.id, `Warning: playlist videos have different resolutions (${Array.from(resolutions).join(', ')}). Enable advanced settings to re-encode them to one format.`);
+  }
+  return session;
+}
+
+function removePlaylistSession(streamId) {
+  const session = streamPlaylistSessions.get(streamId);
+  if (!session) {
+    return;
+  }
+  streamPlaylistSessions.delete(streamId);
+  try {
+    if (fs.existsSync(session.listPath)) {
+      fs.unlinkSync(session.listPath);
+    }
+  } catch (error) {
+    console.error(`[StreamingService] Error removing playlist list for stream ${streamId}: ${error.message}`);
+  }
+}
+
+function getPreviewDir(streamId) {
+  return path.join(PREVIEW_DIR, streamId);
+}
+
+function removeStreamPreview(streamId) {
+  try {
+    fs.rmSync(getPreviewDir(streamId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`[StreamingService] Error removing live preview for stream ${streamId}: ${error.message}`);
+  }
+}
+
+// Path of a live preview playlist or segment, or null for any other name
+function getStreamPreviewFile(streamId, fileName) {
+  if (!PREVIEW_FILE_PATTERN.test(fileName)) {
+    return null;
+  }
+  const filePath = path.join(getPreviewDir(streamId), fileName);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Walk the playlist timeline from the session start to the current position and
+// list every item that was on air, with the wall-clock time it started
+function getAiredPlaylistItems(streamId) {
+  const session = streamPlaylistSessions.get(streamId);
+  if (!session || session.totalDuration <= 0) {
+    return null;
+  }
+  const endPosition = getStreamResumePosition(streamId);
+  const sessionStart = session.startedAt || new Date();
+  const aired = [];
+  let offset = 0;
+  while (offset < endPosition && aired.length < 1000) {
+    for (const item of session.items) {
+      const itemEnd = offset + item.duration;
+      if (itemEnd > session.startPosition && offset < endPosition) {
+        const airedFrom = Math.max(offset, session.startPosition);
+        aired.push({
+          video_id: item.video_id,
+          title: item.title,
+          aired_at: new Date(sessionStart.getTime() + (airedFrom - session.startPosition) * 1000).toISOString()
+        });
+      }
+      offset = itemEnd;
+      if (offset >= endPosition) {
+        break;
+      }
+    }
+    if (!session.loop) {
+      break;
+    }
+  }
+  return aired;
+}
+
+// Runtime state is mirrored to the stream_runtime table so a restarted app can
+// pick live streams back up where they were
+async function persistRuntimeState(streamId, overrides = {}) {
+  const ffmpegProcess = activeStreams.get(streamId);
+  const startTime = streamStartTimes.get(streamId);
+  const lastProgress = streamLastProgress.get(streamId);
+  const session = streamPlaylistSessions.get(streamId);
+  try {
+    await StreamRuntime.save(streamId, {
+      pid: ffmpegProcess ? ffmpegProcess.pid : null,
+      started_at: startTime ? startTime.toISOString() : null,
+      base_position: getStreamBasePosition(streamId),
+      position: getStreamResumePosition(streamId),
+      retry_count: streamRetryCount.get(streamId) || 0,
+      last_progress_at: lastProgress ? lastProgress.toISOString() : null,
+      playlist_session: session ? JSON.stringify(session) : null,
+      ...overrides
+    });
+  } catch (error) {
+    console.error(`[StreamingService] Error persisting runtime state for stream ${streamId}: ${error.message}`);
+  }
+}
+
+async function clearRuntimeState(streamId) {
+  try {
+    await StreamRuntime.delete(streamId);
+  } catch (error) {
+    console.error(`[StreamingService] Error clearing runtime state for stream ${streamId}: ${error.message}`);
+  }
+}
+
+function flushRuntimeStates() {
+  for (const streamId of activeStreams.keys()) {
+    persistRuntimeState(streamId);
+  }
+}
+
+// Signal 0 only checks that the PID exists; the command line check guards
+// against the PID having been reused by an unrelated process
+function isFFmpegProcess(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  const cmdlinePath = `/proc/${pid}/cmdline`;
+  if (!fs.existsSync('/proc')) {
+    return true;
+  }
+  try {
+    return fs.readFileSync(cmdlinePath, 'utf8').includes(path.basename(ffmpegPath));
+  } catch (error) {
+    return false;
+  }
+}
+
+// A detached FFmpeg left running by a previous app instance. Its output pipes
+// went away with that instance, so its exit is detected by polling the PID.
+function adoptProcess(streamId, pid) {
+  const adopted = {
+    pid,
+    adopted: true,
+    kill(signal = 'SIGTERM') {
+      process.kill(pid, signal);
+      return true;
+    }
+  };
+  const watcher = setInterval(async () => {
+    if (isFFmpegProcess(pid)) {
+      return;
+    }
+    clearInterval(watcher);
+    addStreamLog(streamId, `Adopted FFmpeg process (PID ${pid}) exited`);
+    console.log(`[FFMPEG_EXIT] ${streamId}: adopted PID ${pid} exited`);
+    const wasActive = activeStreams.get(streamId) === adopted;
+    if (wasActive) {
+      activeStreams.delete(streamId);
+    }
+    if (manuallyStoppingStreams.has(streamId)) {
+      manuallyStoppingStreams.delete(streamId);
+      return;
+    }
+    const restartReason = streamRestartReasons.get(streamId);
+    streamRestartReasons.delete(streamId);
+    if (wasActive) {
+      await markDestinationsOffline(streamId);
+      // The exit code of a process we did not spawn is unknown, so treat it as a crash
+      await handleStreamCrash(streamId, restartReason || 'unexpected exit');
+    }
+  }, ADOPTED_PROCESS_POLL_INTERVAL);
+  return adopted;
+}
+
+function restoreRuntimeMaps(streamId, runtime) {
+  if (runtime.started_at) {
+    streamStartTimes.set(streamId, new Date(runtime.started_at));
+  }
+  streamBasePositions.set(streamId, runtime.base_position || 0);
+  streamVideoPositions.set(streamId, runtime.position || 0);
+  if (runtime.retry_count) {
+    streamRetryCount.set(streamId, runtime.retry_count);
+  }
+  if (runtime.last_progress_at) {
+    streamLastProgress.set(streamId, new Date(runtime.last_progress_at));
+  }
+  if (runtime.playlist_session) {
+    try {
+      const session = JSON.parse(runtime.playlist_session);
+      session.startedAt = session.startedAt ? new Date(session.startedAt) : null;
+      streamPlaylistSessions.set(streamId, session);
+    } catch (error) {
+      console.error(`[StreamingService] Invalid playlist session saved for stream ${streamId}: ${error.message}`);
+    }
+  }
+}
+
+// Called once at boot. Streams that were live when the previous instance went
+// down get their still running FFmpeg re-adopted, or are restarted from the
+// last recorded position.
+async function restoreStreams() {
+  const runtimes = new Map((await StreamRuntime.findAll()).map(runtime => [runtime.stream_id, runtime]));
+  const liveStreams = await Stream.findAll(null, 'live');
+  for (const stream of liveStreams) {
+    const runtime = runtimes.get(stream.id);
+    runtimes.delete(stream.id);
+    if (!runtime) {
+      console.log(`[StreamingService] No runtime state saved for live stream ${stream.id}, marking offline`);
+      await Stream.updateStatus(stream.id, 'offline');
+      await markDestinationsOffline(stream.id);
+      continue;
+    }
+    restoreRuntimeMaps(stream.id, runtime);
+    streamRetryPolicies.set(stream.id, resolveRetryPolicy(stream));
+    if (runtime.pid && isFFmpegProcess(runtime.pid)) {
+      activeStreams.set(stream.id, adoptProcess(stream.id, runtime.pid));
+      const destinations = await getStreamDestinations(stream);
+      streamOutputDestinations.set(stream.id, destinations.filter(destination => destination.enabled).map(destination => destination.id));
+      const session = streamPlaylistSessions.get(stream.id);
+      if (session) {
+        streamSourceDurations.set(stream.id, { duration: session.totalDuration, loop: session.loop });
+      } else if (stream.video_id) {
+        const video = await Video.findById(stream.video_id);
+        streamSourceDurations.set(stream.id, { duration: (video && video.duration) || 0, loop: stream.loop_video });
+      }
+      addStreamLog(stream.id, `Re-adopted running FFmpeg process (PID ${runtime.pid}) after restart`);
+      console.log(`[StreamingService] Re-adopted FFmpeg process ${runtime.pid} for stream ${stream.id}`);
+      await persistRuntimeState(stream.id);
+      continue;
+    }
+    const resumePosition = runtime.position || 0;
+    addStreamLog(stream.id, `FFmpeg process was not running after restart, resuming from position: ${resumePosition}s`);
+    console.log(`[StreamingService] Resuming stream ${stream.id} from position ${resumePosition}s after restart`);
+    const result = await startStream(stream.id, resumePosition);
+    if (!result.success) {
+      console.error(`[StreamingService] Failed to resume stream ${stream.id}: ${result.error}`);
+      await Stream.updateStatus(stream.id, 'offline');
+      cleanupStreamData(stream.id);
+    }
+  }
+  // Whatever is left belongs to streams that are no longer live
+  for (const runtime of runtimes.values()) {
+    if (runtime.pid && isFFmpegProcess(runtime.pid)) {
+      console.log(`[StreamingService] Stopping orphaned FFmpeg process ${runtime.pid} for stream ${runtime.stream_id}`);
+      try {
+        process.kill(runtime.pid, 'SIGTERM');
+      } catch (error) {
+        console.error(`[StreamingService] Error killing orphaned process: ${error.message}`);
+      }
+    }
+    await clearRuntimeState(runtime.stream_id);
+  }
+}
 
-  if (!fs.existsSync(videoPath)) {
-    console.error(`[StreamingService] CRITICAL: Video file not found on disk.`);
-    console.error(`[StreamingService] Checked path: ${videoPath}`);
-    console.error(`[StreamingService] stream.video_id: ${stream.video_id}`);
-    console.error(`[StreamingService] video.filepath (from DB): ${video.filepath}`);
-    console.error(`[StreamingService] Calculated relativeVideoPath: ${relativeVideoPath}`);
-    console.error(`[StreamingService] process.cwd(): ${process.cwd()}`);
-    throw new Error('Video file not found on disk. Please check paths and file existence.');
+// Only the owner's presets apply; anything else resolves like an unset preset
+async function resolveStreamEncodingPreset(stream) {
+  let userPreset = null;
+  if (stream.encoding_preset_id) {
+    const preset = await EncodingPreset.findById(stream.encoding_preset_id);
+    userPreset = preset && preset.user_id === stream.user_id ? preset : null;
   }
+  return resolveEncodingPreset(stream, userPreset);
+}
+
+// `outputUrl` replaces the stream's destinations, as in a dry run
+async function buildFFmpegArgs(stream, resumePosition = null, { outputUrl = null } = {}) {
+  let inputPath;
+  let inputFormat = null;
+  let loopInput = stream.loop_video || false;
+  let seekPosition = resumePosition || 0;
+
+  if (stream.playlist_id) {
+    const session = await preparePlaylistSession(stream, resumePosition);
+    inputPath = session.listPath;
+    inputFormat = 'concat';
+    loopInput = session.loop;
+    streamSourceDurations.set(stream.id, { duration: session.totalDuration, loop: session.loop });
+  } else {
+    const video = await Video.findById(stream.video_id);
+    if (!video) {
+      throw new Error(`Video record not found in database for video_id: ${stream.video_id}`);
+    }
+
+    const videoPath = resolveVideoPath(video);
+
+    if (!fs.existsSync(videoPath)) {
+      console.error(`[StreamingService] CRITICAL: Video file not found on disk.`);
+      console.error(`[StreamingService] Checked path: ${videoPath}`);
+      console.error(`[StreamingService] stream.video_id: ${stream.video_id}`);
+      console.error(`[StreamingService] video.filepath (from DB): ${video.filepath}`);
+      console.error(`[StreamingService] process.cwd(): ${process.cwd()}`);
+      throw new Error('Video file not found on disk. Please check paths and file existence.');
+    }
+    inputPath = videoPath;
+    streamSourceDurations.set(stream.id, { duration: video.duration || 0, loop: loopInput });
+  }
+  // Resume positions keep counting across loops, the seek has to land inside the source
+  seekPosition = wrapSourcePosition(stream.id, seekPosition);
 
-  const rtmpUrl = `${stream.rtmp_url.replace(/\/$/, '')}/${stream.stream_key}`;
+  let outputUrls = [outputUrl];
+  if (!outputUrl) {
+    const destinations = (await getStreamDestinations(stream)).filter(destination => destination.enabled);
+    if (destinations.length === 0) {
+      throw new Error('No enabled destinations configured for this stream');
+    }
+    streamOutputDestinations.set(stream.id, destinations.map(destination => destination.id));
+    outputUrls = destinations.map(buildDestinationUrl);
+    // Keys appear escaped inside tee targets and URL-encoded in SRT and HLS
+    // URLs. Longest first so a key that contains another one is masked whole.
+    const streamKeys = destinations.map(destination => decryptSecret(destination.stream_key)).filter(Boolean);
+    streamLogSecrets.set(stream.id, [...new Set([
+      ...streamKeys,
+      ...streamKeys.map(ffmpegConfig.escapeTeeUrl),
+      ...streamKeys.map(encodeURIComponent)
+    ])].sort((a, b) => b.length - a.length));
+  }
   
+  // Dry runs never write a preview. Segments of an earlier run are dropped so
+  // the player does not pick up stale ones after a restart.
+  let previewDir = null;
+  if (stream.live_preview && !outputUrl) {
+    previewDir = getPreviewDir(stream.id);
+    removeStreamPreview(stream.id);
+    fs.mkdirSync(previewDir, { recursive: true });
+  }
+
+  const useAdvancedSettings = stream.use_advanced_settings || false;
+  let encodingPreset;
+  if (useAdvancedSettings) {
+    const preset = await resolveStreamEncodingPreset(stream);
+    const resolved = withAvailableEncoder(preset, await ffmpegConfig.probeFFmpeg());
+    encodingPreset = resolved.preset;
+    if (resolved.fallback) {
+      addStreamLog(stream.id, `Video encoder ${preset.video_encoder} of preset "${preset.name}" is not available, falling back to ${encodingPreset.video_encoder}`);
+    }
+    addStreamLog(stream.id, `Using encoding preset "${encodingPreset.name}" (${encodingPreset.video_encoder})`);
+  }
+
   // Use the new FFmpeg configuration
   const options = {
-    resumePosition: resumePosition || 0,
+    resumePosition: seekPosition,
+    inputFormat,
     bitrate: stream.bitrate || '2500k',
     resolution: stream.resolution || '1280x720',
     fps: stream.fps || 30,
-    loopVideo: stream.loop_video || false,
-    useAdvancedSettings: stream.use_advanced_settings || false
+    loopVideo: loopInput,
+    useAdvancedSettings,
+    encodingPreset,
+    previewDir
   };
 
-  const ffmpegArgs = ffmpegConfig.buildFFmpegArgs(videoPath, rtmpUrl, options);
+  const ffmpegArgs = ffmpegConfig.buildFFmpegArgs(inputPath, outputUrls, options);
   
   // Log the command for debugging
   addStreamLog(stream.id, `Built FFmpeg args: ${ffmpegArgs.join(' ')}`);
@@ -84,18 +558,78 @@ async function buildFFmpegArgs(stream, resumePosition = null) {
   return ffmpegArgs;
 }
 
-async function startStream(streamId, resumePosition = null) {
+// Other streams of the same owner that currently have an FFmpeg process
+async function countActiveUserStreams(userId, excludeStreamId = null) {
+  const streams = await Stream.findAll(userId);
+  return streams.filter(stream => stream.id !== excludeStreamId && activeStreams.has(stream.id)).length;
+}
+
+async function checkStreamQuota(stream) {
+  if (!stream.user_id) {
+    return null;
+  }
+  const owner = await User.findById(stream.user_id);
+  const quotas = resolveQuotas(owner);
+  if (quotas.maxConcurrentStreams === null) {
+    return null;
+  }
+  return checkConcurrentStreams(quotas, await countActiveUserStreams(stream.user_id, stream.id));
+}
+
+// A dry run plays the stream into a local receiver instead of its
+// destinations (see dryRunService). The stream is not marked live, no
+// webhooks fire and nothing is retried.
+async function startDryRun(stream, { seconds } = {}) {
+  if (activeStreams.has(stream.id)) {
+    return { success: false, error: 'Stop the stream before starting a dry run' };
+  }
+  try {
+    const dryRun = await dryRunService.startDryRun(stream.id, {
+      seconds,
+      buildSenderArgs: outputUrl => buildFFmpegArgs(stream, null, { outputUrl }),
+      expected: stream.use_advanced_settings ? { fps: Number(stream.fps) || 30 } : {},
+      onLog: message => addStreamLog(stream.id, message),
+      onFinish: () => {
+        if (!activeStreams.has(stream.id)) {
+          removePlaylistSession(stream.id);
+          streamSourceDurations.delete(stream.id);
+        }
+      }
+    });
+    return { success: true, dryRun };
+  } catch (error) {
+    addStreamLog(stream.id, `Dry run failed: ${error.message}`);
+    console.error(`[StreamingService] Error starting dry run of stream ${stream.id}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// `options.dryRun` ({ seconds }) starts a dry run instead of going live
+async function startStream(streamId, resumePosition = null, options = {}) {
   try {
+    const stream = await Stream.findById(streamId);
+    if (!stream) {
+      return { success: false, error: 'Stream not found' };
+    }
+    if (options.dryRun) {
+      return startDryRun(stream, options.dryRun);
+    }
+    // Going live takes precedence over a dry run of the same stream
+    if (dryRunService.cancelDryRun(streamId)) {
+      addStreamLog(streamId, 'Dry run cancelled, the stream is going live');
+    }
     // Reset retry count when starting fresh
     if (!resumePosition) {
       streamRetryCount.delete(streamId);
     }
-    
-    const stream = await Stream.findById(streamId);
-    if (!stream) {
-      return { success: false, error: 'Stream not found' };
+
+    const quotaError = await checkStreamQuota(stream);
+    if (quotaError) {
+      addStreamLog(streamId, `Not starting: ${quotaError}`);
+      return { success: false, error: quotaError, quotaExceeded: true };
     }
 
+    streamRetryPolicies.set(streamId, resolveRetryPolicy(stream));
     const ffmpegArgs = await buildFFmpegArgs(stream, resumePosition);
     const fullCommand = `${ffmpegPath} ${ffmpegArgs.join(' ')}`;
     
@@ -104,7 +638,7 @@ async function startStream(streamId, resumePosition = null) {
       addStreamLog(streamId, `Resuming from position: ${resumePosition}s`);
     }
     
-    console.log(`Starting stream: ${fullCommand}`);
+    console.log(`Starting stream: ${maskStreamSecrets(streamId, fullCommand)}`);
 
     const ffmpegProcess = spawn(ffmpegPath, ffmpegArgs, {
       detached: true,
@@ -112,14 +646,16 @@ async function startStream(streamId, resumePosition = null) {
     });
 
     activeStreams.set(streamId, ffmpegProcess);
+    streamNextRetryAt.delete(streamId);
     
     // Track start time for this stream instance
     const startTime = new Date();
     streamStartTimes.set(streamId, startTime);
     
     // Initialize or update base resume position so subsequent restarts are cumulative
+    streamProgress.delete(streamId);
     if (resumePosition && resumePosition > 0) {
-      streamVideoPositions.set(streamId, resumePosition);
+      streamVideoPositions.set(streamId, wrapSourcePosition(streamId, resumePosition));
       streamBasePositions.set(streamId, resumePosition);
       addStreamLog(streamId, `Set base resume position to: ${resumePosition}s`);
     } else if (!streamVideoPositions.has(streamId)) {
@@ -128,20 +664,35 @@ async function startStream(streamId, resumePosition = null) {
       addStreamLog(streamId, `Initialized base resume position to: 0s`);
     }
     
+    const playlistSession = streamPlaylistSessions.get(streamId);
+    if (playlistSession && !playlistSession.startedAt) {
+      playlistSession.startedAt = startTime;
+    }
+    streamLastProgress.set(streamId, startTime);
+    await persistRuntimeState(streamId);
+
     // Update stream status
     await Stream.updateStatus(streamId, 'live', stream.user_id);
+    await markDestinationsLive(streamId);
+    const restartAttempt = streamRetryCount.get(streamId) || 0;
+    if (restartAttempt > 0) {
+      webhookService.notifyStream(streamId, 'stream.recovered', { source: 'restart', attempt: restartAttempt, resumePosition });
+    } else {
+      webhookService.notifyStream(streamId, 'stream.started', { resumePosition });
+    }
 
-    // Enhanced error handling and monitoring
-    ffmpegProcess.stdout.on('data', (data) => {
-      const message = data.toString().trim();
-      if (message) {
-        addStreamLog(streamId, `[OUTPUT] ${message}`);
-        console.log(`[FFMPEG_STDOUT] ${streamId}: ${message}`);
+    // stdout carries the -progress reports
+    const parseProgress = ffmpegConfig.createProgressParser((report) => {
+      if (activeStreams.get(streamId) === ffmpegProcess) {
+        recordProgress(streamId, report);
       }
     });
+    ffmpegProcess.stdout.on('data', (data) => {
+      parseProgress(data.toString());
+    });
 
     ffmpegProcess.stderr.on('data', (data) => {
-      const message = data.toString().trim();
+      const message = maskStreamSecrets(streamId, data.toString().trim());
       if (message) {
         addStreamLog(streamId, `[FFmpeg] ${message}`);
         
@@ -150,6 +701,10 @@ async function startStream(streamId, resumePosition = null) {
           console.error(`[FFMPEG_STDERR] ${streamId}: ${message}`);
         }
         
+        if (message.includes('Slave muxer #')) {
+          handleDestinationFailures(streamId, message);
+        }
+        
         // Check for specific error conditions
         if (message.includes('Broken pipe') || message.includes('Connection refused') || 
             message.includes('Network is unreachable') || message.includes('No route to host')) {
@@ -165,6 +720,7 @@ async function startStream(streamId, resumePosition = null) {
       
       const wasActive = activeStreams.delete(streamId);
       const isManualStop = manuallyStoppingStreams.has(streamId);
+      await markDestinationsOffline(streamId);
       
       if (isManualStop) {
         console.log(`[StreamingService] Stream ${streamId} was manually stopped, not restarting`);
@@ -182,8 +738,13 @@ async function startStream(streamId, resumePosition = null) {
         return;
       }
 
+      const restartReason = streamRestartReasons.get(streamId);
+      streamRestartReasons.delete(streamId);
+
       // Handle different exit scenarios
-      if (signal === 'SIGSEGV') {
+      if (restartReason) {
+        await handleStreamCrash(streamId, restartReason);
+      } else if (signal === 'SIGSEGV') {
         await handleStreamCrash(streamId, 'SIGSEGV');
       } else if (code !== 0 && code !== null) {
         await handleStreamError(streamId, code, signal);
@@ -193,6 +754,8 @@ async function startStream(streamId, resumePosition = null) {
           try {
             console.log(`[StreamingService] Updating stream ${streamId} status to offline after FFmpeg exit`);
             await Stream.updateStatus(streamId, 'offline');
+            await clearRuntimeState(streamId);
+            webhookService.notifyStream(streamId, 'stream.stopped', { reason: 'ended', exitCode: code, signal });
             if (typeof schedulerService !== 'undefined' && schedulerService.cancelStreamTermination) {
               schedulerService.handleStreamStopped(streamId);
             }
@@ -207,6 +770,8 @@ async function startStream(streamId, resumePosition = null) {
       addStreamLog(streamId, `Error in stream process: ${err.message}`);
       console.error(`[FFMPEG_PROCESS_ERROR] ${streamId}: ${err.message}`);
       activeStreams.delete(streamId);
+      await markDestinationsOffline(streamId);
+      await clearRuntimeState(streamId);
       try {
         await Stream.updateStatus(streamId, 'offline');
       } catch (error) {
@@ -234,23 +799,90 @@ async function startStream(streamId, resumePosition = null) {
   }
 }
 
+// Loads the stream's retry policy and clears the attempt counter when the
+// process that just ended had stayed up for the policy's reset period
+async function prepareRetry(streamId) {
+  const stream = await Stream.findById(streamId);
+  const policy = resolveRetryPolicy(stream);
+  streamRetryPolicies.set(streamId, policy);
+  let retryCount = streamRetryCount.get(streamId) || 0;
+  const startTime = streamStartTimes.get(streamId);
+  if (retryCount > 0 && startTime && Date.now() - startTime.getTime() >= policy.resetAfterMinutes * 60 * 1000) {
+    addStreamLog(streamId, `Stream ran for over ${policy.resetAfterMinutes} minutes, resetting retry counter (was ${retryCount})`);
+    retryCount = 0;
+    streamRetryCount.set(streamId, 0);
+  }
+  return { policy, retryCount };
+}
+
+function notifyRetrying(streamId, policy, attempt, delay, resumePosition) {
+  webhookService.notifyStream(streamId, 'stream.retrying', {
+    attempt,
+    maxAttempts: policy.maxAttempts,
+    delaySeconds: delay / 1000,
+    resumePosition
+  });
+}
+
+function describeAttempt(policy, attempt) {
+  return policy.unlimited ? `#${attempt}` : `#${attempt} of ${policy.maxAttempts}`;
+}
+
+// Runs restart once the backoff delay has passed. A stream stopped while it
+// waits is not brought back: stopStream cancels the timer, and the stream is
+// checked again before restarting in case the stop came from elsewhere.
+function scheduleRetry(streamId, delay, restart) {
+  cancelScheduledRetry(streamId);
+  streamNextRetryAt.set(streamId, new Date(Date.now() + delay));
+  const timer = setTimeout(async () => {
+    streamRetryTimers.delete(streamId);
+    streamNextRetryAt.delete(streamId);
+    try {
+      const stream = await Stream.findById(streamId);
+      if (manuallyStoppingStreams.has(streamId) || (stream && stream.status !== 'live')) {
+        addStreamLog(streamId, 'Scheduled restart cancelled, the stream was stopped');
+        return;
+      }
+    } catch (error) {
+      console.error(`[StreamingService] Error checking stream ${streamId} before restart: ${error.message}`);
+      return;
+    }
+    await restart();
+  }, delay);
+  streamRetryTimers.set(streamId, timer);
+}
+
+function cancelScheduledRetry(streamId) {
+  const timer = streamRetryTimers.get(streamId);
+  if (timer) {
+    clearTimeout(timer);
+    streamRetryTimers.delete(streamId);
+  }
+  streamNextRetryAt.delete(streamId);
+}
+
 async function handleStreamCrash(streamId, reason) {
-  const retryCount = streamRetryCount.get(streamId) || 0;
-  if (retryCount < MAX_RETRY_ATTEMPTS) {
+  const { policy, retryCount } = await prepareRetry(streamId);
+  webhookService.notifyStream(streamId, 'stream.crashed', { reason });
+  if (canRetry(policy, retryCount)) {
     streamRetryCount.set(streamId, retryCount + 1);
-    console.log(`[StreamingService] FFmpeg crashed with ${reason}. Attempting restart #${retryCount + 1} for stream ${streamId}`);
-    addStreamLog(streamId, `FFmpeg crashed with ${reason}. Attempting restart #${retryCount + 1}`);
+    console.log(`[StreamingService] FFmpeg crashed with ${reason}. Attempting restart ${describeAttempt(policy, retryCount + 1)} for stream ${streamId}`);
+    addStreamLog(streamId, `FFmpeg crashed with ${reason}. Attempting restart ${describeAttempt(policy, retryCount + 1)}`);
     
     // Calculate resume position based on how long the stream was running
     const resumePosition = calculateResumePosition(streamId);
+    await persistRuntimeState(streamId, { pid: null, position: resumePosition });
     
-    setTimeout(async () => {
+    const backoffDelay = getBackoffDelay(policy, retryCount + 1);
+    notifyRetrying(streamId, policy, retryCount + 1, backoffDelay, resumePosition);
+    scheduleRetry(streamId, backoffDelay, async () => {
       try {
         const streamInfo = await Stream.findById(streamId);
         if (streamInfo) {
           const result = await startStream(streamId, resumePosition);
           if (!result.success) {
             console.error(`[StreamingService] Failed to restart stream: ${result.error}`);
+            await clearRuntimeState(streamId);
             await Stream.updateStatus(streamId, 'offline');
           }
         } else {
@@ -264,10 +896,12 @@ async function handleStreamCrash(streamId, reason) {
           console.error(`Error updating stream status: ${dbError.message}`);
         }
       }
-    }, 3000);
+    });
   } else {
-    console.error(`[StreamingService] Maximum retry attempts (${MAX_RETRY_ATTEMPTS}) reached for stream ${streamId}`);
-    addStreamLog(streamId, `Maximum retry attempts (${MAX_RETRY_ATTEMPTS}) reached, stopping stream`);
+    console.error(`[StreamingService] Maximum retry attempts (${policy.maxAttempts}) reached for stream ${streamId}`);
+    addStreamLog(streamId, `Maximum retry attempts (${policy.maxAttempts}) reached, stopping stream`);
+    webhookService.notifyStream(streamId, 'stream.max_retries_reached', { attempts: retryCount, maxAttempts: policy.maxAttempts });
+    await clearRuntimeState(streamId);
     try {
       await Stream.updateStatus(streamId, 'offline');
     } catch (error) {
@@ -281,27 +915,31 @@ async function handleStreamError(streamId, code, signal) {
   addStreamLog(streamId, errorMessage);
   console.error(`[StreamingService] ${errorMessage} for stream ${streamId}`);
   
-  const retryCount = streamRetryCount.get(streamId) || 0;
-  if (retryCount < MAX_RETRY_ATTEMPTS) {
+  const { policy, retryCount } = await prepareRetry(streamId);
+  webhookService.notifyStream(streamId, 'stream.crashed', { reason: errorMessage, exitCode: code, signal });
+  if (canRetry(policy, retryCount)) {
     streamRetryCount.set(streamId, retryCount + 1);
-    console.log(`[StreamingService] FFmpeg exited with code ${code}. Attempting restart #${retryCount + 1} for stream ${streamId}`);
+    console.log(`[StreamingService] FFmpeg exited with code ${code}. Attempting restart ${describeAttempt(policy, retryCount + 1)} for stream ${streamId}`);
     
     // Calculate resume position based on how long the stream was running
     const resumePosition = calculateResumePosition(streamId);
+    await persistRuntimeState(streamId, { pid: null, position: resumePosition });
     
     // Add exponential backoff for network-related errors
-    const backoffDelay = Math.min(3000 * Math.pow(2, retryCount - 1), 30000); // Max 30 seconds
+    const backoffDelay = getBackoffDelay(policy, retryCount + 1);
+    notifyRetrying(streamId, policy, retryCount + 1, backoffDelay, resumePosition);
     
     addStreamLog(streamId, `Scheduling restart in ${backoffDelay}ms with resume position: ${resumePosition}s`);
     
-    setTimeout(async () => {
+    scheduleRetry(streamId, backoffDelay, async () => {
       try {
         const streamInfo = await Stream.findById(streamId);
         if (streamInfo) {
-          addStreamLog(streamId, `Attempting restart #${retryCount + 1}...`);
+          addStreamLog(streamId, `Attempting restart ${describeAttempt(policy, retryCount + 1)}...`);
           const result = await startStream(streamId, resumePosition);
           if (!result.success) {
             console.error(`[StreamingService] Failed to restart stream: ${result.error}`);
+            await clearRuntimeState(streamId);
             addStreamLog(streamId, `Restart failed: ${result.error}`);
             await Stream.updateStatus(streamId, 'offline');
           } else {
@@ -316,10 +954,12 @@ async function handleStreamError(streamId, code, signal) {
         addStreamLog(streamId, `Restart error: ${error.message}`);
         await Stream.updateStatus(streamId, 'offline');
       }
-    }, backoffDelay);
+    });
   } else {
-    console.error(`[StreamingService] Maximum retry attempts (${MAX_RETRY_ATTEMPTS}) reached for stream ${streamId}`);
-    addStreamLog(streamId, `Maximum retry attempts (${MAX_RETRY_ATTEMPTS}) reached, stopping stream`);
+    console.error(`[StreamingService] Maximum retry attempts (${policy.maxAttempts}) reached for stream ${streamId}`);
+    addStreamLog(streamId, `Maximum retry attempts (${policy.maxAttempts}) reached, stopping stream`);
+    webhookService.notifyStream(streamId, 'stream.max_retries_reached', { attempts: retryCount, maxAttempts: policy.maxAttempts });
+    await clearRuntimeState(streamId);
     try {
       await Stream.updateStatus(streamId, 'offline');
     } catch (error) {
@@ -328,6 +968,80 @@ async function handleStreamError(streamId, code, signal) {
   }
 }
 
+function recordProgress(streamId, report) {
+  const previous = streamProgress.get(streamId);
+  addStatsSample(streamId, report, previous);
+  if (report.outTime === null && previous) {
+    report.outTime = previous.outTime;
+  }
+  report.updatedAt = new Date();
+  streamProgress.set(streamId, report);
+  const framesAdvanced = report.frame !== null && (!previous || previous.frame === null || report.frame > previous.frame);
+  const timeAdvanced = report.outTime !== null && (!previous || previous.outTime === null || report.outTime > previous.outTime);
+  if (framesAdvanced || timeAdvanced) {
+    streamLastProgress.set(streamId, report.updatedAt);
+  }
+  streamVideoPositions.set(streamId, wrapSourcePosition(streamId, getStreamResumePosition(streamId)));
+}
+
+// FFmpeg reports a running average bitrate and cumulative frame counters, so
+// each sample is computed against the previous report of the same process
+function addStatsSample(streamId, report, previous) {
+  let bitrate = report.bitrate;
+  if (previous && report.totalSize !== null && previous.totalSize !== null &&
+      report.outTime !== null && previous.outTime !== null && report.outTime > previous.outTime) {
+    bitrate = ((report.totalSize - previous.totalSize) * 8) / (report.outTime - previous.outTime) / 1000;
+  }
+  const counterDelta = (key) => {
+    if (report[key] === null) {
+      return null;
+    }
+    return Math.max(0, report[key] - ((previous && previous[key]) || 0));
+  };
+  if (!streamStats.has(streamId)) {
+    streamStats.set(streamId, []);
+  }
+  const samples = streamStats.get(streamId);
+  samples.push({
+    timestamp: new Date().toISOString(),
+    fps: report.fps,
+    bitrate: bitrate !== null ? Number(bitrate.toFixed(1)) : null,
+    speed: report.speed,
+    frame: report.frame,
+    droppedFrames: counterDelta('dropFrames'),
+    duplicatedFrames: counterDelta('dupFrames'),
+    outTime: report.outTime
+  });
+  if (samples.length > MAX_STATS_SAMPLES) {
+    samples.shift();
+  }
+}
+
+// Looped sources restart from 0 in the file while out_time keeps growing
+function wrapSourcePosition(streamId, position) {
+  const source = streamSourceDurations.get(streamId);
+  if (!source || !source.loop || !(source.duration > 0)) {
+    return position;
+  }
+  return Number((position % source.duration).toFixed(3));
+}
+
+// Seconds played by the current FFmpeg process, from its progress reports.
+// Falls back to wall-clock time until the first report arrives, and for
+// processes re-adopted after a restart whose output is no longer readable.
+function getStreamPlaybackTime(streamId) {
+  const progress = streamProgress.get(streamId);
+  if (progress && progress.outTime !== null) {
+    return progress.outTime;
+  }
+  return getStreamElapsedTime(streamId);
+}
+
+// Position in the source timeline to resume from, counted across loops
+function getStreamResumePosition(streamId) {
+  return Number((getStreamBasePosition(streamId) + getStreamPlaybackTime(streamId)).toFixed(3));
+}
+
 function calculateResumePosition(streamId) {
   const basePosition = streamBasePositions.get(streamId) || 0;
   const startTime = streamStartTimes.get(streamId);
@@ -337,17 +1051,46 @@ function calculateResumePosition(streamId) {
     return basePosition;
   }
   
-  const now = new Date();
-  const elapsedSeconds = Math.max(0, Math.floor((now - startTime) / 1000));
-  const resumePosition = basePosition + elapsedSeconds;
+  const playedSeconds = getStreamPlaybackTime(streamId);
+  const resumePosition = getStreamResumePosition(streamId);
   
   // Update current position for this instance
-  streamVideoPositions.set(streamId, resumePosition);
+  streamVideoPositions.set(streamId, wrapSourcePosition(streamId, resumePosition));
   
-  addStreamLog(streamId, `Calculated resume position: base=${basePosition}s + elapsed=${elapsedSeconds}s => ${resumePosition}s`);
+  addStreamLog(streamId, `Calculated resume position: base=${basePosition}s + played=${playedSeconds}s => ${resumePosition}s`);
   return resumePosition;
 }
 
+// Kills the running FFmpeg so its exit goes through the retry path and the
+// stream resumes from the tracked position
+function restartStream(streamId, reason) {
+  const ffmpegProcess = activeStreams.get(streamId);
+  if (!ffmpegProcess) {
+    return { success: false, error: 'Stream is not active' };
+  }
+  addStreamLog(streamId, `Restarting stream: ${reason}`);
+  console.log(`[StreamingService] Restarting stream ${streamId}: ${reason}`);
+  streamRestartReasons.set(streamId, reason);
+  try {
+    ffmpegProcess.kill('SIGTERM');
+  } catch (error) {
+    streamRestartReasons.delete(streamId);
+    console.error(`[StreamingService] Error killing FFmpeg process: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+  // A frozen FFmpeg may not react to SIGTERM
+  setTimeout(() => {
+    if (activeStreams.get(streamId) === ffmpegProcess) {
+      try {
+        ffmpegProcess.kill('SIGKILL');
+      } catch (error) {
+        console.error(`[StreamingService] Error force killing FFmpeg process: ${error.message}`);
+      }
+    }
+  }, RESTART_KILL_TIMEOUT);
+  return { success: true };
+}
+
 async function stopStream(streamId) {
   try {
     const ffmpegProcess = activeStreams.get(streamId);
@@ -355,10 +1098,17 @@ async function stopStream(streamId) {
     console.log(`[StreamingService] Stop request for stream ${streamId}, isActive: ${isActive}`);
     
     if (!isActive) {
+      // A stream waiting out its retry backoff has no process either
+      const hadScheduledRetry = streamRetryTimers.has(streamId);
+      cancelScheduledRetry(streamId);
       const stream = await Stream.findById(streamId);
       if (stream && stream.status === 'live') {
         console.log(`[StreamingService] Stream ${streamId} not active in memory but status is 'live' in DB. Fixing status.`);
         await Stream.updateStatus(streamId, 'offline', stream.user_id);
+        cleanupStreamData(streamId);
+        if (hadScheduledRetry) {
+          webhookService.notifyStream(streamId, 'stream.stopped', { reason: 'manual' });
+        }
         if (typeof schedulerService !== 'undefined' && schedulerService.cancelStreamTermination) {
           schedulerService.handleStreamStopped(streamId);
         }
@@ -380,6 +1130,7 @@ async function stopStream(streamId) {
 
     const stream = await Stream.findById(streamId);
     activeStreams.delete(streamId);
+    const airedItems = getAiredPlaylistItems(streamId);
     
     // Cleanup tracking data
     cleanupStreamData(streamId);
@@ -387,7 +1138,8 @@ async function stopStream(streamId) {
     if (stream) {
       await Stream.updateStatus(streamId, 'offline', stream.user_id);
       const updatedStream = await Stream.findById(streamId);
-      await saveStreamHistory(updatedStream);
+      await saveStreamHistory(updatedStream, airedItems);
+      webhookService.notifyStream(streamId, 'stream.stopped', { reason: 'manual' });
     }
     
     if (typeof schedulerService !== 'undefined' && schedulerService.cancelStreamTermination) {
@@ -408,7 +1160,19 @@ function cleanupStreamData(streamId) {
   streamVideoPositions.delete(streamId);
   streamBasePositions.delete(streamId);
   streamRetryCount.delete(streamId);
+  streamRetryPolicies.delete(streamId);
+  cancelScheduledRetry(streamId);
   streamLogs.delete(streamId);
+  streamOutputDestinations.delete(streamId);
+  streamLastProgress.delete(streamId);
+  streamProgress.delete(streamId);
+  streamSourceDurations.delete(streamId);
+  streamStats.delete(streamId);
+  streamRestartReasons.delete(streamId);
+  streamLogSecrets.delete(streamId);
+  removePlaylistSession(streamId);
+  removeStreamPreview(streamId);
+  clearRuntimeState(streamId);
   
   // Notify health monitor if available
   if (streamHealthMonitor && typeof streamHealthMonitor.cleanupStream === 'function') {
@@ -467,7 +1231,19 @@ function getActiveStreams() {
 function getStreamLogs(streamId) {
   return streamLogs.get(streamId) || [];
 }
-async function saveStreamHistory(stream) {
+function getStreamStats(streamId, since = null) {
+  const samples = streamStats.get(streamId) || [];
+  const sinceTime = since ? new Date(since).getTime() : NaN;
+  const selected = isNaN(sinceTime) ? samples : samples.filter(sample => new Date(sample.timestamp).getTime() > sinceTime);
+  const total = (key) => samples.reduce((sum, sample) => sum + (sample[key] || 0), 0);
+  return {
+    samples: selected,
+    latest: samples.length > 0 ? samples[samples.length - 1] : null,
+    droppedFrames: total('droppedFrames'),
+    duplicatedFrames: total('duplicatedFrames')
+  };
+}
+async function saveStreamHistory(stream, airedItems = null) {
   try {
     if (!stream.start_time) {
       console.log(`[StreamingService] Not saving history for stream ${stream.id} - no start time recorded`);
@@ -481,6 +1257,7 @@ async function saveStreamHistory(stream) {
       return false;
     }
     const videoDetails = stream.video_id ? await Video.findById(stream.video_id) : null;
+    const playlistDetails = stream.playlist_id ? await Playlist.findById(stream.playlist_id) : null;
     const historyData = {
       id: uuidv4(),
       stream_id: stream.id,
@@ -489,6 +1266,9 @@ async function saveStreamHistory(stream) {
       platform_icon: stream.platform_icon,
       video_id: stream.video_id,
       video_title: videoDetails ? videoDetails.title : null,
+      playlist_id: stream.playlist_id || null,
+      playlist_title: playlistDetails ? playlistDetails.title : null,
+      aired_items: airedItems ? JSON.stringify(airedItems) : null,
       resolution: stream.resolution,
       bitrate: stream.bitrate,
       fps: stream.fps,
@@ -502,11 +1282,13 @@ async function saveStreamHistory(stream) {
       db.run(
         `INSERT INTO stream_history (
           id, stream_id, title, platform, platform_icon, video_id, video_title,
+          playlist_id, playlist_title, aired_items,
           resolution, bitrate, fps, start_time, end_time, duration, use_advanced_settings, user_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           historyData.id, historyData.stream_id, historyData.title,
           historyData.platform, historyData.platform_icon, historyData.video_id, historyData.video_title,
+          historyData.playlist_id, historyData.playlist_title, historyData.aired_items,
           historyData.resolution, historyData.bitrate, historyData.fps,
           historyData.start_time, historyData.end_time, historyData.duration,
           historyData.use_advanced_settings, historyData.user_id
@@ -526,6 +1308,7 @@ async function saveStreamHistory(stream) {
     return false;
   }
 }
+// Position inside the source file (or playlist) currently on air
 function getStreamVideoPosition(streamId) {
   return streamVideoPositions.get(streamId) || 0;
 }
@@ -534,6 +1317,14 @@ function getStreamBasePosition(streamId) {
   return streamBasePositions.get(streamId) || 0;
 }
 
+function getStreamProgress(streamId) {
+  return streamProgress.get(streamId) || null;
+}
+
+function getStreamLastProgress(streamId) {
+  return streamLastProgress.get(streamId) || null;
+}
+
 function getStreamStartTime(streamId) {
   return streamStartTimes.get(streamId);
 }
@@ -554,14 +1345,36 @@ function getStreamStatus(streamId) {
   const basePosition = streamBasePositions.get(streamId);
   const retryCount = streamRetryCount.get(streamId) || 0;
   const logs = streamLogs.get(streamId) || [];
+  const ffmpegProcess = activeStreams.get(streamId);
+  const lastProgress = streamLastProgress.get(streamId);
+  const retryPolicy = streamRetryPolicies.get(streamId) || resolveRetryPolicy(null);
+  const nextRetryAt = streamNextRetryAt.get(streamId);
+  // The counter is cleared once the current process has been up for the reset period
+  const resetsAt = startTime && retryCount > 0
+    ? new Date(startTime.getTime() + retryPolicy.resetAfterMinutes * 60 * 1000)
+    : null;
   
   return {
     isActive,
+    isAdopted: !!(ffmpegProcess && ffmpegProcess.adopted),
+    isRestarting: streamRestartReasons.has(streamId),
     startTime: startTime ? startTime.toISOString() : null,
     elapsedTime: startTime ? getStreamElapsedTime(streamId) : 0,
     videoPosition,
     basePosition,
     retryCount,
+    retry: {
+      count: retryCount,
+      maxAttempts: retryPolicy.maxAttempts,
+      unlimited: retryPolicy.unlimited,
+      backoffBase: retryPolicy.backoffBase,
+      backoffMax: retryPolicy.backoffMax,
+      resetAfterMinutes: retryPolicy.resetAfterMinutes,
+      nextRetryAt: nextRetryAt ? nextRetryAt.toISOString() : null,
+      resetsAt: resetsAt ? resetsAt.toISOString() : null
+    },
+    lastProgressAt: lastProgress ? lastProgress.toISOString() : null,
+    progress: streamProgress.get(streamId) || null,
     logCount: logs.length,
     lastLog: logs.length > 0 ? logs[logs.length - 1] : null
   };
@@ -573,18 +1386,25 @@ async function checkStreamHealth(streamId) {
   if (!stream) return false;
   
   const isActive = activeStreams.has(streamId);
-  const retryCount = streamRetryCount.get(streamId) || 0;
+  // A restart is already scheduled by the crash or error handlers
+  if (stream.status !== 'live' || isActive || streamNextRetryAt.has(streamId)) {
+    return false;
+  }
   
-  // If stream is marked as live in DB but not active in memory, it needs recovery
-  if (stream.status === 'live' && !isActive && retryCount < MAX_RETRY_ATTEMPTS) {
-    addStreamLog(streamId, `Stream health check: stream marked as live but not active, attempting recovery`);
+  // Stream is marked as live in DB but not active in memory, it needs recovery
+  const { policy, retryCount } = await prepareRetry(streamId);
+  if (canRetry(policy, retryCount)) {
+    streamRetryCount.set(streamId, retryCount + 1);
+    addStreamLog(streamId, `Stream health check: stream marked as live but not active, attempting recovery ${describeAttempt(policy, retryCount + 1)}`);
     console.log(`[StreamingService] Health check: Stream ${streamId} needs recovery`);
     
     // Calculate resume position
     const resumePosition = calculateResumePosition(streamId);
     
     // Attempt recovery
-    setTimeout(async () => {
+    const backoffDelay = getBackoffDelay(policy, retryCount + 1);
+    notifyRetrying(streamId, policy, retryCount + 1, backoffDelay, resumePosition);
+    scheduleRetry(streamId, backoffDelay, async () => {
       try {
         const result = await startStream(streamId, resumePosition);
         if (result.success) {
@@ -598,7 +1418,7 @@ async function checkStreamHealth(streamId) {
         addStreamLog(streamId, `Health check recovery error: ${error.message}`);
         console.error(`[StreamingService] Health check recovery error for stream ${streamId}: ${error.message}`);
       }
-    }, 5000); // Wait 5 seconds before attempting recovery
+    });
     
     return true;
   }
@@ -656,22 +1476,33 @@ async function syncStreamStatuses() {
 }
 
 setInterval(syncStreamStatuses, 5 * 60 * 1000);
+setInterval(flushRuntimeStates, RUNTIME_FLUSH_INTERVAL);
 
 module.exports = {
   startStream,
   stopStream,
   isStreamActive,
+  countActiveUserStreams,
   getActiveStreams,
   getStreamLogs,
+  getStreamStats,
   syncStreamStatuses,
   saveStreamHistory,
   getStreamVideoPosition,
   getStreamBasePosition,
+  getStreamPlaybackTime,
+  getStreamResumePosition,
   getStreamStartTime,
   getStreamElapsedTime,
+  getStreamProgress,
+  getStreamLastProgress,
   getStreamStatus,
+  getStreamDestinations,
+  getStreamPreviewFile,
   checkStreamHealth,
   cleanupStreamData,
+  restartStream,
+  restoreStreams,
   setHealthMonitor
 };
 // Scheduler is initialized once from the application entrypoint to avoid double timers
\ No newline at end of file
@@ -0,0 +1,99 @@
+// Optional TOTP two-factor login. Enrollment keeps the new secret out of the
+// database until the user has proven their app produces matching codes; the
+// caller holds it in the session meanwhile.
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const totp = require('../utils/totp');
+const { decryptSecret } = require('../utils/secrets');
+
+const ISSUER = 'StreamFlow';
+
+function isTwoFactorEnabled(user) {
+  return Boolean(user && user.totp_enabled_at && user.totp_secret);
+}
+
+async function getTwoFactorStatus(user) {
+  const enabled = isTwoFactorEnabled(user);
+  return {
+    enabled,
+    enabled_at: enabled ? user.totp_enabled_at : null,
+    recovery_codes_remaining: enabled ? await RecoveryCode.countUnused(user.id) : 0
+  };
+}
+
+// Returns { secret, otpauth_url, qr_code } where qr_code is a PNG data URL
+async function beginEnrollment(user) {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.buildOtpAuthUrl({ secret, account: user.username, issuer: ISSUER });
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 220 });
+  return { secret, otpauth_url: otpauthUrl, qr_code: qrCode };
+}
+
+// Returns { recoveryCodes } or { error }
+async function enableTwoFactor(user, secret, code) {
+  if (isTwoFactorEnabled(user)) {
+    return { error: 'Two-factor authentication is already enabled' };
+  }
+  if (!secret) {
+    return { error: 'Start the setup again, the pending secret has expired' };
+  }
+  const step = totp.verifyTotp(secret, code);
+  if (step === null) {
+    return { error: 'The code does not match, check the time on your device and try again' };
+  }
+  await User.update(user.id, {
+    totp_secret: secret,
+    totp_enabled_at: new Date().toISOString(),
+    totp_last_step: step
+  });
+  const recoveryCodes = await RecoveryCode.regenerate(user.id);
+  console.log(`[TwoFactor] Enabled for user ${user.id}`);
+  return { recoveryCodes };
+}
+
+// Accepts an authenticator code or an unused recovery code. Returns
+// { method } with 'totp' or 'recovery', or { error }.
+async function verifyCode(user, code) {
+  if (!isTwoFactorEnabled(user)) {
+    return { error: 'Two-factor authentication is not enabled' };
+  }
+  const value = String(code || '').trim();
+  if (/^\d[\d\s]*$/.test(value)) {
+    const step = totp.verifyTotp(decryptSecret(user.totp_secret), value, { afterStep: user.totp_last_step });
+    if (step === null) {
+      return { error: 'Invalid or already used code' };
+    }
+    await User.update(user.id, { totp_last_step: step });
+    return { method: 'totp' };
+  }
+  if (await RecoveryCode.consume(user.id, value)) {
+    const remaining = await RecoveryCode.countUnused(user.id);
+    console.log(`[TwoFactor] User ${user.id} used a recovery code, ${remaining} left`);
+    return { method: 'recovery' };
+  }
+  return { error: 'Invalid or already used code' };
+}
+
+async function regenerateRecoveryCodes(user) {
+  const recoveryCodes = await RecoveryCode.regenerate(user.id);
+  console.log(`[TwoFactor] Recovery codes regenerated for user ${user.id}`);
+  return recoveryCodes;
+}
+
+// Used when the user turns 2FA off and when an administrator resets it
+async function disableTwoFactor(userId) {
+  await User.update(userId, { totp_secret: null, totp_enabled_at: null, totp_last_step: null });
+  await RecoveryCode.deleteByUserId(userId);
+  console.log(`[TwoFactor] Disabled for user ${userId}`);
+}
+
+module.exports = {
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  beginEnrollment,
+  enableTwoFactor,
+  verifyCode,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
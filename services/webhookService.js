@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Stream = require('../models/Stream');
+const User = require('../models/User');
+const { lookupPublicAddress, checkPublicUrl } = require('../utils/networkAddress');
+
+const WEBHOOK_EVENTS = {
+  'stream.started': 'Stream started',
+  'stream.stopped': 'Stream stopped',
+  'stream.crashed': 'Stream crashed',
+  'stream.retrying': 'Restart scheduled',
+  'stream.recovered': 'Stream recovered',
+  'stream.max_retries_reached': 'Maximum retries reached',
+  'stream.scheduled_start_failed': 'Scheduled start failed',
+  'video.import_finished': 'Import finished'
+};
+const DELIVERY_TIMEOUT = 10000;
+const RETRY_DELAYS = [30, 120, 600, 3600]; // seconds before each further attempt
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS.length + 1;
+const RETRY_POLL_INTERVAL = 30 * 1000;
+// Connections for webhooks of non-admin users only go to public addresses
+const PUBLIC_ONLY_AGENTS = {
+  httpAgent: new http.Agent({ lookup: lookupPublicAddress }),
+  httpsAgent: new https.Agent({ lookup: lookupPublicAddress })
+};
+let retryTimer = null;
+let processingDue = false;
+
+function init(healthMonitor) {
+  if (healthMonitor) {
+    healthMonitor.on('streamRecovered', ({ streamId, resumePosition }) => {
+      notifyStream(streamId, 'stream.recovered', { source: 'health_check', resumePosition });
+    });
+  }
+  if (!retryTimer) {
+    retryTimer = setInterval(processDueDeliveries, RETRY_POLL_INTERVAL);
+  }
+  console.log('[WebhookService] Webhook delivery initialized');
+  processDueDeliveries();
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Receivers recompute HMAC-SHA256("<timestamp>.<body>") with the webhook secret
+// and compare it with the X-StreamFlow-Signature header
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Only administrators may point webhooks at the server itself or its local
+// network; for anyone else deliveries would be a way to probe internal services
+async function canReachPrivateNetwork(userId) {
+  const owner = await User.findById(userId);
+  return Boolean(owner && owner.role === 'admin');
+}
+
+// Returns an error message if the user may not send webhooks to this URL
+async function checkWebhookUrl(url, userId) {
+  if (await canReachPrivateNetwork(userId)) {
+    return null;
+  }
+  return checkPublicUrl(url);
+}
+
+function isValidEvent(event) {
+  return Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event);
+}
+
+// A new delivery is attempted right away. Its first due time lies past the
+// request timeout so the retry poll only picks it up if that attempt never finished.
+function createDelivery(webhook, event, data) {
+  return WebhookDelivery.create({
+    webhook_id: webhook.id,
+    event,
+    payload: buildPayload(event, data),
+    next_attempt_at: new Date(Date.now() + DELIVERY_TIMEOUT * 2).toISOString()
+  });
+}
+
+function buildPayload(event, data) {
+  return {
+    id: uuidv4(),
+    event,
+    created_at: new Date().toISOString(),
+    data
+  };
+}
+
+// Queues the event for every enabled webhook of the user subscribed to it.
+// Never throws, so callers on the streaming path do not need to await it.
+async function dispatch(userId, event, data = {}) {
+  if (!userId) {
+    return;
+  }
+  try {
+    const webhooks = await Webhook.findSubscribed(userId, event);
+    for (const webhook of webhooks) {
+      const delivery = await createDelivery(webhook, event, data);
+      await attemptDelivery(delivery, webhook);
+    }
+  } catch (error) {
+    console.error(`[WebhookService] Error dispatching ${event} for user ${userId}: ${error.message}`);
+  }
+}
+
+async function notifyStream(streamId, event, data = {}) {
+  try {
+    const stream = await Stream.findById(streamId);
+    if (!stream) {
+      return;
+    }
+    await dispatch(stream.user_id, event, {
+      stream: {
+        id: stream.id,
+        title: stream.title,
+        platform: stream.platform,
+        status: stream.status
+      },
+      ...data
+    });
+  } catch (error) {
+    console.error(`[WebhookService] Error notifying ${event} for stream ${streamId}: ${error.message}`);
+  }
+}
+
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = (delivery.attempts || 0) + 1;
+  let responseStatus = null;
+  let error = null;
+  let blocked = false;
+  try {
+    const restricted = !(await canReachPrivateNetwork(webhook.user_id));
+    const urlError = restricted ? await checkPublicUrl(webhook.url) : null;
+    if (urlError) {
+      blocked = true;
+      throw new Error(urlError);
+    }
+    const response = await axios.post(webhook.url, body, {
+      ...(restricted ? PUBLIC_ONLY_AGENTS : {}),
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'StreamFlow-Webhooks',
+        'X-StreamFlow-Event': delivery.event,
+        'X-StreamFlow-Delivery': delivery.id,
+        'X-StreamFlow-Timestamp': String(timestamp),
+        'X-StreamFlow-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: DELIVERY_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const update = { attempts, response_status: responseStatus, error };
+  if (!error) {
+    update.status = 'success';
+    update.delivered_at = new Date().toISOString();
+    update.next_attempt_at = null;
+  } else if (blocked || attempts >= MAX_DELIVERY_ATTEMPTS) {
+    update.status = 'failed';
+    update.next_attempt_at = null;
+    console.error(`[WebhookService] Delivery ${delivery.id} of ${delivery.event} to ${webhook.url} failed after ${attempts} attempts: ${error}`);
+  } else {
+    update.status = 'pending';
+    update.next_attempt_at = new Date(Date.now() + RETRY_DELAYS[attempts - 1] * 1000).toISOString();
+    console.warn(`[WebhookService] Delivery ${delivery.id} of ${delivery.event} to ${webhook.url} failed (attempt ${attempts}/${MAX_DELIVERY_ATTEMPTS}): ${error}`);
+  }
+  await WebhookDelivery.update(delivery.id, update);
+  return { ...delivery, ...update };
+}
+
+async function processDueDeliveries() {
+  if (processingDue) {
+    return;
+  }
+  processingDue = true;
+  try {
+    const deliveries = await WebhookDelivery.findDue();
+    for (const delivery of deliveries) {
+      const webhook = await Webhook.findById(delivery.webhook_id);
+      if (!webhook || !webhook.enabled) {
+        await WebhookDelivery.update(delivery.id, {
+          status: 'failed',
+          error: webhook ? 'Webhook disabled' : 'Webhook deleted',
+          next_attempt_at: null
+        });
+        continue;
+      }
+      await attemptDelivery(delivery, webhook);
+    }
+  } catch (error) {
+    console.error(`[WebhookService] Error processing due deliveries: ${error.message}`);
+  } finally {
+    processingDue = false;
+  }
+}
+
+// Sends a delivery again right away. Once past the attempt limit a failed
+// manual retry is not rescheduled.
+async function retryDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+  const webhook = await Webhook.findById(delivery.webhook_id);
+  if (!webhook) {
+    return null;
+  }
+  return attemptDelivery(delivery, webhook);
+}
+
+async function sendTestEvent(webhook) {
+  const delivery = await createDelivery(webhook, 'webhook.test', { message: 'Test delivery from StreamFlow' });
+  return attemptDelivery(delivery, webhook);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_DELIVERY_ATTEMPTS,
+  init,
+  generateSecret,
+  signPayload,
+  isValidEvent,
+  checkWebhookUrl,
+  dispatch,
+  notifyStream,
+  retryDelivery,
+  sendTestEvent,
+  processDueDeliveries
+};
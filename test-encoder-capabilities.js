@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Local test harness for the FFmpeg capability probe and the video encoders.
+ * Probes the installed FFmpeg, then encodes a short generated clip with every
+ * available CPU encoder and rate control, using the same arguments a stream
+ * with an encoding preset uses, and checks the result decodes with keyframes
+ * where the preset puts them. Hardware encoders are only tried with
+ * --hardware, as they need the matching GPU and drivers.
+ *
+ * Usage: node test-encoder-capabilities.js [--hardware]
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpegConfig = require('./utils/ffmpegConfig');
+const { VIDEO_ENCODERS, buildEncoderInputArgs } = require('./utils/videoEncoders');
+const { getAvailableVideoEncoders } = require('./utils/ffmpegCapabilities');
+const { DEFAULT_ENCODING_PRESET, validateEncoderSettings } = require('./utils/encodingPresets');
+const { analyzeRecording } = require('./utils/recordingAnalysis');
+
+const { ffmpegPath } = ffmpegConfig;
+const includeHardware = process.argv.includes('--hardware');
+const CASE_TIMEOUT = 60000;
+const GOP_SECONDS = 1;
+const FPS = 30;
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-encoders-'));
+
+function createClip() {
+  const clipPath = path.join(workDir, 'clip.mp4');
+  execFileSync(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', 'lavfi', '-i', `testsrc=size=640x360:rate=${FPS}`,
+    '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=44100',
+    '-t', '4',
+    '-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '128k',
+    clipPath
+  ]);
+  return clipPath;
+}
+
+function encode(args) {
+  return new Promise(resolve => {
+    const child = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    const timer = setTimeout(() => child.kill('SIGKILL'), CASE_TIMEOUT);
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ code, stderr: stderr.trim() });
+    });
+  });
+}
+
+// FLV for H.264 as on RTMP, MPEG-TS for the codecs that go over SRT or HLS
+async function runCase(encoderId, rateControl, clipPath, capabilities) {
+  const encoder = VIDEO_ENCODERS[encoderId];
+  const preset = {
+    ...DEFAULT_ENCODING_PRESET,
+    ...encoder.defaults,
+    video_encoder: encoderId,
+    rate_control: rateControl,
+    gop_seconds: GOP_SECONDS
+  };
+  const name = `${encoderId} ${rateControl.toUpperCase()}`;
+  const settingsError = validateEncoderSettings(preset, capabilities);
+  if (settingsError) {
+    console.log(`❌ ${name}: ${settingsError}`);
+    return false;
+  }
+  const format = encoder.codec === 'h264' ? 'flv' : 'mpegts';
+  const outputPath = path.join(workDir, `${encoderId}-${rateControl}.${format === 'flv' ? 'flv' : 'ts'}`);
+  const { code, stderr } = await encode([
+    ...buildEncoderInputArgs(encoderId),
+    '-i', clipPath,
+    ...ffmpegConfig.buildEncodingArgs(preset, { bitrate: '1000k', resolution: '640x360', fps: FPS }),
+    '-f', format, outputPath
+  ]);
+  if (code !== 0) {
+    console.log(`❌ ${name}: encoder exited with code ${code}: ${stderr}`);
+    return false;
+  }
+  const report = await analyzeRecording(outputPath, { fps: FPS });
+  const interval = report.video ? report.video.keyframe_interval : null;
+  const ok = report.playable && interval !== null && Math.abs(interval - GOP_SECONDS) <= 0.1;
+  console.log(`${ok ? '✅' : '❌'} ${name}`);
+  console.log(`   ${report.playable ? `${report.video.codec}, ${report.video.fps} fps, keyframe every ${interval}s, ${report.bitrate} kbps` : report.error}`);
+  return ok;
+}
+
+// H.264 goes everywhere; the other codecs need enhanced RTMP for FLV
+function checkOutputRules(capabilities) {
+  const cases = [
+    ['libx264', 'rtmp://127.0.0.1/live/key', true],
+    ['libx265', 'srt://127.0.0.1:9000', true],
+    ['libx265', 'rtmp://127.0.0.1/live/key', capabilities.enhancedRtmp],
+    ['libsvtav1', 'rtmp://127.0.0.1/live/key', capabilities.enhancedRtmp]
+  ];
+  let failed = 0;
+  cases.forEach(([encoderId, url, allowed]) => {
+    let error = null;
+    try {
+      ffmpegConfig.checkCodecOutputs(encoderId, url);
+    } catch (err) {
+      error = err.message;
+    }
+    const ok = allowed ? error === null : error !== null;
+    console.log(`${ok ? '✅' : '❌'} ${encoderId} → ${url.split(':')[0].toUpperCase()} ${allowed ? 'accepted' : `rejected: ${error}`}`);
+    if (!ok) failed++;
+  });
+  return failed;
+}
+
+async function main() {
+  console.log('🧪 Testing FFmpeg capabilities and video encoders\n');
+  const capabilities = await ffmpegConfig.probeFFmpeg();
+  console.log('FFmpeg:', ffmpegPath);
+  console.log('Version:', capabilities.version || 'unknown');
+  console.log('Enhanced RTMP:', capabilities.enhancedRtmp ? 'yes' : 'no');
+  console.log('Output protocols:', ['rtmp', 'rtmps', 'srt', 'https'].filter(name => capabilities.protocols.output.includes(name)).join(', '));
+  Object.entries(capabilities.videoEncoders).forEach(([id, status]) => {
+    const state = status.available ? 'available' : status.listed ? `unusable (${status.error})` : 'not built in';
+    console.log(`   ${id}: ${state}`);
+  });
+  if (capabilities.error) {
+    console.log(`⚠️  Probe incomplete: ${capabilities.error}`);
+  }
+  console.log('');
+
+  let failed = checkOutputRules(capabilities);
+  const clipPath = createClip();
+  const encoders = getAvailableVideoEncoders(capabilities).filter(id => includeHardware || !VIDEO_ENCODERS[id].hardware);
+  for (const encoderId of encoders) {
+    for (const rateControl of VIDEO_ENCODERS[encoderId].rate_controls) {
+      if (!await runCase(encoderId, rateControl, clipPath, capabilities)) {
+        failed++;
+      }
+    }
+  }
+  console.log(failed === 0 ? '\n🎉 All available encoders work' : `\n❌ ${failed} case(s) failed`);
+  return failed;
+}
+
+main()
+  .then(failed => { process.exitCode = failed > 0 ? 1 : 0; })
+  .catch(error => {
+    console.error('❌ Test harness failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
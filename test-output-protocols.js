@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Local test harness for the output protocols.
+ * Pushes a short generated clip to local receivers for RTMP, RTMPS, SRT and
+ * HLS ingest with the same FFmpeg arguments a stream uses, one protocol at a
+ * time and then all together through the tee muxer. Nothing leaves the
+ * machine. Protocols the FFmpeg build lacks are skipped.
+ *
+ * Usage: node test-output-protocols.js
+ */
+
+const { spawn, execFileSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const ffmpegConfig = require('./utils/ffmpegConfig');
+const { buildOutputUrl } = require('./utils/outputProtocols');
+
+const { ffmpegPath } = ffmpegConfig;
+const STREAM_KEY = 'test-key';
+const CASE_TIMEOUT = 40000;
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-protocols-'));
+const children = new Set();
+let nextPort = 19350;
+
+function run(args, options = {}) {
+  const child = spawn(ffmpegPath, ['-hide_banner', ...args], { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+  children.add(child);
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+  const done = new Promise(resolve => {
+    child.on('close', code => {
+      children.delete(child);
+      resolve({ code, stderr });
+    });
+  });
+  return { child, done };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function listProtocols() {
+  const output = execFileSync(ffmpegPath, ['-hide_banner', '-protocols'], { encoding: 'utf8' });
+  return new Set(output.split('Output:')[1].split(/\s+/).filter(Boolean));
+}
+
+function createClip() {
+  const clipPath = path.join(workDir, 'clip.mp4');
+  execFileSync(ffmpegPath, [
+    '-hide_banner', '-loglevel', 'error',
+    '-f', 'lavfi', '-i', 'testsrc=size=640x360:rate=30',
+    '-f', 'lavfi', '-i', 'sine=frequency=440:sample_rate=44100',
+    '-t', '6',
+    '-c:v', 'libx264', '-preset', 'ultrafast', '-g', '30', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', '128k',
+    clipPath
+  ]);
+  return clipPath;
+}
+
+// A self-signed certificate for the RTMPS receiver, or null without openssl
+function createCertificate() {
+  const certFile = path.join(workDir, 'cert.pem');
+  const keyFile = path.join(workDir, 'key.pem');
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+      '-subj', '/CN=127.0.0.1', '-keyout', keyFile, '-out', certFile
+    ], { stdio: 'ignore' });
+    return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// FFmpeg listening on `url`, decoding to nothing and counting frames
+function startFFmpegReceiver(url, inputArgs = []) {
+  let frames = 0;
+  const { child, done } = run(['-loglevel', 'error', ...inputArgs, '-i', url, '-f', 'null', '-', ...ffmpegConfig.PROGRESS_OPTIONS]);
+  const parse = ffmpegConfig.createProgressParser(report => {
+    frames = Math.max(frames, report.frame || 0);
+  });
+  child.stdout.on('data', chunk => parse(chunk.toString()));
+  return {
+    stop: () => child.kill('SIGTERM'),
+    result: done.then(({ stderr }) => ({ ok: frames > 0, detail: frames > 0 ? `${frames} frames received` : stderr.trim() || 'nothing received' }))
+  };
+}
+
+function startRtmpReceiver() {
+  const port = nextPort++;
+  const receiver = startFFmpegReceiver(`rtmp://127.0.0.1:${port}/live/${STREAM_KEY}`, ['-listen', '1']);
+  return { ...receiver, url: buildOutputUrl(`rtmp://127.0.0.1:${port}/live`, STREAM_KEY) };
+}
+
+// FFmpeg only listens for plain RTMP, so TLS ends here and the stream is
+// passed on to an RTMP receiver
+function startRtmpsReceiver(certificate) {
+  const rtmp = startRtmpReceiver();
+  const rtmpPort = Number(new URL(rtmp.url).port);
+  const port = nextPort++;
+  const server = tls.createServer(certificate, socket => {
+    const upstream = net.connect(rtmpPort, '127.0.0.1');
+    socket.pipe(upstream).pipe(socket);
+    socket.on('error', () => upstream.destroy());
+    upstream.on('error', () => socket.destroy());
+  }).listen(port, '127.0.0.1');
+  return {
+    url: buildOutputUrl(`rtmps://127.0.0.1:${port}/live`, STREAM_KEY),
+    stop: () => {
+      server.close();
+      rtmp.stop();
+    },
+    result: rtmp.result.then(result => {
+      server.close();
+      return result;
+    })
+  };
+}
+
+function startSrtReceiver() {
+  const port = nextPort++;
+  const receiver = startFFmpegReceiver(`srt://127.0.0.1:${port}?mode=listener`);
+  return { ...receiver, url: buildOutputUrl(`srt://127.0.0.1:${port}`, STREAM_KEY) };
+}
+
+// Accepts the playlist and segment uploads of an HLS ingest
+function startHlsReceiver() {
+  const port = nextPort++;
+  const uploads = { playlists: 0, segments: 0, bytes: 0 };
+  const server = http.createServer((req, res) => {
+    let size = 0;
+    req.on('data', chunk => { size += chunk.length; });
+    req.on('end', () => {
+      if (req.url.includes('.m3u8')) {
+        uploads.playlists++;
+      } else if (req.url.includes('.ts')) {
+        uploads.segments++;
+        uploads.bytes += size;
+      }
+      res.end();
+    });
+  }).listen(port, '127.0.0.1');
+  let finish;
+  const finished = new Promise(resolve => { finish = resolve; });
+  return {
+    url: buildOutputUrl(`http://127.0.0.1:${port}/ingest`, STREAM_KEY),
+    stop: () => {
+      server.close();
+      finish();
+    },
+    result: finished.then(() => ({
+      ok: uploads.playlists > 0 && uploads.segments > 0,
+      detail: `${uploads.segments} segments (${uploads.bytes} bytes), ${uploads.playlists} playlist uploads`
+    }))
+  };
+}
+
+async function runCase(name, receivers, clipPath) {
+  await delay(1000);
+  const urls = receivers.map(receiver => receiver.url);
+  const args = ffmpegConfig.buildFFmpegArgs(clipPath, urls.length === 1 ? urls[0] : urls);
+  const sender = run(args);
+  const timer = setTimeout(() => sender.child.kill('SIGKILL'), CASE_TIMEOUT);
+  const { code, stderr } = await sender.done;
+  clearTimeout(timer);
+  await delay(1000);
+  receivers.forEach(receiver => receiver.stop());
+  const results = await Promise.all(receivers.map(receiver => receiver.result));
+  const ok = code === 0 && results.every(result => result.ok);
+  console.log(`${ok ? '✅' : '❌'} ${name}`);
+  if (code !== 0) {
+    console.log(`   sender exited with code ${code}: ${stderr.trim()}`);
+  }
+  results.forEach((result, index) => console.log(`   ${urls[index]} → ${result.detail}`));
+  return ok;
+}
+
+async function main() {
+  console.log('🧪 Testing output protocols\n');
+  console.log('FFmpeg:', ffmpegPath);
+  const protocols = listProtocols();
+  const clipPath = createClip();
+  const certificate = protocols.has('rtmps') ? createCertificate() : null;
+  const available = {
+    RTMP: () => startRtmpReceiver(),
+    RTMPS: certificate ? () => startRtmpsReceiver(certificate) : null,
+    SRT: protocols.has('srt') ? () => startSrtReceiver() : null,
+    HLS: protocols.has('http') ? () => startHlsReceiver() : null
+  };
+  let failed = 0;
+  for (const [name, start] of Object.entries(available)) {
+    if (!start) {
+      console.log(`⚠️  ${name} skipped: ${name === 'RTMPS' ? 'needs the rtmps protocol and openssl' : `FFmpeg was built without ${name.toLowerCase()} support`}`);
+      continue;
+    }
+    if (!await runCase(name, [start()], clipPath)) {
+      failed++;
+    }
+  }
+  const starters = Object.values(available).filter(Boolean);
+  if (starters.length > 1) {
+    const names = Object.keys(available).filter(name => available[name]).join(' + ');
+    if (!await runCase(`${names} (tee)`, starters.map(start => start()), clipPath)) {
+      failed++;
+    }
+  }
+  console.log(failed === 0 ? '\n🎉 All output protocols work' : `\n❌ ${failed} case(s) failed`);
+  return failed;
+}
+
+main()
+  .then(failed => { process.exitCode = failed > 0 ? 1 : 0; })
+  .catch(error => {
+    console.error('❌ Test harness failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    children.forEach(child => child.kill('SIGKILL'));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
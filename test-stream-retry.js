@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Local test harness for stream restarts.
+ * Schedules a restart the way the health check does for a stream that is
+ * live without an FFmpeg process, and checks that a stream stopped while it
+ * waits out the backoff stays stopped. Uses a throwaway database; the streams
+ * have no video, so a restart that does run fails without going anywhere.
+ *
+ * Usage: node test-stream-retry.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-retry-'));
+process.env.DB_PATH = path.join(workDir, 'streamflow.db');
+
+const { db, initializeDatabase } = require('./db/database');
+const Stream = require('./models/Stream');
+const User = require('./models/User');
+const streamingService = require('./services/streamingService');
+
+const BACKOFF_SECONDS = 1;
+let failed = 0;
+
+function check(name, ok, detail = '') {
+  console.log(`${ok ? '✅' : '❌'} ${name}${detail ? `\n   ${detail}` : ''}`);
+  if (!ok) failed++;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A live stream without a process, as left behind by a crash
+async function createLiveStream(userId, title) {
+  const stream = await Stream.create({
+    title,
+    rtmp_url: 'rtmp://127.0.0.1/live',
+    stream_key: 'retry-test',
+    retry_backoff_base: BACKOFF_SECONDS,
+    retry_backoff_max: BACKOFF_SECONDS,
+    user_id: userId
+  });
+  await Stream.updateStatus(stream.id, 'live');
+  return stream.id;
+}
+
+function restartAttempted(streamId) {
+  return streamingService.getStreamLogs(streamId).some(log =>
+    log.message.includes('Health check recovery'));
+}
+
+async function waitOutBackoff() {
+  await wait(BACKOFF_SECONDS * 1000 + 1500);
+}
+
+async function testRestartRuns(userId) {
+  const streamId = await createLiveStream(userId, 'Restarted');
+  const scheduled = await streamingService.checkStreamHealth(streamId);
+  await waitOutBackoff();
+  check('A live stream without a process is restarted after the backoff', scheduled && restartAttempted(streamId));
+}
+
+async function testStopDuringBackoff(userId) {
+  const streamId = await createLiveStream(userId, 'Stopped during backoff');
+  const scheduled = await streamingService.checkStreamHealth(streamId);
+  const pending = streamingService.getStreamStatus(streamId).retry.nextRetryAt !== null;
+  const result = await streamingService.stopStream(streamId);
+  check('Stopping during the backoff succeeds', scheduled && pending && result.success, result.error || result.message);
+  check('The pending restart is cleared', streamingService.getStreamStatus(streamId).retry.nextRetryAt === null);
+  await waitOutBackoff();
+  const stream = await Stream.findById(streamId);
+  check('The stopped stream does not restart', !restartAttempted(streamId) &&
+    !streamingService.isStreamActive(streamId) && stream.status === 'offline', `status: ${stream.status}`);
+}
+
+async function testStoppedElsewhere(userId) {
+  const streamId = await createLiveStream(userId, 'Set offline during backoff');
+  await streamingService.checkStreamHealth(streamId);
+  await Stream.updateStatus(streamId, 'offline');
+  await waitOutBackoff();
+  const logs = streamingService.getStreamLogs(streamId).map(log => log.message);
+  check('A stream set offline during the backoff is not restarted', !restartAttempted(streamId) &&
+    logs.some(log => log.includes('Scheduled restart cancelled')));
+}
+
+async function main() {
+  console.log('🧪 Testing stream restarts\n');
+  await initializeDatabase();
+  const user = await User.create({ username: 'retry', password: 'RetryTest123', role: 'admin' });
+  await testRestartRuns(user.id);
+  await testStopDuringBackoff(user.id);
+  await testStoppedElsewhere(user.id);
+  console.log(failed === 0 ? '\n🎉 Stopped streams stay stopped' : `\n❌ ${failed} check(s) failed`);
+  return failed;
+}
+
+// The streaming service keeps its sync timers running, so exit explicitly
+main()
+  .then(count => { process.exitCode = count > 0 ? 1 : 0; })
+  .catch(error => {
+    console.error('❌ Test harness failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    db.close(() => {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      process.exit();
+    });
+  });
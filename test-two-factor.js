@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Offline test harness for two-factor login.
+ * Checks the TOTP code generator against the RFC 4226 and RFC 6238 test
+ * vectors, the drift window and replay protection, single-use recovery codes,
+ * and that a password login on an account with 2FA stays pending until the
+ * code is entered. Uses a throwaway database and a local app instance.
+ *
+ * Usage: node test-two-factor.js
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-2fa-'));
+process.env.DB_PATH = path.join(workDir, 'streamflow.db');
+
+const { db, initializeDatabase } = require('./db/database');
+const User = require('./models/User');
+const RecoveryCode = require('./models/RecoveryCode');
+const twoFactorService = require('./services/twoFactorService');
+const totp = require('./utils/totp');
+
+const USERNAME = 'twofactor';
+const PASSWORD = 'TwoFactor123';
+const APP_START_TIMEOUT = 30000;
+let failed = 0;
+let app = null;
+
+function check(name, ok, detail = '') {
+  console.log(`${ok ? '✅' : '❌'} ${name}${detail ? `\n   ${detail}` : ''}`);
+  if (!ok) failed++;
+}
+
+// RFC 6238 appendix B: 8-digit codes for the ASCII seed "1234567890..."
+// repeated to the length of each hash
+const RFC6238_SEEDS = {
+  sha1: Buffer.from('12345678901234567890'),
+  sha256: Buffer.from('12345678901234567890123456789012'),
+  sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+const RFC6238_VECTORS = [
+  { time: 59, sha1: '94287082', sha256: '46119246', sha512: '90693936' },
+  { time: 1111111109, sha1: '07081804', sha256: '68084774', sha512: '25091201' },
+  { time: 1111111111, sha1: '14050471', sha256: '67062674', sha512: '99943326' },
+  { time: 1234567890, sha1: '89005924', sha256: '91819424', sha512: '93441116' },
+  { time: 2000000000, sha1: '69279037', sha256: '90698825', sha512: '38618901' },
+  { time: 20000000000, sha1: '65353130', sha256: '77737706', sha512: '47863826' }
+];
+// RFC 4226 appendix D: HOTP for counters 0 to 9
+const RFC4226_VECTORS = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+function testVectors() {
+  const hotp = RFC4226_VECTORS.map((code, counter) => totp.generateHotp(RFC6238_SEEDS.sha1, counter));
+  check('RFC 4226 HOTP vectors', hotp.every((code, counter) => code === RFC4226_VECTORS[counter]), `got ${hotp.join(' ')}`);
+  Object.keys(RFC6238_SEEDS).forEach(algorithm => {
+    const mismatches = RFC6238_VECTORS.filter(vector =>
+      totp.generateTotp(RFC6238_SEEDS[algorithm], { algorithm, digits: 8, time: vector.time * 1000 }) !== vector[algorithm]);
+    check(`RFC 6238 ${algorithm.toUpperCase()} vectors`, mismatches.length === 0,
+      mismatches.map(vector => `T=${vector.time}: expected ${vector[algorithm]}`).join(', '));
+  });
+  const secret = totp.base32Encode(RFC6238_SEEDS.sha1);
+  check('Base32 secrets decode to the same key', secret === 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' &&
+    totp.base32Decode(secret.toLowerCase().match(/.{1,4}/g).join(' ')).equals(RFC6238_SEEDS.sha1));
+}
+
+function testWindow() {
+  const secret = totp.generateSecret();
+  const time = 1700000000000;
+  const step = totp.getTimeStep({ time });
+  const codeAt = offset => totp.generateTotp(secret, { time: time + offset * 30000 });
+  check('Current code is accepted', totp.verifyTotp(secret, codeAt(0), { time }) === step);
+  check('Codes one step off are accepted', totp.verifyTotp(secret, codeAt(-1), { time }) === step - 1 &&
+    totp.verifyTotp(secret, codeAt(1), { time }) === step + 1);
+  check('Codes two steps off are rejected', totp.verifyTotp(secret, codeAt(-2), { time }) === null &&
+    totp.verifyTotp(secret, codeAt(2), { time }) === null);
+  check('A used step is not accepted again', totp.verifyTotp(secret, codeAt(0), { time, afterStep: step }) === null &&
+    totp.verifyTotp(secret, codeAt(-1), { time, afterStep: step }) === null);
+  check('A later code is accepted after a used step', totp.verifyTotp(secret, codeAt(1), { time, afterStep: step }) === step + 1);
+  check('Malformed codes are rejected', totp.verifyTotp(secret, 'abcdef', { time }) === null &&
+    totp.verifyTotp(secret, codeAt(0).slice(1), { time }) === null);
+}
+
+// Enrolls with the previous step's code, so the current one is still unused
+// for the login below
+async function enrollUser() {
+  const created = await User.create({ username: USERNAME, password: PASSWORD, role: 'admin' });
+  const secret = totp.generateSecret();
+  const enrollment = await twoFactorService.enableTwoFactor(
+    await User.findById(created.id),
+    secret,
+    totp.generateTotp(secret, { time: Date.now() - 30000 })
+  );
+  return { userId: created.id, secret, recoveryCodes: enrollment.recoveryCodes };
+}
+
+async function testService({ userId, secret, recoveryCodes }) {
+  const user = await User.findById(userId);
+  check('Enrolling enables 2FA with 10 recovery codes', twoFactorService.isTwoFactorEnabled(user) && recoveryCodes.length === 10);
+  const enrollCode = totp.generateTotp(secret, { time: Date.now() - 30000 });
+  const replay = await twoFactorService.verifyCode(user, enrollCode);
+  check('The enrollment code cannot be replayed', Boolean(replay.error), replay.error || replay.method);
+  const first = await twoFactorService.verifyCode(user, recoveryCodes[0].toUpperCase());
+  const second = await twoFactorService.verifyCode(await User.findById(userId), recoveryCodes[0]);
+  check('Recovery codes work once', first.method === 'recovery' && Boolean(second.error));
+  check('Used recovery codes are counted', await RecoveryCode.countUnused(userId) === 9);
+  const wrong = await twoFactorService.verifyCode(user, 'aaaaa-bbbbb');
+  check('Unknown recovery codes are rejected', Boolean(wrong.error));
+}
+
+function findFreePort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// The app runs from the work folder so its sessions and logs stay there
+async function startApp() {
+  const port = await findFreePort();
+  fs.mkdirSync(path.join(workDir, 'db'));
+  app = spawn(process.execPath, [path.join(__dirname, 'app.js')], {
+    cwd: workDir,
+    env: { ...process.env, PORT: String(port), SESSION_SECRET: 'two-factor-test' },
+    stdio: 'ignore'
+  });
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + APP_START_TIMEOUT;
+  while (Date.now() < deadline) {
+    try {
+      await fetch(`${baseUrl}/login`, { redirect: 'manual' });
+      return baseUrl;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error('The app did not start');
+}
+
+function createClient(baseUrl) {
+  let cookie = '';
+  return async (method, url, form = null) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(cookie ? { cookie } : {}),
+        ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {})
+      },
+      body: form ? new URLSearchParams(form).toString() : undefined
+    });
+    const setCookie = response.headers.get('set-cookie');
+    if (setCookie) {
+      cookie = setCookie.split(';')[0];
+    }
+    return { status: response.status, location: response.headers.get('location') || '', text: await response.text() };
+  };
+}
+
+async function testLogin({ secret }) {
+  const baseUrl = await startApp();
+  const request = createClient(baseUrl);
+  let response = await request('POST', '/login', { username: USERNAME, password: PASSWORD });
+  check('Password login asks for the code', response.status === 302 && response.location === '/login/2fa', `${response.status} → ${response.location}`);
+  response = await request('GET', '/dashboard');
+  const dashboardBlocked = response.status === 302 && response.location === '/login';
+  response = await request('GET', '/api/streams');
+  check('Pending login has no access', dashboardBlocked && response.status !== 200, `API answered ${response.status}`);
+  response = await request('POST', '/login/2fa', { code: '000000' });
+  const wrongRejected = response.status === 200 && response.text.includes('Invalid or already used code');
+  response = await request('GET', '/dashboard');
+  check('A wrong code keeps the login pending', wrongRejected && response.status === 302);
+  response = await request('POST', '/login/2fa', { code: totp.generateTotp(secret) });
+  check('The current code completes the login', response.status === 302 && response.location === '/dashboard', `${response.status} → ${response.location}`);
+  response = await request('GET', '/dashboard');
+  check('Dashboard opens after the code', response.status === 200);
+}
+
+async function main() {
+  console.log('🧪 Testing two-factor login\n');
+  testVectors();
+  testWindow();
+  await initializeDatabase();
+  const enrolled = await enrollUser();
+  await testService(enrolled);
+  await testLogin(enrolled);
+  console.log(failed === 0 ? '\n🎉 Two-factor login works' : `\n❌ ${failed} check(s) failed`);
+  return failed;
+}
+
+main()
+  .then(count => { process.exitCode = count > 0 ? 1 : 0; })
+  .catch(error => {
+    console.error('❌ Test harness failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (app) {
+      app.kill('SIGTERM');
+    }
+    db.close(() => fs.rmSync(workDir, { recursive: true, force: true }));
+  });
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Local test harness for webhook delivery.
+ * Runs the webhook service against a throwaway database and a local HTTP
+ * receiver: checks the signature header against the raw body, that only
+ * subscribed events are delivered, that failed deliveries are retried with
+ * growing delays until the attempt limit, and that only administrators can
+ * send webhooks to local or private addresses. Nothing leaves the machine.
+ *
+ * Usage: node test-webhooks.js
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'streamflow-webhooks-'));
+process.env.DB_PATH = path.join(workDir, 'streamflow.db');
+
+const { db, initializeDatabase } = require('./db/database');
+const User = require('./models/User');
+const Webhook = require('./models/Webhook');
+const WebhookDelivery = require('./models/WebhookDelivery');
+const webhookService = require('./services/webhookService');
+const { lookupPublicAddress } = require('./utils/networkAddress');
+
+// The receiver listens on loopback, which only administrators may use
+let USER_ID = null;
+const SECRET = 'webhook-test-secret';
+// Seconds before each further attempt, as documented for receivers
+const EXPECTED_RETRY_DELAYS = [30, 120, 600, 3600];
+let failed = 0;
+
+function check(name, ok, detail = '') {
+  console.log(`${ok ? '✅' : '❌'} ${name}${detail ? `\n   ${detail}` : ''}`);
+  if (!ok) failed++;
+}
+
+// Records every request and answers with the status set for its path (200)
+function startReceiver() {
+  const requests = [];
+  const statuses = {};
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.statusCode = statuses[req.url] || 200;
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: pathName => `http://127.0.0.1:${server.address().port}${pathName}`,
+        requests: pathName => requests.filter(request => request.path === pathName),
+        setStatus: (pathName, status) => { statuses[pathName] = status; },
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function findDeliveries(webhookId) {
+  return WebhookDelivery.findByWebhookId(webhookId, 100);
+}
+
+// The retry poll only picks deliveries whose time has come; move it forward
+async function makeDue(deliveryId) {
+  await WebhookDelivery.update(deliveryId, { next_attempt_at: new Date(Date.now() - 1000).toISOString() });
+  await webhookService.processDueDeliveries();
+  return WebhookDelivery.findById(deliveryId);
+}
+
+async function testSignature(receiver) {
+  const webhook = await Webhook.create({ user_id: USER_ID, url: receiver.url('/signed'), secret: SECRET, events: ['stream.started'] });
+  await webhookService.dispatch(USER_ID, 'stream.started', { stream: { id: 'stream-1' } });
+  const [request] = receiver.requests('/signed');
+  if (!request) {
+    check('Signed delivery received', false, 'nothing arrived');
+    return;
+  }
+  const timestamp = request.headers['x-streamflow-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex')}`;
+  check('Signature matches HMAC-SHA256 of "<timestamp>.<raw body>"', request.headers['x-streamflow-signature'] === expected);
+  const payload = JSON.parse(request.body);
+  check('Event header and payload agree', request.headers['x-streamflow-event'] === 'stream.started' && payload.event === 'stream.started');
+  const [delivery] = await findDeliveries(webhook.id);
+  check('Delivery recorded as successful', delivery && delivery.status === 'success' && delivery.attempts === 1);
+}
+
+async function testEventFilter(receiver) {
+  const webhook = await Webhook.create({ user_id: USER_ID, url: receiver.url('/filtered'), secret: SECRET, events: ['stream.stopped'] });
+  await webhookService.dispatch(USER_ID, 'stream.crashed', {});
+  const afterUnsubscribed = receiver.requests('/filtered').length;
+  await webhookService.dispatch(USER_ID, 'stream.stopped', {});
+  const events = receiver.requests('/filtered').map(request => request.headers['x-streamflow-event']);
+  check('Unsubscribed events are not delivered', afterUnsubscribed === 0 && (await findDeliveries(webhook.id)).length === 1,
+    `received: ${events.join(', ') || 'nothing'}`);
+  check('Subscribed events are delivered', events.length === 1 && events[0] === 'stream.stopped');
+  await Webhook.update(webhook.id, { enabled: false });
+  await webhookService.dispatch(USER_ID, 'stream.stopped', {});
+  check('Disabled webhooks receive nothing', receiver.requests('/filtered').length === 1);
+}
+
+async function testRetries(receiver) {
+  receiver.setStatus('/failing', 503);
+  const webhook = await Webhook.create({ user_id: USER_ID, url: receiver.url('/failing'), secret: SECRET, events: ['stream.crashed'] });
+  await webhookService.dispatch(USER_ID, 'stream.crashed', {});
+  let [delivery] = await findDeliveries(webhook.id);
+  const delays = [];
+  while (delivery.status === 'pending') {
+    delays.push(Math.round((new Date(delivery.next_attempt_at) - Date.now()) / 1000));
+    delivery = await makeDue(delivery.id);
+  }
+  const backoffOk = delays.length === EXPECTED_RETRY_DELAYS.length &&
+    delays.every((delay, index) => Math.abs(delay - EXPECTED_RETRY_DELAYS[index]) <= 2);
+  check('5xx responses are retried with growing delays', backoffOk, `delays: ${delays.join('s, ')}s`);
+  check(`Gives up after ${webhookService.MAX_DELIVERY_ATTEMPTS} attempts`,
+    delivery.status === 'failed' && delivery.attempts === webhookService.MAX_DELIVERY_ATTEMPTS &&
+      delivery.next_attempt_at === null && receiver.requests('/failing').length === webhookService.MAX_DELIVERY_ATTEMPTS,
+    `${delivery.status} after ${delivery.attempts} attempts, ${receiver.requests('/failing').length} requests received, last error: ${delivery.error}`);
+
+  receiver.setStatus('/flaky', 500);
+  const flaky = await Webhook.create({ user_id: USER_ID, url: receiver.url('/flaky'), secret: SECRET, events: ['stream.retrying'] });
+  await webhookService.dispatch(USER_ID, 'stream.retrying', {});
+  [delivery] = await findDeliveries(flaky.id);
+  receiver.setStatus('/flaky', 200);
+  delivery = await makeDue(delivery.id);
+  check('A retry that succeeds ends the delivery', delivery.status === 'success' && delivery.attempts === 2 && delivery.next_attempt_at === null);
+}
+
+async function testPrivateAddresses(receiver) {
+  const member = await User.create({ username: 'webhook-member', password: 'WebhookMember123' });
+  const rejected = [receiver.url('/private'), 'http://localhost/', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/',
+    'http://[::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'http://2130706433/'];
+  const accepted = [];
+  for (const url of rejected) {
+    if (!await webhookService.checkWebhookUrl(url, member.id)) {
+      accepted.push(url);
+    }
+  }
+  check('Non-admin users cannot use local or private addresses', accepted.length === 0, `accepted: ${accepted.join(', ') || 'none'}`);
+  check('Non-admin users can use public addresses', await webhookService.checkWebhookUrl('https://93.184.215.14/hook', member.id) === null);
+  const lookupError = await new Promise(resolve => lookupPublicAddress('localhost', { all: true }, resolve));
+  check('Connections of non-admin webhooks refuse hosts resolving to local addresses', Boolean(lookupError),
+    lookupError ? lookupError.message : 'localhost was allowed');
+  check('Administrators can use local addresses', await webhookService.checkWebhookUrl(receiver.url('/private'), USER_ID) === null);
+
+  // A webhook stored before the check, or edited directly, is still refused
+  const webhook = await Webhook.create({ user_id: member.id, url: receiver.url('/private'), secret: SECRET, events: ['stream.started'] });
+  await webhookService.dispatch(member.id, 'stream.started', {});
+  const [delivery] = await findDeliveries(webhook.id);
+  check('Deliveries of non-admin users to private addresses are refused without retrying',
+    receiver.requests('/private').length === 0 && delivery.status === 'failed' && delivery.attempts === 1 && delivery.next_attempt_at === null,
+    `${delivery.status} after ${delivery.attempts} attempt(s): ${delivery.error}`);
+}
+
+async function main() {
+  console.log('🧪 Testing webhook delivery\n');
+  await initializeDatabase();
+  USER_ID = (await User.create({ username: 'webhook-admin', password: 'WebhookAdmin123', role: 'admin' })).id;
+  const receiver = await startReceiver();
+  try {
+    await testSignature(receiver);
+    await testEventFilter(receiver);
+    await testRetries(receiver);
+    await testPrivateAddresses(receiver);
+  } finally {
+    await receiver.close();
+  }
+  console.log(failed === 0 ? '\n🎉 Webhook delivery works' : `\n❌ ${failed} check(s) failed`);
+  return failed;
+}
+
+main()
+  .then(count => { process.exitCode = count > 0 ? 1 : 0; })
+  .catch(error => {
+    console.error('❌ Test harness failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    db.close(() => fs.rmSync(workDir, { recursive: true, force: true }));
+  });
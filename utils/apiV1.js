@@ -0,0 +1,304 @@
+// Building blocks for the versioned /api/v1 routes. Every route is declared
+// once with its field schemas; the same declaration drives request validation
+// and the generated OpenAPI document.
+const { body, query, validationResult } = require('express-validator');
+
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+
+const PAGINATION_QUERY = {
+  page: { type: 'integer', minimum: 1, description: 'Page number, starting at 1' },
+  per_page: { type: 'integer', minimum: 1, maximum: MAX_PER_PAGE, description: `Items per page (default ${DEFAULT_PER_PAGE})` }
+};
+
+function sendData(res, data, meta = null, status = 200) {
+  res.status(status).json(meta ? { success: true, data, meta } : { success: true, data });
+}
+
+// All v1 errors share one shape: { success: false, error: { code, message, details } }
+function sendError(res, status, code, message, details = []) {
+  res.status(status).json({ success: false, error: { code, message, details } });
+}
+
+function sendValidationError(res, message, field = null) {
+  sendError(res, 400, 'validation_failed', message, [{ field, message }]);
+}
+
+function paginate(items, { page, per_page: perPage }) {
+  const size = perPage || DEFAULT_PER_PAGE;
+  const total = items.length;
+  const current = page || 1;
+  return {
+    data: items.slice((current - 1) * size, current * size),
+    meta: { page: current, per_page: size, total, total_pages: Math.ceil(total / size) }
+  };
+}
+
+function describeType(schema) {
+  if (schema.enum) {
+    return `one of ${schema.enum.join(', ')}`;
+  }
+  if (schema.format === 'date-time') {
+    return 'an ISO 8601 date-time';
+  }
+  return {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    array: 'an array',
+    object: 'an object'
+  }[schema.type];
+}
+
+function buildRangeMessage(name, schema) {
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `${name} must be between ${schema.minimum} and ${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined) {
+    return `${name} must be at least ${schema.minimum}`;
+  }
+  return `${name} must be at most ${schema.maximum}`;
+}
+
+// Turns one field schema into an express-validator chain. Values are coerced
+// to their declared type so handlers can rely on them.
+function buildFieldValidator(location, name, schema, required) {
+  let chain = location(name);
+  const typeMessage = `${name} must be ${describeType(schema)}`;
+  chain = required
+    ? chain.exists({ values: 'null' }).withMessage(`${name} is required`).bail()
+    : chain.optional({ values: 'null' });
+  if (schema.enum) {
+    return chain.isIn(schema.enum).withMessage(typeMessage);
+  }
+  const range = {};
+  if (schema.minimum !== undefined) range.min = schema.minimum;
+  if (schema.maximum !== undefined) range.max = schema.maximum;
+  switch (schema.type) {
+    case 'integer':
+      chain = chain.isInt().withMessage(typeMessage).bail().toInt();
+      return Object.keys(range).length > 0
+        ? chain.custom(value => value >= (range.min ?? -Infinity) && value <= (range.max ?? Infinity))
+          .withMessage(buildRangeMessage(name, schema))
+        : chain;
+    case 'number':
+      chain = chain.isFloat().withMessage(typeMessage).bail().toFloat();
+      return Object.keys(range).length > 0
+        ? chain.custom(value => value >= (range.min ?? -Infinity) && value <= (range.max ?? Infinity))
+          .withMessage(buildRangeMessage(name, schema))
+        : chain;
+    case 'boolean':
+      return chain.isBoolean({ strict: false }).withMessage(typeMessage).bail().toBoolean(true);
+    case 'array':
+      return chain.isArray().withMessage(typeMessage);
+    case 'object':
+      return chain.isObject().withMessage(typeMessage);
+    default:
+      chain = chain.isString().withMessage(typeMessage).bail().trim();
+      if (required) {
+        chain = chain.notEmpty().withMessage(`${name} is required`);
+      }
+      if (schema.format === 'date-time') {
+        chain = chain.if(value => value !== '').isISO8601().withMessage(typeMessage);
+      }
+      if (schema.maxLength) {
+        chain = chain.isLength({ max: schema.maxLength }).withMessage(`${name} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.pattern) {
+        chain = chain.if(value => value !== '').matches(new RegExp(schema.pattern)).withMessage(schema.patternMessage || typeMessage);
+      }
+      return chain;
+  }
+}
+
+function buildObjectValidators(location, schema, prefix = '') {
+  const required = schema.required || [];
+  const validators = [];
+  for (const [name, field] of Object.entries(schema.properties || {})) {
+    const path = prefix + name;
+    validators.push(buildFieldValidator(location, path, field, required.includes(name)));
+    if (field.type === 'array' && field.items && field.items.type === 'object') {
+      validators.push(...buildObjectValidators(location, field.items, `${path}.*.`));
+    }
+  }
+  if (schema.additionalProperties === false) {
+    const allowed = Object.keys(schema.properties || {});
+    validators.push(location(prefix ? prefix.slice(0, -1) : undefined).custom(value => {
+      const unknown = value && typeof value === 'object' ? Object.keys(value).filter(key => !allowed.includes(key)) : [];
+      if (unknown.length > 0) {
+        throw new Error(`Unknown field: ${unknown.join(', ')}`);
+      }
+      return true;
+    }));
+  }
+  return validators;
+}
+
+function handleValidation(req, res, next) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return next();
+  }
+  const details = errors.array().map(error => ({ field: error.path || null, message: error.msg }));
+  sendError(res, 400, 'validation_failed', details[0].message, details);
+}
+
+function toOpenApiPath(path) {
+  return path.replace(/:([A-Za-z_]+)/g, '{$1}');
+}
+
+function toParameters(location, fields) {
+  return Object.entries(fields).map(([name, schema]) => {
+    const { description, ...rest } = schema;
+    return { name, in: location, required: location === 'path', description, schema: rest };
+  });
+}
+
+// Removes validator-only keys that are not part of JSON Schema
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const { patternMessage, ...rest } = schema;
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([name, field]) => [name, toJsonSchema(field)]));
+  }
+  if (rest.items) {
+    rest.items = toJsonSchema(rest.items);
+  }
+  return rest;
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+}
+
+function createApiV1(router, info) {
+  const routes = [];
+  const document = {
+    openapi: '3.0.3',
+    info,
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API token created in Settings → API Tokens' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { field: { type: 'string', nullable: true }, message: { type: 'string' } }
+                  }
+                }
+              }
+            }
+          }
+        },
+        PageMeta: {
+          type: 'object',
+          properties: {
+            page: { type: 'integer' },
+            per_page: { type: 'integer' },
+            total: { type: 'integer' },
+            total_pages: { type: 'integer' }
+          }
+        }
+      }
+    }
+  };
+
+  function defineSchema(name, schema) {
+    document.components.schemas[name] = toJsonSchema(schema);
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  // Copies the properties of a component schema from a database row, turning
+  // SQLite 0/1 columns into booleans where the schema says so
+  function toResource(name, row) {
+    const resource = {};
+    for (const [field, schema] of Object.entries(document.components.schemas[name].properties)) {
+      if (field in row) {
+        resource[field] = schema.type === 'boolean' && row[field] !== null ? Boolean(row[field]) : row[field];
+      }
+    }
+    return resource;
+  }
+
+  // route: { method, path, summary, tag, scope, params, query, body, paginated, response, status, handler }
+  function defineRoute(route) {
+    routes.push(route);
+    const queryFields = route.paginated ? { ...PAGINATION_QUERY, ...(route.query || {}) } : (route.query || {});
+    const validators = [
+      ...Object.entries(queryFields).map(([name, schema]) => buildFieldValidator(query, name, schema, false)),
+      ...(route.body ? buildObjectValidators(body, route.body) : [])
+    ];
+    router[route.method](route.path, ...validators, handleValidation, async (req, res) => {
+      try {
+        await route.handler(req, res);
+      } catch (error) {
+        console.error(`[API v1] ${route.method.toUpperCase()} ${route.path} failed:`, error);
+        sendError(res, 500, 'internal_error', 'Internal server error');
+      }
+    });
+
+    const dataSchema = route.paginated ? { type: 'array', items: route.response } : route.response;
+    const successSchema = {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', enum: [true] },
+        ...(dataSchema ? { data: dataSchema } : {}),
+        ...(route.paginated ? { meta: { $ref: '#/components/schemas/PageMeta' } } : {})
+      }
+    };
+    const operation = {
+      summary: route.summary,
+      tags: [route.tag],
+      parameters: [...toParameters('path', route.params || {}), ...toParameters('query', queryFields)],
+      responses: {
+        [route.status || 200]: { description: 'Success', content: { 'application/json': { schema: successSchema } } },
+        400: errorResponse('Invalid input'),
+        401: errorResponse('Missing or invalid credentials'),
+        ...(route.scope ? { 403: errorResponse(`Not allowed, or the API token lacks the ${route.scope} scope`) } : {}),
+        ...(route.params ? { 404: errorResponse('Not found') } : {})
+      }
+    };
+    if (route.scope) {
+      operation['x-required-scope'] = route.scope;
+      operation.description = `Requires the \`${route.scope}\` scope when called with an API token.`;
+    }
+    if (route.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: toJsonSchema(route.body) } }
+      };
+    }
+    const openApiPath = toOpenApiPath(route.path);
+    document.paths[openApiPath] = { ...(document.paths[openApiPath] || {}), [route.method]: operation };
+  }
+
+  return { document, routes, defineSchema, defineRoute, toResource };
+}
+
+module.exports = {
+  DEFAULT_PER_PAGE,
+  MAX_PER_PAGE,
+  sendData,
+  sendError,
+  sendValidationError,
+  paginate,
+  createApiV1
+};
@@ -0,0 +1,54 @@
+// Schedule and retention of automatic backups, stored in app_settings.
+const DEFAULT_BACKUP_SETTINGS = {
+  intervalHours: 0, // hours between automatic backups, 0 disables them
+  retention: 7, // archives kept; older ones are deleted after each new backup
+  includeUploads: false // also archive videos, thumbnails and avatars
+};
+
+const BACKUP_SETTING_INPUTS = {
+  backupIntervalHours: { key: 'backup_interval_hours', min: 0, max: 24 * 30, label: 'Backup interval' },
+  backupRetention: { key: 'backup_retention', min: 1, max: 365, label: 'Backups to keep' },
+  backupIncludeUploads: { key: 'backup_include_uploads', boolean: true }
+};
+
+function resolveBackupSettings(settings) {
+  const pickNumber = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? fallback : number;
+  };
+  return {
+    intervalHours: pickNumber(settings.backup_interval_hours, DEFAULT_BACKUP_SETTINGS.intervalHours),
+    retention: pickNumber(settings.backup_retention, DEFAULT_BACKUP_SETTINGS.retention),
+    includeUploads: settings.backup_include_uploads === undefined || settings.backup_include_uploads === null
+      ? DEFAULT_BACKUP_SETTINGS.includeUploads
+      : settings.backup_include_uploads === 'true'
+  };
+}
+
+// Maps the fields of the backup form to app_settings keys. Only fields present
+// in the body are returned.
+function parseBackupSettingsInput(body) {
+  const values = {};
+  for (const [field, input] of Object.entries(BACKUP_SETTING_INPUTS)) {
+    if (!(field in body)) {
+      continue;
+    }
+    const raw = body[field];
+    if (input.boolean) {
+      values[input.key] = raw === true || raw === 'true';
+      continue;
+    }
+    const value = parseInt(raw, 10);
+    if (isNaN(value) || value < input.min || value > input.max) {
+      return { error: `${input.label} must be between ${input.min} and ${input.max}` };
+    }
+    values[input.key] = value;
+  }
+  return { values };
+}
+
+module.exports = {
+  DEFAULT_BACKUP_SETTINGS,
+  resolveBackupSettings,
+  parseBackupSettingsInput
+};
@@ -0,0 +1,183 @@
+// Encoder settings used by streams in advanced mode. Users keep their own named
+// presets in encoding_presets; the recommended ones below are built in and
+// referenced by key. Bitrate, resolution and frame rate stay on the stream.
+// Which speed presets, tunes, profiles and levels are valid depends on the
+// video encoder (see utils/videoEncoders).
+const { VIDEO_ENCODERS, DEFAULT_VIDEO_ENCODER, getVideoEncoder } = require('./videoEncoders');
+
+const ENCODING_PRESET_FIELDS = [
+  'video_encoder',
+  'preset',
+  'tune',
+  'profile',
+  'level',
+  'gop_seconds',
+  'rate_control',
+  'audio_codec',
+  'audio_bitrate',
+  'audio_sample_rate',
+  'audio_channels'
+];
+
+// Allowed values of the encoder independent fields, also sent to the
+// settings page to fill its selects
+const ENCODING_PRESET_OPTIONS = {
+  video_encoder: Object.keys(VIDEO_ENCODERS),
+  gop_seconds: { min: 0.5, max: 10 },
+  rate_control: ['cbr', 'vbr'],
+  audio_codec: ['aac', 'libmp3lame'],
+  audio_bitrate: { min: 32, max: 320 }, // kbps
+  audio_sample_rate: [44100, 48000],
+  audio_channels: [1, 2]
+};
+
+// Used for advanced streams on platforms without a recommendation
+const DEFAULT_ENCODING_PRESET = {
+  name: 'Default',
+  video_encoder: DEFAULT_VIDEO_ENCODER,
+  preset: 'veryfast',
+  tune: 'zerolatency',
+  profile: 'main',
+  level: 'auto',
+  gop_seconds: 2,
+  rate_control: 'cbr',
+  audio_codec: 'aac',
+  audio_bitrate: 128,
+  audio_sample_rate: 44100,
+  audio_channels: 2
+};
+
+// Keyed by the value stored in streams.encoding_preset_id. `platform` matches
+// the names given by detectPlatform. All of them ask for a keyframe every 2
+// seconds and a constant bitrate.
+const RECOMMENDED_ENCODING_PRESETS = {
+  youtube: {
+    ...DEFAULT_ENCODING_PRESET,
+    name: 'YouTube',
+    platform: 'YouTube',
+    profile: 'high',
+    audio_sample_rate: 48000
+  },
+  facebook: {
+    ...DEFAULT_ENCODING_PRESET,
+    name: 'Facebook',
+    platform: 'Facebook',
+    level: '4.1',
+    audio_sample_rate: 48000
+  },
+  twitch: {
+    ...DEFAULT_ENCODING_PRESET,
+    name: 'Twitch',
+    platform: 'Twitch',
+    audio_bitrate: 160,
+    audio_sample_rate: 48000
+  },
+  tiktok: {
+    ...DEFAULT_ENCODING_PRESET,
+    name: 'TikTok',
+    platform: 'TikTok',
+    profile: 'high'
+  },
+  instagram: {
+    ...DEFAULT_ENCODING_PRESET,
+    name: 'Instagram',
+    platform: 'Instagram'
+  }
+};
+
+function isRecommendedPresetKey(value) {
+  return Object.prototype.hasOwnProperty.call(RECOMMENDED_ENCODING_PRESETS, value);
+}
+
+function getRecommendedPresetKey(platform) {
+  return Object.keys(RECOMMENDED_ENCODING_PRESETS)
+    .find(key => RECOMMENDED_ENCODING_PRESETS[key].platform === platform) || null;
+}
+
+// `userPreset` is the row the stream points at, if any. A reference to a
+// preset that no longer exists falls back like an unset one.
+function resolveEncodingPreset(stream, userPreset = null) {
+  if (userPreset) {
+    return userPreset;
+  }
+  const presetId = stream && stream.encoding_preset_id;
+  if (presetId && isRecommendedPresetKey(presetId)) {
+    return RECOMMENDED_ENCODING_PRESETS[presetId];
+  }
+  const platformKey = getRecommendedPresetKey(stream && stream.platform);
+  return platformKey ? RECOMMENDED_ENCODING_PRESETS[platformKey] : DEFAULT_ENCODING_PRESET;
+}
+
+// Keyframe interval in frames; platforms specify it in seconds
+function getKeyframeInterval(preset, fps) {
+  return Math.max(1, Math.round(preset.gop_seconds * (Number(fps) || 30)));
+}
+
+// Checks the encoder dependent fields against the encoder and what the
+// installed FFmpeg can run. Returns an error message or null.
+function validateEncoderSettings(values, capabilities) {
+  const encoder = getVideoEncoder(values.video_encoder);
+  const status = encoder && capabilities.videoEncoders[values.video_encoder];
+  if (!status || !status.available) {
+    return 'This video encoder is not available in the installed FFmpeg';
+  }
+  const checks = [
+    ['preset', 'presets', 'speed preset'],
+    ['tune', 'tunes', 'tune'],
+    ['profile', 'profiles', 'profile'],
+    ['level', 'levels', 'level'],
+    ['rate_control', 'rate_controls', 'rate control']
+  ];
+  for (const [field, list, label] of checks) {
+    if (!encoder[list].includes(values[field])) {
+      return `${encoder.label} does not support the ${label} "${values[field]}"`;
+    }
+  }
+  if (!capabilities.encoders.audio.includes(values.audio_codec)) {
+    return 'This audio codec is not available in the installed FFmpeg';
+  }
+  return null;
+}
+
+// A preset whose encoder went away (e.g. the GPU was removed) falls back to
+// x264 with the default speed, keeping its keyframe, rate and audio settings.
+// Returns { preset, fallback }.
+function withAvailableEncoder(preset, capabilities) {
+  const status = capabilities && capabilities.videoEncoders[preset.video_encoder];
+  if (!capabilities || (status && status.available)) {
+    return { preset, fallback: false };
+  }
+  const x264 = VIDEO_ENCODERS[DEFAULT_VIDEO_ENCODER];
+  return {
+    preset: {
+      ...preset,
+      video_encoder: DEFAULT_VIDEO_ENCODER,
+      ...x264.defaults,
+      rate_control: x264.rate_controls.includes(preset.rate_control) ? preset.rate_control : 'cbr'
+    },
+    fallback: true
+  };
+}
+
+// Only the fields present in `source`, so the rest keep their defaults
+function pickPresetFields(source) {
+  const values = {};
+  ENCODING_PRESET_FIELDS.forEach(field => {
+    if (source[field] !== undefined) values[field] = source[field];
+  });
+  return values;
+}
+
+module.exports = {
+  ENCODING_PRESET_FIELDS,
+  ENCODING_PRESET_OPTIONS,
+  DEFAULT_ENCODING_PRESET,
+  RECOMMENDED_ENCODING_PRESETS,
+  isRecommendedPresetKey,
+  getRecommendedPresetKey,
+  resolveEncodingPreset,
+  getKeyframeInterval,
+  validateEncoderSettings,
+  withAvailableEncoder,
+  pickPresetFields
+};
@@ -0,0 +1,127 @@
+// What the installed FFmpeg can do, read from `ffmpeg -encoders`, `-filters`
+// and `-protocols`. Hardware encoders are listed whenever FFmpeg was built
+// with them, so each listed one is also tried on a short generated clip.
+const { execFile } = require('child_process');
+const fs = require('fs');
+const { VAAPI_DEVICE, VIDEO_ENCODERS, buildEncoderTestArgs } = require('./videoEncoders');
+
+const PROBE_TIMEOUT = 15000;
+
+function runFFmpeg(ffmpegPath, args) {
+  return new Promise((resolve) => {
+    execFile(ffmpegPath, args, { timeout: PROBE_TIMEOUT, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+      resolve({ ok: !error, output: stdout, error: error ? (stderr.trim() || error.message) : null });
+    });
+  });
+}
+
+// Lines look like " V..... libx264    libx264 H.264 / AVC ..." after a legend
+// ending in " ------"
+function parseEncoders(output) {
+  const encoders = { video: [], audio: [], subtitle: [] };
+  const types = { V: 'video', A: 'audio', S: 'subtitle' };
+  const body = output.split(/^ -+$/m)[1] || '';
+  body.split('\n').forEach(line => {
+    const match = line.match(/^ ([VAS])[.\w]{5} (\S+)/);
+    if (match) {
+      encoders[types[match[1]]].push(match[2]);
+    }
+  });
+  return encoders;
+}
+
+// Lines look like " TSC scale   V->V   Scale the input video size ..."
+function parseFilters(output) {
+  const filters = [];
+  output.split('\n').forEach(line => {
+    const match = line.match(/^ [.TSC]{3} (\S+)\s+\S+->\S+/);
+    if (match) {
+      filters.push(match[1]);
+    }
+  });
+  return filters;
+}
+
+function parseProtocols(output) {
+  const [, input = '', outputPart = ''] = output.split(/Input:|Output:/);
+  const names = text => text.split(/\s+/).filter(Boolean);
+  return { input: names(input), output: names(outputPart) };
+}
+
+// Release builds print "ffmpeg version 6.1.1", git builds "N-12345-g..."
+function parseVersion(output) {
+  const match = output.match(/ffmpeg version (\S+)/);
+  const version = match ? match[1] : null;
+  const number = version ? version.match(/^n?(\d+)\.(\d+)/) : null;
+  return {
+    version,
+    major: number ? Number(number[1]) : null,
+    minor: number ? Number(number[2]) : null
+  };
+}
+
+// FFmpeg 6.1 added enhanced RTMP, which carries H.265 and AV1 in FLV
+function supportsEnhancedRtmp({ major, minor }) {
+  return major !== null && (major > 6 || (major === 6 && minor >= 1));
+}
+
+async function probeFFmpegCapabilities(ffmpegPath) {
+  const [version, encoders, filters, protocols] = await Promise.all([
+    runFFmpeg(ffmpegPath, ['-hide_banner', '-version']),
+    runFFmpeg(ffmpegPath, ['-hide_banner', '-encoders']),
+    runFFmpeg(ffmpegPath, ['-hide_banner', '-filters']),
+    runFFmpeg(ffmpegPath, ['-hide_banner', '-protocols'])
+  ]);
+  const failed = [version, encoders, filters, protocols].find(result => !result.ok);
+  const parsedVersion = parseVersion(version.output || '');
+  const capabilities = {
+    path: ffmpegPath,
+    version: parsedVersion.version,
+    enhancedRtmp: supportsEnhancedRtmp(parsedVersion),
+    encoders: parseEncoders(encoders.output || ''),
+    filters: parseFilters(filters.output || ''),
+    protocols: parseProtocols(protocols.output || ''),
+    videoEncoders: {},
+    probedAt: new Date().toISOString(),
+    error: failed ? failed.error : null
+  };
+  // One at a time, test encodes on a small machine add up
+  for (const [id, encoder] of Object.entries(VIDEO_ENCODERS)) {
+    const listed = capabilities.encoders.video.includes(id);
+    const status = { listed, available: listed, hardware: encoder.hardware, error: null };
+    if (listed && encoder.family === 'vaapi' && !fs.existsSync(VAAPI_DEVICE)) {
+      status.available = false;
+      status.error = `No VA-API device at ${VAAPI_DEVICE}`;
+    } else if (listed && encoder.hardware) {
+      const test = await runFFmpeg(ffmpegPath, buildEncoderTestArgs(id));
+      status.available = test.ok;
+      status.error = test.ok ? null : test.error.split('\n').slice(-2).join(' ');
+    }
+    capabilities.videoEncoders[id] = status;
+  }
+  return capabilities;
+}
+
+function getAvailableVideoEncoders(capabilities) {
+  return Object.keys(capabilities.videoEncoders).filter(id => capabilities.videoEncoders[id].available);
+}
+
+function hasAudioEncoder(capabilities, name) {
+  return capabilities.encoders.audio.includes(name);
+}
+
+function hasOutputProtocol(capabilities, name) {
+  return capabilities.protocols.output.includes(name);
+}
+
+module.exports = {
+  parseEncoders,
+  parseFilters,
+  parseProtocols,
+  parseVersion,
+  supportsEnhancedRtmp,
+  probeFFmpegCapabilities,
+  getAvailableVideoEncoders,
+  hasAudioEncoder,
+  hasOutputProtocol
+};
@@ -1,5 +1,10 @@
 const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
 const fs = require('fs');
+const path = require('path');
+const { detectOutputProtocol } = require('./outputProtocols');
+const { DEFAULT_ENCODING_PRESET, getKeyframeInterval } = require('./encodingPresets');
+const { VIDEO_ENCODERS, getVideoEncoder, buildEncoderInputArgs, buildVideoEncoderArgs } = require('./videoEncoders');
+const { probeFFmpegCapabilities } = require('./ffmpegCapabilities');
 
 let ffmpegPath;
 if (fs.existsSync('/usr/bin/ffmpeg')) {
@@ -10,60 +15,236 @@ if (fs.existsSync('/usr/bin/ffmpeg')) {
   console.log('Using bundled FFmpeg at:', ffmpegPath);
 }
 
-// Enhanced FFmpeg options for better stability and network resilience
+// Enhanced FFmpeg options for better stability and network resilience.
+// Sources are always decoded on the CPU; hardware encoders take the frames
+// from system memory (see utils/videoEncoders).
 const STABLE_FFMPEG_OPTIONS = [
   '-hwaccel', 'none',
   '-loglevel', 'error',
   '-re',
   '-fflags', '+genpts+igndts+discardcorrupt',
-  '-avoid_negative_ts', 'make_zero',
-  '-max_muxing_queue_size', '1024',
-  '-tune', 'zerolatency'
+  '-avoid_negative_ts', 'make_zero'
 ];
 
-// Network-specific options for RTMP
+// Output options: FFmpeg rejects them in front of the input file. -tune is
+// only passed with the encoder settings in advanced mode.
+const MUXING_QUEUE_OPTIONS = ['-max_muxing_queue_size', '1024'];
+
+// Machine-readable progress reports on stdout, used to track the real playback position
+const PROGRESS_OPTIONS = ['-progress', 'pipe:1'];
+
+// Network-specific options for RTMP and RTMPS; TLS follows the URL scheme
 const RTMP_NETWORK_OPTIONS = [
   '-flvflags', 'no_duration_filesize',
   '-rtmp_live', 'live',
   '-rtmp_buffer', '5000',
-  '-rtmp_conn', 'B:1',
-  '-rtmp_tls', '0',
-  '-rtmp_tls_verify', '0'
+  '-rtmp_conn', 'B:1'
 ];
 
-// Video encoding options for stability
-const VIDEO_ENCODING_OPTIONS = {
-  codec: 'libx264',
-  preset: 'ultrafast',
-  tune: 'zerolatency',
-  g: '30',
-  keyint_min: '30',
-  sc_threshold: '0',
-  pix_fmt: 'yuv420p',
-  profile: 'baseline',
-  level: '3.1'
-};
+// SRT carries MPEG-TS; libsrt already sends it in live-mode sized packets
+const SRT_OUTPUT_OPTIONS = [
+  '-mpegts_flags', '+resend_headers'
+];
+
+// HLS ingest endpoints receive 2 second segments and the playlist by POST
+const HLS_OUTPUT_OPTIONS = [
+  '-hls_time', '2',
+  '-hls_list_size', '5',
+  '-method', 'POST',
+  '-http_persistent', '1'
+];
+
+// Low-bitrate rendition for the dashboard's live preview, written as HLS to a
+// local directory. It is a separate output with its own encode, so what goes
+// to the destinations (including copy mode) is unchanged. Keyframes every 2
+// seconds whatever the source frame rate, so segments cut evenly.
+const PREVIEW_OUTPUT_OPTIONS = [
+  '-map', '0:v:0', '-map', '0:a:0?',
+  '-vf', "scale=-2:'trunc(min(360,ih)/2)*2'",
+  '-c:v', 'libx264',
+  '-preset', 'ultrafast',
+  '-tune', 'zerolatency',
+  '-b:v', '500k',
+  '-maxrate', '500k',
+  '-bufsize', '1000k',
+  '-force_key_frames', 'expr:gte(t,n_forced*2)',
+  '-pix_fmt', 'yuv420p',
+  '-c:a', 'aac',
+  '-b:a', '64k',
+  '-ac', '2',
+  '-f', 'hls',
+  '-hls_time', '2',
+  '-hls_list_size', '6',
+  '-hls_flags', 'delete_segments'
+];
+const PREVIEW_PLAYLIST = 'index.m3u8';
 
-// Audio encoding options
-const AUDIO_ENCODING_OPTIONS = {
-  codec: 'aac',
-  bitrate: '128k',
-  sample_rate: '44100',
-  channels: '2'
+// Containers each video codec can be sent in. FLV (RTMP, RTMPS) only carries
+// H.265 and AV1 with enhanced RTMP; AV1 has no common MPEG-TS mapping.
+const CODEC_OUTPUT_FORMATS = {
+  h264: ['flv', 'mpegts', 'hls'],
+  hevc: ['mpegts', 'hls'],
+  av1: []
 };
 
-// Function to build FFmpeg arguments with resume position
+// Per-destination options for the tee muxer; onfail=ignore keeps the other
+// destinations running when one ingest drops
+const TEE_SLAVE_OPTIONS = 'f=flv:flvflags=no_duration_filesize:onfail=ignore';
+
+function escapeTeeUrl(url) {
+  return url.replace(/[\\|\[\]']/g, (char) => `\\${char}`);
+}
+
+// Slave option values are unescaped twice: once with the slave list, once
+// when the options themselves are split
+function escapeTeeOption(value) {
+  return escapeTeeUrl(value.replace(/[\\:\]']/g, (char) => `\\${char}`));
+}
+
+// ['-name', 'value', ...] → 'name=value:...' for tee slave options
+function toTeeOptions(args) {
+  const options = [];
+  for (let i = 0; i < args.length; i += 2) {
+    options.push(`${args[i].slice(1)}=${escapeTeeOption(args[i + 1])}`);
+  }
+  return options.join(':');
+}
+
+// The HLS muxer writes the playlist to the URL and each segment next to it.
+// A URL ending in a query parameter without value (YouTube's file=) gets the
+// file names appended instead. '%' is doubled in the segment pattern so only
+// the segment number is substituted.
+function getHlsTargets(url) {
+  const segmentPattern = 'segment_%05d.ts';
+  if (url.endsWith('=')) {
+    return { playlist: `${url}index.m3u8`, segments: `${url.replace(/%/g, '%%')}${segmentPattern}` };
+  }
+  const parsed = new URL(url);
+  const auth = parsed.username ? `${parsed.username}${parsed.password ? `:${parsed.password}` : ''}@` : '';
+  const origin = `${parsed.protocol}//${auth}${parsed.host}`;
+  const isPlaylist = parsed.pathname.endsWith('.m3u8');
+  const directory = isPlaylist ? parsed.pathname.replace(/[^/]*$/, '') : `${parsed.pathname.replace(/\/$/, '')}/`;
+  return {
+    playlist: `${origin}${isPlaylist ? parsed.pathname : `${directory}index.m3u8`}${parsed.search}`,
+    segments: `${origin}${directory}`.replace(/%/g, '%%') + segmentPattern + parsed.search.replace(/%/g, '%%')
+  };
+}
+
+// Muxer, options and target for one destination URL, by protocol
+function getProtocolOutput(url) {
+  const protocol = detectOutputProtocol(url);
+  if (protocol === 'hls') {
+    const { playlist, segments } = getHlsTargets(url);
+    return { protocol, format: 'hls', options: [...HLS_OUTPUT_OPTIONS, '-hls_segment_filename', segments], target: playlist };
+  }
+  if (protocol === 'srt') {
+    return { protocol, format: 'mpegts', options: SRT_OUTPUT_OPTIONS, target: url };
+  }
+  return { protocol: protocol || 'rtmp', format: 'flv', options: RTMP_NETWORK_OPTIONS, target: url };
+}
+
+function buildTeeTarget(url) {
+  const output = getProtocolOutput(url);
+  // RTMP slaves keep the options they always had in tee mode
+  const options = output.format === 'flv'
+    ? TEE_SLAVE_OPTIONS
+    : `f=${output.format}:${toTeeOptions(output.options)}:onfail=ignore`;
+  return `[${options}]${escapeTeeUrl(output.target)}`;
+}
+
+// Build the output part of the command. A single URL gets the muxer of its
+// protocol, several URLs are fed from one encode through the tee muxer.
+// videoCodec is the encoded codec in advanced mode, null when copying.
+function buildOutputArgs(outputUrls, { videoCodec = null } = {}) {
+  const urls = Array.isArray(outputUrls) ? outputUrls : [outputUrls];
+  if (urls.length === 0) {
+    throw new Error('At least one output URL is required');
+  }
+  if (urls.length === 1) {
+    const output = getProtocolOutput(urls[0]);
+    return ['-f', output.format, ...output.options, output.target];
+  }
+  const teeTargets = urls.map(buildTeeTarget).join('|');
+  const args = ['-map', '0:v:0', '-map', '0:a:0?'];
+  // tee has no codec tag table of its own, so in copy mode the input container's
+  // tags (e.g. avc1) would reach the FLV slaves and be rejected. Force the FLV
+  // ids for H.264 (7) and AAC (10), the only codecs RTMP ingests accept anyway.
+  // MPEG-TS based slaves ignore the tags.
+  if ((!videoCodec || videoCodec === 'h264') && urls.some(url => getProtocolOutput(url).format === 'flv')) {
+    args.push('-tag:v', '7', '-tag:a', '10');
+  }
+  return [...args, '-f', 'tee', teeTargets];
+}
+
+// Throws when a destination cannot carry the preset's video codec
+function checkCodecOutputs(encoderId, outputUrls) {
+  const encoder = getVideoEncoder(encoderId);
+  const urls = Array.isArray(outputUrls) ? outputUrls : [outputUrls];
+  const formats = [...CODEC_OUTPUT_FORMATS[encoder.codec]];
+  if (ffmpegCapabilities && ffmpegCapabilities.enhancedRtmp) {
+    formats.push('flv');
+  }
+  for (const url of urls) {
+    const output = getProtocolOutput(url);
+    if (!formats.includes(output.format)) {
+      throw new Error(`${encoder.label} cannot be sent over ${output.protocol.toUpperCase()} with this FFmpeg build; use an H.264 preset${encoder.codec === 'hevc' ? ', or an SRT or HLS destination' : ''}`);
+    }
+  }
+}
+
+// Encoder arguments for a preset (see utils/encodingPresets) at the stream's
+// bitrate, size and frame rate
+function buildEncodingArgs(preset, { bitrate = '2500k', resolution = '1280x720', fps = 30 } = {}) {
+  const encoderId = preset.video_encoder || DEFAULT_ENCODING_PRESET.video_encoder;
+  return [
+    ...buildVideoEncoderArgs(encoderId, preset, {
+      kbps: parseInt(bitrate) || 2500,
+      keyint: getKeyframeInterval(preset, fps),
+      resolution,
+      fps
+    }),
+    '-c:a', preset.audio_codec,
+    '-b:a', `${preset.audio_bitrate}k`,
+    '-ar', String(preset.audio_sample_rate),
+    '-ac', String(preset.audio_channels)
+  ];
+}
+
+function buildPreviewOutputArgs(previewDir) {
+  return [
+    ...PREVIEW_OUTPUT_OPTIONS,
+    '-hls_segment_filename', path.join(previewDir, 'segment_%05d.ts'),
+    path.join(previewDir, PREVIEW_PLAYLIST)
+  ];
+}
+
+// Function to build FFmpeg arguments with resume position.
+// rtmpUrl may be a single URL or an array of URLs for simulcasting.
+// With inputFormat 'concat', videoPath points to a concat demuxer list (playlists).
+// previewDir adds the live preview output (see PREVIEW_OUTPUT_OPTIONS).
+// encodingPreset holds the encoder settings in advanced mode.
 function buildFFmpegArgs(videoPath, rtmpUrl, options = {}) {
   const {
     resumePosition = 0,
+    inputFormat = null,
     bitrate = '2500k',
     resolution = '1280x720',
     fps = 30,
     loopVideo = false,
-    useAdvancedSettings = false
+    useAdvancedSettings = false,
+    encodingPreset = DEFAULT_ENCODING_PRESET,
+    previewDir = null
   } = options;
 
-  let args = [...STABLE_FFMPEG_OPTIONS];
+  const encoderId = encodingPreset.video_encoder || DEFAULT_ENCODING_PRESET.video_encoder;
+  if (useAdvancedSettings) {
+    checkCodecOutputs(encoderId, rtmpUrl);
+  }
+
+  let args = [...STABLE_FFMPEG_OPTIONS, ...PROGRESS_OPTIONS];
+  if (useAdvancedSettings) {
+    args.push(...buildEncoderInputArgs(encoderId));
+  }
 
   // Add resume position if specified
   if (resumePosition && resumePosition > 0) {
@@ -77,58 +258,115 @@ function buildFFmpegArgs(videoPath, rtmpUrl, options = {}) {
     args.push('-stream_loop', '0');
   }
 
+  if (inputFormat === 'concat') {
+    args.push('-f', 'concat', '-safe', '0');
+  }
+
   // Add input file
   args.push('-i', videoPath);
 
   if (useAdvancedSettings) {
     // Advanced encoding mode
     args.push(
-      '-c:v', VIDEO_ENCODING_OPTIONS.codec,
-      '-preset', VIDEO_ENCODING_OPTIONS.preset,
-      '-tune', VIDEO_ENCODING_OPTIONS.tune,
-      '-g', VIDEO_ENCODING_OPTIONS.g,
-      '-keyint_min', VIDEO_ENCODING_OPTIONS.keyint_min,
-      '-sc_threshold', VIDEO_ENCODING_OPTIONS.sc_threshold,
-      '-b:v', bitrate,
-      '-maxrate', bitrate,
-      '-bufsize', `${parseInt(bitrate) * 2}k`,
-      '-pix_fmt', VIDEO_ENCODING_OPTIONS.pix_fmt,
-      '-profile:v', VIDEO_ENCODING_OPTIONS.profile,
-      '-level:v', VIDEO_ENCODING_OPTIONS.level,
-      '-s', resolution,
-      '-r', fps.toString(),
-      '-c:a', AUDIO_ENCODING_OPTIONS.codec,
-      '-b:a', AUDIO_ENCODING_OPTIONS.bitrate,
-      '-ar', AUDIO_ENCODING_OPTIONS.sample_rate,
-      '-ac', AUDIO_ENCODING_OPTIONS.channels,
-      '-f', 'flv',
-      ...RTMP_NETWORK_OPTIONS,
-      rtmpUrl
+      ...buildEncodingArgs(encodingPreset, { bitrate, resolution, fps }),
+      ...MUXING_QUEUE_OPTIONS,
+      ...buildOutputArgs(rtmpUrl, { videoCodec: getVideoEncoder(encoderId).codec })
     );
   } else {
     // Simple copy mode with enhanced stability
     args.push(
       '-c:v', 'copy',
       '-c:a', 'copy',
-      '-f', 'flv',
-      ...RTMP_NETWORK_OPTIONS,
-      rtmpUrl
+      ...MUXING_QUEUE_OPTIONS,
+      ...buildOutputArgs(rtmpUrl)
     );
   }
 
+  if (previewDir) {
+    args.push(...buildPreviewOutputArgs(previewDir));
+  }
+
   return args;
 }
 
+function parseProgressNumber(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// FFmpeg writes -progress output as key=value lines grouped in blocks that end
+// with progress=continue (or progress=end). Returns a function to feed stdout
+// chunks into; onReport is called with each complete block.
+function createProgressParser(onReport) {
+  let pending = '';
+  let block = {};
+  return (chunk) => {
+    const lines = (pending + chunk).split('\n');
+    pending = lines.pop();
+    for (const line of lines) {
+      const separator = line.indexOf('=');
+      if (separator === -1) {
+        continue;
+      }
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+      block[key] = value;
+      if (key !== 'progress') {
+        continue;
+      }
+      // out_time_ms is in microseconds as well, older builds only print that one
+      const outTimeUs = parseProgressNumber(block.out_time_us !== undefined ? block.out_time_us : block.out_time_ms);
+      onReport({
+        frame: parseProgressNumber(block.frame),
+        fps: parseProgressNumber(block.fps),
+        bitrate: parseProgressNumber(block.bitrate),
+        totalSize: parseProgressNumber(block.total_size),
+        outTime: outTimeUs !== null ? Math.max(0, outTimeUs / 1000000) : null,
+        dupFrames: parseProgressNumber(block.dup_frames),
+        dropFrames: parseProgressNumber(block.drop_frames),
+        speed: parseProgressNumber(block.speed),
+        ended: value === 'end'
+      });
+      block = {};
+    }
+  };
+}
+
+// Filled by probeFFmpeg, normally once at startup
+let ffmpegCapabilities = null;
+let capabilitiesProbe = null;
+
+// Resolves with the capabilities of the installed FFmpeg. The result is
+// cached; `refresh` probes again, e.g. after drivers were installed.
+function probeFFmpeg({ refresh = false } = {}) {
+  if (!capabilitiesProbe || refresh) {
+    capabilitiesProbe = probeFFmpegCapabilities(ffmpegPath).then((capabilities) => {
+      ffmpegCapabilities = capabilities;
+      return capabilities;
+    });
+  }
+  return capabilitiesProbe;
+}
+
+// Null until the first probe has finished
+function getFFmpegCapabilities() {
+  return ffmpegCapabilities;
+}
+
 // Function to get FFmpeg version and capabilities
 function getFFmpegInfo() {
   return {
     path: ffmpegPath,
     isSystem: ffmpegPath === '/usr/bin/ffmpeg',
+    capabilities: ffmpegCapabilities,
     options: {
       stable: STABLE_FFMPEG_OPTIONS,
       rtmp: RTMP_NETWORK_OPTIONS,
-      video: VIDEO_ENCODING_OPTIONS,
-      audio: AUDIO_ENCODING_OPTIONS
+      srt: SRT_OUTPUT_OPTIONS,
+      hls: HLS_OUTPUT_OPTIONS,
+      preview: PREVIEW_OUTPUT_OPTIONS,
+      encoders: VIDEO_ENCODERS,
+      encoding: DEFAULT_ENCODING_PRESET
     }
   };
 }
@@ -150,10 +388,23 @@ function validateFFmpeg() {
 module.exports = {
   ffmpegPath,
   STABLE_FFMPEG_OPTIONS,
+  PROGRESS_OPTIONS,
   RTMP_NETWORK_OPTIONS,
-  VIDEO_ENCODING_OPTIONS,
-  AUDIO_ENCODING_OPTIONS,
+  SRT_OUTPUT_OPTIONS,
+  HLS_OUTPUT_OPTIONS,
+  PREVIEW_OUTPUT_OPTIONS,
+  PREVIEW_PLAYLIST,
+  CODEC_OUTPUT_FORMATS,
+  TEE_SLAVE_OPTIONS,
+  escapeTeeUrl,
+  buildOutputArgs,
+  checkCodecOutputs,
+  buildEncodingArgs,
+  buildPreviewOutputArgs,
   buildFFmpegArgs,
+  createProgressParser,
+  probeFFmpeg,
+  getFFmpegCapabilities,
   getFFmpegInfo,
   validateFFmpeg
 };
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { google } = require('googleapis');
 const { paths, getUniqueFilename } = require('./storage');
+const { formatBytes } = require('./quotas');
 
 function createDriveService(apiKey) {
   return google.drive({
@@ -28,7 +29,8 @@ function extractFileId(driveUrl) {
   throw new Error('Invalid Google Drive URL format');
 }
 
-async function downloadFile(apiKey, fileId, progressCallback = null) {
+// options.maxBytes refuses files larger than the storage the user has left
+async function downloadFile(apiKey, fileId, progressCallback = null, options = {}) {
   const drive = createDriveService(apiKey);
 
   try {
@@ -42,6 +44,11 @@ async function downloadFile(apiKey, fileId, progressCallback = null) {
       throw new Error('The selected file is not a video');
     }
 
+    const maxBytes = options.maxBytes === undefined ? null : options.maxBytes;
+    if (maxBytes !== null && parseInt(fileMetadata.data.size, 10) > maxBytes) {
+      throw new Error(`Storage quota exceeded: the file is ${formatBytes(parseInt(fileMetadata.data.size, 10))} but only ${formatBytes(maxBytes)} of storage is left`);
+    }
+
     const originalFilename = fileMetadata.data.name;
     const ext = path.extname(originalFilename) || '.mp4';
     const uniqueFilename = getUniqueFilename(originalFilename);
@@ -0,0 +1,49 @@
+// Per-stream limits used by the health monitor. A null column falls back to the default.
+const DEFAULT_HEALTH_THRESHOLDS = {
+  stallTimeout: 30, // seconds without encoder progress before the stream counts as stalled
+  minSpeed: 0.9, // encoding speed below this (1.0x is real time) counts as degraded, 0 disables
+  minBitrate: 0 // output kbps below this counts as degraded, 0 disables
+};
+
+const THRESHOLD_INPUTS = {
+  healthStallTimeout: { column: 'health_stall_timeout', min: 10, max: 3600, integer: true, label: 'Stall timeout' },
+  healthMinSpeed: { column: 'health_min_speed', min: 0, max: 2, integer: false, label: 'Minimum speed' },
+  healthMinBitrate: { column: 'health_min_bitrate', min: 0, max: 100000, integer: true, label: 'Minimum bitrate' }
+};
+
+function resolveHealthThresholds(stream) {
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    stallTimeout: pick(stream && stream.health_stall_timeout, DEFAULT_HEALTH_THRESHOLDS.stallTimeout),
+    minSpeed: pick(stream && stream.health_min_speed, DEFAULT_HEALTH_THRESHOLDS.minSpeed),
+    minBitrate: pick(stream && stream.health_min_bitrate, DEFAULT_HEALTH_THRESHOLDS.minBitrate)
+  };
+}
+
+// Maps the threshold fields sent by the stream forms to stream columns. Only
+// fields present in the body are returned; an empty value resets to the default.
+function parseHealthThresholdInput(body) {
+  const columns = {};
+  for (const [field, input] of Object.entries(THRESHOLD_INPUTS)) {
+    if (!(field in body)) {
+      continue;
+    }
+    const raw = body[field];
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      columns[input.column] = null;
+      continue;
+    }
+    const value = input.integer ? parseInt(raw, 10) : parseFloat(raw);
+    if (isNaN(value) || value < input.min || value > input.max) {
+      return { error: `${input.label} must be between ${input.min} and ${input.max}` };
+    }
+    columns[input.column] = value;
+  }
+  return { columns };
+}
+
+module.exports = {
+  DEFAULT_HEALTH_THRESHOLDS,
+  resolveHealthThresholds,
+  parseHealthThresholdInput
+};
@@ -0,0 +1,84 @@
+// Tells public internet addresses from loopback, private, link-local,
+// unique-local and other reserved ones, so requests the server makes on a
+// user's behalf cannot reach the machine or its local network.
+const dns = require('dns');
+const net = require('net');
+
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata services
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96], // NAT64, embeds an IPv4 address
+  ['fc00::', 7], // unique-local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return !NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for http(s).Agent that fails for hosts resolving to
+// a non-public address. Checking the address the connection actually uses
+// means a host cannot pass an earlier check and then resolve elsewhere.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) {
+      return callback(err);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Resolves the host of an http(s) URL and returns an error message when it
+// points to a non-public address, else null. Literal IP hosts are checked as
+// is; a host that does not resolve is left to fail when it is requested.
+async function checkPublicUrl(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return 'Invalid URL';
+  }
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : 'URL points to a local or private network address';
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return null;
+  }
+  if (addresses.some(entry => !isPublicAddress(entry.address))) {
+    return 'URL points to a local or private network address';
+  }
+  return null;
+}
+
+module.exports = {
+  isPublicAddress,
+  lookupPublicAddress,
+  checkPublicUrl
+};
@@ -0,0 +1,81 @@
+// Destination URLs are pushed with the protocol their scheme names. RTMP and
+// RTMPS carry FLV, SRT carries MPEG-TS and http(s) URLs are HLS ingest
+// endpoints (e.g. YouTube HLS) that receive the playlist and segments.
+const OUTPUT_PROTOCOLS = {
+  rtmp: { label: 'RTMP', schemes: ['rtmp:'] },
+  rtmps: { label: 'RTMPS', schemes: ['rtmps:'] },
+  srt: { label: 'SRT', schemes: ['srt:'] },
+  hls: { label: 'HLS', schemes: ['https:', 'http:'] }
+};
+// Marks where the stream key goes when it is not simply appended, as in
+// https://a.upload.youtube.com/http_upload_hls?cid={key}&copy=0&file=
+const STREAM_KEY_PLACEHOLDER = '{key}';
+
+function parseUrl(url) {
+  try {
+    return new URL(String(url).trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+function detectOutputProtocol(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return null;
+  }
+  const match = Object.entries(OUTPUT_PROTOCOLS).find(([, protocol]) => protocol.schemes.includes(parsed.protocol));
+  return match ? match[0] : null;
+}
+
+// Returns an error message, or null for a URL StreamFlow can push to.
+// `capabilities` (see utils/ffmpegCapabilities) also rules out protocols the
+// installed FFmpeg was built without, e.g. SRT.
+function validateOutputUrl(url, capabilities = null) {
+  const parsed = parseUrl(url);
+  if (!parsed) {
+    return 'Invalid stream URL';
+  }
+  const protocol = detectOutputProtocol(url);
+  if (!protocol) {
+    return `Unsupported stream URL scheme "${parsed.protocol}". Use rtmp://, rtmps://, srt:// or https:// (HLS ingest)`;
+  }
+  if (!parsed.hostname) {
+    return 'The stream URL must include a host';
+  }
+  if (protocol === 'srt' && !parsed.port) {
+    return 'SRT URLs need a port, e.g. srt://ingest.example.com:9000';
+  }
+  // FFmpeg names the HLS transport after the URL scheme
+  const ffmpegProtocol = protocol === 'hls' ? parsed.protocol.replace(':', '') : protocol;
+  if (capabilities && !capabilities.protocols.output.includes(ffmpegProtocol)) {
+    const label = protocol === 'hls' ? `HLS over ${ffmpegProtocol.toUpperCase()}` : OUTPUT_PROTOCOLS[protocol].label;
+    return `The installed FFmpeg cannot stream over ${label}`;
+  }
+  return null;
+}
+
+// Combines the server URL and the stream key into the URL FFmpeg pushes to.
+// RTMP keys are appended as a path segment as before; SRT passes the key as
+// the streamid and HLS endpoints get it as the last path segment.
+function buildOutputUrl(serverUrl, streamKey) {
+  const url = String(serverUrl).trim();
+  const protocol = detectOutputProtocol(url);
+  const isRtmp = protocol === 'rtmp' || protocol === 'rtmps' || protocol === null;
+  const key = isRtmp ? streamKey : encodeURIComponent(streamKey);
+  if (url.includes(STREAM_KEY_PLACEHOLDER)) {
+    return url.split(STREAM_KEY_PLACEHOLDER).join(key);
+  }
+  if (protocol === 'srt') {
+    return `${url}${url.includes('?') ? '&' : '?'}streamid=${key}`;
+  }
+  return `${url.replace(/\/$/, '')}/${key}`;
+}
+
+module.exports = {
+  OUTPUT_PROTOCOLS,
+  STREAM_KEY_PLACEHOLDER,
+  detectOutputProtocol,
+  validateOutputUrl,
+  buildOutputUrl
+};
@@ -0,0 +1,110 @@
+// Per-user limits configured by administrators. A null column means the user
+// has no limit of that kind.
+const RESOLUTION_LEVELS = [480, 720, 1080, 1440, 2160];
+
+const QUOTA_INPUTS = {
+  quotaMaxStreams: { column: 'quota_max_streams', min: 1, max: 100, label: 'Concurrent stream limit' },
+  quotaStorageGb: { column: 'quota_storage_mb', min: 0.1, max: 100000, label: 'Storage limit', decimal: true },
+  quotaMaxBitrate: { column: 'quota_max_bitrate', min: 100, max: 100000, label: 'Bitrate limit' },
+  quotaMaxResolution: { column: 'quota_max_resolution', label: 'Resolution limit', values: RESOLUTION_LEVELS }
+};
+
+function resolveQuotas(user) {
+  const pick = value => (value === null || value === undefined ? null : value);
+  const storageMb = pick(user && user.quota_storage_mb);
+  return {
+    maxConcurrentStreams: pick(user && user.quota_max_streams),
+    storageBytes: storageMb === null ? null : storageMb * 1024 * 1024,
+    maxBitrate: pick(user && user.quota_max_bitrate),
+    maxResolution: pick(user && user.quota_max_resolution)
+  };
+}
+
+// Maps the quota fields of the admin form to user columns. Only fields present
+// in the body are returned; an empty value removes the limit.
+function parseQuotaInput(body) {
+  const columns = {};
+  for (const [field, input] of Object.entries(QUOTA_INPUTS)) {
+    if (!(field in body)) {
+      continue;
+    }
+    const raw = body[field];
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      columns[input.column] = null;
+      continue;
+    }
+    if (input.values) {
+      const value = parseInt(raw, 10);
+      if (!input.values.includes(value)) {
+        return { error: `${input.label} must be one of ${input.values.map(level => `${level}p`).join(', ')}` };
+      }
+      columns[input.column] = value;
+      continue;
+    }
+    const value = input.decimal ? parseFloat(raw) : parseInt(raw, 10);
+    if (isNaN(value) || value < input.min || value > input.max) {
+      return { error: `${input.label} must be between ${input.min} and ${input.max}` };
+    }
+    // Storage is entered in GB and kept in MB
+    columns[input.column] = input.decimal ? Math.round(value * 1024) : value;
+  }
+  return { columns };
+}
+
+// The shorter side of "WIDTHxHEIGHT", so 1080x1920 portrait counts as 1080p
+function getResolutionLevel(resolution) {
+  const match = String(resolution || '').match(/^(\d+)x(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return Math.min(parseInt(match[1], 10), parseInt(match[2], 10));
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// Returns an error message when an output exceeds the bitrate or resolution
+// limit. `label` names the checked source in the message.
+function checkOutputLimits(quotas, { bitrate, resolution }, label = 'Stream') {
+  if (quotas.maxBitrate !== null && bitrate && parseInt(bitrate, 10) > quotas.maxBitrate) {
+    return `${label} bitrate of ${parseInt(bitrate, 10)} kbps exceeds your limit of ${quotas.maxBitrate} kbps`;
+  }
+  const level = getResolutionLevel(resolution);
+  if (quotas.maxResolution !== null && level && level > quotas.maxResolution) {
+    return `${label} resolution ${resolution} exceeds your limit of ${quotas.maxResolution}p`;
+  }
+  return null;
+}
+
+function checkStorage(quotas, usedBytes, additionalBytes = 0) {
+  if (quotas.storageBytes === null) {
+    return null;
+  }
+  if (usedBytes + additionalBytes > quotas.storageBytes) {
+    return `Storage quota exceeded: ${formatBytes(usedBytes)} of ${formatBytes(quotas.storageBytes)} used` +
+      (additionalBytes ? `, this file needs ${formatBytes(additionalBytes)}` : '');
+  }
+  return null;
+}
+
+function checkConcurrentStreams(quotas, activeCount) {
+  if (quotas.maxConcurrentStreams !== null && activeCount >= quotas.maxConcurrentStreams) {
+    return `Concurrent stream limit reached: ${activeCount} of ${quotas.maxConcurrentStreams} streams are live`;
+  }
+  return null;
+}
+
+module.exports = {
+  RESOLUTION_LEVELS,
+  resolveQuotas,
+  parseQuotaInput,
+  getResolutionLevel,
+  formatBytes,
+  checkOutputLimits,
+  checkStorage,
+  checkConcurrentStreams
+};
@@ -0,0 +1,163 @@
+// Measures a short recording by decoding its video track with FFmpeg's showinfo
+// filter, so it works without ffprobe. A recording counts as playable when the
+// decode runs to the end and yields frames.
+const { spawn } = require('child_process');
+const fs = require('fs');
+const { ffmpegPath } = require('./ffmpegConfig');
+
+// Platforms ask for a keyframe every 2 seconds and reject more than 4
+const MAX_KEYFRAME_INTERVAL = 4;
+const ANALYSIS_TIMEOUT = 60 * 1000;
+
+function parseDuration(text) {
+  const match = text.match(/Duration: (\d+):(\d+):([\d.]+)/);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+function parseBitrate(text) {
+  const match = text.match(/(\d+) kb\/s/);
+  return match ? Number(match[1]) : null;
+}
+
+// Codec and format of the first video and audio stream of the input header
+function parseInputStreams(stderr) {
+  const header = stderr.split(/\nOutput #0/)[0];
+  const lines = header.split('\n');
+  const videoLine = lines.find(line => /Stream #0:\d+.*: Video: /.test(line));
+  const audioLine = lines.find(line => /Stream #0:\d+.*: Audio: /.test(line));
+  const overall = header.match(/Duration: .*bitrate: (\d+) kb\/s/);
+  let video = null;
+  let audio = null;
+  if (videoLine) {
+    const size = videoLine.match(/, (\d{2,5})x(\d{2,5})/);
+    video = {
+      codec: videoLine.match(/Video: (\w+)/)[1],
+      width: size ? Number(size[1]) : null,
+      height: size ? Number(size[2]) : null,
+      bitrate: parseBitrate(videoLine)
+    };
+  }
+  if (audioLine) {
+    const sampleRate = audioLine.match(/(\d+) Hz/);
+    const channels = audioLine.match(/Hz, ([^,]+),/);
+    audio = {
+      codec: audioLine.match(/Audio: (\w+)/)[1],
+      sample_rate: sampleRate ? Number(sampleRate[1]) : null,
+      channels: channels ? channels[1].trim() : null,
+      bitrate: parseBitrate(audioLine)
+    };
+  }
+  return {
+    duration: parseDuration(header),
+    bitrate: overall ? Number(overall[1]) : null,
+    video,
+    audio
+  };
+}
+
+// One entry per decoded frame: presentation time and whether it is a keyframe
+function parseFrames(stderr) {
+  const frames = [];
+  const pattern = /\] n:\s*\d+ .*?pts_time:\s*(-?[\d.]+).*?iskey:(\d)/g;
+  let match;
+  while ((match = pattern.exec(stderr)) !== null) {
+    frames.push({ time: Number(match[1]), key: match[2] === '1' });
+  }
+  return frames;
+}
+
+function roundTo(value, digits) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function summarizeFrames(frames) {
+  if (frames.length === 0) {
+    return { frames: 0, fps: null, keyframes: 0, keyframe_interval: null, max_keyframe_interval: null };
+  }
+  const span = frames[frames.length - 1].time - frames[0].time;
+  const keyTimes = frames.filter(frame => frame.key).map(frame => frame.time);
+  const gaps = keyTimes.slice(1).map((time, index) => time - keyTimes[index]);
+  return {
+    frames: frames.length,
+    fps: span > 0 ? roundTo((frames.length - 1) / span, 2) : null,
+    keyframes: keyTimes.length,
+    keyframe_interval: gaps.length > 0 ? roundTo(gaps.reduce((total, gap) => total + gap, 0) / gaps.length, 2) : null,
+    max_keyframe_interval: gaps.length > 0 ? roundTo(Math.max(...gaps), 2) : null
+  };
+}
+
+// `expected.fps` is compared against the measured frame rate when the stream
+// re-encodes to a fixed rate
+function buildWarnings(report, expected = {}) {
+  const warnings = [];
+  if (!report.video) {
+    warnings.push('The recording has no video track');
+    return warnings;
+  }
+  if (!report.audio) {
+    warnings.push('The recording has no audio track; most platforms expect one');
+  }
+  const interval = report.video.max_keyframe_interval;
+  if (interval !== null && interval > MAX_KEYFRAME_INTERVAL) {
+    warnings.push(`Keyframes are up to ${interval}s apart; most platforms want one every 2 seconds and reject more than ${MAX_KEYFRAME_INTERVAL}`);
+  } else if (report.video.keyframes === 1 && report.duration > MAX_KEYFRAME_INTERVAL) {
+    warnings.push(`Only one keyframe in ${report.duration}s; most platforms want one every 2 seconds`);
+  }
+  if (expected.fps && report.video.fps && Math.abs(report.video.fps - expected.fps) > expected.fps * 0.1) {
+    warnings.push(`Measured ${report.video.fps} fps but the stream is set to ${expected.fps} fps`);
+  }
+  return warnings;
+}
+
+function analyzeRecording(filePath, expected = {}) {
+  return new Promise((resolve) => {
+    if (!fs.existsSync(filePath)) {
+      resolve({ playable: false, error: 'Nothing was recorded' });
+      return;
+    }
+    const fileSize = fs.statSync(filePath).size;
+    const ffmpeg = spawn(ffmpegPath, [
+      '-hide_banner', '-nostats',
+      '-i', filePath,
+      '-map', '0:v:0', '-vf', 'showinfo',
+      '-f', 'null', '-'
+    ], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => ffmpeg.kill('SIGKILL'), ANALYSIS_TIMEOUT);
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    ffmpeg.on('error', (error) => {
+      clearTimeout(timer);
+      resolve({ playable: false, error: `Could not run FFmpeg: ${error.message}` });
+    });
+    ffmpeg.on('close', (code) => {
+      clearTimeout(timer);
+      const input = parseInputStreams(stderr);
+      const frames = summarizeFrames(parseFrames(stderr));
+      const duration = input.duration;
+      const report = {
+        playable: code === 0 && frames.frames > 0,
+        duration: roundTo(duration, 2),
+        file_size: fileSize,
+        bitrate: input.bitrate || (duration ? Math.round(fileSize * 8 / duration / 1000) : null),
+        video: input.video ? { ...input.video, ...frames } : null,
+        audio: input.audio
+      };
+      if (!report.playable) {
+        const lastLines = stderr.trim().split('\n').filter(line => !line.includes('showinfo')).slice(-3).join(' ');
+        report.error = frames.frames === 0 ? 'No video frames could be decoded' : `Decoding failed: ${lastLines}`;
+      }
+      report.warnings = buildWarnings(report, expected);
+      resolve(report);
+    });
+  });
+}
+
+module.exports = {
+  MAX_KEYFRAME_INTERVAL,
+  parseInputStreams,
+  parseFrames,
+  summarizeFrames,
+  analyzeRecording
+};
@@ -0,0 +1,118 @@
+const cronParser = require('cron-parser');
+
+const RECURRENCE_TYPES = ['daily', 'weekdays', 'weekly', 'cron'];
+const MAX_OCCURRENCES = 100;
+
+function getServerTimezone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseDays(days) {
+  if (days === null || days === undefined || days === '') {
+    return [];
+  }
+  const list = Array.isArray(days) ? days : String(days).split(',');
+  return [...new Set(list.map(day => parseInt(day, 10)))].sort((a, b) => a - b);
+}
+
+// Daily, weekday and weekly rules are stored as a time of day plus days and
+// turned into a cron expression so every rule goes through the same parser
+function buildCronExpression(rule) {
+  if (rule.recurrence_type === 'cron') {
+    return rule.recurrence_cron;
+  }
+  const [hours, minutes] = (rule.recurrence_time || '').split(':').map(part => parseInt(part, 10));
+  if (rule.recurrence_type === 'daily') {
+    return `${minutes} ${hours} * * *`;
+  }
+  if (rule.recurrence_type === 'weekdays') {
+    return `${minutes} ${hours} * * 1-5`;
+  }
+  return `${minutes} ${hours} * * ${parseDays(rule.recurrence_days).join(',')}`;
+}
+
+function validateRecurrence(rule) {
+  if (!RECURRENCE_TYPES.includes(rule.recurrence_type)) {
+    return 'Invalid recurrence type';
+  }
+  if (rule.recurrence_timezone && !isValidTimezone(rule.recurrence_timezone)) {
+    return 'Invalid timezone';
+  }
+  if (rule.recurrence_type === 'cron') {
+    if (!rule.recurrence_cron || String(rule.recurrence_cron).trim().split(/\s+/).length !== 5) {
+      return 'Cron expression must have 5 fields (minute hour day month weekday)';
+    }
+  } else {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(rule.recurrence_time || '')) {
+      return 'Recurrence time must be in HH:MM format';
+    }
+    if (rule.recurrence_type === 'weekly') {
+      const days = parseDays(rule.recurrence_days);
+      if (days.length === 0 || days.some(day => isNaN(day) || day < 0 || day > 6)) {
+        return 'Select at least one day of the week';
+      }
+    }
+  }
+  try {
+    getNextOccurrences(rule, new Date(), 1);
+  } catch (error) {
+    return `Invalid recurrence rule: ${error.message}`;
+  }
+  return null;
+}
+
+function getNextOccurrences(rule, fromDate = new Date(), count = 1) {
+  const interval = cronParser.parseExpression(buildCronExpression(rule), {
+    currentDate: fromDate,
+    tz: rule.recurrence_timezone || getServerTimezone()
+  });
+  const occurrences = [];
+  const limit = Math.min(Math.max(parseInt(count, 10) || 1, 1), MAX_OCCURRENCES);
+  while (occurrences.length < limit && interval.hasNext()) {
+    occurrences.push(interval.next().toDate());
+  }
+  return occurrences;
+}
+
+function getNextOccurrence(rule, fromDate = new Date()) {
+  const [next] = getNextOccurrences(rule, fromDate, 1);
+  return next || null;
+}
+
+// Normalizes the recurrence fields sent by the stream forms into stream columns
+function parseRecurrenceInput(body) {
+  const type = body.recurrenceType;
+  if (!type || type === 'none') {
+    return null;
+  }
+  return {
+    recurrence_type: type,
+    recurrence_time: type === 'cron' ? null : (body.recurrenceTime || null),
+    recurrence_days: type === 'weekly' ? parseDays(body.recurrenceDays).join(',') : null,
+    recurrence_cron: type === 'cron' ? String(body.recurrenceCron || '').trim() : null,
+    recurrence_timezone: body.recurrenceTimezone || getServerTimezone()
+  };
+}
+
+function isRecurring(stream) {
+  return !!(stream && stream.recurrence_type);
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  buildCronExpression,
+  validateRecurrence,
+  getNextOccurrences,
+  getNextOccurrence,
+  parseRecurrenceInput,
+  isRecurring
+};
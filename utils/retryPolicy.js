@@ -0,0 +1,76 @@
+// Per-stream restart policy. A null column falls back to the default and
+// retry_max_attempts = 0 means the stream is restarted without limit.
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  backoffBase: 3, // seconds before the first restart, doubled on each further attempt
+  backoffMax: 30, // upper bound for the delay in seconds
+  resetAfterMinutes: 10 // a process that stays up this long clears the attempt counter
+};
+
+const POLICY_INPUTS = {
+  retryMaxAttempts: { column: 'retry_max_attempts', min: 1, max: 1000, label: 'Maximum restart attempts' },
+  retryBackoffBase: { column: 'retry_backoff_base', min: 1, max: 3600, label: 'Backoff base' },
+  retryBackoffMax: { column: 'retry_backoff_max', min: 1, max: 86400, label: 'Backoff maximum' },
+  retryResetAfter: { column: 'retry_reset_after', min: 1, max: 10080, label: 'Reset after healthy minutes' }
+};
+
+function resolveRetryPolicy(stream) {
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  const maxAttempts = pick(stream && stream.retry_max_attempts, DEFAULT_RETRY_POLICY.maxAttempts);
+  return {
+    maxAttempts: maxAttempts === 0 ? null : maxAttempts,
+    unlimited: maxAttempts === 0,
+    backoffBase: pick(stream && stream.retry_backoff_base, DEFAULT_RETRY_POLICY.backoffBase),
+    backoffMax: pick(stream && stream.retry_backoff_max, DEFAULT_RETRY_POLICY.backoffMax),
+    resetAfterMinutes: pick(stream && stream.retry_reset_after, DEFAULT_RETRY_POLICY.resetAfterMinutes)
+  };
+}
+
+function canRetry(policy, retryCount) {
+  return policy.unlimited || retryCount < policy.maxAttempts;
+}
+
+// Delay in milliseconds before the given attempt (1 for the first restart)
+function getBackoffDelay(policy, attempt) {
+  const seconds = Math.min(policy.backoffBase * Math.pow(2, Math.max(0, attempt - 1)), policy.backoffMax);
+  return seconds * 1000;
+}
+
+// Maps the retry fields sent by the stream forms to stream columns. Only
+// fields present in the body are returned; an empty value resets to the default.
+function parseRetryPolicyInput(body) {
+  const columns = {};
+  for (const [field, input] of Object.entries(POLICY_INPUTS)) {
+    if (!(field in body)) {
+      continue;
+    }
+    const raw = body[field];
+    if (raw === null || raw === undefined || String(raw).trim() === '') {
+      columns[input.column] = null;
+      continue;
+    }
+    if (field === 'retryMaxAttempts' && String(raw).trim().toLowerCase() === 'unlimited') {
+      columns[input.column] = 0;
+      continue;
+    }
+    const value = parseInt(raw, 10);
+    if (isNaN(value) || value < input.min || value > input.max) {
+      return { error: `${input.label} must be between ${input.min} and ${input.max}` };
+    }
+    columns[input.column] = value;
+  }
+  const base = columns.retry_backoff_base;
+  const max = columns.retry_backoff_max;
+  if (base && max && base > max) {
+    return { error: 'Backoff base cannot be larger than the backoff maximum' };
+  }
+  return { columns };
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  canRetry,
+  getBackoffDelay,
+  parseRetryPolicyInput
+};
@@ -0,0 +1,120 @@
+// Stream keys, Google Drive API keys and TOTP secrets are sealed with AES-256-GCM before
+// they reach the database. The key is derived from ENCRYPTION_SECRET; while
+// rotating, ENCRYPTION_SECRET_PREVIOUS still opens values sealed with the old
+// secret. Without ENCRYPTION_SECRET values are stored as given.
+const crypto = require('crypto');
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const KEY_SALT = 'streamflow-secrets';
+// Shown instead of a secret in responses and logs. Sending it back in an
+// update means "keep the current value".
+const SECRET_MASK = '********';
+// Columns holding secrets, masked wherever records are serialized
+const SECRET_FIELDS = ['stream_key', 'gdrive_api_key', 'totp_secret'];
+
+let keyringCache = null;
+
+function deriveKey(secret) {
+  const key = crypto.scryptSync(secret, KEY_SALT, 32);
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+}
+
+// Rebuilt when the environment changes, which only the rotation command does
+function getKeyring() {
+  const current = process.env.ENCRYPTION_SECRET || '';
+  const previous = process.env.ENCRYPTION_SECRET_PREVIOUS || '';
+  if (!keyringCache || keyringCache.current !== current || keyringCache.previous !== previous) {
+    keyringCache = {
+      current,
+      previous,
+      active: current ? deriveKey(current) : null,
+      keys: [current, previous].filter(Boolean).map(deriveKey)
+    };
+  }
+  return keyringCache;
+}
+
+function isEncryptionEnabled() {
+  return getKeyring().active !== null;
+}
+
+function isEncryptedSecret(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function isMaskedSecret(value) {
+  return value === SECRET_MASK;
+}
+
+function getSecretKeyId(value) {
+  return isEncryptedSecret(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null;
+}
+
+// Values already sealed are returned unchanged, so records can be copied
+// between tables without decrypting them
+function encryptSecret(value) {
+  const { active } = getKeyring();
+  if (!active || value === null || value === undefined || value === '' || isEncryptedSecret(value)) {
+    return value;
+  }
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', active.key, iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [
+    active.id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    data.toString('base64')
+  ].join(':');
+}
+
+// Plain values written before encryption was enabled are returned as they are
+function decryptSecret(value) {
+  if (!isEncryptedSecret(value)) {
+    return value;
+  }
+  const [keyId, iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const entry = getKeyring().keys.find(candidate => candidate.id === keyId);
+  if (!entry) {
+    throw new Error('Cannot decrypt a stored secret: it was encrypted with a different ENCRYPTION_SECRET');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Deterministic digest for equality lookups (is this stream key in use?),
+// keyed like the encryption so it does not reveal the key on its own
+function hashSecret(value) {
+  const { active } = getKeyring();
+  return crypto.createHmac('sha256', active ? active.key : KEY_SALT).update(String(value)).digest('hex');
+}
+
+// True when a stored value should be sealed again with the current secret
+function needsResealing(value) {
+  if (value === null || value === undefined || value === '') {
+    return false;
+  }
+  const { active } = getKeyring();
+  if (!active) {
+    return false;
+  }
+  return getSecretKeyId(value) !== active.id;
+}
+
+function maskSecret(value) {
+  return value ? SECRET_MASK : value;
+}
+
+module.exports = {
+  SECRET_MASK,
+  SECRET_FIELDS,
+  isEncryptionEnabled,
+  isEncryptedSecret,
+  isMaskedSecret,
+  encryptSecret,
+  decryptSecret,
+  hashSecret,
+  needsResealing,
+  maskSecret
+};
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const ensureDirectories = () => {
   const dirs = [
     path.join(__dirname, '../public/uploads/videos'),
@@ -18,9 +19,20 @@ const getUniqueFilename = (originalFilename) => {
     .toLowerCase();
   return `${basename}-${timestamp}-${random}${ext}`;
 };
+// SHA-256 of a file, streamed so large videos are not read into memory
+const computeFileChecksum = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
 module.exports = {
   ensureDirectories,
   getUniqueFilename,
+  computeFileChecksum,
   paths: {
     videos: path.join(__dirname, '../public/uploads/videos'),
     thumbnails: path.join(__dirname, '../public/uploads/thumbnails'),
@@ -0,0 +1,132 @@
+// Time-based one-time passwords (RFC 6238) on top of HOTP (RFC 4226), as used
+// by Google Authenticator, Authy and similar apps. Secrets are exchanged as
+// base32 text; a Buffer is accepted too so the RFC test vectors, which use raw
+// ASCII keys, can be checked directly with an explicit `time`.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_OPTIONS = {
+  algorithm: 'sha1',
+  digits: 6,
+  step: 30
+};
+// Codes from one step before and after are accepted to allow for clock drift
+const DEFAULT_WINDOW = 1;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+// Spaces, dashes, padding and lower case are tolerated since people copy
+// secrets by hand
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function toKey(secret) {
+  return Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+}
+
+function generateSecret(size = 20) {
+  return base32Encode(crypto.randomBytes(size));
+}
+
+function generateHotp(secret, counter, options = {}) {
+  const { algorithm, digits } = { ...DEFAULT_OPTIONS, ...options };
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(algorithm, toKey(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+// `time` is in milliseconds and defaults to now
+function getTimeStep(options = {}) {
+  const { step } = { ...DEFAULT_OPTIONS, ...options };
+  const time = options.time === undefined ? Date.now() : options.time;
+  return Math.floor(time / 1000 / step);
+}
+
+function generateTotp(secret, options = {}) {
+  return generateHotp(secret, getTimeStep(options), options);
+}
+
+// Returns the time step the code belongs to, or null. Callers store the step
+// of the last accepted code and pass it as `afterStep` so a code cannot be
+// used twice.
+function verifyTotp(secret, code, options = {}) {
+  const { digits } = { ...DEFAULT_OPTIONS, ...options };
+  const token = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(token)) {
+    return null;
+  }
+  const window = options.window === undefined ? DEFAULT_WINDOW : options.window;
+  const current = getTimeStep(options);
+  const expected = Buffer.from(token);
+  for (let step = current - window; step <= current + window; step++) {
+    if (options.afterStep !== undefined && options.afterStep !== null && step <= options.afterStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(generateHotp(secret, step, options)), expected)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// The otpauth:// URI that authenticator apps read from the QR code
+function buildOtpAuthUrl({ secret, account, issuer }) {
+  const label = encodeURIComponent(issuer ? `${issuer}:${account}` : account);
+  const params = new URLSearchParams({
+    secret,
+    algorithm: DEFAULT_OPTIONS.algorithm.toUpperCase(),
+    digits: String(DEFAULT_OPTIONS.digits),
+    period: String(DEFAULT_OPTIONS.step)
+  });
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpAuthUrl
+};
@@ -0,0 +1,305 @@
+// Video encoders an encoding preset can use. Each one lists the values its
+// speed preset, tune, profile and level accept; only the encoders the installed
+// FFmpeg can actually run are offered (see utils/ffmpegCapabilities).
+// Decoding and scaling stay on the CPU, so hardware encoders get their frames
+// from system memory and need no matching hardware decoder.
+const VAAPI_DEVICE = process.env.VAAPI_DEVICE || '/dev/dri/renderD128';
+
+const X264_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+// 'auto' leaves the level to the encoder, which derives it from size, rate and bitrate
+const H264_LEVELS = ['auto', '3.0', '3.1', '3.2', '4.0', '4.1', '4.2', '5.0', '5.1', '5.2'];
+
+const VIDEO_ENCODERS = {
+  libx264: {
+    label: 'H.264 (x264)',
+    codec: 'h264',
+    family: 'x264',
+    hardware: false,
+    presets: X264_PRESETS,
+    tunes: ['', 'zerolatency', 'film', 'animation', 'grain', 'stillimage'],
+    profiles: ['baseline', 'main', 'high'],
+    levels: H264_LEVELS,
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'veryfast', tune: 'zerolatency', profile: 'main', level: 'auto' }
+  },
+  libx265: {
+    label: 'H.265 (x265)',
+    codec: 'hevc',
+    family: 'x265',
+    hardware: false,
+    presets: X264_PRESETS,
+    tunes: ['', 'zerolatency', 'grain', 'animation', 'fastdecode'],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'veryfast', tune: 'zerolatency', profile: 'main', level: 'auto' }
+  },
+  // SVT-AV1 presets run from 0 (slowest) to 13; below 6 is too slow for live
+  libsvtav1: {
+    label: 'AV1 (SVT-AV1)',
+    codec: 'av1',
+    family: 'svtav1',
+    hardware: false,
+    presets: ['6', '7', '8', '9', '10', '11', '12', '13'],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['vbr'],
+    defaults: { preset: '10', tune: '', profile: 'main', level: 'auto' }
+  },
+  h264_nvenc: {
+    label: 'H.264 (NVIDIA NVENC)',
+    codec: 'h264',
+    family: 'nvenc',
+    hardware: true,
+    presets: ['fast', 'medium', 'slow'],
+    tunes: [''],
+    profiles: ['baseline', 'main', 'high'],
+    levels: H264_LEVELS,
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'fast', tune: '', profile: 'main', level: 'auto' }
+  },
+  hevc_nvenc: {
+    label: 'H.265 (NVIDIA NVENC)',
+    codec: 'hevc',
+    family: 'nvenc',
+    hardware: true,
+    presets: ['fast', 'medium', 'slow'],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'fast', tune: '', profile: 'main', level: 'auto' }
+  },
+  h264_qsv: {
+    label: 'H.264 (Intel Quick Sync)',
+    codec: 'h264',
+    family: 'qsv',
+    hardware: true,
+    presets: ['veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+    tunes: [''],
+    profiles: ['baseline', 'main', 'high'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'veryfast', tune: '', profile: 'main', level: 'auto' }
+  },
+  hevc_qsv: {
+    label: 'H.265 (Intel Quick Sync)',
+    codec: 'hevc',
+    family: 'qsv',
+    hardware: true,
+    presets: ['veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'veryfast', tune: '', profile: 'main', level: 'auto' }
+  },
+  h264_vaapi: {
+    label: 'H.264 (VA-API)',
+    codec: 'h264',
+    family: 'vaapi',
+    hardware: true,
+    presets: [''],
+    tunes: [''],
+    profiles: ['constrained_baseline', 'main', 'high'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: '', tune: '', profile: 'main', level: 'auto' }
+  },
+  hevc_vaapi: {
+    label: 'H.265 (VA-API)',
+    codec: 'hevc',
+    family: 'vaapi',
+    hardware: true,
+    presets: [''],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: '', tune: '', profile: 'main', level: 'auto' }
+  },
+  h264_videotoolbox: {
+    label: 'H.264 (Apple VideoToolbox)',
+    codec: 'h264',
+    family: 'videotoolbox',
+    hardware: true,
+    presets: [''],
+    tunes: [''],
+    profiles: ['baseline', 'main', 'high'],
+    levels: ['auto'],
+    rate_controls: ['vbr'],
+    defaults: { preset: '', tune: '', profile: 'main', level: 'auto' }
+  },
+  hevc_videotoolbox: {
+    label: 'H.265 (Apple VideoToolbox)',
+    codec: 'hevc',
+    family: 'videotoolbox',
+    hardware: true,
+    presets: [''],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['vbr'],
+    defaults: { preset: '', tune: '', profile: 'main', level: 'auto' }
+  },
+  h264_amf: {
+    label: 'H.264 (AMD AMF)',
+    codec: 'h264',
+    family: 'amf',
+    hardware: true,
+    presets: ['speed', 'balanced', 'quality'],
+    tunes: [''],
+    profiles: ['main', 'high'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'speed', tune: '', profile: 'main', level: 'auto' }
+  },
+  hevc_amf: {
+    label: 'H.265 (AMD AMF)',
+    codec: 'hevc',
+    family: 'amf',
+    hardware: true,
+    presets: ['speed', 'balanced', 'quality'],
+    tunes: [''],
+    profiles: ['main'],
+    levels: ['auto'],
+    rate_controls: ['cbr', 'vbr'],
+    defaults: { preset: 'speed', tune: '', profile: 'main', level: 'auto' }
+  }
+};
+
+const DEFAULT_VIDEO_ENCODER = 'libx264';
+
+function getVideoEncoder(encoderId) {
+  return Object.prototype.hasOwnProperty.call(VIDEO_ENCODERS, encoderId) ? VIDEO_ENCODERS[encoderId] : null;
+}
+
+// Options that go in front of the input, e.g. opening the VA-API device
+function buildEncoderInputArgs(encoderId) {
+  const encoder = getVideoEncoder(encoderId);
+  return encoder && encoder.family === 'vaapi' ? ['-vaapi_device', VAAPI_DEVICE] : [];
+}
+
+function toScaleSize(resolution) {
+  return String(resolution).replace('x', ':');
+}
+
+// Rate control flags for the encoders that take them as generic options.
+// CBR pads to a constant rate as most ingests ask for; VBR lets the rate drop
+// on simple scenes and peak at 1.5x.
+function buildRateArgs(rateControl, kbps, { minrate = false } = {}) {
+  if (rateControl === 'vbr') {
+    return ['-b:v', `${kbps}k`, '-maxrate', `${Math.round(kbps * 1.5)}k`, '-bufsize', `${kbps * 2}k`];
+  }
+  return [
+    '-b:v', `${kbps}k`,
+    ...(minrate ? ['-minrate', `${kbps}k`] : []),
+    '-maxrate', `${kbps}k`,
+    '-bufsize', `${kbps * 2}k`
+  ];
+}
+
+// Per family: codec options for `preset` (an encoding preset row) with the
+// keyframe interval in frames. Keyframes are only placed on the GOP
+// boundaries so segment lengths stay what the platform expects.
+const FAMILY_ARGS = {
+  x264: (preset, { kbps, keyint }) => [
+    '-preset', preset.preset,
+    ...(preset.tune ? ['-tune', preset.tune] : []),
+    '-profile:v', preset.profile,
+    ...(preset.level && preset.level !== 'auto' ? ['-level:v', preset.level] : []),
+    '-g', keyint, '-keyint_min', keyint, '-sc_threshold', '0',
+    ...buildRateArgs(preset.rate_control, kbps, { minrate: true }),
+    ...(preset.rate_control === 'vbr' ? [] : ['-x264-params', 'nal-hrd=cbr'])
+  ],
+  x265: (preset, { kbps, keyint }) => [
+    '-preset', preset.preset,
+    ...(preset.tune ? ['-tune', preset.tune] : []),
+    '-profile:v', preset.profile,
+    '-g', keyint,
+    ...buildRateArgs(preset.rate_control, kbps),
+    '-x265-params', `keyint=${keyint}:min-keyint=${keyint}:scenecut=0${preset.rate_control === 'vbr' ? '' : ':hrd=1'}`
+  ],
+  svtav1: (preset, { kbps, keyint }) => [
+    '-preset', preset.preset,
+    '-g', keyint,
+    '-b:v', `${kbps}k`
+  ],
+  nvenc: (preset, { kbps, keyint }) => [
+    '-preset', preset.preset,
+    '-profile:v', preset.profile,
+    ...(preset.level && preset.level !== 'auto' ? ['-level:v', preset.level] : []),
+    '-g', keyint, '-no-scenecut', '1',
+    '-rc', preset.rate_control,
+    ...buildRateArgs(preset.rate_control, kbps)
+  ],
+  qsv: (preset, { kbps, keyint }) => [
+    '-preset', preset.preset,
+    '-profile:v', preset.profile,
+    '-g', keyint,
+    ...buildRateArgs(preset.rate_control, kbps)
+  ],
+  // VA-API picks CBR when maxrate equals the bitrate, VBR when it is higher
+  vaapi: (preset, { kbps, keyint }) => [
+    '-profile:v', preset.profile,
+    '-g', keyint,
+    ...buildRateArgs(preset.rate_control, kbps)
+  ],
+  videotoolbox: (preset, { kbps, keyint }) => [
+    '-profile:v', preset.profile,
+    '-realtime', '1',
+    '-g', keyint,
+    ...buildRateArgs('vbr', kbps)
+  ],
+  amf: (preset, { kbps, keyint }) => [
+    '-quality', preset.preset,
+    '-profile:v', preset.profile,
+    '-g', keyint,
+    '-rc', preset.rate_control === 'vbr' ? 'vbr_peak' : 'cbr',
+    ...buildRateArgs(preset.rate_control, kbps)
+  ]
+};
+
+// Output options for the video stream: codec, its settings, frame size and
+// rate. VA-API needs the frames uploaded to the GPU after scaling, the other
+// encoders take them as they are.
+function buildVideoEncoderArgs(encoderId, preset, { kbps, keyint, resolution, fps }) {
+  const encoder = getVideoEncoder(encoderId);
+  if (!encoder) {
+    throw new Error(`Unknown video encoder: ${encoderId}`);
+  }
+  const args = ['-c:v', encoderId, ...FAMILY_ARGS[encoder.family](preset, { kbps, keyint: String(keyint) })];
+  if (encoder.family === 'vaapi') {
+    args.push('-vf', `scale=${toScaleSize(resolution)},format=nv12,hwupload`);
+  } else {
+    args.push('-pix_fmt', encoder.family === 'qsv' ? 'nv12' : 'yuv420p', '-s', resolution);
+  }
+  args.push('-r', String(fps));
+  return args;
+}
+
+// A one-second encode of a generated picture, used to check that a hardware
+// encoder listed by FFmpeg has a device it can open
+function buildEncoderTestArgs(encoderId) {
+  const encoder = getVideoEncoder(encoderId);
+  return [
+    '-hide_banner', '-loglevel', 'error',
+    ...buildEncoderInputArgs(encoderId),
+    '-f', 'lavfi', '-i', 'color=c=black:s=320x240:r=30:d=1',
+    ...buildVideoEncoderArgs(encoderId, { ...encoder.defaults, rate_control: encoder.rate_controls[0] }, {
+      kbps: 500, keyint: 30, resolution: '320x240', fps: 30
+    }),
+    '-f', 'null', '-'
+  ];
+}
+
+module.exports = {
+  VAAPI_DEVICE,
+  VIDEO_ENCODERS,
+  DEFAULT_VIDEO_ENCODER,
+  getVideoEncoder,
+  buildEncoderInputArgs,
+  buildVideoEncoderArgs,
+  buildEncoderTestArgs
+};
@@ -38,7 +38,35 @@ const generateThumbnail = (videoPath, thumbnailName) => {
       });
   });
 };
+const probeVideo = (filepath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filepath, (err, metadata) => {
+      if (err) {
+        console.error('Error probing video:', err);
+        return reject(err);
+      }
+      const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+      let fps = null;
+      if (videoStream && videoStream.avg_frame_rate) {
+        const fpsRatio = videoStream.avg_frame_rate.split('/');
+        if (fpsRatio.length === 2 && parseInt(fpsRatio[1]) !== 0) {
+          fps = Math.round((parseInt(fpsRatio[0]) / parseInt(fpsRatio[1]) * 100)) / 100;
+        } else {
+          fps = parseInt(fpsRatio[0]) || null;
+        }
+      }
+      resolve({
+        duration: metadata.format.duration || 0,
+        format: metadata.format.format_name || '',
+        resolution: videoStream ? `${videoStream.width}x${videoStream.height}` : '',
+        bitrate: metadata.format.bit_rate ? Math.round(parseInt(metadata.format.bit_rate) / 1000) : null,
+        fps
+      });
+    });
+  });
+};
 module.exports = {
   getVideoInfo,
+  probeVideo,
   generateThumbnail
 };
\ No newline at end of file